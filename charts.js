@@ -0,0 +1,176 @@
+/**
+ * Small SVG charts for the metrics panel.
+ *
+ * Every chart is returned as an SVG string sized by its viewBox, so it scales
+ * with its container and needs no charting library or network access. The
+ * functions only build markup; the page decides where to put it.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Charts = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default drawing settings
+    const CHART = {
+        width: 320,
+        height: 140,
+        margin: { top: 10, right: 10, bottom: 20, left: 36 },
+        colors: ['#3B82F6', '#FF6B35', '#00D084', '#8B5CF6', '#FF3366']   // The page palette (style.css)
+    };
+
+    function escapeText(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    // Rounds the top of an axis up to 1, 2 or 5 times a power of ten
+    function niceMax(value) {
+        if (!(value > 0)) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(factor => factor * power >= value);
+        return step * power;
+    }
+
+    function formatValue(value) {
+        if (value >= 100 || Number.isInteger(value)) return String(Math.round(value));
+        return value.toFixed(value >= 10 ? 1 : 2).replace(/\.?0+$/, '');
+    }
+
+    function resolveOptions(options) {
+        return Object.assign({}, CHART, options, {
+            margin: Object.assign({}, CHART.margin, options.margin)
+        });
+    }
+
+    // Opening tag, the plot frame and the labels of the value axis
+    function frame(settings, max) {
+        const { width, height, margin } = settings;
+        const bottom = height - margin.bottom;
+        return [
+            `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img"` +
+                ` aria-label="${escapeText(settings.label || 'Chart')}">`,
+            `<line class="chart-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${bottom}"/>`,
+            `<line class="chart-axis" x1="${margin.left}" y1="${bottom}" x2="${width - margin.right}" y2="${bottom}"/>`,
+            `<line class="chart-grid" x1="${margin.left}" y1="${margin.top}" x2="${width - margin.right}" y2="${margin.top}"/>`,
+            `<text class="chart-label" x="${margin.left - 4}" y="${margin.top + 4}" text-anchor="end">${formatValue(max)}</text>`,
+            `<text class="chart-label" x="${margin.left - 4}" y="${bottom}" text-anchor="end">0</text>`,
+            `<text class="chart-label chart-unit" x="${margin.left + 4}" y="${margin.top + 10}">${escapeText(settings.unit || '')}</text>`
+        ];
+    }
+
+    function empty(settings) {
+        const { width, height } = settings;
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img"` +
+            ` aria-label="${escapeText(settings.label || 'Chart')}">` +
+            `<text class="chart-empty" x="${width / 2}" y="${height / 2}" text-anchor="middle">No data yet</text></svg>`;
+    }
+
+    /**
+     * Draws a time series as a line; points without a value leave a gap
+     * @param {Object[]} points - { time, value } in time order; value may be null
+     * @param {Object} [options]
+     * @param {string} [options.label] - Accessible name of the chart
+     * @param {string} [options.unit] - Unit shown on the value axis
+     * @param {string} [options.color] - Line color
+     * @param {Function} [options.formatTime] - Formats the times at both ends of the time axis
+     * @param {number} [options.width] - Width of the viewBox
+     * @param {number} [options.height] - Height of the viewBox
+     * @returns {string} - SVG markup
+     */
+    function lineChart(points, options = {}) {
+        const settings = resolveOptions(options);
+        const values = points.filter(point => point.value !== null);
+        if (values.length === 0) return empty(settings);
+
+        const { width, height, margin } = settings;
+        const max = niceMax(Math.max(...values.map(point => point.value)));
+        const first = points[0].time;
+        const span = Math.max(1, points[points.length - 1].time - first);
+        const x = time => margin.left + (time - first) / span * (width - margin.left - margin.right);
+        const y = value => height - margin.bottom - value / max * (height - margin.top - margin.bottom);
+
+        // One polyline per run of points with a value; a lone point is drawn as a dot
+        const runs = [];
+        let run = [];
+        points.forEach(point => {
+            if (point.value === null) {
+                if (run.length) runs.push(run);
+                run = [];
+            } else {
+                run.push(point);
+            }
+        });
+        if (run.length) runs.push(run);
+
+        const color = settings.color || settings.colors[0];
+        const parts = frame(settings, max);
+        runs.forEach(segment => {
+            if (segment.length === 1) {
+                parts.push(`<circle cx="${x(segment[0].time).toFixed(1)}" cy="${y(segment[0].value).toFixed(1)}" r="2" fill="${color}"/>`);
+            } else {
+                const coordinates = segment.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+                parts.push(`<polyline points="${coordinates}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+            }
+        });
+
+        const format = settings.formatTime || (time => `${Math.round(time / 1000)}s`);
+        parts.push(`<text class="chart-label" x="${margin.left}" y="${height - 4}">${escapeText(format(first))}</text>`);
+        parts.push(`<text class="chart-label" x="${width - margin.right}" y="${height - 4}" text-anchor="end">` +
+            `${escapeText(format(points[points.length - 1].time))}</text>`);
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    /**
+     * Draws one bar per item; an item with several values is drawn as a stacked bar
+     * @param {Object[]} bars - { label, values: number[], title? }
+     * @param {Object} [options]
+     * @param {string} [options.label] - Accessible name of the chart
+     * @param {string} [options.unit] - Unit shown on the value axis
+     * @param {number} [options.max] - Top of the value axis; fitted to the bars by default
+     * @param {string[]} [options.colors] - Color of each value in a stack
+     * @param {number} [options.width] - Width of the viewBox
+     * @param {number} [options.height] - Height of the viewBox
+     * @returns {string} - SVG markup
+     */
+    function barChart(bars, options = {}) {
+        const settings = resolveOptions(options);
+        if (bars.length === 0) return empty(settings);
+
+        const { width, height, margin } = settings;
+        const totals = bars.map(bar => bar.values.reduce((sum, value) => sum + value, 0));
+        const max = settings.max || niceMax(Math.max(...totals));
+        const slot = (width - margin.left - margin.right) / bars.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const scale = value => value / max * (height - margin.top - margin.bottom);
+
+        const parts = frame(settings, max);
+        bars.forEach((bar, i) => {
+            const left = margin.left + i * slot + (slot - barWidth) / 2;
+            let base = height - margin.bottom;
+            const title = escapeText(bar.title || `${bar.label}: ${bar.values.map(formatValue).join(' + ')}`);
+            parts.push(`<g><title>${title}</title>`);
+            bar.values.forEach((value, j) => {
+                const size = Math.min(scale(value), base - margin.top);
+                if (size <= 0) return;
+                base -= size;
+                parts.push(`<rect x="${left.toFixed(1)}" y="${base.toFixed(1)}" width="${barWidth.toFixed(1)}"` +
+                    ` height="${size.toFixed(1)}" fill="${settings.colors[j % settings.colors.length]}"/>`);
+            });
+            parts.push('</g>');
+            parts.push(`<text class="chart-label" x="${(left + barWidth / 2).toFixed(1)}" y="${height - 6}"` +
+                ` text-anchor="middle">${escapeText(bar.label)}</text>`);
+        });
+        parts.push('</svg>');
+        return parts.join('');
+    }
+
+    return {
+        CHART,
+        lineChart,
+        barChart
+    };
+}));
@@ -1,26 +1,62 @@
-// Network state management
-const NetworkState = {
-    nodes: {},              // Stores all network nodes with their visual elements and states
-    connections: [],        // Array of connection elements between nodes
-    nodeCount: 0,          // Tracks total number of nodes in the network
-    messagesSent: 0,       // Counter for successful message transmissions
-    messagesFailed: 0,     // Counter for failed message transmissions
-    currentSpeed: 1,       // Network speed multiplier (1x to 5x)
-    removedNodes: new Set(), // Set of node IDs that have been removed but can be recovered
-    maxNodeId: 0,          // Highest node ID ever created (for consistent node numbering)
-    messageQueue: [],      // Array of pending messages waiting for token
-    nodeIPs: {},           // Store IP addresses for each node
-    isSimulationRunning: false,  // Flag to track if simulation is running
-    transferInProgress: false    // Flag to track if a message transfer is currently in progress
-};
+// Simulated clock (sim/clock.js) that schedules every timed event of the simulation
+const Clock = SimClock.createClock();
+
+// Headless simulation core (sim/simulation.js) that owns all network state
+const Sim = Simulation.createSimulation({ scheduler: Clock });
+
+// Network state management (nodes, links, queue and counters live in the simulation core)
+const NetworkState = Sim.network;
 
 // Token Passing Protocol State
-const TokenState = {
-    isActive: false,       // Flag indicating if token passing is currently running
-    currentNode: null,     // ID of the node currently holding the token
-    timer: null,          // Reference to the token passing interval timer
-    interval: 3000,       // Time in milliseconds between token passes (3 seconds)
-    direction: 1,         // Token direction: 1 for forward, -1 for backward
+const TokenState = Sim.token;
+
+// Active monitor that recovers lost tokens
+const MonitorState = Sim.monitor;
+
+// Performance metrics (sim/metrics.js) collected from the simulation events for the charts
+const PerformanceMetrics = Metrics.createMetrics(Sim);
+
+// Structured record of every simulation event and history entry (sim/eventlog.js), for export
+const RunLog = EventLog.createEventLog(Sim);
+
+// Every moment of the session (sim/timeline.js), so the network view can be rewound
+const SessionTimeline = Timeline.createTimeline(Sim);
+
+// Progress through the lessons (sim/lessons.js), kept in the browser between visits
+const LessonProgress = Lessons.createProgress(lessonStorage());
+
+// The lesson being followed
+const LessonState = {
+    runner: null           // Runner from Lessons.createLessonRunner, null outside a lesson
+};
+
+// The quiz being taken (sim/quiz.js)
+const QuizState = {
+    base: null,            // Snapshot of the learner's network, brought back when the quiz ends; null outside a quiz
+    seed: null,            // Seed the questions are drawn from
+    random: null,          // Random numbers for the questions
+    question: null,        // Question on display
+    answer: null,          // Value of the choice picked for it, null until answered
+    results: [],           // { question, answer, outcome, score } per question answered
+    cancel: null           // Stops watching the message being played
+};
+
+// What the network view shows: the live network, or a recorded frame of the timeline
+const ReplayState = {
+    active: false,         // True while a recorded frame is shown
+    index: 0,              // Timeline index of the frame shown
+    resume: false          // Whether the clock was running before replay paused it
+};
+
+// Real time between two redraws of the metrics charts, so a fast clock does not redraw them every tick
+const METRICS_REDRAW_INTERVAL = 500;
+let metricsRedraw = null;
+
+// Rendered elements for the simulation model
+const View = {
+    nodes: {},             // Node elements keyed by node ID
+    connections: {},       // Connection elements keyed by link ID
+    random: Math.random    // Random numbers for decoration, seeded from the simulation seed (see reseedView)
 };
 
 // DOM Elements
@@ -29,37 +65,129 @@ const DOM = {
     network: document.getElementById('network'),
     sourceNode: document.getElementById('sourceNode'),
     destinationNode: document.getElementById('destinationNode'),
+    groupName: document.getElementById('groupName'),
+    groupMembers: document.getElementById('groupMembers'),
+    groupList: document.getElementById('groupList'),
+    payloadInput: document.getElementById('payloadInput'),
+    prioritySelect: document.getElementById('prioritySelect'),
+    allowDuplicates: document.getElementById('allowDuplicates'),
+    frameHops: document.getElementById('frameHops'),
+    frameDetails: document.getElementById('frameDetails'),
     speedSlider: document.getElementById('speedSlider'),
     speedValue: document.getElementById('speedValue'),
     messageHistory: document.getElementById('messageHistory'),
+    historyFilter: {
+        search: document.getElementById('historySearch'),
+        category: document.getElementById('historyCategory'),
+        level: document.getElementById('historyLevel'),
+        node: document.getElementById('historyNode'),
+        follow: document.getElementById('historyFollow'),
+        count: document.getElementById('historyCount')
+    },
     queueList: document.getElementById('queueList'),
+    topologySelect: document.getElementById('topologySelect'),
+    removalSelect: document.getElementById('removalSelect'),
+    arq: {
+        mode: document.getElementById('arqMode'),
+        timeout: document.getElementById('arqTimeout'),
+        maxRetries: document.getElementById('arqRetries'),
+        windowSize: document.getElementById('arqWindow')
+    },
+    wireQuality: {
+        select: document.getElementById('wireSelect'),
+        bitErrorRate: document.getElementById('wireBitErrorRate'),
+        dropPercent: document.getElementById('wireDropPercent'),
+        latency: document.getElementById('wireLatency'),
+        jitter: document.getElementById('wireJitter'),
+        bandwidth: document.getElementById('wireBandwidth')
+    },
+    clock: {
+        time: document.getElementById('clockTime'),
+        next: document.getElementById('clockNext'),
+        playButton: document.getElementById('clockPlayBtn'),
+        jumpInput: document.getElementById('jumpTime')
+    },
     sendButton: document.querySelector('.btn-primary[onclick="sendMessage()"]'),
     stats: {
         activeNodes: document.getElementById('activeNodes'),
         brokenWires: document.getElementById('brokenWires'),
         messagesSent: document.getElementById('messagesSent'),
-        successRate: document.getElementById('successRate')
+        successRate: document.getElementById('successRate'),
+        firstTrySuccessRate: document.getElementById('firstTrySuccessRate'),
+        retransmissions: document.getElementById('retransmissions'),
+        framesCorrupted: document.getElementById('framesCorrupted'),
+        framesDropped: document.getElementById('framesDropped'),
+        collisions: document.getElementById('collisions')
+    },
+    metrics: {
+        summary: document.getElementById('metricsSummary'),
+        throughput: document.getElementById('chartThroughput'),
+        latency: document.getElementById('chartLatency'),
+        hops: document.getElementById('chartHops'),
+        queueWait: document.getElementById('chartQueueWait'),
+        rotation: document.getElementById('chartRotation'),
+        utilization: document.getElementById('chartUtilization'),
+        links: document.getElementById('chartLinks')
+    },
+    macProtocol: document.getElementById('macProtocol'),
+    macComparison: document.getElementById('macComparison'),
+    traffic: {
+        arrival: document.getElementById('trafficArrival'),
+        rate: document.getElementById('trafficRate'),
+        burstSize: document.getElementById('trafficBurst'),
+        hotspot: document.getElementById('trafficHotspot'),
+        hotspotShare: document.getElementById('trafficHotspotShare'),
+        duration: document.getElementById('trafficDuration'),
+        load: document.getElementById('trafficLoad')
+    },
+    seed: document.getElementById('seedInput'),
+    lesson: {
+        list: document.getElementById('lessonList'),
+        panel: document.getElementById('lessonPanel'),
+        title: document.getElementById('lessonTitle'),
+        counter: document.getElementById('lessonCounter'),
+        text: document.getElementById('lessonText'),
+        waiting: document.getElementById('lessonWaiting'),
+        explain: document.getElementById('lessonExplain'),
+        back: document.getElementById('lessonBack'),
+        next: document.getElementById('lessonNext')
+    },
+    script: {
+        input: document.getElementById('scriptInput'),
+        results: document.getElementById('scriptResults'),
+        summary: document.getElementById('scriptSummary')
+    },
+    quiz: {
+        summary: document.getElementById('quizSummary'),
+        quit: document.getElementById('quizQuit'),
+        question: document.getElementById('quizQuestion'),
+        prompt: document.getElementById('quizPrompt'),
+        faults: document.getElementById('quizFaults'),
+        choices: document.getElementById('quizChoices'),
+        result: document.getElementById('quizResult'),
+        next: document.getElementById('quizNext'),
+        results: document.getElementById('quizResults')
+    },
+    timeline: {
+        controls: document.getElementById('timelineControls'),
+        toggle: document.getElementById('timelineToggle'),
+        scrubber: document.getElementById('timelineScrubber'),
+        label: document.getElementById('timelineLabel'),
+        notice: document.getElementById('timelineNotice')
     }
 };
 
-/**
- * Utility function to create a delay
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise} - Promise that resolves after the delay
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Snapshots of the last frame, one per hop, shown in the frame viewer
+const FrameView = {
+    snapshots: [],         // { label, frame }
+    selected: -1           // Index of the snapshot on display
+};
 
-/**
- * Generates a unique IP address for a node
- * @param {number} nodeId - The ID of the node
- * @returns {string} - The generated IP address
- */
-function generateIPAddress(nodeId) {
-    // Generate IP in format 192.168.1.xxx where xxx is based on nodeId
-    return `192.168.1.${100 + nodeId}`;
-}
+// Traffic generator run state
+const TrafficState = {
+    run: null,             // Run from Traffic.startTraffic while traffic is offered
+    allowedDuplicates: false // Duplicate-send setting to restore after the run
+};
 
 /**
  * Creates a new network node with power control and visual elements
@@ -71,16 +199,13 @@ function createNode(id) {
     node.className = 'node';
     node.id = `node${id}`;
     node.style.width = 'var(--node-size)';  // Use CSS variable for consistent sizing
-    
-    // Generate and store IP address
-    const ipAddress = generateIPAddress(id);
-    NetworkState.nodeIPs[id] = ipAddress;
-    
+
     // Add tooltip with IP address
+    const ipAddress = NetworkState.nodeIPs[id];
     node.setAttribute('data-bs-toggle', 'tooltip');
     node.setAttribute('data-bs-placement', 'top');
     node.setAttribute('data-bs-title', `IP: ${ipAddress}`);
-    
+
     const powerToggle = document.createElement('button');
     powerToggle.className = 'power-toggle';
     powerToggle.innerHTML = '<i class="fas fa-power-off"></i>';
@@ -89,36 +214,38 @@ function createNode(id) {
         e.stopPropagation();
         toggleNodePower(id);
     };
-    
+
     const monitor = document.createElement('div');
     monitor.className = 'monitor';
     const monitorImg = document.createElement('img');
     monitorImg.src = 'images/pc-on.png';
     monitorImg.alt = 'PC';
     monitor.appendChild(monitorImg);
-    
+
     const label = document.createElement('span');
     label.className = 'node-label';
     label.textContent = `PC ${id}`;  // Ensure consistent naming format
-    
+
     node.appendChild(powerToggle);
     node.appendChild(monitor);
     node.appendChild(label);
-    
+
     // Initialize tooltip
     new bootstrap.Tooltip(node);
-    
+
     return node;
 }
 
 /**
  * Creates a new connection between nodes with data packet visualization
+ * @param {Object} link - The link model the connection renders
  * @returns {HTMLElement} - The created connection element
  */
-function createConnection() {
+function createConnection(link) {
     const connection = document.createElement('div');
     connection.className = 'connection';
-    
+    connection.dataset.linkId = link.id;
+
     // Create multiple data packets for a more dynamic effect
     for (let i = 0; i < 8; i++) {  // Increased from 1 to 8 packets
         const dataPacket = document.createElement('div');
@@ -126,1172 +253,3454 @@ function createConnection() {
         dataPacket.style.animationDelay = `${i * 0.15}s`;  // Stagger the animations
         connection.appendChild(dataPacket);
     }
-    
+
     connection.addEventListener('click', () => {
-        toggleWireFailure(connection);
+        toggleWireFailure(link.id);
     });
-    
+
     return connection;
 }
 
 /**
- * Updates the network statistics display
+ * Creates the shared device of a star or bus network
+ * @param {string} kind - 'hub' for a star hub, 'backbone' for a bus cable
+ * @returns {HTMLElement} - The created element
  */
-function updateStats() {
-    const activeNodes = Object.values(NetworkState.nodes)
-        .filter(node => !node.classList.contains('powered-off')).length;
-    const brokenWires = NetworkState.connections
-        .filter(conn => conn.classList.contains('broken')).length;
-    const successRate = NetworkState.messagesSent === 0 ? 100 : 
-        Math.round(((NetworkState.messagesSent - NetworkState.messagesFailed) / NetworkState.messagesSent) * 100);
-    
-    DOM.stats.activeNodes.textContent = activeNodes;
-    DOM.stats.brokenWires.textContent = brokenWires;
-    DOM.stats.messagesSent.textContent = NetworkState.messagesSent;
-    DOM.stats.successRate.textContent = `${successRate}%`;
+function createHub(kind) {
+    const hub = document.createElement('div');
+    hub.id = 'node0';
+
+    if (kind === 'backbone') {
+        hub.className = 'bus-backbone';
+        hub.title = 'Bus backbone: click to cut or repair';
+        hub.innerHTML = '<span class="node-label">BUS</span>';
+        hub.addEventListener('click', () => toggleHubFailure());
+        return hub;
+    }
+
+    hub.className = 'node hub';
+    hub.innerHTML = '<i class="fas fa-network-wired"></i><span class="node-label">HUB</span>';
+
+    const powerToggle = document.createElement('button');
+    powerToggle.className = 'power-toggle';
+    powerToggle.innerHTML = '<i class="fas fa-power-off"></i>';
+    powerToggle.title = 'Toggle hub power';
+    powerToggle.onclick = (e) => {
+        e.stopPropagation();
+        toggleHubFailure();
+    };
+    hub.prepend(powerToggle);
+
+    return hub;
 }
 
 /**
- * Adds a data packet to the history log
- * @param {string} message - The data packet to log
- * @param {boolean} isSuccess - Whether the data packet represents a success or failure
+ * Name of a node as shown to the user
+ * @param {number} nodeId - The ID of the node, or Topology.HUB_ID
+ * @returns {string}
  */
-function addMessageToHistory(message, isSuccess) {
-    const messageItem = document.createElement('div');
-    messageItem.className = `message-item ${isSuccess ? 'success' : 'error'}`;
-    
-    // Get current date and time
-    const now = new Date();
-    const timestamp = now.toLocaleString();
-    
-    messageItem.innerHTML = `
-        <i class="fas fa-${isSuccess ? 'check-circle' : 'times-circle'}"></i>
-        <span class="timestamp">[${timestamp}]</span>
-        <span>${message}</span>
-    `;
-    DOM.messageHistory.insertBefore(messageItem, DOM.messageHistory.firstChild);
+function nodeName(nodeId) {
+    if (nodeId !== Topology.HUB_ID) return `PC ${nodeId}`;
+    return Topology.TOPOLOGIES[NetworkState.topology].hub === 'backbone' ? 'the bus backbone' : 'the hub';
 }
 
 /**
- * Toggles the power state of a node
- * @param {number} nodeId - The ID of the node to toggle
+ * Applies a node's power state to its element
+ * @param {number} nodeId - The ID of the node to render
+ * @param {boolean} [isPoweredOff] - Power state to show; the live one by default
  */
-function toggleNodePower(nodeId) {
-    const node = NetworkState.nodes[nodeId];
-    const isPoweredOff = node.classList.contains('powered-off');
-    const monitorImg = node.querySelector('.monitor img');
-    
-    if (isPoweredOff) {
-        node.classList.remove('powered-off');
-        monitorImg.src = 'images/pc-on.png';
-        DOM.status.textContent = `PC ${nodeId} powered on`;
-        addMessageToHistory(`PC ${nodeId} powered on`, true);
-    } else {
-        // Remove any queued messages for this node before powering off
-        const initialQueueLength = NetworkState.messageQueue.length;
-        NetworkState.messageQueue = NetworkState.messageQueue.filter(msg => 
-            msg.sourceNode !== nodeId && msg.destinationNode !== nodeId
-        );
-        
-        // If any messages were removed, update the queue display
-        if (NetworkState.messageQueue.length !== initialQueueLength) {
-            updateQueueDisplay();
-            addMessageToHistory(`Removed queued messages for PC ${nodeId}`, true);
-        }
-        
-        node.classList.add('powered-off');
-        monitorImg.src = 'images/pc-off.png';
-        DOM.status.textContent = `PC ${nodeId} powered off`;
-        addMessageToHistory(`PC ${nodeId} powered off`, true);
-    }
-    
-    updateSelects();
-    updateStats();
-    updateNodeControlPanel();
-    updateSendButtonState();
+function renderNodePower(nodeId, isPoweredOff = Sim.isPoweredOff(nodeId)) {
+    const node = View.nodes[nodeId];
+    if (!node) return;
+
+    if (nodeId === Topology.HUB_ID) {
+        node.classList.toggle(node.classList.contains('bus-backbone') ? 'cut' : 'powered-off', isPoweredOff);
+        return;
+    }
+
+    node.classList.toggle('powered-off', isPoweredOff);
+    node.querySelector('.monitor img').src = isPoweredOff ? 'images/pc-off.png' : 'images/pc-on.png';
 }
 
 /**
- * Toggles the failure state of a connection
- * @param {HTMLElement} connection - The connection element to toggle
- */
-function toggleWireFailure(connection) {
-    const isBroken = connection.classList.contains('broken');
-    
-    if (isBroken) {
-        connection.classList.remove('broken');
-        DOM.status.textContent = 'Wire repaired';
-        addMessageToHistory('Wire repaired', true);
-    } else {
-        connection.classList.add('broken');
-        DOM.status.textContent = 'Wire broken';
-        addMessageToHistory('Wire broken', true);
-    }
-    
-    updateStats();
+ * Marks a node that has a fault, with the fault as its tooltip
+ * @param {number} nodeId - The ID of the node
+ * @param {Object|null} [fault] - The fault to show, { mode, and the mode's setting }; the node's current one by default
+ */
+function renderNodeFault(nodeId, fault = Sim.getNodeFault(nodeId)) {
+    const node = View.nodes[nodeId];
+    if (!node) return;
+
+    node.classList.toggle('faulty', fault !== null);
+    node.querySelector('.monitor').title = fault ? describeNodeFault(fault) : '';
 }
 
 /**
- * Updates the node selection dropdowns
+ * Text naming a node fault and its setting
+ * @param {Object} fault - { mode, and the mode's setting } from Sim.getNodeFault
+ * @returns {string}
  */
-function updateSelects() {
-    const options = Object.keys(NetworkState.nodes)
-        .filter(id => !NetworkState.nodes[id].classList.contains('powered-off'))
-        .map(id => `<option value="${id}">PC ${id}</option>`)
-        .join('');
-    
-    DOM.sourceNode.innerHTML = options;
-    DOM.destinationNode.innerHTML = options;
+function describeNodeFault(fault) {
+    switch (fault.mode) {
+        case 'bypass':
+            return 'Bypass relay: repeats traffic without taking part';
+        case 'drop-nth':
+            return `Drops 1 in every ${fault.every} frames and tokens`;
+        case 'slow':
+            return `Slow: holds frames and the token ${fault.delay} ms longer`;
+        case 'babbling':
+            return `Babbling: flips bits at a rate of ${fault.errorRate}`;
+        default:
+            return Simulation.NODE_FAULTS[fault.mode].label;
+    }
 }
 
 /**
- * Adds a new node to the network
+ * Moves the token indicator to the node currently holding the token, marks the
+ * active monitor and shows where a lost token went missing
  */
-function addNode() {
-    NetworkState.maxNodeId++; // Track the highest ID ever created
-    const newNodeId = NetworkState.maxNodeId;
-    
-    if (NetworkState.nodeCount > 0) {
-        const connection = createConnection();
-        DOM.network.appendChild(connection);
-        NetworkState.connections.push(connection);
-    }
-    
-    const node = createNode(newNodeId);
-    DOM.network.appendChild(node);
-    NetworkState.nodes[newNodeId] = node;
-    NetworkState.nodeCount++;
-    
-    updateSelects();
-    updateStats();
-    updateNodeControlPanel();
-    DOM.status.textContent = `Node PC ${newNodeId} added successfully!`;
-    addMessageToHistory(`Node PC ${newNodeId} added successfully`, true);
+function renderToken() {
+    renderTokenMarks(Object.assign({ monitor: MonitorState.nodeId }, TokenState));
+    renderMonitorStatus();
+    renderTokenPriority();
+    highlightLessonTarget();
 }
 
 /**
- * Removes the last node from the network
+ * Marks the token holder, the active monitor, the stacking stations and a lost token on the nodes
+ * @param {Object} token - { isActive, currentNode, priority, stack, lost, monitor }, live or from a timeline frame
  */
-function removeNode() {
-    if (NetworkState.nodeCount <= 2) {
-        DOM.status.textContent = 'Cannot remove node. Minimum 2 nodes required!';
-        addMessageToHistory('Failed to remove node: Minimum limit reached', false);
-        return;
-    }
-    
-    const lastNode = NetworkState.nodes[NetworkState.nodeCount];
-    lastNode.remove();
-    delete NetworkState.nodes[NetworkState.nodeCount];
-    
-    if (NetworkState.connections.length > 0) {
-        const lastConnection = NetworkState.connections.pop();
-        lastConnection.remove();
+function renderTokenMarks(token) {
+    const stackingStations = token.stack.map(entry => entry.nodeId);
+    Object.entries(View.nodes).forEach(([id, node]) => {
+        const hasToken = token.isActive && token.currentNode === parseInt(id);
+        node.classList.toggle('has-token', hasToken);
+        node.classList.toggle('priority-token', hasToken && token.priority > 0);
+        node.dataset.tokenPriority = token.priority;
+        node.classList.toggle('active-monitor', token.isActive && token.monitor === parseInt(id));
+        node.classList.toggle('stacking-station', token.isActive && stackingStations.includes(parseInt(id)));
+    });
+
+    DOM.network.querySelectorAll('.lost-token').forEach(marker => marker.remove());
+    const lost = token.isActive && token.lost;
+    const lostAt = lost && (lost.linkId ? View.connections[lost.linkId] : View.nodes[lost.nodeId]);
+    if (lostAt) {
+        const marker = document.createElement('div');
+        marker.className = 'lost-token';
+        marker.textContent = 'TOKEN?';
+        marker.title = 'The token was lost here';
+        lostAt.appendChild(marker);
     }
-    
-    NetworkState.nodeCount--;
-    updateSelects();
-    updateStats();
-    DOM.status.textContent = `Node PC ${NetworkState.nodeCount + 1} removed successfully!`;
-    addMessageToHistory(`Node PC ${NetworkState.nodeCount + 1} removed successfully`, true);
 }
 
 /**
- * Resets the network visualization to its initial state
+ * Shows the priority and reservation bits of the token and its stacking stations
  */
-function resetNetwork() {
-    Object.values(NetworkState.nodes).forEach(node => {
-        node.classList.remove('active');
-    });
-    
-    NetworkState.connections.forEach(conn => {
-        conn.classList.remove('active');
-        const dataPacket = conn.querySelector('.data-packet');
-        dataPacket.classList.remove('moving');
-        dataPacket.style.display = 'none';
-    });
-    
-    DOM.status.textContent = '';
+function renderTokenPriority() {
+    const status = document.getElementById('tokenPriorityStatus');
+    if (!status) return;
+
+    const stacking = TokenState.stack.length === 0 ? '' :
+        `, raised by PC ${TokenState.stack.map(entry => entry.nodeId).join(', PC ')}`;
+    status.innerHTML = `<i class="fas fa-layer-group me-2"></i>Token priority <strong>${TokenState.priority}</strong>, ` +
+        `reservation <strong>${TokenState.reservation}</strong>${stacking}`;
+    status.classList.toggle('raised', TokenState.priority > 0);
 }
 
-function toggleAllNodes() {
-    const anyPoweredOff = Object.values(NetworkState.nodes)
-        .some(node => node.classList.contains('powered-off'));
-    
-    // Store current token state
-    const currentTokenNode = TokenState.currentNode;
-    const wasTokenActive = TokenState.isActive;
-    
-    // Temporarily pause token passing
-    if (TokenState.timer) {
-        clearTimeout(TokenState.timer);
-        TokenState.timer = null;
-    }
-    
-    // Toggle all nodes
-    Object.keys(NetworkState.nodes).forEach(nodeId => {
-        const node = NetworkState.nodes[nodeId];
-        const isPoweredOff = node.classList.contains('powered-off');
-        
-        if ((anyPoweredOff && isPoweredOff) || (!anyPoweredOff && !isPoweredOff)) {
-            // Toggle power without triggering individual node animations
-            if (isPoweredOff) {
-                node.classList.remove('powered-off');
-                node.querySelector('.monitor img').src = 'images/pc-on.png';
-            } else {
-                node.classList.add('powered-off');
-                node.querySelector('.monitor img').src = 'images/pc-off.png';
-                // Remove token icon when powering off
-                node.classList.remove('has-token');
-            }
-        }
-    });
-    
-    const toggleBtn = document.getElementById('toggleAllBtn');
-    if (anyPoweredOff) {
-        toggleBtn.className = 'btn btn-danger flex-grow-1';
-        toggleBtn.innerHTML = '<i class="fas fa-power-off me-2"></i>Turn All Off';
-    } else {
-        toggleBtn.className = 'btn btn-success flex-grow-1';
-        toggleBtn.innerHTML = '<i class="fas fa-power-off me-2"></i>Turn All On';
-    }
-    
-    // Update stats once after all nodes are toggled
-    updateStats();
-    updateSelects();
-    updateSendButtonState();
-    
-    // Handle token passing
-    if (anyPoweredOff) {
-        // Get active nodes after toggle
-        const activeNodes = Object.entries(NetworkState.nodes)
-            .filter(([_, node]) => !node.classList.contains('powered-off'))
-            .map(([id]) => parseInt(id));
-        
-        if (activeNodes.length >= 2) {
-            // If previous token node is still active, keep it
-            if (wasTokenActive && currentTokenNode && 
-                !NetworkState.nodes[currentTokenNode].classList.contains('powered-off')) {
-                TokenState.currentNode = currentTokenNode;
-            } else {
-                TokenState.currentNode = activeNodes[0];
-            }
-            
-            // Add token indicator
-            const node = NetworkState.nodes[TokenState.currentNode];
-            node.classList.add('has-token');
-            
-            // Resume token passing
-            TokenState.isActive = true;
-            TokenState.timer = setTimeout(passToken, TokenState.interval);
-        }
-    } else {
-        TokenState.isActive = false;
-        // Remove token icon from all nodes when turning all off
-        Object.values(NetworkState.nodes).forEach(node => {
-            node.classList.remove('has-token');
-        });
-    }
-    
-    const newState = anyPoweredOff ? 'on' : 'off';
-    DOM.status.textContent = `All PCs powered ${newState}`;
-    addMessageToHistory(`All PCs powered ${newState}`, true);
+/**
+ * Shows what the active monitor is doing in the token controls
+ */
+function renderMonitorStatus() {
+    const status = document.getElementById('monitorStatus');
+    if (!status) return;
+
+    const monitorName = MonitorState.nodeId !== null ? `PC ${MonitorState.nodeId}` : 'none';
+    const activity = {
+        off: 'idle',
+        watching: TokenState.lost ? 'waiting for the token to come round' : 'watching the token',
+        missing: 'monitor gone, standby monitors waiting',
+        claiming: 'claim-token election',
+        purging: 'purging the ring'
+    }[MonitorState.state];
+
+    status.innerHTML = `<i class="fas fa-user-shield me-2"></i>Active monitor: <strong>${monitorName}</strong> (${activity})`;
 }
 
 /**
- * Scrolls the network view to center a specific node
- * @param {number} nodeId - The ID of the node to scroll to
+ * Redraws every node and connection from the simulation model
  */
-function scrollToNode(nodeId) {
-    const networkWrapper = document.querySelector('.network-wrapper');
-    const node = NetworkState.nodes[nodeId];
-    if (networkWrapper && node) {
-        const nodeRect = node.getBoundingClientRect();
-        const wrapperRect = networkWrapper.getBoundingClientRect();
-        const scrollLeft = nodeRect.left - wrapperRect.left - (wrapperRect.width - nodeRect.width) / 2;
-        networkWrapper.scrollTo({
-            left: networkWrapper.scrollLeft + scrollLeft,
-            behavior: 'smooth'
+function renderNetwork() {
+    const topology = Topology.TOPOLOGIES[NetworkState.topology];
+
+    DOM.network.innerHTML = '';
+    DOM.network.dataset.topology = NetworkState.topology;
+    DOM.network.classList.toggle('positioned', topology.layout !== 'row');
+    DOM.network.style.width = '';
+    DOM.network.style.height = '';
+    View.nodes = {};
+    View.connections = {};
+
+    if (topology.layout === 'row') {
+        Sim.getNodeIds().forEach((nodeId, index, nodeIds) => {
+            if (index > 0) {
+                appendRowLink(nodeIds[index - 1], nodeId);
+            }
+            appendNode(nodeId);
         });
+
+        // Links that do not join neighbours in the row, such as the link closing a ring
+        NetworkState.connections
+            .filter(link => !View.connections[link.id])
+            .forEach(appendClosingConnection);
+    } else {
+        // Wires first so the nodes are drawn on top of them
+        NetworkState.connections.forEach(appendConnection);
+        if (topology.hub) {
+            appendHub(topology.hub);
+        }
+        Sim.getNodeIds().forEach(appendNode);
     }
+
+    layoutNetwork();
+    renderToken();
+    highlightSelectedEntry();
+}
+
+function appendNode(nodeId) {
+    const node = createNode(nodeId);
+    DOM.network.appendChild(node);
+    View.nodes[nodeId] = node;
+    renderNodePower(nodeId);
+    renderNodeFault(nodeId);
+}
+
+function appendHub(kind) {
+    const hub = createHub(kind);
+    DOM.network.appendChild(hub);
+    View.nodes[Topology.HUB_ID] = hub;
+    renderNodePower(Topology.HUB_ID);
 }
 
 /**
- * Starts the token passing protocol
+ * Draws the wire between two neighbours in the row, or the gap removed PCs left between them
+ * @param {number} previousId - The node on the left
+ * @param {number} nodeId - The node on the right
  */
-function startTokenPassing() {
-    // Get all powered-on nodes and convert their IDs to integers
-    const activeNodes = Object.entries(NetworkState.nodes)
-        .filter(([_, node]) => !node.classList.contains('powered-off'))
-        .map(([id]) => parseInt(id));
-
-    // Validate minimum node requirement for token passing
-    if (activeNodes.length < 2) {
-        DOM.status.textContent = 'Need at least 2 powered-on nodes for token passing!';
-        addMessageToHistory('Failed to start token passing: Not enough active nodes', false);
+function appendRowLink(previousId, nodeId) {
+    const link = Sim.getLink(previousId, nodeId);
+    if (link) {
+        appendConnection(link);
         return;
     }
 
-    // Initialize token passing state
-    TokenState.isActive = true;
-    TokenState.currentNode = activeNodes[0];  // Start with first active node
-    TokenState.direction = 1;                 // Start in forward direction
+    const removed = [];
+    for (let id = previousId + 1; id < nodeId; id++) {
+        if (NetworkState.removedNodes.has(id)) removed.push(`PC ${id}`);
+    }
+    const gap = document.createElement('div');
+    gap.className = 'wire-gap';
+    gap.title = `${removed.join(', ')} removed: no wire between PC ${previousId} and PC ${nodeId}`;
+    gap.innerHTML = '<i class="fas fa-unlink"></i>';
+    DOM.network.appendChild(gap);
+}
+
+function appendConnection(link) {
+    if (!link) return;
+    const connection = createConnection(link);
+    connection.classList.toggle('broken', link.broken);
+    DOM.network.appendChild(connection);
+    View.connections[link.id] = connection;
+    renderWireQuality(link);
+}
+
+/**
+ * Marks a wire that has noise switched on and lists its settings in the tooltip
+ * @param {Object} link - The link model
+ */
+function renderWireQuality(link) {
+    const connection = View.connections[link.id];
+    if (!connection) return;
 
-    // Add visual token indicator to first node
-    const node = NetworkState.nodes[TokenState.currentNode];
-    node.classList.add('has-token');
+    const noisy = Sim.isNoisy(link);
+    connection.classList.toggle('noisy', noisy);
+    connection.title = noisy ? `Wire ${link.id}: ${describeWireQuality(link)}` : '';
+}
 
-    // Start the token passing cycle
-    passToken();
+/**
+ * Short text listing the noise settings of a wire
+ * @param {Object} quality - bitErrorRate, dropProbability, latency, jitter and bandwidth
+ * @returns {string}
+ */
+function describeWireQuality(quality) {
+    const parts = [];
+    if (quality.bitErrorRate > 0) parts.push(`BER ${quality.bitErrorRate}`);
+    if (quality.dropProbability > 0) parts.push(`${Math.round(quality.dropProbability * 1000) / 10}% drops`);
+    if (quality.latency > 0) parts.push(`+${quality.latency} ms`);
+    if (quality.jitter > 0) parts.push(`±${quality.jitter} ms jitter`);
+    if (quality.bandwidth > 0) parts.push(`${quality.bandwidth} bit/s`);
+    return parts.length > 0 ? parts.join(', ') : 'clean';
 }
 
 /**
- * Passes the token to the next node
+ * Draws a link that runs under the row of nodes back from its last node to its first
+ * @param {Object} link - The link model the connection renders
  */
-function passToken() {
-    if (!TokenState.isActive) return;  // Exit if token passing is not active
+function appendClosingConnection(link) {
+    appendConnection(link);
+    const connection = View.connections[link.id];
+    connection.classList.add('closing-link');
+
+    // Vertical wires joining each end of the link to its node
+    ['start', 'end'].forEach(side => {
+        const leg = document.createElement('div');
+        leg.className = `closing-link-leg ${side}`;
+        connection.appendChild(leg);
+    });
+}
 
-    // Remove visual token indicator from current node
-    if (TokenState.currentNode) {
-        const node = NetworkState.nodes[TokenState.currentNode];
-        node.classList.remove('has-token');
+/**
+ * Places the nodes and wires whose position depends on the size of the nodes
+ */
+function layoutNetwork() {
+    if (Topology.TOPOLOGIES[NetworkState.topology].layout === 'row') {
+        layoutClosingConnections();
+    } else {
+        layoutPositionedNetwork();
     }
+}
 
-    // Get list of all powered-on nodes
-    const activeNodes = Object.entries(NetworkState.nodes)
-        .filter(([_, node]) => !node.classList.contains('powered-off'))
-        .map(([id]) => parseInt(id));
+/**
+ * Positions the closing links below their nodes (node positions depend on the window size)
+ */
+function layoutClosingConnections() {
+    DOM.network.querySelectorAll('.connection.closing-link').forEach(connection => {
+        const link = NetworkState.connections.find(conn => conn.id === connection.dataset.linkId);
+        const first = link && View.nodes[link.a];
+        const last = link && View.nodes[link.b];
+        if (!first || !last) return;
+
+        const left = first.offsetLeft + first.offsetWidth / 2;
+        const right = last.offsetLeft + last.offsetWidth / 2;
+        connection.style.left = `${left}px`;
+        connection.style.width = `${right - left}px`;
+
+        const legHeight = connection.offsetTop - (first.offsetTop + first.offsetHeight);
+        connection.style.setProperty('--leg-height', `${Math.max(legHeight, 0)}px`);
+    });
+}
 
-    // Find current node's position in the active nodes array
-    const currentIndex = activeNodes.indexOf(TokenState.currentNode);
+/**
+ * Lays out bus, star and mesh networks: PCs in a row above the bus backbone,
+ * or in a circle (around the hub for a star), with each wire drawn as a rotated
+ * line between the centres of its nodes
+ */
+function layoutPositionedNetwork() {
+    const topology = Topology.TOPOLOGIES[NetworkState.topology];
+    const nodeIds = Sim.getNodeIds();
+    const firstNode = View.nodes[nodeIds[0]];
+    const size = (firstNode && firstNode.offsetWidth) || 130;
+    const margin = 50;  // Room for the token badge and hover effects
+    const positions = {};
+    let width;
+    let height;
+
+    if (topology.layout === 'bus') {
+        const spacing = size + 40;
+        const nodeY = margin + size / 2;
+        const busY = nodeY + size / 2 + 60;
+        width = margin * 2 + size + spacing * (nodeIds.length - 1);
+        height = busY + margin;
+
+        nodeIds.forEach((id, index) => {
+            positions[id] = { x: margin + size / 2 + index * spacing, y: nodeY };
+        });
 
-    // Calculate next node index based on direction
-    let nextIndex = currentIndex + TokenState.direction;
-    if (nextIndex >= activeNodes.length) {
-        nextIndex = 0;  // Wrap around to start if at end
-    } else if (nextIndex < 0) {
-        nextIndex = activeNodes.length - 1;  // Wrap around to end if at start
+        const backbone = View.nodes[Topology.HUB_ID];
+        backbone.style.left = `${margin / 2}px`;
+        backbone.style.width = `${width - margin}px`;
+        backbone.style.top = `${busY}px`;
+    } else {
+        // Circle just large enough for the nodes to keep their distance
+        const radius = Math.max(size * 1.2, nodeIds.length * (size + 40) / (2 * Math.PI));
+        const center = margin + size / 2 + radius;
+        width = height = center * 2;
+
+        nodeIds.forEach((id, index) => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * index) / nodeIds.length;
+            positions[id] = {
+                x: center + radius * Math.cos(angle),
+                y: center + radius * Math.sin(angle)
+            };
+        });
+        positions[Topology.HUB_ID] = { x: center, y: center };
     }
 
-    // Update current node to next node
-    TokenState.currentNode = activeNodes[nextIndex];
+    DOM.network.style.width = `${width}px`;
+    DOM.network.style.height = `${height}px`;
 
-    // Add visual token indicator to new node
-    const node = NetworkState.nodes[TokenState.currentNode];
-    node.classList.add('has-token');
+    Object.entries(View.nodes).forEach(([id, node]) => {
+        const position = positions[id];
+        if (!position) return;
+        node.style.left = `${position.x - size / 2}px`;
+        node.style.top = `${position.y - size / 2}px`;
+    });
 
-    // Update status display and log
-    DOM.status.textContent = `Token at PC ${TokenState.currentNode}`;
-    addMessageToHistory(`Token passed to PC ${TokenState.currentNode}`, true);
+    NetworkState.connections.forEach(link => {
+        const connection = View.connections[link.id];
+        const start = positions[link.a];
+        const end = positions[link.b];
+        if (!connection || !end) return;
 
-    // Process any queued messages for this node
-    processQueuedMessages();
+        // A bus drop cable meets the backbone straight below its PC
+        const from = start || { x: end.x, y: parseFloat(View.nodes[Topology.HUB_ID].style.top) };
+        const angle = Math.atan2(end.y - from.y, end.x - from.x);
 
-    // Schedule next token pass
-    TokenState.timer = setTimeout(passToken, TokenState.interval);
+        connection.style.left = `${from.x}px`;
+        connection.style.top = `${from.y}px`;
+        connection.style.width = `${Math.hypot(end.x - from.x, end.y - from.y)}px`;
+        connection.style.setProperty('--angle', `${angle}rad`);
+    });
 }
 
 /**
- * Changes the direction of token passing
+ * Updates the network statistics display
  */
-function changeTokenDirection() {
-    TokenState.direction *= -1;
-    const directionBtn = document.getElementById('changeDirectionBtn');
-    directionBtn.innerHTML = TokenState.direction === 1 ? 
-        '<i class="fas fa-arrow-right me-2"></i>Forward' : 
-        '<i class="fas fa-arrow-left me-2"></i>Backward';
-    
-    addMessageToHistory(`Token direction changed to ${TokenState.direction === 1 ? 'forward' : 'backward'}`, true);
+function updateStats() {
+    const stats = Sim.getStats();
+
+    DOM.stats.activeNodes.textContent = stats.activeNodes;
+    DOM.stats.brokenWires.textContent = stats.brokenWires;
+    DOM.stats.messagesSent.textContent = stats.messagesSent;
+    DOM.stats.successRate.textContent = `${stats.successRate}%`;
+    DOM.stats.firstTrySuccessRate.textContent = `${stats.firstTrySuccessRate}%`;
+    DOM.stats.retransmissions.textContent = stats.retransmissions;
+    DOM.stats.framesCorrupted.textContent = stats.framesCorrupted;
+    DOM.stats.framesDropped.textContent = stats.framesDropped;
+    if (DOM.stats.collisions) {
+        DOM.stats.collisions.textContent = stats.collisions;
+    }
 }
 
+// History log entries that need their own styling: frames spoiled by noise on a wire
+// and frames sent again by reliable delivery
+const HISTORY_VARIANTS = {
+    corrupted: 'exclamation-triangle',
+    dropped: 'wave-square',
+    retransmit: 'redo',
+    collision: 'bolt'
+};
+
+// History log: every entry is kept as data, filtered, and only the rows in view are drawn
+const HISTORY = {
+    limit: 5000,           // Entries kept; the oldest ones are dropped beyond it
+    rowHeight: 44,         // Height of one entry in pixels (entries are one line high)
+    overscan: 5            // Entries drawn above and below the visible ones
+};
+
+// Log categories, by the prefix of the simulation event that made the entry
+const HISTORY_CATEGORIES = {
+    token: { label: 'Token', prefixes: ['token', 'monitor'] },
+    transfers: { label: 'Transfers', prefixes: ['transmission', 'message', 'mac', 'queue'] },
+    nodes: { label: 'Nodes & power', prefixes: ['node', 'nodes'] },
+    wires: { label: 'Wires & topology', prefixes: ['wire', 'hub', 'topology'] },
+    system: { label: 'Settings & controls', prefixes: [] }   // Everything else, and entries made by the controls
+};
+
+// Log levels, from the least to the most severe
+const HISTORY_LEVELS = {
+    info: 'All levels',
+    warning: 'Warnings and errors',
+    error: 'Errors only'
+};
+
+const HistoryState = {
+    entries: [],           // Every entry, oldest first: { id, time, timestamp, html, text, isSuccess, variant,
+                           //   level, category, nodes, links }
+    shown: [],             // Entries that pass the filters, oldest first
+    nextId: 1,
+    selected: null         // ID of the entry whose nodes and wires are highlighted
+};
+
 /**
- * Updates the token passing interval
+ * Category of the simulation event that made a log entry
+ * @param {Object|null} event - The event, or null for an entry made by the controls
+ * @returns {string} - A key of HISTORY_CATEGORIES
  */
-function updateTokenInterval(value) {
-    TokenState.interval = value * 1000; // Convert to milliseconds
-    const intervalValue = document.getElementById('tokenIntervalValue');
-    intervalValue.textContent = `${value}s`;
-    
-    addMessageToHistory(`Token interval updated to ${value} seconds`, true);
+function historyCategory(event) {
+    const prefix = event ? event.type.split(':')[0] : null;
+    return Object.keys(HISTORY_CATEGORIES).find(key => HISTORY_CATEGORIES[key].prefixes.includes(prefix)) || 'system';
 }
 
 /**
- * Updates the queue display
+ * Nodes and wires a simulation event involves: the nodes it names, its wire, and the
+ * wires of the route between its source and destination
+ * @param {Object|null} event - The event, or null
+ * @returns {Object} - { nodes: number[], links: string[] }
  */
-function updateQueueDisplay() {
-    DOM.queueList.innerHTML = '';
-    
-    if (NetworkState.messageQueue.length === 0) {
-        const emptyMessage = document.createElement('div');
-        emptyMessage.className = 'queue-item';
-        emptyMessage.innerHTML = '<i class="fas fa-inbox"></i> No messages in queue';
-        DOM.queueList.appendChild(emptyMessage);
-        return;
+function involvedIn(event) {
+    if (!event) return { nodes: [], links: [] };
+
+    const nodes = EventLog.toRecord(event, 0).nodes.filter(id => Number.isInteger(id) && NetworkState.nodes[id]);
+    const links = event.linkId ? [event.linkId] : [];
+    const route = event.path || (Number.isInteger(event.sourceNode) && Number.isInteger(event.destinationNode) &&
+        NetworkState.nodes[event.sourceNode] && NetworkState.nodes[event.destinationNode] ?
+        Sim.findPath(event.sourceNode, event.destinationNode) : []);
+    for (let i = 1; i < route.length; i++) {
+        const id = Topology.linkId(route[i - 1], route[i]);
+        if (!links.includes(id)) links.push(id);
     }
-    
-    NetworkState.messageQueue.forEach(msg => {
-        const queueItem = document.createElement('div');
-        queueItem.className = 'queue-item';
-        
-        const timestamp = new Date(msg.timestamp).toLocaleTimeString();
-        
-        queueItem.innerHTML = `
-            <i class="fas fa-paper-plane"></i>
-            <span>PC ${msg.sourceNode} → PC ${msg.destinationNode}</span>
-            <span class="timestamp">${timestamp}</span>
-        `;
-        
-        DOM.queueList.appendChild(queueItem);
-    });
+    return { nodes, links };
 }
 
 /**
- * Process any queued messages for the current node
+ * Adds a data packet to the history log
+ * @param {string} message - The data packet to log
+ * @param {boolean} isSuccess - Whether the data packet represents a success or failure
+ * @param {string} [variant] - 'corrupted' or 'dropped' for frames spoiled by a noisy wire, 'retransmit' for frames sent again,
+ *   'collision' for frames destroyed by a collision
  */
-async function processQueuedMessages() {
-    if (!TokenState.isActive || !TokenState.currentNode || NetworkState.transferInProgress) return;
-    
-    // Find messages in queue for current node
-    const pendingMessages = NetworkState.messageQueue.filter(msg => msg.sourceNode === TokenState.currentNode);
-    
-    if (pendingMessages.length > 0) {
-        // Get the first message in queue for this node
-        const message = pendingMessages[0];
-        
-        // Remove it from queue
-        NetworkState.messageQueue = NetworkState.messageQueue.filter(msg => 
-            !(msg.sourceNode === message.sourceNode && msg.destinationNode === message.destinationNode)
-        );
-        
-        // Update the queue display
-        updateQueueDisplay();
-        
-        // Set the source and destination in the UI
-        DOM.sourceNode.value = message.sourceNode;
-        DOM.destinationNode.value = message.destinationNode;
-        
-        // Send the message
-        await sendMessage();
+function addMessageToHistory(message, isSuccess, variant) {
+    // The simulation event being handled, if any, tells what the entry is about
+    const event = Sim.currentEvent();
+    const text = document.createElement('span');
+    text.innerHTML = message;
+
+    const entry = Object.assign({
+        id: HistoryState.nextId++,
+        time: Clock.now(),
+        timestamp: new Date().toLocaleString(),
+        html: message,
+        text: text.textContent,
+        isSuccess,
+        variant,
+        level: !isSuccess ? 'error' : variant ? 'warning' : 'info',
+        category: historyCategory(event)
+    }, involvedIn(event));
+
+    HistoryState.entries.push(entry);
+    if (HistoryState.entries.length > HISTORY.limit) {
+        const dropped = HistoryState.entries.shift();
+        if (HistoryState.shown[0] === dropped) HistoryState.shown.shift();
     }
+    if (matchesHistoryFilters(entry)) {
+        HistoryState.shown.push(entry);
+        renderHistory();
+        // Newest entries are at the top: unless following them, keep the rows being read in place
+        const follow = !DOM.historyFilter.follow || DOM.historyFilter.follow.checked;
+        const scrollTop = follow ? 0 : DOM.messageHistory.scrollTop + HISTORY.rowHeight;
+        if (DOM.messageHistory.scrollTop !== scrollTop) {
+            DOM.messageHistory.scrollTop = scrollTop;
+            renderHistory();
+        }
+    } else {
+        renderHistory();
+    }
+
+    // Keep the text of the entry next to the simulation events in the exported log
+    RunLog.add('log:message', {
+        outcome: isSuccess ? 'success' : 'failure',
+        reason: variant,
+        message: entry.text
+    });
 }
 
 /**
- * Modify the sendMessage function to check for token and transfer status
+ * Checks a log entry against the filters above the log
+ * @param {Object} entry - Entry from HistoryState.entries
+ * @returns {boolean}
  */
-async function sendMessage() {
-    const sourceNode = parseInt(DOM.sourceNode.value);
-    const destinationNode = parseInt(DOM.destinationNode.value);
-    
-    // Check if a transfer is already in progress
-    if (NetworkState.transferInProgress) {
-        // Check if message is already queued
-        const messageExists = NetworkState.messageQueue.some(msg => 
-            msg.sourceNode === sourceNode && msg.destinationNode === destinationNode
-        );
-        
-        if (!messageExists) {
-            // Add new message to queue with timestamp
-            NetworkState.messageQueue.push({
-                sourceNode,
-                destinationNode,
-                timestamp: new Date()
-            });
-            
-            DOM.status.textContent = `Message queued: PC ${sourceNode} will send to PC ${destinationNode} when current transfer completes`;
-            addMessageToHistory(`Message queued from PC ${sourceNode} to PC ${destinationNode}`, true);
-            updateQueueDisplay();
-        } else {
-            DOM.status.textContent = `Message already queued: PC ${sourceNode} to PC ${destinationNode}`;
-            addMessageToHistory(`Message already queued from PC ${sourceNode} to PC ${destinationNode}`, false);
-        }
-        return;
-    }
-    
-    // Check if source node has the token
-    if (TokenState.currentNode !== sourceNode) {
-        // Check if message is already queued
-        const messageExists = NetworkState.messageQueue.some(msg => 
-            msg.sourceNode === sourceNode && msg.destinationNode === destinationNode
-        );
-        
-        if (!messageExists) {
-            // Add new message to queue with timestamp
-            NetworkState.messageQueue.push({
-                sourceNode,
-                destinationNode,
-                timestamp: new Date()
-            });
-            
-            DOM.status.textContent = `Message queued: PC ${sourceNode} will send to PC ${destinationNode} when it gets the token`;
-            addMessageToHistory(`Message queued from PC ${sourceNode} to PC ${destinationNode}`, true);
-            updateQueueDisplay();
-        } else {
-            DOM.status.textContent = `Message already queued: PC ${sourceNode} to PC ${destinationNode}`;
-            addMessageToHistory(`Message already queued from PC ${sourceNode} to PC ${destinationNode}`, false);
-        }
-        return;
-    }
-    
-    // Prevent sending to self
-    if (sourceNode === destinationNode) {
-        DOM.status.textContent = `Cannot send data packet: Source and destination cannot be the same node!`;
-        addMessageToHistory(`Failed to send data packet: Cannot send to self`, false);
-        NetworkState.messagesFailed++;
-        updateStats();
-        return;
+function matchesHistoryFilters(entry) {
+    const { search, category, level, node } = DOM.historyFilter;
+    const levels = Object.keys(HISTORY_LEVELS);
+    return (!category || !category.value || entry.category === category.value) &&
+        (!level || levels.indexOf(entry.level) >= levels.indexOf(level.value || 'info')) &&
+        (!node || !node.value || entry.nodes.includes(parseInt(node.value))) &&
+        (!search || !search.value || entry.text.toLowerCase().includes(search.value.trim().toLowerCase()));
+}
+
+/**
+ * Filters the log again after a filter changed
+ */
+function applyHistoryFilters() {
+    HistoryState.shown = HistoryState.entries.filter(matchesHistoryFilters);
+    DOM.messageHistory.scrollTop = 0;
+    renderHistory();
+}
+
+/**
+ * Draws the log entries in view, newest first; the others are only made room for
+ */
+function renderHistory() {
+    const list = DOM.messageHistory;
+    const shown = HistoryState.shown;
+    const height = list.clientHeight || 400;
+    const first = Math.max(0, Math.floor(list.scrollTop / HISTORY.rowHeight) - HISTORY.overscan);
+    const last = Math.min(shown.length, Math.ceil((list.scrollTop + height) / HISTORY.rowHeight) + HISTORY.overscan);
+
+    const rows = [];
+    for (let row = first; row < last; row++) {
+        const entry = shown[shown.length - 1 - row];
+        const icon = HISTORY_VARIANTS[entry.variant] || (entry.isSuccess ? 'check-circle' : 'times-circle');
+        const classes = `message-item ${entry.isSuccess ? 'success' : 'error'}${entry.variant ? ` ${entry.variant}` : ''}` +
+            `${entry.id === HistoryState.selected ? ' selected' : ''}`;
+        rows.push(`<div class="${classes}" data-entry="${entry.id}" style="top: ${row * HISTORY.rowHeight}px" title="${escapeHTML(entry.text)}">
+            <i class="fas fa-${icon}"></i>
+            <span class="timestamp">[${entry.timestamp}]</span>
+            <span>${entry.html}</span>
+        </div>`);
     }
-    
-    if (NetworkState.nodes[sourceNode].classList.contains('powered-off')) {
-        DOM.status.textContent = `Cannot send data packet: PC ${sourceNode} is powered off!`;
-        addMessageToHistory(`Failed to send data packet: PC ${sourceNode} is powered off`, false);
-        NetworkState.messagesFailed++;
-        updateStats();
-        return;
+    list.innerHTML = `<div class="message-list-spacer" style="height: ${shown.length * HISTORY.rowHeight}px">${rows.join('')}</div>`;
+
+    if (DOM.historyFilter.count) {
+        const total = HistoryState.entries.length;
+        DOM.historyFilter.count.textContent = shown.length === total ?
+            `${total} entries` : `${shown.length} of ${total} entries`;
     }
-    if (NetworkState.nodes[destinationNode].classList.contains('powered-off')) {
-        DOM.status.textContent = `Cannot send data packet: PC ${destinationNode} is powered off!`;
-        addMessageToHistory(`Failed to send data packet: PC ${destinationNode} is powered off`, false);
-        NetworkState.messagesFailed++;
-        updateStats();
-        return;
+}
+
+/**
+ * Highlights the nodes and wires of a log entry in the network view; choosing the
+ * highlighted entry again clears the highlight
+ * @param {number} id - ID of the entry
+ */
+function selectHistoryEntry(id) {
+    HistoryState.selected = HistoryState.selected === id ? null : id;
+    highlightSelectedEntry();
+    renderHistory();
+}
+
+/**
+ * Shows the highlight of the selected log entry, e.g. again after the network was redrawn
+ */
+function highlightSelectedEntry() {
+    document.querySelectorAll('.log-highlight').forEach(element => element.classList.remove('log-highlight'));
+
+    const entry = HistoryState.entries.find(item => item.id === HistoryState.selected);
+    if (!entry) return;
+    entry.nodes.forEach(id => View.nodes[id] && View.nodes[id].classList.add('log-highlight'));
+    entry.links.forEach(id => View.connections[id] && View.connections[id].classList.add('log-highlight'));
+}
+
+/**
+ * Fills the category, level and PC filters of the log, keeping the current choices
+ */
+function updateHistoryFilters() {
+    const { category, level, node } = DOM.historyFilter;
+    if (!category) return;
+
+    if (category.options.length === 0) {
+        category.innerHTML = '<option value="">All categories</option>' + Object.entries(HISTORY_CATEGORIES)
+            .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+            .join('');
+        level.innerHTML = Object.entries(HISTORY_LEVELS)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`)
+            .join('');
     }
-    
-    // Set transfer in progress flag
-    NetworkState.transferInProgress = true;
-    
-    resetNetwork();
-    NetworkState.messagesSent++;
-    
-    // Add initial message about sending
-    addMessageToHistory(`Initiated data packet transmission from PC ${sourceNode} to PC ${destinationNode}`, true);
-    
-    // Get all active node IDs in order
-    const activeNodeIds = Object.keys(NetworkState.nodes)
-        .map(id => parseInt(id))
-        .sort((a, b) => a - b);
-    
-    // Find indices of source and destination in the active nodes array
-    const sourceIndex = activeNodeIds.indexOf(sourceNode);
-    const destIndex = activeNodeIds.indexOf(destinationNode);
-    
-    // Determine direction and create path
-    const direction = sourceIndex < destIndex ? 1 : -1;
-    const path = [];
-    for (let i = sourceIndex; i !== destIndex + direction; i += direction) {
-        path.push(activeNodeIds[i]);
-    }
-    
-    try {
-        // Scroll to the source node first
-        scrollToNode(sourceNode);
-        await sleep(500); // Wait for scroll to complete
-        
-        // Activate source node with a pulse effect
-        NetworkState.nodes[sourceNode].classList.add('active');
-        await sleep(300);
-        
-        for (let i = 0; i < path.length; i++) {
-            const currentNode = path[i];
-            
-            // Scroll to the current node
-            scrollToNode(currentNode);
-            
-            // Check if current node is powered off
-            if (NetworkState.nodes[currentNode].classList.contains('powered-off')) {
-                DOM.status.textContent = `Data packet failed: PC ${currentNode} is powered off!`;
-                addMessageToHistory(`Data packet failed: PC ${currentNode} is powered off`, false);
-                NetworkState.messagesFailed++;
-                updateStats();
-                setTimeout(resetNetwork, 2000);
-                return;
-            }
-            
-            if (i < path.length - 1) {
-                const nextNode = path[i + 1];
-                
-                // Find the connection between current node and next node
-                const connectionIndex = activeNodeIds.indexOf(Math.min(currentNode, nextNode));
-                const connection = NetworkState.connections[connectionIndex];
-                
-                // Check if connection is broken
-                if (connection.classList.contains('broken')) {
-                    DOM.status.textContent = `Data packet failed: Wire between PC ${currentNode} and PC ${nextNode} is broken!`;
-                    addMessageToHistory(`Data packet failed: Wire between PC ${currentNode} and PC ${nextNode} is broken`, false);
-                    NetworkState.messagesFailed++;
-                    updateStats();
-                    setTimeout(resetNetwork, 2000);
-                    return;
-                }
-                
-                // Check if next node is powered off
-                if (NetworkState.nodes[nextNode].classList.contains('powered-off')) {
-                    DOM.status.textContent = `Data packet failed: PC ${nextNode} is powered off!`;
-                    addMessageToHistory(`Data packet failed: PC ${nextNode} is powered off`, false);
-                    NetworkState.messagesFailed++;
-                    updateStats();
-                    setTimeout(resetNetwork, 2000);
-                    return;
-                }
-                
-                // Activate the connection and prepare the data packet
-                connection.classList.add('active');
-                const dataPacket = connection.querySelector('.data-packet');
-                dataPacket.style.display = 'block';
-                
-                // Set initial transform based on direction
-                if (direction === -1) {
-                    dataPacket.style.transform = 'translate(50%, -50%) scaleX(-1)';
-                } else {
-                    dataPacket.style.transform = 'translate(-50%, -50%)';
-                }
-                
-                // Start the packet animation
-                dataPacket.classList.add('moving');
-                DOM.status.textContent = `Data packet passing through PC ${currentNode}...`;
-                
-                // Calculate animation duration based on speed
-                const speed = parseFloat(DOM.speedSlider.value);
-                const animationDuration = 1500 / speed; // Base duration of 1.5s adjusted by speed
-                
-                // Wait for the animation to complete
-                await sleep(animationDuration);
-                
-                // Clean up the animation
-                dataPacket.classList.remove('moving');
-                dataPacket.style.display = 'none';
-                
-                // Activate the next node with a pulse effect
-                NetworkState.nodes[nextNode].classList.add('active');
-                await sleep(300);
-            }
-        }
-        
-        // Scroll to the destination node at the end
-        scrollToNode(destinationNode);
-        
-        // Add a final pulse effect to the destination node
-        NetworkState.nodes[destinationNode].classList.add('active');
-        await sleep(500);
-        
-        DOM.status.textContent = `Data packet successfully delivered from PC ${sourceNode} to PC ${destinationNode}!`;
-        addMessageToHistory(`Data packet successfully delivered from PC ${sourceNode} to PC ${destinationNode}`, true);
-        updateStats();
-    } finally {
-        // Reset transfer in progress flag
-        NetworkState.transferInProgress = false;
-        setTimeout(resetNetwork, 2000);
-        
-        // Process next message in queue if any
-        setTimeout(processQueuedMessages, 100);
+
+    const selected = node.value;
+    node.innerHTML = '<option value="">All PCs</option>' + Sim.getNodeIds()
+        .map(id => `<option value="${id}">PC ${id}</option>`)
+        .join('');
+    if (Array.from(node.options).some(option => option.value === selected)) {
+        node.value = selected;
+    } else if (selected) {
+        // The PC was removed: show every PC again
+        applyHistoryFilters();
     }
 }
 
-// Event Listeners
+/**
+ * Shows a message in the status panel and records it in the history log
+ * @param {string} statusText - Text for the status panel
+ * @param {string} logText - Text for the history log
+ * @param {boolean} isSuccess - Whether the entry represents a success or failure
+ * @param {string} [variant] - Special styling of the history entry (see addMessageToHistory)
+ */
+function report(statusText, logText, isSuccess, variant) {
+    DOM.status.textContent = statusText;
+    addMessageToHistory(logText, isSuccess, variant);
+}
+
+/**
+ * Toggles the power state of a node
+ * @param {number} nodeId - The ID of the node to toggle
+ */
+function toggleNodePower(nodeId) {
+    Sim.toggleNodePower(nodeId);
+}
+
+/**
+ * Toggles the failure state of a connection
+ * @param {string} linkId - The ID of the link to toggle
+ */
+function toggleWireFailure(linkId) {
+    Sim.toggleWireFailure(linkId);
+}
+
+/**
+ * Updates the node and wire selection dropdowns. The destination list also offers
+ * a broadcast to all PCs and every multicast group, and keeps a chosen group selected.
+ */
+function updateSelects() {
+    const options = Sim.getActiveNodeIds()
+        .map(id => `<option value="${id}">PC ${id}</option>`)
+        .join('');
+    const groupOptions = [`<option value="${Simulation.BROADCAST}">All PCs (broadcast)</option>`]
+        .concat(Object.keys(NetworkState.groups).sort()
+            .map(name => `<option value="${escapeHTML(name)}">Group: ${escapeHTML(name)}</option>`))
+        .join('');
+
+    const selectedDestination = DOM.destinationNode.value;
+    DOM.sourceNode.innerHTML = options;
+    DOM.destinationNode.innerHTML = options + groupOptions;
+    if (isNaN(parseInt(selectedDestination)) &&
+        Array.from(DOM.destinationNode.options).some(option => option.value === selectedDestination)) {
+        DOM.destinationNode.value = selectedDestination;
+    }
+    updateWireSelect();
+    updateHotspotSelect();
+    updateHistoryFilters();
+    updateTrafficLoad();
+}
+
+/**
+ * Lists the PCs that can be the traffic hotspot, keeping the current choice if it still exists
+ */
+function updateHotspotSelect() {
+    if (!DOM.traffic.hotspot) return;
+
+    const selected = DOM.traffic.hotspot.value;
+    DOM.traffic.hotspot.innerHTML = '<option value="">None</option>' + Sim.getNodeIds()
+        .map(id => `<option value="${id}">PC ${id}</option>`)
+        .join('');
+    if (Array.from(DOM.traffic.hotspot.options).some(option => option.value === selected)) {
+        DOM.traffic.hotspot.value = selected;
+    }
+}
+
+/**
+ * Name of a message destination for the logs
+ * @param {number|string} destination - Node ID, Simulation.BROADCAST or a group name
+ * @returns {string} - e.g. "PC 3", "all PCs" or 'group "odd"'
+ */
+function destinationName(destination) {
+    if (destination === Simulation.BROADCAST) return 'all PCs';
+    if (typeof destination === 'string') return `group "${destination}"`;
+    return `PC ${destination}`;
+}
+
+/**
+ * Lists the multicast groups; clicking one loads it into the group editor
+ */
+function updateGroupList() {
+    if (!DOM.groupList) return;
+
+    const names = Object.keys(NetworkState.groups).sort();
+    DOM.groupList.innerHTML = names.length === 0 ?
+        '<small class="text-muted">No groups yet</small>' :
+        names.map(name => `
+            <button class="btn btn-sm group-badge" onclick="editGroup('${escapeHTML(name)}')"
+                    title="Members: ${NetworkState.groups[name].map(id => `PC ${id}`).join(', ')}">
+                ${escapeHTML(name)} <small>(${NetworkState.groups[name].join(', ')})</small>
+            </button>
+        `).join('');
+}
+
+/**
+ * Loads a group into the group editor
+ * @param {string} name - Group name
+ */
+function editGroup(name) {
+    DOM.groupName.value = name;
+    DOM.groupMembers.value = NetworkState.groups[name].join(',');
+}
+
+/**
+ * Creates or changes the group named in the group editor
+ */
+function saveGroup() {
+    const name = DOM.groupName.value.trim();
+    const members = DOM.groupMembers.value.split(',')
+        .map(text => text.trim().replace(/^PC\s*/i, ''))
+        .filter(Boolean)
+        .map(Number);
+
+    if (!Sim.setGroup(name, members)) {
+        report(
+            'Invalid group!',
+            'Failed to save group: use a name starting with a letter (not "all") and list existing PCs, e.g. 1,3,5',
+            false
+        );
+    }
+}
+
+/**
+ * Deletes the group named in the group editor
+ */
+function deleteGroup() {
+    const name = DOM.groupName.value.trim();
+    if (!Sim.deleteGroup(name)) {
+        report(`No group named "${name}"`, `Failed to delete group: there is no group named "${name}"`, false);
+    }
+}
+
+/**
+ * Lists every wire in the wire noise editor, keeping the current choice if it still exists
+ */
+function updateWireSelect() {
+    const select = DOM.wireQuality.select;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = NetworkState.connections
+        .map(link => `<option value="${link.id}">${nodeName(link.a)} ↔ ${nodeName(link.b)}${Sim.isNoisy(link) ? ' ⚡' : ''}</option>`)
+        .join('');
+    if (NetworkState.connections.some(link => link.id === selected)) {
+        select.value = selected;
+    }
+    updateWireQualityForm();
+}
+
+/**
+ * Fills the wire noise editor with the settings of the selected wire
+ */
+function updateWireQualityForm() {
+    const link = NetworkState.connections.find(conn => conn.id === DOM.wireQuality.select.value);
+    const quality = link ? Sim.getLinkQuality(link) : Simulation.LINK_QUALITY;
+
+    DOM.wireQuality.bitErrorRate.value = quality.bitErrorRate;
+    DOM.wireQuality.dropPercent.value = quality.dropProbability * 100;
+    DOM.wireQuality.latency.value = quality.latency;
+    DOM.wireQuality.jitter.value = quality.jitter;
+    DOM.wireQuality.bandwidth.value = quality.bandwidth;
+}
+
+/**
+ * Applies the settings of the wire noise editor to the selected wire
+ */
+function applyWireQuality() {
+    const id = DOM.wireQuality.select.value;
+    const applied = Sim.setLinkQuality(id, {
+        bitErrorRate: parseFloat(DOM.wireQuality.bitErrorRate.value) || 0,
+        dropProbability: (parseFloat(DOM.wireQuality.dropPercent.value) || 0) / 100,
+        latency: parseFloat(DOM.wireQuality.latency.value) || 0,
+        jitter: parseFloat(DOM.wireQuality.jitter.value) || 0,
+        bandwidth: parseFloat(DOM.wireQuality.bandwidth.value) || 0
+    });
+
+    if (!applied) {
+        report('Invalid wire settings!', 'Failed to change wire: bit error rate and drops must be between 0 and 1 (0-100%), delays and bandwidth 0 or more', false);
+    }
+}
+
+/**
+ * Removes all noise from the selected wire
+ */
+function clearWireQuality() {
+    Sim.setLinkQuality(DOM.wireQuality.select.value, Simulation.LINK_QUALITY);
+}
+
+/**
+ * Adds a new node to the network
+ */
+function addNode() {
+    Sim.addNode();
+}
+
+/**
+ * Removes the last node from the network
+ */
+function removeNode() {
+    const nodeIds = Sim.getNodeIds();
+    removeSpecificNode(nodeIds[nodeIds.length - 1]);
+}
+
+/**
+ * Resets the network visualization to its initial state
+ */
+function resetNetwork() {
+    Object.values(View.nodes).forEach(node => {
+        node.classList.remove('active', 'received', 'missed');
+    });
+
+    Object.values(View.connections).forEach(conn => {
+        conn.classList.remove('active');
+        conn.querySelectorAll('.data-packet').forEach(dataPacket => {
+            dataPacket.classList.remove('moving', 'ack');
+            dataPacket.style.display = 'none';
+        });
+    });
+
+    DOM.status.textContent = '';
+}
+
+function toggleAllNodes() {
+    Sim.toggleAllNodes();
+}
+
+/**
+ * Takes the hub of a star network (or the backbone of a bus) down, or restores it
+ */
+function toggleHubFailure() {
+    Sim.toggleHubFailure();
+}
+
+/**
+ * Changes how the nodes are wired
+ * @param {string} name - Topology name from the topology selector
+ */
+function setTopology(name) {
+    Sim.setTopology(name);
+}
+
+/**
+ * Changes what the wires of removed PCs become
+ * @param {string} mode - 'splice' or 'gap' (see Topology.REMOVAL_MODES)
+ */
+function setRemovalMode(mode) {
+    Sim.setRemovalMode(mode);
+}
+
+/**
+ * Fills the topology and removal mode selectors and selects the current settings
+ */
+function updateTopologyControl() {
+    if (!DOM.topologySelect) return;
+
+    if (DOM.topologySelect.options.length === 0) {
+        DOM.topologySelect.innerHTML = Object.entries(Topology.TOPOLOGIES)
+            .map(([name, topology]) => `<option value="${name}">${topology.label}</option>`)
+            .join('');
+    }
+    DOM.topologySelect.value = NetworkState.topology;
+
+    if (DOM.removalSelect.options.length === 0) {
+        DOM.removalSelect.innerHTML = Object.entries(Topology.REMOVAL_MODES)
+            .map(([mode, removal]) => `<option value="${mode}">${removal.label}</option>`)
+            .join('');
+    }
+    DOM.removalSelect.value = NetworkState.removal;
+}
+
+/**
+ * Shows the reliable delivery settings of the simulation in the delivery controls
+ */
+function updateReliabilityControls() {
+    if (!DOM.arq.mode) return;
+
+    const { arq } = NetworkState;
+    DOM.arq.mode.value = arq.mode;
+    DOM.arq.timeout.value = arq.timeout / 1000;
+    DOM.arq.maxRetries.value = arq.maxRetries;
+    DOM.arq.windowSize.value = arq.windowSize;
+    DOM.arq.windowSize.disabled = arq.mode !== 'go-back-n';
+    DOM.arq.timeout.disabled = arq.mode === 'off';
+    DOM.arq.maxRetries.disabled = arq.mode === 'off';
+}
+
+/**
+ * Applies the delivery controls to the simulation
+ */
+function applyReliability() {
+    const applied = Sim.setReliability({
+        mode: DOM.arq.mode.value,
+        timeout: parseFloat(DOM.arq.timeout.value) * 1000,
+        maxRetries: parseInt(DOM.arq.maxRetries.value),
+        windowSize: parseInt(DOM.arq.windowSize.value)
+    });
+
+    if (!applied) {
+        report('Invalid delivery settings!', 'Failed to change delivery: timeout must be positive, retries 0 or more and the window at least 1 frame', false);
+        updateReliabilityControls();
+    }
+}
+
+/**
+ * Shows the medium access protocol of the simulation in its selector
+ */
+function updateMacControl() {
+    if (DOM.macProtocol) {
+        DOM.macProtocol.value = NetworkState.mac;
+    }
+}
+
+/**
+ * Switches the medium access protocol to the one picked in the selector
+ */
+function applyMac() {
+    if (!Sim.setMac(DOM.macProtocol.value)) {
+        updateMacControl();
+    }
+}
+
+/**
+ * Runs the traffic of the traffic generator over the current network under every medium
+ * access protocol and shows the results side by side. The live simulation is not touched.
+ */
+function compareProtocols() {
+    const nodeIds = Sim.getActiveNodeIds();
+    if (nodeIds.length < 2) {
+        report('Need at least 2 powered-on nodes to compare protocols!', 'Failed to compare protocols: Not enough active nodes', false);
+        return;
+    }
+
+    const settings = readTrafficSettings();
+    const problems = Traffic.validateTraffic(settings);
+    if (problems.length > 0) {
+        report('Invalid traffic settings!', `Failed to compare protocols: ${problems.join('; ')}`, false);
+        return;
+    }
+
+    // Every run gets time to drain its queues after the last message is offered
+    const traffic = Traffic.generateTraffic(nodeIds, settings);
+    const results = Comparison.compareProtocols(Sim.snapshot(), traffic, {
+        duration: settings.duration + Comparison.DURATION
+    });
+    const best = Math.max(...results.map(result => result.throughput));
+
+    const rows = results.map(result => `
+        <tr class="${result.throughput === best && best > 0 ? 'best' : ''}${result.mac === NetworkState.mac ? ' current' : ''}">
+            <td>${result.label}</td>
+            <td>${result.delivered}/${result.offered}</td>
+            <td>${result.collisions}</td>
+            <td>${result.throughput.toFixed(1)}</td>
+            <td>${result.averageDelay === null ? '-' : `${(result.averageDelay / 1000).toFixed(1)}s`}</td>
+        </tr>`).join('');
+    DOM.macComparison.innerHTML = `
+        <div class="mac-comparison-caption">${traffic.length} messages from ${nodeIds.length} PCs within ${settings.duration / 1000}s, seed ${settings.seed}</div>
+        <table>
+            <thead>
+                <tr><th>Protocol</th><th>Delivered</th><th>Collisions</th><th>Per min</th><th>Avg delay</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+
+    const winner = results.find(result => result.throughput === best);
+    addMessageToHistory(
+        `Compared protocols on ${traffic.length} messages: ` +
+            results.map(result => `${result.label} ${result.delivered}/${result.offered} delivered, ${result.collisions} collisions`).join('; '),
+        true
+    );
+    DOM.status.textContent = best > 0 ?
+        `${winner.label} carried the most traffic (${best.toFixed(1)} messages per minute)` :
+        'No protocol delivered any message';
+}
+
+/**
+ * Briefly highlights a node
+ * @param {number} nodeId - The ID of the node
+ * @param {string} className - Class carrying the highlight animation
+ */
+function flashNode(nodeId, className) {
+    const node = View.nodes[nodeId];
+    if (!node) return;
+    node.classList.add(className);
+    // Highlights are only for the eye: they fade in real time, whatever the simulated clock does
+    setTimeout(() => node.classList.remove(className), 2000);
+}
+
+/**
+ * Scrolls the network view to center a specific node
+ * @param {number} nodeId - The ID of the node to scroll to
+ */
+function scrollToNode(nodeId) {
+    const networkWrapper = document.querySelector('.network-wrapper');
+    const node = View.nodes[nodeId];
+    if (networkWrapper && node) {
+        const nodeRect = node.getBoundingClientRect();
+        const wrapperRect = networkWrapper.getBoundingClientRect();
+        const scrollLeft = nodeRect.left - wrapperRect.left - (wrapperRect.width - nodeRect.width) / 2;
+        networkWrapper.scrollTo({
+            left: networkWrapper.scrollLeft + scrollLeft,
+            behavior: 'smooth'
+        });
+    }
+}
+
+/**
+ * Starts the token passing protocol
+ */
+function startTokenPassing() {
+    Sim.startTokenPassing();
+}
+
+/**
+ * Changes the direction of token passing
+ */
+function changeTokenDirection() {
+    Sim.changeTokenDirection();
+}
+
+/**
+ * Updates the token passing interval
+ */
+function updateTokenInterval(value) {
+    Sim.setTokenInterval(value * 1000); // Convert to milliseconds
+}
+
+/**
+ * Updates the Token Holding Time
+ */
+function updateHoldingTime(value) {
+    Sim.setHoldingTime(value * 1000); // Convert to milliseconds
+}
+
+/**
+ * Syncs the token direction button and interval slider with the token state
+ */
+function updateTokenControls() {
+    const directionBtn = document.getElementById('changeDirectionBtn');
+    if (directionBtn) {
+        directionBtn.innerHTML = TokenState.direction === 1 ?
+            '<i class="fas fa-arrow-right me-2"></i>Forward' :
+            '<i class="fas fa-arrow-left me-2"></i>Backward';
+    }
+
+    const seconds = TokenState.interval / 1000;
+    const intervalSlider = document.getElementById('tokenIntervalSlider');
+    if (intervalSlider) {
+        intervalSlider.value = seconds;
+        document.getElementById('tokenIntervalValue').textContent = `${seconds}s`;
+    }
+
+    const holdingSeconds = TokenState.holdingTime / 1000;
+    const holdingSlider = document.getElementById('holdingTimeSlider');
+    if (holdingSlider) {
+        holdingSlider.value = holdingSeconds;
+        document.getElementById('holdingTimeValue').textContent = `${holdingSeconds}s`;
+    }
+}
+
+/**
+ * Syncs the allow-duplicates checkbox with the simulation
+ */
+function updateQueueOptions() {
+    if (DOM.allowDuplicates) {
+        DOM.allowDuplicates.checked = NetworkState.allowDuplicates;
+    }
+}
+
+/**
+ * Lets PCs queue several messages to the same destination, or not
+ */
+function applyAllowDuplicates() {
+    Sim.setAllowDuplicates(DOM.allowDuplicates.checked);
+}
+
+/**
+ * Updates the queue display
+ */
+function updateQueueDisplay() {
+    DOM.queueList.innerHTML = '';
+
+    const messages = Sim.getQueuedMessages();
+    if (messages.length === 0) {
+        const emptyMessage = document.createElement('div');
+        emptyMessage.className = 'queue-item';
+        emptyMessage.innerHTML = '<i class="fas fa-inbox"></i> No messages in queue';
+        DOM.queueList.appendChild(emptyMessage);
+        return;
+    }
+
+    messages.forEach(msg => {
+        const queueItem = document.createElement('div');
+        queueItem.className = 'queue-item';
+
+        const timestamp = SimClock.formatTime(msg.timestamp);
+
+        queueItem.innerHTML = `
+            <i class="fas fa-paper-plane"></i>
+            <span>PC ${msg.sourceNode} → ${escapeHTML(destinationName(msg.destinationNode))}</span>
+            <span class="priority-badge priority-${msg.priority}" title="Priority ${msg.priority}">P${msg.priority}</span>
+            <span class="timestamp">${timestamp}</span>
+        `;
+        if (msg.payload) {
+            queueItem.title = `Payload: ${msg.payload}`;
+        }
+
+        DOM.queueList.appendChild(queueItem);
+    });
+}
+
+/**
+ * Sends a data packet between the nodes picked in the dropdowns
+ * @returns {string} - Outcome reported by the simulation: 'sent', 'queued', 'duplicate' or 'rejected'
+ */
+function sendMessage() {
+    const sourceNode = parseInt(DOM.sourceNode.value);
+    const destinationValue = DOM.destinationNode.value;
+    // PCs are numbers; "all" and group names are sent as they are
+    const destinationNode = /^\d+$/.test(destinationValue) ? parseInt(destinationValue) : destinationValue;
+    const payload = DOM.payloadInput ? DOM.payloadInput.value : '';
+    const priority = DOM.prioritySelect ? parseInt(DOM.prioritySelect.value) : 0;
+
+    return Sim.sendMessage(sourceNode, destinationNode, payload, priority);
+}
+
+/**
+ * Escapes text for use inside HTML markup
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+/**
+ * Records the frame as it is at one hop and shows it in the frame viewer
+ * @param {string} label - Where the frame is, e.g. "Hop 1: PC 1 → PC 2"
+ * @param {Object} frame - Frame snapshot from the simulation event
+ * @param {boolean} [reset] - Start a new frame instead of adding a hop
+ */
+function recordFrame(label, frame, reset = false) {
+    if (reset) {
+        FrameView.snapshots = [];
+    }
+    FrameView.snapshots.push({ label, frame });
+    FrameView.selected = FrameView.snapshots.length - 1;
+    renderFrameViewer();
+}
+
+/**
+ * Shows one of the recorded frame snapshots
+ * @param {number} index - Position of the snapshot
+ */
+function selectFrameSnapshot(index) {
+    FrameView.selected = index;
+    renderFrameViewer();
+}
+
+/**
+ * Draws the hop list and the fields of the selected frame snapshot
+ */
+function renderFrameViewer() {
+    if (!DOM.frameHops || !DOM.frameDetails) return;
+
+    DOM.frameHops.innerHTML = FrameView.snapshots.map((snapshot, index) => `
+        <button class="btn btn-sm frame-hop ${index === FrameView.selected ? 'selected' : ''}"
+                onclick="selectFrameSnapshot(${index})">${escapeHTML(snapshot.label)}</button>
+    `).join('');
+
+    const snapshot = FrameView.snapshots[FrameView.selected];
+    if (!snapshot) {
+        DOM.frameDetails.innerHTML = '<em>No frame sent yet</em>';
+        return;
+    }
+
+    const { frame } = snapshot;
+    const intact = Frame.checkFCS(frame);
+    const address = end => `${end.nodeId === null ? escapeHTML(destinationName(end.group)) : `PC ${end.nodeId}`} · ${escapeHTML(end.ip)} · <code>${end.mac}</code>`;
+    const bit = value => value ? '1' : '0';
+
+    DOM.frameDetails.innerHTML = `
+        <table class="table table-sm frame-table mb-0">
+            <tr><th>Type</th><td>${frame.kind === 'ack' ?
+                `Acknowledgement <small class="text-muted">(next expected #${frame.sequence})</small>` : 'Data'}</td></tr>
+            <tr><th>Destination</th><td>${address(frame.destination)}</td></tr>
+            <tr><th>Source</th><td>${address(frame.source)}</td></tr>
+            <tr><th>Sequence #</th><td>${frame.sequence}</td></tr>
+            <tr><th>Payload</th><td>${frame.payload === '' ? '<em>(empty)</em>' : `"${escapeHTML(frame.payload)}"`}</td></tr>
+            <tr><th>Bit errors</th><td>${frame.bitErrors > 0 ?
+                `<span class="text-danger">${frame.bitErrors} bit${frame.bitErrors === 1 ? '' : 's'} flipped in transit</span>` : '0'}</td></tr>
+            <tr><th>FCS</th><td><code>${Frame.formatFCS(frame.fcs)}</code>
+                <span class="${intact ? 'text-success' : 'text-danger'}">${intact ? '✓ matches' : '✗ mismatch'}</span></td></tr>
+            <tr><th>Frame status</th><td>A=${bit(frame.status.addressRecognized)} C=${bit(frame.status.frameCopied)}
+                <small class="text-muted">(address recognized / frame copied)</small></td></tr>
+            <tr><th>Length</th><td>${Frame.frameLength(frame)} bytes</td></tr>
+        </table>
+    `;
+}
+
+/**
+ * Starts the data packet animation along a connection
+ * @param {Object} hop - The hop event from the simulation
+ */
+function animateHop(hop) {
+    const connection = View.connections[hop.linkId];
+    if (!connection) return;
+
+    // Activate the connection and prepare a free data packet (several frames may share a wire)
+    connection.classList.add('active');
+    const dataPacket = connection.querySelector('.data-packet:not(.moving)');
+    if (!dataPacket) return;
+    dataPacket.dataset.flightId = hop.flightId;
+    dataPacket.classList.toggle('ack', hop.kind === 'ack');
+    dataPacket.style.display = 'block';
+
+    // The simulated clock moves the packet (see syncHopAnimations), so it keeps pace with the
+    // playback rate and stands still while the clock is paused or stepping
+    dataPacket.dataset.hopStart = Clock.now();
+    dataPacket.dataset.hopDuration = hop.duration;
+    dataPacket.style.animationDuration = `${hop.duration}ms`;
+    dataPacket.style.animationDelay = '0ms';
+    dataPacket.style.animationPlayState = 'paused';
+
+    // Set initial transform based on direction
+    if (hop.to < hop.from) {
+        dataPacket.style.transform = 'translate(50%, -50%) scaleX(-1)';
+    } else {
+        dataPacket.style.transform = 'translate(-50%, -50%)';
+    }
+
+    // Start the packet animation
+    dataPacket.classList.add('moving');
+}
+
+/**
+ * Clears the data packet animation from a connection
+ * @param {Object} hop - The hop event from the simulation
+ */
+function endHopAnimation(hop) {
+    const connection = View.connections[hop.linkId];
+    if (!connection) return;
+
+    const dataPacket = connection.querySelector(`.data-packet[data-flight-id="${hop.flightId}"]`);
+    if (!dataPacket) return;
+    dataPacket.classList.remove('moving', 'ack');
+    dataPacket.style.display = 'none';
+}
+
+/**
+ * Moves every data packet in flight to where it is at the current simulated time
+ */
+function syncHopAnimations() {
+    DOM.network.querySelectorAll('.data-packet.moving').forEach(dataPacket => {
+        const elapsed = Math.min(Clock.now() - Number(dataPacket.dataset.hopStart), Number(dataPacket.dataset.hopDuration));
+        dataPacket.style.animationDelay = `${-Math.max(0, elapsed)}ms`;
+    });
+}
+
+/**
+ * Text describing why a data packet could not be sent or delivered
+ * @param {Object} event - A message:rejected or transmission:failed event
+ * @returns {string}
+ */
+function describeFailure(event) {
+    switch (event.reason) {
+        case 'self':
+            return 'Source and destination cannot be the same node';
+        case 'payload-too-long':
+            return `Payload is longer than ${Frame.MAX_PAYLOAD_LENGTH} characters`;
+        case 'bad-priority':
+            return `Priority must be from ${Simulation.PRIORITY.lowest} to ${Simulation.PRIORITY.highest}`;
+        case 'source-off':
+            return `PC ${event.sourceNode} is powered off`;
+        case 'source-bypassed':
+            return `PC ${event.sourceNode} is a bypass relay and cannot send`;
+        case 'destination-off':
+            return `PC ${event.destinationNode} is powered off`;
+        case 'node-off':
+            return `PC ${event.nodeId} is powered off`;
+        case 'hub-down':
+            return Topology.TOPOLOGIES[NetworkState.topology].hub === 'backbone' ?
+                'The bus backbone is cut' : 'The hub is powered off';
+        case 'wire-broken':
+            return `Wire between ${nodeName(event.from)} and ${nodeName(event.to)} is broken`;
+        case 'no-route':
+            return `No wire leads on from PC ${event.nodeId}: a removed PC left a gap`;
+        case 'dropped':
+            return `Frame lost to noise on the wire between ${nodeName(event.from)} and ${nodeName(event.to)}`;
+        case 'crc-error':
+            return `PC ${event.nodeId} discarded a corrupted frame (FCS mismatch)`;
+        case 'node-bypassed':
+            return `PC ${event.nodeId} is a bypass relay: it repeated the frame without copying it`;
+        case 'node-dropped':
+            return `PC ${event.nodeId} dropped the frame: it drops 1 in every ${event.every}`;
+        case 'unknown-group':
+            return `There is no group named "${event.destinationNode}"`;
+        case 'no-receivers':
+            return `No other PC is in ${destinationName(event.destinationNode)}`;
+        case 'partial-delivery':
+            return `Only ${event.delivered.length} of ${event.receipts.length} receivers got the frame`;
+        case 'no-receiver-reached':
+            return 'No receiver got the frame';
+        case 'unreachable':
+            return 'The frame never reached this PC';
+        case 'collision':
+            return `The frame collided with one from ${event.nodes.filter(id => id !== event.sourceNode).map(id => `PC ${id}`).join(', ')}`;
+        case 'excessive-collisions':
+            return `PC ${event.sourceNode} gave up after ${event.attempts} collisions`;
+        case 'max-retries': {
+            const resent = `${event.retries} retransmission${event.retries === 1 ? '' : 's'}`;
+            return event.lastFailure ?
+                `No acknowledgement after ${resent} (last loss: ${describeFailure(event.lastFailure)})` :
+                `No acknowledgement after ${resent}`;
+        }
+        default:
+            return 'Unknown error';
+    }
+}
+
+/**
+ * Subscribes the rendering code to the simulation event stream
+ */
+function bindSimulationEvents() {
+    Sim.on('network:rebuilt', () => {
+        renderNetwork();
+        updateSelects();
+        updateStats();
+    });
+
+    Sim.on('node:added', event => {
+        if (NetworkState.topology === 'chain') {
+            const nodeIds = Sim.getNodeIds();
+            if (nodeIds.length > 1) appendRowLink(nodeIds[nodeIds.length - 2], event.nodeId);
+            appendNode(event.nodeId);
+        } else {
+            // The new node also changes where the closing link runs
+            renderNetwork();
+        }
+        updateSelects();
+        updateStats();
+        updateNodeControlPanel();
+        report(`Node PC ${event.nodeId} added successfully!`, `Node PC ${event.nodeId} added successfully`, true);
+    });
+
+    Sim.on('node:power', event => {
+        renderNodePower(event.nodeId);
+        const state = event.poweredOff ? 'off' : 'on';
+        report(`PC ${event.nodeId} powered ${state}`, `PC ${event.nodeId} powered ${state}`, true);
+        updateSelects();
+        updateStats();
+        updateNodeControlPanel();
+        updateSendButtonState();
+    });
+
+    Sim.on('node:fault', event => {
+        renderNodeFault(event.nodeId);
+        const text = event.fault ? `PC ${event.nodeId}: ${describeNodeFault(event.fault)}` : `PC ${event.nodeId} works normally again`;
+        report(text, text, !event.fault);
+        updateNodeControlPanel();
+    });
+
+    Sim.on('nodes:power-all', event => {
+        Object.keys(View.nodes).forEach(id => renderNodePower(parseInt(id)));
+        renderToken();
+
+        const toggleBtn = document.getElementById('toggleAllBtn');
+        if (event.poweredOn) {
+            toggleBtn.className = 'btn btn-danger flex-grow-1';
+            toggleBtn.innerHTML = '<i class="fas fa-power-off me-2"></i>Turn All Off';
+        } else {
+            toggleBtn.className = 'btn btn-success flex-grow-1';
+            toggleBtn.innerHTML = '<i class="fas fa-power-off me-2"></i>Turn All On';
+        }
+
+        updateStats();
+        updateSelects();
+        updateNodeControlPanel();
+        updateSendButtonState();
+
+        const newState = event.poweredOn ? 'on' : 'off';
+        report(`All PCs powered ${newState}`, `All PCs powered ${newState}`, true);
+    });
+
+    Sim.on('hub:changed', event => {
+        renderNodePower(Topology.HUB_ID);
+        const isBus = Topology.TOPOLOGIES[NetworkState.topology].hub === 'backbone';
+        const text = isBus ?
+            (event.failed ? 'Bus backbone cut' : 'Bus backbone repaired') :
+            (event.failed ? 'Hub powered off' : 'Hub powered on');
+        report(text, text, true);
+    });
+
+    Sim.on('wire:changed', event => {
+        const connection = View.connections[event.linkId];
+        if (connection) {
+            connection.classList.toggle('broken', event.broken);
+        }
+        const text = event.broken ? 'Wire broken' : 'Wire repaired';
+        report(text, text, true);
+        updateStats();
+    });
+
+    Sim.on('wire:quality', event => {
+        const link = NetworkState.connections.find(conn => conn.id === event.linkId);
+        renderWireQuality(link);
+        updateWireSelect();
+        const text = `Wire ${nodeName(link.a)} ↔ ${nodeName(link.b)}: ${describeWireQuality(event)}`;
+        report(text, text, true);
+        updateStats();
+    });
+
+    Sim.on('node:remove-rejected', () => {
+        report('Cannot remove node. Minimum 2 nodes required!', 'Failed to remove node: Minimum limit reached', false);
+    });
+
+    Sim.on('node:removed', event => {
+        report(`PC ${event.nodeId} removed successfully!`, `PC ${event.nodeId} removed successfully`, true);
+        updateNodeControlPanel();
+    });
+
+    Sim.on('node:recovered', event => {
+        report(`PC ${event.nodeId} recovered successfully!`, `PC ${event.nodeId} recovered successfully`, true);
+        updateNodeControlPanel();
+    });
+
+    Sim.on('nodes:recovered-all', () => {
+        report('All nodes recovered successfully!', 'All nodes recovered successfully', true);
+        updateNodeControlPanel();
+    });
+
+    Sim.on('node:recover-rejected', () => {
+        report('No nodes to recover!', 'No nodes to recover', false);
+    });
+
+    Sim.on('token:start-rejected', event => {
+        if (event.reason === 'contention-mac') {
+            const label = Simulation.MAC_PROTOCOLS[NetworkState.mac].label;
+            report(`No token under ${label}!`, `Failed to start token passing: the network uses ${label}`, false);
+            return;
+        }
+        report('Need at least 2 powered-on nodes for token passing!', 'Failed to start token passing: Not enough active nodes', false);
+    });
+
+    Sim.on('token:stopped', () => {
+        renderToken();
+        renderMonitorStatus();
+    });
+
+    Sim.on('seed:changed', () => {
+        updateSeedControl();
+        reseedView();
+    });
+
+    Sim.on('mac:changed', event => {
+        updateMacControl();
+        renderToken();
+        const text = event.mac === 'token' ?
+            'Medium access: token passing, only the token holder sends' :
+            `Medium access: ${Simulation.MAC_PROTOCOLS[event.mac].label}, PCs send whenever they have something to send`;
+        report(text, text, true);
+    });
+
+    Sim.on('mac:deferred', event => {
+        addMessageToHistory(`PC ${event.nodeId} senses PC ${event.sender} on the wire and waits`, true);
+    });
+
+    Sim.on('mac:attempt', event => {
+        DOM.status.textContent = `PC ${event.nodeId} tries to send to ${destinationName(event.destinationNode)} (attempt ${event.attempt})...`;
+    });
+
+    Sim.on('mac:acquired', event => {
+        const collisions = event.attempts - 1;
+        const tries = collisions > 0 ? ` after ${collisions} collision${collisions === 1 ? '' : 's'}` : '';
+        addMessageToHistory(`PC ${event.nodeId} has the medium${tries}`, true);
+    });
+
+    Sim.on('mac:collision', event => {
+        event.linkIds.forEach(id => {
+            const connection = View.connections[id];
+            if (!connection) return;
+            connection.classList.add('collision');
+            setTimeout(() => connection.classList.remove('collision'), 1500);
+        });
+        event.nodes.forEach(nodeId => flashNode(nodeId, 'colliding'));
+        const nodes = event.nodes.map(id => `PC ${id}`).join(', ');
+        report(
+            `Collision between ${nodes}!`,
+            `Collision: ${nodes} sent at the same time`,
+            false,
+            'collision'
+        );
+        updateStats();
+    });
+
+    Sim.on('mac:backoff', event => {
+        addMessageToHistory(
+            `PC ${event.nodeId} backs off ${event.slots} of ${event.range} slots (${(event.wait / 1000).toFixed(1)}s) after collision ${event.attempts}`,
+            true
+        );
+    });
+
+    Sim.on('token:started', renderToken);
+    Sim.on('token:resumed', renderToken);
+
+    Sim.on('token:lost', event => {
+        renderToken();
+        const where = {
+            'holder-off': `its holder PC ${event.nodeId} was powered off`,
+            'holder-removed': `its holder PC ${event.nodeId} was removed`,
+            'wire-broken': `the wire between ${nodeName(event.from)} and ${nodeName(event.to)} is broken`,
+            'hub-down': `${nodeName(event.nodeId)} is down`,
+            'no-route': `no wire leads from ${nodeName(event.from)} to ${nodeName(event.to)}`,
+            'node-dropped': `PC ${event.nodeId} dropped it (1 in every ${event.every})`,
+            'token-corrupted': `babbling PC ${event.nodeId} corrupted it`
+        }[event.reason];
+        report(`Token lost: ${where}!`, `Token lost because ${where}`, false);
+    });
+
+    Sim.on('token:released', event => {
+        renderToken();
+        report(
+            `Wire ${event.linkId} repaired: the stuck token reaches PC ${event.nodeId}`,
+            `Token stuck on wire ${event.linkId} continued to PC ${event.nodeId}`,
+            true
+        );
+    });
+
+    Sim.on('token:duplicate', event => {
+        event.nodeIds.forEach(id => flashNode(id, 'duplicate-token'));
+        report(
+            `Duplicate token detected at PC ${event.nodeIds.join(' and PC ')}!`,
+            `Duplicate token detected: PC ${event.nodeIds[0]} and PC ${event.nodeIds[1]} both hold a token`,
+            false
+        );
+    });
+
+    Sim.on('token:regenerated', event => {
+        DOM.network.classList.remove('ring-purge');
+        renderToken();
+        report(`Active monitor PC ${event.nodeId} issued a new token`, `Active monitor PC ${event.nodeId} issued a new token`, true);
+    });
+
+    Sim.on('monitor:elected', event => {
+        Object.values(View.nodes).forEach(node => node.classList.remove('claiming'));
+        renderToken();
+        if (event.reason === 'claim') {
+            report(
+                `PC ${event.nodeId} won the claim-token election`,
+                `PC ${event.nodeId} won the claim-token election (highest address ${NetworkState.nodeIPs[event.nodeId]}) and is the new active monitor`,
+                true
+            );
+        } else {
+            addMessageToHistory(`PC ${event.nodeId} is the active monitor`, true);
+        }
+    });
+
+    Sim.on('monitor:token-lost', event => {
+        renderMonitorStatus();
+        report(
+            `Active monitor PC ${event.nodeId}: token timed out`,
+            `Active monitor PC ${event.nodeId} timed out waiting for the token`,
+            false
+        );
+    });
+
+    Sim.on('monitor:purge', event => {
+        DOM.network.classList.add('ring-purge');
+        renderToken();
+        addMessageToHistory(`Active monitor PC ${event.nodeId} purges the ring`, true);
+    });
+
+    Sim.on('monitor:failed', event => {
+        renderToken();
+        report(`Active monitor PC ${event.nodeId} is down!`, `Active monitor PC ${event.nodeId} failed`, false);
+    });
+
+    Sim.on('monitor:claim', event => {
+        event.candidates.forEach(id => View.nodes[id] && View.nodes[id].classList.add('claiming'));
+        renderMonitorStatus();
+        report(
+            'Claim-token election started',
+            `Standby monitors started a claim-token election between PC ${event.candidates.join(', PC ')}`,
+            true
+        );
+    });
+
+    Sim.on('token:transferred', event => {
+        renderToken();
+        report(`Token transferred to PC ${event.to}`, `Token transferred to PC ${event.to}`, true);
+    });
+
+    Sim.on('token:passed', event => {
+        renderToken();
+        report(`Token at PC ${event.to}`, `Token passed to PC ${event.to}`, true);
+    });
+
+    Sim.on('token:reserved', event => {
+        renderTokenPriority();
+        const on = event.by === 'frame' ? 'a passing frame' : 'the token';
+        addMessageToHistory(`PC ${event.nodeId} reserved priority ${event.reservation} on ${on}`, true);
+    });
+
+    Sim.on('token:priority', event => {
+        renderToken();
+        const text = event.reason === 'raised' ?
+            `PC ${event.nodeId} raised the token priority from ${event.previous} to ${event.priority}` :
+            `PC ${event.nodeId} restored the token priority from ${event.previous} to ${event.priority}`;
+        report(text, text, true);
+    });
+
+    Sim.on('token:deferred', event => {
+        addMessageToHistory(`PC ${event.nodeId} passes on the priority ${event.priority} token: its next message only has priority ${event.messagePriority}`, true);
+    });
+
+    Sim.on('token:direction', event => {
+        updateTokenControls();
+        addMessageToHistory(`Token direction changed to ${event.direction === 1 ? 'forward' : 'backward'}`, true);
+    });
+
+    Sim.on('token:interval', event => {
+        const seconds = event.interval / 1000;
+        updateTokenControls();
+        addMessageToHistory(`Token interval updated to ${seconds} seconds`, true);
+    });
+
+    Sim.on('token:holding-time', event => {
+        updateTokenControls();
+        addMessageToHistory(`Token holding time updated to ${event.holdingTime / 1000} seconds`, true);
+    });
+
+    Sim.on('token:hold-expired', event => {
+        const frames = event.frames === 1 ? '1 transfer' : `${event.frames} transfers`;
+        addMessageToHistory(`PC ${event.nodeId} used up its ${event.holdingTime / 1000}s token holding time (${frames}); ` +
+            `${event.waiting} left in its queue for the next visit`, true);
+    });
+
+    Sim.on('topology:changed', event => {
+        updateTopologyControl();
+        const name = Topology.TOPOLOGIES[event.topology].label;
+        report(`Network wired as a ${name.toLowerCase()}`, `Topology changed to ${name}`, true);
+    });
+
+    Sim.on('removal:changed', event => {
+        updateTopologyControl();
+        const text = event.mode === 'gap' ?
+            'Removed PCs leave a gap: the PCs on either side are not wired together' :
+            'Removed PCs are spliced out: the PCs on either side are wired together';
+        report(text, text, true);
+    });
+
+    Sim.on('arq:changed', event => {
+        updateReliabilityControls();
+        const text = {
+            'off': 'Best-effort delivery: frames are not acknowledged',
+            'stop-and-wait': `Stop-and-Wait delivery: ${event.timeout / 1000}s timeout, up to ${event.maxRetries} retries`,
+            'go-back-n': `Go-Back-N delivery: window of ${event.windowSize}, ${event.timeout / 1000}s timeout, up to ${event.maxRetries} retries`
+        }[event.mode];
+        report(text, text, true);
+    });
+
+    Sim.on('state:restored', () => {
+        updateGroupList();
+        updateTopologyControl();
+        updateReliabilityControls();
+        updateMacControl();
+        updateSeedControl();
+        reseedView();
+        updateQueueOptions();
+        updateTokenControls();
+        updateNodeControlPanel();
+        updateSendButtonState();
+        updateStats();
+    });
+
+    Sim.on('queue:changed', () => {
+        updateQueueDisplay();
+        updateQueueDepths();
+    });
+
+    Sim.on('queue:duplicates', event => {
+        updateQueueOptions();
+        const text = event.allowed ?
+            'Duplicate sends allowed: a PC may queue several messages to the same destination' :
+            'Duplicate sends refused: a PC queues one message per destination';
+        report(text, text, true);
+    });
+
+    Sim.on('queue:purged', event => {
+        addMessageToHistory(`Removed queued messages for ${event.group ? destinationName(event.group) : `PC ${event.nodeId}`}`, true);
+    });
+
+    Sim.on('group:changed', event => {
+        updateSelects();
+        updateGroupList();
+        const text = `Group "${event.name}" saved: ${event.members.map(id => `PC ${id}`).join(', ')}`;
+        report(text, text, true);
+    });
+
+    Sim.on('group:deleted', event => {
+        updateSelects();
+        updateGroupList();
+        const text = `Group "${event.name}" deleted`;
+        report(text, text, true);
+    });
+
+    Sim.on('message:queued', event => {
+        const waitingFor = {
+            'busy': 'when current transfer completes',
+            'token': 'when it gets the token',
+            'holding-time': 'on its next token visit (holding time used up)',
+            'priority': `once the token priority drops to ${event.priority}`,
+            'contention': 'as soon as it gets the medium'
+        }[event.reason];
+        report(
+            `Message queued: PC ${event.sourceNode} will send to ${destinationName(event.destinationNode)} ${waitingFor}`,
+            `Message queued from PC ${event.sourceNode} to ${destinationName(event.destinationNode)} ` +
+                `(priority ${event.priority}, ${event.depth} in queue)`,
+            true
+        );
+    });
+
+    Sim.on('message:duplicate', event => {
+        report(
+            `Message already queued: PC ${event.sourceNode} to ${destinationName(event.destinationNode)}`,
+            `Message already queued from PC ${event.sourceNode} to ${destinationName(event.destinationNode)}`,
+            false
+        );
+    });
+
+    Sim.on('message:rejected', event => {
+        const reason = describeFailure(event);
+        report(`Cannot send data packet: ${reason}!`, `Failed to send data packet: ${reason}`, false);
+        updateStats();
+    });
+
+    Sim.on('transmission:start', event => {
+        resetNetwork();
+        const priority = event.priority > 0 ? ` at priority ${event.priority}` : '';
+        addMessageToHistory(`Initiated data packet transmission from PC ${event.sourceNode} to ${destinationName(event.destinationNode)}${priority}`, true);
+        if (NetworkState.topology !== 'chain') {
+            addMessageToHistory(`Route: ${event.path.map(nodeName).join(' → ')}`, true);
+        }
+
+        if (event.receivers) {
+            addMessageToHistory(`Receivers: ${event.receivers.map(id => `PC ${id}`).join(', ')}`, true);
+            if (NetworkState.arq.mode !== 'off') {
+                addMessageToHistory('Broadcast and multicast frames are not acknowledged, so they are sent best effort', true);
+            }
+        }
+
+        if (event.mode === 'off') {
+            recordFrame(`PC ${event.sourceNode}: sent #${event.frame.sequence}`, event.frame, true);
+        } else {
+            const mode = event.mode === 'go-back-n' ? 'Go-Back-N' : 'Stop-and-Wait';
+            addMessageToHistory(`${mode} delivery in ${event.frames} frame${event.frames === 1 ? '' : 's'}`, true);
+            FrameView.snapshots = [];
+        }
+
+        // Scroll to the source node and activate it with a pulse effect
+        scrollToNode(event.sourceNode);
+        View.nodes[event.sourceNode].classList.add('active');
+    });
+
+    Sim.on('transmission:hop', event => {
+        scrollToNode(event.from);
+        animateHop(event);
+        const what = event.kind === 'ack' ? 'ACK' : `#${event.frame.sequence}`;
+        recordFrame(`${what} hop ${event.hopIndex + 1}: ${nodeName(event.from)} → ${nodeName(event.to)}`, event.frame);
+        DOM.status.textContent = event.kind === 'ack' ?
+            `Acknowledgement passing through ${nodeName(event.from)}...` :
+            `Data packet passing through ${nodeName(event.from)}...`;
+    });
+
+    Sim.on('transmission:hop-end', endHopAnimation);
+
+    Sim.on('transmission:bit-errors', event => {
+        const flipped = `${event.bits} bit${event.bits === 1 ? '' : 's'}`;
+        if (event.linkId === undefined) {
+            // A babbling node garbled the frame it repeats
+            flashNode(event.nodeId, 'babbling');
+            recordFrame(`PC ${event.nodeId}: ${flipped} flipped`, event.frame);
+            addMessageToHistory(`Babbling PC ${event.nodeId} flipped ${flipped} of the frame`, false, 'corrupted');
+            return;
+        }
+
+        const connection = View.connections[event.linkId];
+        if (connection) {
+            connection.classList.remove('bit-error');
+            void connection.offsetWidth;  // Restart the flash animation
+            connection.classList.add('bit-error');
+        }
+        recordFrame(`Noise: ${flipped} flipped`, event.frame);
+        addMessageToHistory(
+            `Noise on the wire between ${nodeName(event.from)} and ${nodeName(event.to)} flipped ${flipped} of the frame`,
+            false,
+            'corrupted'
+        );
+    });
+
+    Sim.on('transmission:node', event => {
+        // Activate the next node with a pulse effect
+        scrollToNode(event.nodeId);
+        View.nodes[event.nodeId].classList.add('active');
+    });
+
+    Sim.on('transmission:frame-sent', event => {
+        const label = `frame ${event.index + 1}/${event.frames} (#${event.frame.sequence})`;
+        recordFrame(`PC ${event.sourceNode}: ${event.retransmission ? 'resent' : 'sent'} #${event.frame.sequence}`, event.frame);
+        if (event.retransmission) {
+            flashNode(event.sourceNode, 'retransmitting');
+            addMessageToHistory(`PC ${event.sourceNode} retransmits ${label} to ${destinationName(event.destinationNode)}`, false, 'retransmit');
+        } else {
+            addMessageToHistory(`PC ${event.sourceNode} sends ${label} to ${destinationName(event.destinationNode)}`, true);
+        }
+    });
+
+    Sim.on('transmission:frame-lost', event => {
+        const what = event.kind === 'ack' ? 'Acknowledgement' : `Frame #${event.frame.sequence}`;
+        recordFrame(`${event.kind === 'ack' ? 'ACK' : `#${event.frame.sequence}`} lost`, event.frame);
+        addMessageToHistory(`${what} lost: ${describeFailure(event)}`, false, event.reason === 'dropped' ? 'dropped' : undefined);
+        updateStats();
+    });
+
+    Sim.on('transmission:discarded', event => {
+        const what = event.kind === 'ack' ? 'an acknowledgement' : `frame #${event.frame.sequence}`;
+        const why = {
+            'crc-error': 'corrupted (FCS mismatch)',
+            'duplicate': 'a duplicate',
+            'out-of-order': 'out of order'
+        }[event.reason];
+        recordFrame(`PC ${event.nodeId}: #${event.frame.sequence} discarded`, event.frame);
+        addMessageToHistory(`PC ${event.nodeId} discarded ${what}: ${why}`, false, event.reason === 'crc-error' ? 'corrupted' : undefined);
+        updateStats();
+    });
+
+    Sim.on('transmission:frame-received', event => {
+        recordFrame(`PC ${event.nodeId}: copied #${event.frame.sequence}`, event.frame);
+        addMessageToHistory(`PC ${event.nodeId} received frame ${event.index + 1}/${event.frames} (#${event.frame.sequence})`, true);
+    });
+
+    Sim.on('transmission:ack-sent', event => {
+        recordFrame(`PC ${event.nodeId}: ACK next #${event.frame.sequence}`, event.frame);
+    });
+
+    Sim.on('transmission:ack', event => {
+        if (event.duplicate) {
+            addMessageToHistory(`PC ${event.sourceNode} ignored a duplicate acknowledgement`, true);
+        } else {
+            addMessageToHistory(`PC ${event.sourceNode} got an acknowledgement for ${event.acknowledged}/${event.frames} frame${event.frames === 1 ? '' : 's'}`, true);
+        }
+    });
+
+    Sim.on('transmission:timeout', event => {
+        DOM.status.textContent = `PC ${event.sourceNode} timed out waiting for an acknowledgement`;
+        addMessageToHistory(`PC ${event.sourceNode} timed out waiting for an acknowledgement of frame ${event.index + 1}`, false);
+    });
+
+    Sim.on('transmission:retransmit', event => {
+        DOM.status.textContent = `PC ${event.sourceNode} retransmits (attempt ${event.attempt} of ${NetworkState.arq.maxRetries})...`;
+        updateStats();
+    });
+
+    Sim.on('transmission:receipt', event => {
+        const node = View.nodes[event.receiver];
+        if (node) {
+            node.classList.add(event.delivered ? 'received' : 'missed');
+        }
+        if (event.delivered) {
+            recordFrame(`PC ${event.receiver}: copied`, event.frame);
+            addMessageToHistory(`PC ${event.receiver} copied the ${event.destinationNode === Simulation.BROADCAST ? 'broadcast' : 'multicast'} frame`, true);
+        } else {
+            if (event.frame) {
+                recordFrame(`PC ${event.receiver}: not copied`, event.frame);
+            }
+            addMessageToHistory(`PC ${event.receiver} missed the frame: ${describeFailure(event)}`, false,
+                event.reason === 'crc-error' ? 'corrupted' : event.reason === 'dropped' ? 'dropped' : undefined);
+        }
+    });
+
+    Sim.on('transmission:delivered', event => {
+        if (!event.receipts) {
+            recordFrame(`PC ${event.destinationNode}: ${event.frame.status.frameCopied ? 'copied' : 'not copied'}`, event.frame);
+        }
+        const retries = event.retransmissions > 0 ?
+            ` after ${event.retransmissions} retransmission${event.retransmissions === 1 ? '' : 's'}` : '';
+        report(
+            `Data packet successfully delivered from PC ${event.sourceNode} to ${destinationName(event.destinationNode)}${retries}!`,
+            `Data packet successfully delivered from PC ${event.sourceNode} to ${destinationName(event.destinationNode)}${retries}`,
+            true
+        );
+        updateStats();
+    });
+
+    Sim.on('transmission:failed', event => {
+        const variant = {
+            'crc-error': 'corrupted',
+            'dropped': 'dropped',
+            'collision': 'collision'
+        }[event.reason];
+        if (!event.receipts) {
+            recordFrame(event.reason === 'crc-error' ? `PC ${event.nodeId}: FCS mismatch, discarded` : 'Lost', event.frame);
+        }
+        const reason = describeFailure(event);
+        report(`Data packet failed: ${reason}!`, `Data packet failed: ${reason}`, false, variant);
+        updateStats();
+    });
+
+    Sim.on('transmission:end', () => {
+        // Clear the highlights a moment later, unless the next transfer has started meanwhile
+        setTimeout(() => {
+            if (!Sim.network.transferInProgress) resetNetwork();
+        }, 2000);
+    });
+}
+
+// Event Listeners
+window.addEventListener('resize', layoutNetwork);
+
 DOM.speedSlider.addEventListener('input', () => {
     const value = DOM.speedSlider.value;
     DOM.speedValue.textContent = `${value}x`;
-    
+    Sim.setSpeed(parseFloat(value));
+
     // Calculate and set the progress width
     const percentage = ((value - DOM.speedSlider.min) / (DOM.speedSlider.max - DOM.speedSlider.min)) * 100;
     DOM.speedSlider.style.setProperty('--range-progress', `${percentage}%`);
 });
 
-// Initialize the network
-function initializeNetwork() {
-    // Clear any existing nodes
-    DOM.network.innerHTML = '';
-    NetworkState.nodes = {};
-    NetworkState.connections = [];
-    NetworkState.nodeCount = 0;
-    NetworkState.removedNodes.clear();
-    NetworkState.maxNodeId = 0;
-    
-    // Add 5 PCs initially
-    for (let i = 0; i < 5; i++) {
-        addNode();
-    }
-    
-    // Center the network container
-    const networkWrapper = document.querySelector('.network-wrapper');
-    if (networkWrapper) {
-        networkWrapper.scrollLeft = (networkWrapper.scrollWidth - networkWrapper.clientWidth) / 2;
+/**
+ * Updates the clock panel with the simulated time and the next pending event
+ */
+function updateClockDisplay() {
+    DOM.clock.time.textContent = SimClock.formatTime(Clock.now());
+
+    const next = Clock.peek();
+    DOM.clock.next.textContent = next ?
+        `Next: ${next.label || 'Event'} at ${SimClock.formatTime(next.time)}` :
+        'Next: nothing scheduled';
+
+    DOM.clock.playButton.innerHTML = Clock.running ?
+        '<i class="fas fa-pause me-2"></i>Pause' :
+        '<i class="fas fa-play me-2"></i>Resume';
+
+    // Freeze packet animations while the clock is paused
+    DOM.network.classList.toggle('clock-paused', !Clock.running);
+}
+
+/**
+ * Pauses or resumes the simulated clock
+ */
+function toggleClock() {
+    if (Clock.running) {
+        Clock.pause();
+        addMessageToHistory(`Simulation paused at ${SimClock.formatTime(Clock.now())}`, true);
+    } else {
+        Clock.play();
+        addMessageToHistory(`Simulation resumed at ${SimClock.formatTime(Clock.now())}`, true);
+    }
+}
+
+/**
+ * Runs the next scheduled event and leaves the clock paused
+ */
+function stepClock() {
+    const event = Clock.step();
+    if (!event) {
+        DOM.status.textContent = 'Nothing scheduled to step through';
+        return;
+    }
+    DOM.status.textContent = `Stepped: ${event.label || 'Event'} at ${SimClock.formatTime(event.time)}`;
+}
+
+/**
+ * Fast-forwards the simulated clock to the time entered in the jump field
+ */
+function jumpClock() {
+    const seconds = parseFloat(DOM.clock.jumpInput.value);
+    if (Number.isNaN(seconds)) {
+        DOM.status.textContent = 'Enter a time in seconds to jump to';
+        return;
+    }
+
+    try {
+        const eventCount = Clock.jumpTo(seconds * 1000);
+        report(
+            `Jumped to ${SimClock.formatTime(Clock.now())}`,
+            `Jumped to ${SimClock.formatTime(Clock.now())} (${eventCount} events)`,
+            true
+        );
+    } catch (error) {
+        report(`Cannot jump: ${error.message}`, `Failed to jump: ${error.message}`, false);
+    }
+}
+
+/**
+ * Sets how fast simulated time runs relative to real time
+ * @param {string|number} value - Playback rate multiplier
+ */
+function setClockRate(value) {
+    Clock.setRate(parseFloat(value));
+}
+
+// Initialize the network
+function initializeNetwork() {
+    // Clear any existing nodes
+    Sim.clear();
+    Sim.setSpeed(parseFloat(DOM.speedSlider.value));
+
+    // Restore a scenario shared through the URL hash, otherwise add 5 PCs initially
+    const restoredFromLink = Scenario.hasScenarioHash(window.location.hash) &&
+        loadScenarioFromHash(window.location.hash);
+    if (!restoredFromLink) {
+        for (let i = 0; i < 5; i++) {
+            addNode();
+        }
+    }
+
+    // Center the network container
+    const networkWrapper = document.querySelector('.network-wrapper');
+    if (networkWrapper) {
+        networkWrapper.scrollLeft = (networkWrapper.scrollWidth - networkWrapper.clientWidth) / 2;
+    }
+
+    // Initialize token passing UI
+    const tokenControls = document.createElement('div');
+    tokenControls.className = 'token-controls mt-3';
+    tokenControls.innerHTML = `
+        <h6 class="mb-2"><i class="fas fa-sync me-2"></i>Token Passing Protocol</h6>
+        <div class="d-flex gap-2 mb-2">
+            <button id="changeDirectionBtn" class="btn btn-primary" onclick="changeTokenDirection()">
+                <i class="fas fa-arrow-right me-2"></i>Forward
+            </button>
+        </div>
+        <div id="monitorStatus" class="monitor-status mb-2"></div>
+        <div id="tokenPriorityStatus" class="token-priority-status mb-2"
+             title="Only messages of at least the token priority may use the token; waiting PCs reserve a higher priority"></div>
+        <div class="speed-control">
+            <label class="form-label d-flex justify-content-between">
+                <span><i class="fas fa-clock me-2"></i>Token Interval</span>
+                <span id="tokenIntervalValue">3s</span>
+            </label>
+            <input type="range" class="form-range" id="tokenIntervalSlider"
+                   min="1" max="10" value="3" step="1"
+                   oninput="updateTokenInterval(this.value)">
+        </div>
+        <div class="speed-control">
+            <label class="form-label d-flex justify-content-between" title="How long a PC may keep sending queued messages once it has the token">
+                <span><i class="fas fa-hourglass-half me-2"></i>Token Holding Time</span>
+                <span id="holdingTimeValue">10s</span>
+            </label>
+            <input type="range" class="form-range" id="holdingTimeSlider"
+                   min="0" max="30" value="10" step="1"
+                   oninput="updateHoldingTime(this.value)">
+        </div>
+    `;
+
+    // Add token controls to the Node Management card
+    const nodeManagementCard = document.querySelector('.col-md-4:nth-child(2) .card-body');
+    nodeManagementCard.appendChild(tokenControls);
+    updateTokenControls();
+    renderMonitorStatus();
+    updateTopologyControl();
+    updateReliabilityControls();
+    updateSeedControl();
+    reseedView();
+    updateQueueOptions();
+    updateGroupList();
+
+    // Initialize node control panel
+    updateNodeControlPanel();
+
+    // Initialize queue display
+    updateQueueDisplay();
+
+    // Update send button state
+    updateSendButtonState();
+
+    // Start token passing automatically (a shared scenario brings its own token state)
+    if (!restoredFromLink) {
+        startTokenPassing();
+    }
+}
+
+// Log rows are drawn as they scroll into view; clicking one highlights what it is about
+DOM.messageHistory.addEventListener('scroll', renderHistory);
+DOM.messageHistory.addEventListener('click', event => {
+    const row = event.target.closest('.message-item');
+    if (row) selectHistoryEntry(Number(row.dataset.entry));
+});
+
+// Anything happening in the live network, or the clock running again, ends a replay
+Sim.on('*', () => {
+    if (ReplayState.active) exitReplay();
+});
+Clock.onChange(() => {
+    if (ReplayState.active && Clock.running) exitReplay();
+});
+
+// Start the network
+renderLessonList();
+bindSimulationEvents();
+Clock.onChange(updateClockDisplay);
+Clock.onChange(scheduleMetricsUpdate);
+Clock.onChange(updateTimelineControls);
+Clock.onChange(syncHopAnimations);
+initializeNetwork();
+Clock.play();
+
+function createParticles(element) {
+    const container = document.createElement('div');
+    container.className = 'particle-container';
+    element.appendChild(container);
+
+    // Create 50 particles (increased from 30)
+    for (let i = 0; i < 50; i++) {
+        const particle = document.createElement('div');
+        particle.className = 'particle';
+
+        // Random angle for particle movement
+        const angle = View.random() * 360;
+        const distance = 30 + View.random() * 50; // Increased distance range
+
+        particle.style.setProperty('--angle', `${angle}deg`);
+        particle.style.setProperty('--x', `${distance}px`);
+        particle.style.setProperty('--y', `${distance}px`);
+
+        // Random delay for particle animation
+        particle.style.animationDelay = `${View.random() * 2}s`; // Increased delay range
+
+        container.appendChild(particle);
+    }
+}
+
+/**
+ * Reads the traffic generator settings from its panel
+ * @returns {Object} - Settings for Traffic.startTraffic
+ */
+function readTrafficSettings() {
+    const hotspot = DOM.traffic.hotspot.value;
+    return {
+        arrival: DOM.traffic.arrival.value,
+        rate: parseFloat(DOM.traffic.rate.value),
+        burstSize: parseInt(DOM.traffic.burstSize.value),
+        hotspot: hotspot === '' ? null : parseInt(hotspot),
+        hotspotShare: parseFloat(DOM.traffic.hotspotShare.value) / 100,
+        duration: parseFloat(DOM.traffic.duration.value) * 1000,
+        seed: NetworkState.seed
+    };
+}
+
+/**
+ * Shows traffic generator settings, e.g. from a scenario, in its panel
+ * @param {Object} settings - Settings (see Traffic.TRAFFIC); missing ones take their defaults
+ */
+function showTrafficSettings(settings) {
+    const traffic = Object.assign({}, Traffic.TRAFFIC, settings);
+    DOM.traffic.arrival.value = traffic.arrival;
+    DOM.traffic.rate.value = traffic.rate;
+    DOM.traffic.burstSize.value = traffic.burstSize;
+    updateHotspotSelect();
+    DOM.traffic.hotspot.value = traffic.hotspot === null ? '' : traffic.hotspot;
+    DOM.traffic.hotspotShare.value = Math.round(traffic.hotspotShare * 100);
+    DOM.traffic.duration.value = traffic.duration / 1000;
+    updateTrafficLoad();
+}
+
+/**
+ * Traffic generator settings to store in a scenario, without the seed (the scenario has its own)
+ * @returns {Object|undefined} - The settings, or undefined while the panel holds invalid ones
+ */
+function trafficForScenario() {
+    const settings = readTrafficSettings();
+    delete settings.seed;
+    return Traffic.validateTraffic(settings).length === 0 ? settings : undefined;
+}
+
+/**
+ * Shows the load the traffic generator will offer with the current settings
+ */
+function updateTrafficLoad() {
+    if (!DOM.traffic.load) return;
+
+    const { rate, burstSize, duration } = readTrafficSettings();
+    const pcs = Sim.getActiveNodeIds().length;
+    const perMinute = pcs * rate * burstSize;
+    DOM.traffic.load.textContent = isNaN(perMinute) || isNaN(duration) ? '' :
+        `About ${+perMinute.toFixed(1)} messages per minute from ${pcs} PCs, ${Math.round(perMinute * duration / 60000)} in the run`;
+}
+
+/**
+ * Shows the simulation seed in the seed control
+ */
+function updateSeedControl() {
+    if (DOM.seed) {
+        DOM.seed.value = NetworkState.seed;
+    }
+}
+
+/**
+ * Restarts the decoration random numbers from the simulation seed, apart from the
+ * simulation's own, so drawing the page never changes what the simulation draws
+ */
+function reseedView() {
+    View.random = SimRandom.createRandom(SimRandom.deriveSeed(NetworkState.seed, 'view'));
+}
+
+/**
+ * Applies the seed typed into the seed control
+ */
+function applySeed() {
+    const seed = Number(DOM.seed.value);
+    if (DOM.seed.value === '' || !Sim.setSeed(seed)) {
+        report('Invalid seed!', `Failed to set the seed: it must be a whole number from 0 to ${SimRandom.MAX_SEED}`, false);
+        updateSeedControl();
+        return;
+    }
+    const text = `Random seed set to ${seed}`;
+    report(text, text, true);
+}
+
+/**
+ * Picks a new random seed for the simulation
+ */
+function newSeed() {
+    DOM.seed.value = SimRandom.randomSeed();
+    applySeed();
+}
+
+/**
+ * Runs the traffic generator on the live network with the settings of its panel
+ */
+function runDemoSimulation() {
+    if (Sim.getActiveNodeIds().length < 2) {
+        DOM.status.textContent = 'Need at least 2 powered-on nodes for the traffic generator!';
+        addMessageToHistory('Failed to start traffic: Not enough active nodes', false);
+        return;
     }
-    
-    // Initialize token passing UI
-    const tokenControls = document.createElement('div');
-    tokenControls.className = 'token-controls mt-3';
-    tokenControls.innerHTML = `
-        <h6 class="mb-2"><i class="fas fa-sync me-2"></i>Token Passing Protocol</h6>
-        <div class="d-flex gap-2 mb-2">
-            <button id="changeDirectionBtn" class="btn btn-primary" onclick="changeTokenDirection()">
-                <i class="fas fa-arrow-right me-2"></i>Forward
-            </button>
-        </div>
-        <div class="speed-control">
-            <label class="form-label d-flex justify-content-between">
-                <span><i class="fas fa-clock me-2"></i>Token Interval</span>
-                <span id="tokenIntervalValue">3s</span>
-            </label>
-            <input type="range" class="form-range" id="tokenIntervalSlider" 
-                   min="1" max="10" value="3" step="1" 
-                   oninput="updateTokenInterval(this.value)">
+
+    const settings = readTrafficSettings();
+    const problems = Traffic.validateTraffic(settings);
+    if (problems.length > 0) {
+        report('Invalid traffic settings!', `Failed to start traffic: ${problems.join('; ')}`, false);
+        return;
+    }
+
+    // Enable stop button and disable run button
+    const stopBtn = document.getElementById('stopSimBtn');
+    const runBtn = document.querySelector('.btn-danger');
+    if (!stopBtn || !runBtn) {
+        console.error('Simulation control buttons not found');
+        return;
+    }
+
+    stopBtn.disabled = false;
+    runBtn.disabled = true;
+
+    // Set simulation flag to true
+    NetworkState.isSimulationRunning = true;
+
+    // Ensure token passing is active; contention protocols need no token
+    if (NetworkState.mac === 'token' && !TokenState.isActive) {
+        startTokenPassing();
+    }
+
+    // Start the random numbers and the token timer afresh, so the same scenario and seed replay the run exactly
+    Sim.setSeed(NetworkState.seed);
+    if (TokenState.isActive && TokenState.currentNode !== null) {
+        Sim.resumeTokenPassing(TokenState.currentNode);
+    }
+
+    // A PC may queue several messages to one destination during the run, so overload shows as growing queues
+    TrafficState.allowedDuplicates = NetworkState.allowDuplicates;
+    if (!NetworkState.allowDuplicates) {
+        Sim.setAllowDuplicates(true);
+    }
+
+    const arrival = Traffic.ARRIVALS[settings.arrival].label;
+    const hotspot = settings.hotspot === null ? '' : `, ${Math.round(settings.hotspotShare * 100)}% to PC ${settings.hotspot}`;
+    const bursts = settings.burstSize > 1 ? ` in bursts of ${settings.burstSize}` : '';
+    report(
+        `Traffic running for ${settings.duration / 1000}s (seed ${settings.seed})...`,
+        `Traffic started: ${arrival} arrivals, ${settings.rate} per PC per minute${bursts}${hotspot}, ` +
+            `${settings.duration / 1000}s, seed ${settings.seed}`,
+        true
+    );
+    TrafficState.run = Traffic.startTraffic(Sim, Clock, Object.assign({ onFinish: finishDemoSimulation }, settings));
+}
+
+/**
+ * Ends the traffic run, reports what it offered and restores the simulation buttons
+ * @param {Object} [run] - The finished run; left out when the run was stopped
+ */
+function finishDemoSimulation(run) {
+    // Reset button states
+    document.getElementById('stopSimBtn').disabled = true;
+    document.querySelector('.btn-danger').disabled = false;
+
+    if (NetworkState.allowDuplicates !== TrafficState.allowedDuplicates) {
+        Sim.setAllowDuplicates(TrafficState.allowedDuplicates);
+    }
+    TrafficState.run = null;
+
+    // Only show the summary if the run wasn't stopped manually
+    if (run && NetworkState.isSimulationRunning) {
+        const { stats } = run;
+        const waiting = Sim.getQueuedMessages().length;
+        const skipped = stats.skipped > 0 ? `, ${stats.skipped} arrivals skipped at powered-off PCs` : '';
+        const overload = waiting > 0 ? `; ${waiting} still queued (longest queue ${stats.maxQueue})` : '';
+        DOM.status.textContent = waiting > stats.offered / 4 ?
+            `Traffic finished: the network is overloaded, ${waiting} messages still queued!` :
+            'Traffic finished!';
+        addMessageToHistory(
+            `Traffic finished (seed ${run.settings.seed}): ${stats.offered} messages offered, ${stats.delivered} delivered, ` +
+                `${stats.failed} failed${skipped}${overload}`,
+            true
+        );
+    }
+
+    // Reset simulation flag
+    NetworkState.isSimulationRunning = false;
+}
+
+/**
+ * Stops the current simulation
+ */
+function stopSimulation() {
+    // Set simulation flag to false and stop offering traffic
+    NetworkState.isSimulationRunning = false;
+    if (TrafficState.run) {
+        TrafficState.run.stop();
+        finishDemoSimulation();
+    }
+
+    // Store current token state
+    const currentTokenNode = TokenState.currentNode;
+    const wasTokenActive = TokenState.isActive;
+
+    // Clear message queue
+    Sim.clearQueue();
+
+    // Reset network state
+    resetNetwork();
+
+    // Update button states
+    const stopBtn = document.getElementById('stopSimBtn');
+    const runBtn = document.querySelector('.btn-danger');
+    stopBtn.disabled = true;
+    runBtn.disabled = false;
+
+    // Restore token passing with proper interval
+    if (wasTokenActive && currentTokenNode) {
+        Sim.resumeTokenPassing(currentTokenNode);
+    }
+
+    DOM.status.textContent = 'Simulation stopped!';
+    addMessageToHistory('Traffic stopped by user', true);
+}
+
+/**
+ * Updates the node control panel
+ */
+function updateNodeControlPanel() {
+    const nodeControlList = document.getElementById('nodeControlList');
+    if (!nodeControlList) return;
+
+    nodeControlList.innerHTML = '';
+
+    // Get all node IDs (including removed ones) up to maxNodeId
+    for (let i = 1; i <= NetworkState.maxNodeId; i++) {
+        const nodeControlItem = document.createElement('div');
+        nodeControlItem.className = 'node-control-item';
+        nodeControlItem.id = `nodeControl${i}`;
+
+        const isRemoved = NetworkState.removedNodes.has(i);
+        const isPoweredOff = !isRemoved && Sim.isPoweredOff(i);
+        const fault = isRemoved ? null : Sim.getNodeFault(i);
+
+        if (isRemoved) {
+            nodeControlItem.classList.add('removed');
+        } else if (isPoweredOff) {
+            nodeControlItem.classList.add('powered-off');
+        }
+
+        let statusText = 'Active';
+        let statusClass = 'active';
+
+        if (isRemoved) {
+            statusText = 'Removed';
+            statusClass = 'removed';
+        } else if (isPoweredOff) {
+            statusText = 'Powered Off';
+            statusClass = 'powered-off';
+        } else if (fault) {
+            statusText = Simulation.NODE_FAULTS[fault.mode].label;
+            statusClass = 'faulty';
+        }
+
+        nodeControlItem.innerHTML = `
+            <div>
+                <strong>PC ${i}</strong>
+                ${!isRemoved ? `<span class="queue-depth" id="queueDepth${i}"></span>` : ''}
+                <div class="node-status ${statusClass}">${statusText}</div>
+                ${!isRemoved ? nodeFaultEditor(i, fault) : ''}
+            </div>
+            <div class="node-control-buttons">
+                ${!isRemoved ? `
+                    <button class="btn btn-sm ${isPoweredOff ? 'btn-success' : 'btn-warning'}"
+                            onclick="toggleNodePowerFromPanel(${i})"
+                            title="${isPoweredOff ? 'Power On' : 'Power Off'}">
+                        <i class="fas fa-power-off"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger"
+                            onclick="removeSpecificNode(${i})"
+                            title="Remove Node">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : `
+                    <button class="btn btn-sm btn-success"
+                            onclick="recoverSpecificNode(${i})"
+                            title="Recover Node">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                `}
+            </div>
+        `;
+
+        nodeControlList.appendChild(nodeControlItem);
+    }
+    updateQueueDepths();
+}
+
+// Labels of the fault settings in the node control panel
+const FAULT_SETTING_LABELS = {
+    every: 'Frames per drop',
+    delay: 'Extra delay (ms)',
+    errorRate: 'Bit error rate'
+};
+
+/**
+ * Markup of a PC's fault editor in the node control panel: the fault mode and its setting
+ * @param {number} nodeId - The ID of the node
+ * @param {Object|null} fault - The node's fault from Sim.getNodeFault
+ * @returns {string}
+ */
+function nodeFaultEditor(nodeId, fault) {
+    const options = Object.entries(Simulation.NODE_FAULTS)
+        .map(([mode, { label }]) => `<option value="${mode}"${fault && fault.mode === mode ? ' selected' : ''}>${label}</option>`)
+        .join('');
+    const setting = fault && Simulation.NODE_FAULTS[fault.mode].setting;
+
+    return `
+        <div class="node-fault">
+            <select class="form-select form-select-sm" id="nodeFault${nodeId}"
+                    onchange="setNodeFaultFromPanel(${nodeId})" title="Fault of PC ${nodeId}">
+                <option value=""${fault ? '' : ' selected'}>No fault</option>
+                ${options}
+            </select>
+            ${setting ? `
+                <label class="node-fault-setting" title="${FAULT_SETTING_LABELS[setting.name]}">
+                    <span>${FAULT_SETTING_LABELS[setting.name]}</span>
+                    <input type="number" class="form-control form-control-sm" id="nodeFaultSetting${nodeId}"
+                           value="${fault[setting.name]}" min="${setting.min}" max="${setting.max}"
+                           step="${setting.integer ? 1 : 'any'}" onchange="setNodeFaultFromPanel(${nodeId})">
+                </label>
+            ` : ''}
         </div>
     `;
-    
-    // Add token controls to the Node Management card
-    const nodeManagementCard = document.querySelector('.col-md-4:nth-child(2) .card-body');
-    nodeManagementCard.appendChild(tokenControls);
-    
-    // Initialize node control panel
-    updateNodeControlPanel();
+}
 
-    // Initialize queue display
-    updateQueueDisplay();
+/**
+ * Applies the fault picked in the node control panel; a newly picked mode starts from its default setting
+ * @param {number} nodeId - The ID of the node
+ */
+function setNodeFaultFromPanel(nodeId) {
+    const mode = document.getElementById(`nodeFault${nodeId}`).value;
+    if (!mode) {
+        Sim.setNodeFault(nodeId, null);
+        return;
+    }
+
+    const fault = { mode };
+    const previous = Sim.getNodeFault(nodeId);
+    const { setting } = Simulation.NODE_FAULTS[mode];
+    const input = document.getElementById(`nodeFaultSetting${nodeId}`);
+    if (setting && previous && previous.mode === mode && input) {
+        fault[setting.name] = parseFloat(input.value);
+    }
+
+    if (!Sim.setNodeFault(nodeId, fault)) {
+        report('Invalid fault setting!',
+            `Failed to change PC ${nodeId}: ${FAULT_SETTING_LABELS[setting.name].toLowerCase()} must be from ${setting.min} to ${setting.max}`,
+            false);
+        updateNodeControlPanel();
+    }
+}
+
+/**
+ * Shows how many messages wait in each PC's queue in the node control panel
+ */
+function updateQueueDepths() {
+    Sim.getNodeIds().forEach(nodeId => {
+        const badge = document.getElementById(`queueDepth${nodeId}`);
+        if (!badge) return;
+
+        const depth = Sim.getQueueDepth(nodeId);
+        badge.textContent = depth;
+        badge.title = `${depth} message${depth === 1 ? '' : 's'} queued`;
+        badge.classList.toggle('empty', depth === 0);
+    });
+}
+
+/**
+ * Toggle node power from the management panel
+ */
+function toggleNodePowerFromPanel(nodeId) {
+    if (NetworkState.removedNodes.has(nodeId)) return;
+    toggleNodePower(nodeId);
+}
+
+/**
+ * Remove a specific node (visual removal with renumbering)
+ */
+function removeSpecificNode(nodeId) {
+    Sim.removeNode(nodeId);
+}
+
+/**
+ * Recover a specific node
+ */
+function recoverSpecificNode(nodeId) {
+    Sim.recoverNode(nodeId);
+}
+
+/**
+ * Recover all removed nodes
+ */
+function recoverAllNodes() {
+    Sim.recoverAllNodes();
+}
+
+/**
+ * Offers a text file for download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads the current network setup as a scenario JSON file
+ */
+function saveScenario() {
+    const scenario = Scenario.exportScenario(Sim, { savedAt: new Date().toISOString(), traffic: trafficForScenario() });
+    downloadFile('daisy-chain-scenario.json', JSON.stringify(scenario, null, 2), 'application/json');
+
+    DOM.status.textContent = 'Scenario saved!';
+    addMessageToHistory(`Scenario saved (${scenario.nodes.length} PCs, ${scenario.brokenLinks.length} broken wires)`, true);
+}
+
+/**
+ * Collects the network statistics and performance metrics of the run
+ * @returns {Object} - { time, seed, mac, stats, metrics, nodes (utilization by node ID), links (frames by link ID) }
+ */
+function collectRunStats() {
+    return {
+        time: Clock.now(),
+        seed: NetworkState.seed,
+        mac: NetworkState.mac,
+        stats: Sim.getStats(),
+        metrics: PerformanceMetrics.summary(),
+        nodes: Object.fromEntries(PerformanceMetrics.nodeUtilization().map(node => [node.nodeId, { busy: node.busy, share: node.share }])),
+        links: Object.fromEntries(PerformanceMetrics.linkTraffic().map(link => [link.linkId, { data: link.data, ack: link.ack }]))
+    };
+}
+
+/**
+ * Downloads every event recorded during the run
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportEventLog(format) {
+    const count = RunLog.records().length;
+    if (format === 'csv') {
+        downloadFile('daisy-chain-events.csv', RunLog.toCSV(), 'text/csv');
+    } else {
+        downloadFile('daisy-chain-events.json', RunLog.toJSON({ exportedAt: Clock.now(), seed: NetworkState.seed }), 'application/json');
+    }
+    DOM.status.textContent = `Event log exported (${count} events)`;
+}
+
+/**
+ * Downloads the network statistics and performance metrics of the run
+ * @param {string} format - 'csv' or 'json'
+ */
+function exportStats(format) {
+    const stats = collectRunStats();
+    if (format === 'csv') {
+        downloadFile('daisy-chain-stats.csv', EventLog.statsToCSV(stats), 'text/csv');
+    } else {
+        downloadFile('daisy-chain-stats.json', JSON.stringify(stats, null, 2), 'application/json');
+    }
+    DOM.status.textContent = 'Statistics exported';
+}
+
+/**
+ * Loads a scenario JSON file chosen in the file picker
+ * @param {HTMLInputElement} input - The file input
+ */
+function loadScenarioFile(input) {
+    const file = input.files[0];
+    input.value = '';  // Allow picking the same file again
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const scenario = Scenario.parseScenario(reader.result);
+            Scenario.importScenario(Sim, scenario);
+            if (scenario.traffic) {
+                showTrafficSettings(scenario.traffic);
+            }
+            report(`Scenario "${file.name}" loaded!`, `Scenario loaded from ${escapeHTML(file.name)}`, true);
+        } catch (error) {
+            if (!(error instanceof Scenario.ScenarioError)) throw error;
+
+            DOM.status.textContent = `Cannot load scenario: ${error.message}`;
+            error.problems.slice().reverse().forEach(problem => {
+                addMessageToHistory(`Scenario problem: ${escapeHTML(problem)}`, false);
+            });
+            addMessageToHistory(`Failed to load scenario from ${escapeHTML(file.name)}`, false);
+        }
+    };
+    reader.onerror = () => {
+        report(`Cannot read ${file.name}`, `Failed to read scenario file ${escapeHTML(file.name)}`, false);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Loads a scenario packed into a URL hash
+ * @param {string} hash - The URL hash, e.g. "#n=6&o=3&b=4-5"
+ * @returns {boolean} - Whether the scenario was loaded
+ */
+function loadScenarioFromHash(hash) {
+    try {
+        const scenario = Scenario.decodeScenarioHash(hash);
+        Scenario.importScenario(Sim, scenario);
+        if (scenario.traffic) {
+            showTrafficSettings(scenario.traffic);
+        }
+        report('Scenario loaded from shared link!', 'Scenario loaded from shared link', true);
+        return true;
+    } catch (error) {
+        if (!(error instanceof Scenario.ScenarioError)) throw error;
+
+        DOM.status.textContent = `Cannot load shared link: ${error.message}`;
+        error.problems.slice().reverse().forEach(problem => {
+            addMessageToHistory(`Shared link problem: ${escapeHTML(problem)}`, false);
+        });
+        addMessageToHistory('Failed to load scenario from shared link', false);
+        return false;
+    }
+}
+
+/**
+ * Puts the current scenario into the URL hash and copies the link
+ */
+function shareScenarioLink() {
+    const hash = Scenario.encodeScenarioHash(Scenario.exportScenario(Sim, { traffic: trafficForScenario() }));
+    history.replaceState(null, '', hash);
+    const url = window.location.href;
+
+    const copied = navigator.clipboard ?
+        navigator.clipboard.writeText(url) :
+        Promise.reject(new Error('Clipboard unavailable'));
+
+    copied.then(() => {
+        report('Scenario link copied to clipboard!', `Scenario link copied: ${url}`, true);
+    }).catch(() => {
+        // Clipboard access can be blocked (e.g. when opened from a file); let the user copy it
+        window.prompt('Copy this scenario link:', url);
+        addMessageToHistory(`Scenario link created: ${url}`, true);
+    });
+}
 
-    // Update send button state
-    updateSendButtonState();
+// Load a scenario when a different shared link is pasted into the address bar
+window.addEventListener('hashchange', () => {
+    if (Scenario.hasScenarioHash(window.location.hash)) {
+        loadScenarioFromHash(window.location.hash);
+    }
+});
 
-    // Start token passing automatically
-    startTokenPassing();
+/**
+ * Redraws the metrics charts soon, unless a redraw is already planned
+ */
+function scheduleMetricsUpdate() {
+    if (metricsRedraw) return;
+    metricsRedraw = setTimeout(() => {
+        metricsRedraw = null;
+        updateMetrics();
+    }, METRICS_REDRAW_INTERVAL);
 }
 
-// Start the network
-initializeNetwork();
+/**
+ * Draws the metrics collected so far as charts
+ */
+function updateMetrics() {
+    if (!DOM.metrics.summary) return;
+
+    const series = PerformanceMetrics.series();
+    Object.keys(Metrics.SERIES).forEach((name, i) => {
+        DOM.metrics[name].innerHTML = Charts.lineChart(series[name], {
+            label: Metrics.SERIES[name].label,
+            unit: Metrics.SERIES[name].unit,
+            color: Charts.CHART.colors[i % Charts.CHART.colors.length]
+        });
+    });
 
-function createParticles(element) {
-    const container = document.createElement('div');
-    container.className = 'particle-container';
-    element.appendChild(container);
+    DOM.metrics.utilization.innerHTML = Charts.barChart(PerformanceMetrics.nodeUtilization().map(node => ({
+        label: `PC${node.nodeId}`,
+        values: [node.share * 100],
+        title: `PC${node.nodeId}: sending ${(node.share * 100).toFixed(1)}% of the time`
+    })), { label: 'Node utilization', unit: '%', max: 100, colors: ['#00D084'] });
+
+    DOM.metrics.links.innerHTML = Charts.barChart(PerformanceMetrics.linkTraffic().map(link => ({
+        label: link.linkId,
+        values: [link.data, link.ack],
+        title: `Wire ${link.linkId}: ${link.data} data frames, ${link.ack} acknowledgements`
+    })), { label: 'Link traffic', unit: 'frames', width: 960, height: 160 });
+
+    const summary = PerformanceMetrics.summary();
+    const seconds = value => value === null ? 'n/a' : `${value.toFixed(1)}s`;
+    DOM.metrics.summary.textContent = summary.delivered + summary.failed === 0 ? 'No traffic yet' :
+        `${summary.delivered} delivered, ${summary.failed} failed · ${summary.throughput.toFixed(1)} msg/min · ` +
+        `latency ${seconds(summary.latency)} · rotation ${seconds(summary.rotation)}`;
+}
 
-    // Create 50 particles (increased from 30)
-    for (let i = 0; i < 50; i++) {
-        const particle = document.createElement('div');
-        particle.className = 'particle';
-        
-        // Random angle for particle movement
-        const angle = Math.random() * 360;
-        const distance = 30 + Math.random() * 50; // Increased distance range
-        
-        particle.style.setProperty('--angle', `${angle}deg`);
-        particle.style.setProperty('--x', `${distance}px`);
-        particle.style.setProperty('--y', `${distance}px`);
-        
-        // Random delay for particle animation
-        particle.style.animationDelay = `${Math.random() * 2}s`; // Increased delay range
-        
-        container.appendChild(particle);
-    }
+/**
+ * Forgets the metrics collected so far and starts collecting again from now
+ */
+function resetMetrics() {
+    PerformanceMetrics.reset();
+    updateMetrics();
+    addMessageToHistory(`Metrics reset at ${SimClock.formatTime(Clock.now())}`, true);
 }
 
 /**
- * Utility function to get random direction (left-to-right or right-to-left)
- * @returns {number} 1 for left-to-right, -1 for right-to-left
+ * The browser storage lesson progress is kept in
+ * @returns {Storage|null} - localStorage, or null where the browser refuses access to it
  */
-function getRandomDirection() {
-    return Math.random() < 0.5 ? 1 : -1;
+function lessonStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
 }
 
 /**
- * Utility function to get random node IDs within range
- * @param {number} min - Minimum node ID
- * @param {number} max - Maximum node ID
- * @returns {number[]} Array of two different random node IDs
+ * Lists the lessons in the lessons dialog with how far the learner got in each
  */
-function getRandomNodePair(min, max) {
-    const nodes = Array.from({length: max - min + 1}, (_, i) => i + min);
-    const shuffled = nodes.sort(() => Math.random() - 0.5);
-    // Ensure we get two different nodes
-    return [shuffled[0], shuffled[1]];
+function renderLessonList() {
+    if (!DOM.lesson.list) return;
+
+    DOM.lesson.list.innerHTML = Lessons.list().map(lesson => {
+        const progress = LessonProgress.get(lesson.id);
+        const id = escapeHTML(lesson.id);
+        const started = progress.step > 0;
+        const status = progress.completed ?
+            '<span class="badge bg-success ms-2">Completed</span>' :
+            started ? `<span class="badge bg-warning text-dark ms-2">Step ${progress.step + 1} of ${lesson.steps.length}</span>` : '';
+        const resume = started ?
+            `<button class="btn btn-sm btn-primary" data-bs-dismiss="modal" onclick="startLesson('${id}')">Continue</button>` : '';
+        return `
+            <div class="lesson-item">
+                <div>
+                    <strong>${escapeHTML(lesson.title)}</strong>${status}
+                    <div class="lesson-summary">${escapeHTML(lesson.summary || '')}</div>
+                </div>
+                <div class="lesson-actions">
+                    ${resume}
+                    <button class="btn btn-sm ${started ? 'btn-secondary' : 'btn-primary'}" data-bs-dismiss="modal"
+                            onclick="startLesson('${id}', true)">${started || progress.completed ? 'Restart' : 'Start'}</button>
+                </div>
+            </div>`;
+    }).join('');
 }
 
 /**
- * Runs a demo simulation of the network
+ * Sets up the network of a lesson and shows its first step, or the step the learner got to
+ * @param {string} id - Lesson ID
+ * @param {boolean} [restart] - Start again from the first step
  */
-async function runDemoSimulation() {
-    // Get all powered-on nodes
-    const activeNodes = Object.entries(NetworkState.nodes)
-        .filter(([_, node]) => !node.classList.contains('powered-off'))
-        .map(([id]) => parseInt(id));
+function startLesson(id, restart = false) {
+    const lesson = Lessons.get(id);
+    if (!lesson) return;
+
+    if (LessonState.runner) LessonState.runner.stop();
+    LessonState.runner = null;
+    const step = restart ? 0 : LessonProgress.get(id).step;
+    const setup = Lessons.setupAt(lesson, step);
+    if (setup) {
+        try {
+            Scenario.importScenario(Sim, Scenario.decodeScenarioHash(setup));
+        } catch (error) {
+            if (!(error instanceof Scenario.ScenarioError)) throw error;
+            report(`Cannot start lesson: ${error.message}`, `Failed to set up lesson "${lesson.title}": ${error.message}`, false);
+            return;
+        }
+    }
 
-    if (activeNodes.length < 2) {
-        DOM.status.textContent = 'Need at least 2 powered-on nodes for demo!';
-        addMessageToHistory('Failed to start demo: Not enough active nodes', false);
+    LessonState.runner = Lessons.createLessonRunner(Sim, lesson, {
+        step,
+        progress: LessonProgress,
+        onChange: renderLesson
+    });
+    if (!Clock.running) Clock.play();  // The steps wait for the simulation to move on
+    renderLesson();
+    renderLessonList();
+    addMessageToHistory(`Lesson started: ${lesson.title}`, true);
+}
+
+/**
+ * Shows the current step of the lesson, or hides the lesson panel outside a lesson
+ */
+function renderLesson() {
+    const runner = LessonState.runner;
+    DOM.lesson.panel.hidden = !runner;
+    highlightLessonTarget();
+    if (!runner) return;
+
+    const { lesson } = runner;
+    const step = runner.step();
+    const index = runner.index();
+    const isLast = index === lesson.steps.length - 1;
+    DOM.lesson.title.textContent = lesson.title;
+
+    if (runner.isFinished()) {
+        DOM.lesson.counter.textContent = 'Lesson completed';
+        DOM.lesson.text.textContent = `You finished "${lesson.title}". Pick another lesson from the Lessons button.`;
+        DOM.lesson.waiting.hidden = true;
+        DOM.lesson.explain.textContent = '';
+        DOM.lesson.back.disabled = true;
+        DOM.lesson.next.disabled = false;
+        DOM.lesson.next.innerHTML = 'Close<i class="fas fa-times ms-2"></i>';
         return;
     }
 
-    // Enable stop button and disable run button
-    const stopBtn = document.getElementById('stopSimBtn');
-    const runBtn = document.querySelector('.btn-danger');
-    if (!stopBtn || !runBtn) {
-        console.error('Demo control buttons not found');
-        return;
+    DOM.lesson.counter.textContent = `Step ${index + 1} of ${lesson.steps.length}${step.title ? `: ${step.title}` : ''}`;
+    DOM.lesson.text.textContent = step.text;
+    DOM.lesson.waiting.hidden = runner.isDone();
+    DOM.lesson.explain.textContent = runner.isDone() && step.waitFor ? step.explain || 'Done!' : '';
+    DOM.lesson.back.disabled = index === 0;
+    DOM.lesson.next.disabled = !runner.isDone();
+    DOM.lesson.next.innerHTML = isLast ?
+        'Finish<i class="fas fa-flag-checkered ms-2"></i>' :
+        'Next<i class="fas fa-arrow-right ms-2"></i>';
+}
+
+/**
+ * Moves on to the next step of the lesson, or closes a finished lesson
+ */
+function nextLessonStep() {
+    const runner = LessonState.runner;
+    if (!runner) return;
+
+    if (runner.isFinished()) {
+        exitLesson();
+    } else if (runner.next() && runner.isFinished()) {
+        renderLessonList();
+        addMessageToHistory(`Lesson completed: ${runner.lesson.title}`, true);
     }
+}
 
-    stopBtn.disabled = false;
-    runBtn.disabled = true;
+/**
+ * Goes back to the previous step of the lesson
+ */
+function previousLessonStep() {
+    if (LessonState.runner) LessonState.runner.back();
+}
 
-    // Set simulation flag to true
-    NetworkState.isSimulationRunning = true;
+/**
+ * Leaves the lesson; its progress stays saved for later
+ */
+function exitLesson() {
+    if (!LessonState.runner) return;
 
-    // Ensure token passing is active
-    if (!TokenState.isActive) {
-        startTokenPassing();
-    }
+    LessonState.runner.stop();
+    LessonState.runner = null;
+    renderLesson();
+    renderLessonList();
+}
 
-    // Run demo for 30 seconds
-    const endTime = Date.now() + 30000;
-    
-    try {
-        while (Date.now() < endTime && NetworkState.isSimulationRunning) {
-            // Check if simulation was stopped
-            if (!NetworkState.isSimulationRunning) {
-                break;
-            }
+/**
+ * Highlights the part of the page the current lesson step is about
+ */
+function highlightLessonTarget() {
+    document.querySelectorAll('.lesson-highlight').forEach(element => element.classList.remove('lesson-highlight'));
 
-            // Wait for token to be at a node
-            await sleep(1000); // Check every second
-            
-            // Only proceed if simulation is still running and token passing is active
-            if (NetworkState.isSimulationRunning && TokenState.isActive && TokenState.currentNode) {
-                const sourceNode = TokenState.currentNode;
-                
-                // Get a random destination node that's different from source
-                let destinationNode;
-                do {
-                    destinationNode = activeNodes[Math.floor(Math.random() * activeNodes.length)];
-                } while (destinationNode === sourceNode);
-                
-                // Set the source and destination in the UI
-                DOM.sourceNode.value = sourceNode;
-                DOM.destinationNode.value = destinationNode;
-                
-                // Try to send message
-                await sendMessage();
-                
-                // Wait for token to move to next node
-                await sleep(TokenState.interval);
-            }
-        }
+    const runner = LessonState.runner;
+    if (!runner || runner.isFinished() || !runner.step().highlight) return;
+    document.querySelectorAll(runner.step().highlight).forEach(element => element.classList.add('lesson-highlight'));
+}
+
+/**
+ * Runs the lab exercise script on a copy of the current network and lists which expectations passed
+ */
+function runLabScript() {
+    let result;
+    try {
+        result = ScenarioScript.runScript(DOM.script.input.value, { state: Sim.snapshot() });
     } catch (error) {
-        console.error('Error in demo simulation:', error);
-        DOM.status.textContent = 'Demo simulation encountered an error!';
-        addMessageToHistory('Demo simulation encountered an error', false);
-    } finally {
-        // Reset button states
-        stopBtn.disabled = true;
-        runBtn.disabled = false;
-        
-        // Only show completion message if simulation wasn't stopped manually
-        if (NetworkState.isSimulationRunning) {
-            DOM.status.textContent = 'Demo simulation completed!';
-            addMessageToHistory('Demo simulation completed', true);
-        }
-        
-        // Reset simulation flag
-        NetworkState.isSimulationRunning = false;
+        if (!(error instanceof ScenarioScript.ScriptError)) throw error;
+
+        DOM.script.summary.textContent = 'Script has errors';
+        DOM.script.results.innerHTML = error.problems
+            .map(problem => `<li class="script-error"><i class="fas fa-exclamation-triangle me-2"></i>${escapeHTML(problem)}</li>`)
+            .join('');
+        report(`Cannot run script: ${error.message}`, `Failed to run script: ${escapeHTML(error.message)}`, false);
+        return;
     }
+
+    const passed = result.expectations.filter(expectation => expectation.passed).length;
+    const rows = result.expectations.map(expectation => `
+        <li class="${expectation.passed ? 'script-pass' : 'script-fail'}">
+            <i class="fas ${expectation.passed ? 'fa-check-circle' : 'fa-times-circle'} me-2"></i>
+            <strong>Line ${expectation.line}:</strong> ${escapeHTML(expectation.text)}
+            <div class="script-detail">${escapeHTML(expectation.detail)}</div>
+        </li>`);
+    result.errors.forEach(error => rows.push(`
+        <li class="script-error">
+            <i class="fas fa-exclamation-triangle me-2"></i>
+            <strong>Line ${error.line}:</strong> ${escapeHTML(error.text)}
+            <div class="script-detail">${escapeHTML(error.message)}</div>
+        </li>`));
+    DOM.script.results.innerHTML = rows.join('') || '<li><em>The script has no expectations</em></li>';
+
+    const summary = `${passed}/${result.expectations.length} expectations passed` +
+        (result.errors.length > 0 ? `, ${result.errors.length} step${result.errors.length === 1 ? '' : 's'} failed` : '');
+    DOM.script.summary.textContent = summary;
+    DOM.script.summary.classList.toggle('passed', result.passed);
+    DOM.script.summary.classList.toggle('failed', !result.passed);
+    report(
+        result.passed ? 'Lab exercise passed!' : 'Lab exercise failed',
+        `Ran lab script to ${SimClock.formatTime(result.endTime)}: ${summary}`,
+        result.passed
+    );
 }
 
 /**
- * Stops the current simulation
+ * Loads a lab exercise script from a text file into the script editor
+ * @param {HTMLInputElement} input - The file input the script was picked with
  */
-function stopSimulation() {
-    // Set simulation flag to false
-    NetworkState.isSimulationRunning = false;
-    
-    // Store current token state
-    const currentTokenNode = TokenState.currentNode;
-    const wasTokenActive = TokenState.isActive;
-    
-    // Stop the demo simulation timer
-    if (TokenState.timer) {
-        clearTimeout(TokenState.timer);
-        TokenState.timer = null;
+function loadScriptFile(input) {
+    const file = input.files[0];
+    input.value = '';  // Allow picking the same file again
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        DOM.script.input.value = reader.result;
+        DOM.script.results.innerHTML = '';
+        DOM.script.summary.textContent = 'Not run yet';
+        DOM.script.summary.classList.remove('passed', 'failed');
+        report(`Script "${file.name}" loaded!`, `Lab script loaded from ${file.name}`, true);
+    };
+    reader.onerror = () => {
+        report(`Cannot read ${file.name}`, `Failed to read script file ${file.name}`, false);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Starts a quiz on the current network; it is brought back once the quiz is over
+ */
+function startQuiz() {
+    if (QuizState.base) quitQuiz();
+    if (Sim.getNodeIds().length < 2) {
+        report('Add at least 2 PCs to take the quiz', 'Cannot start quiz: the network needs at least 2 PCs', false);
+        return;
     }
 
-    // Clear message queue
-    NetworkState.messageQueue = [];
-    updateQueueDisplay();
+    QuizState.base = Sim.snapshot();
+    QuizState.seed = SimRandom.randomSeed();
+    QuizState.random = SimRandom.createRandom(QuizState.seed);
+    QuizState.results = [];
+    DOM.quiz.quit.hidden = false;
+    DOM.quiz.results.hidden = true;
+    addMessageToHistory(`Quiz started (seed ${QuizState.seed})`, true);
+    showQuizQuestion();
+}
 
-    // Reset network state
-    resetNetwork();
+/**
+ * Sets up the network of the next question and waits for a prediction, with the clock paused
+ */
+function showQuizQuestion() {
+    const question = Quiz.generateQuestion(QuizState.base, QuizState.random);
+    QuizState.question = question;
+    QuizState.answer = null;
+    if (Clock.running) Clock.pause();
+    Sim.restore(question.state);
+
+    const faults = [
+        question.broken.length > 0 ?
+            `Broken: ${question.broken.map(id => `wire ${id}`).join(', ')}` : 'No broken wires',
+        question.poweredOff.length > 0 ?
+            `Powered off: ${question.poweredOff.map(id => `PC ${id}`).join(', ')}` : 'Every PC is on',
+        TokenState.isActive ? `Token at PC ${TokenState.currentNode}` : 'No token'
+    ];
+    DOM.quiz.summary.textContent = `Question ${QuizState.results.length + 1} of ${Quiz.QUIZ.questions}`;
+    DOM.quiz.question.hidden = false;
+    DOM.quiz.prompt.textContent = question.prompt;
+    DOM.quiz.faults.textContent = `${faults.join(' · ')}.`;
+    DOM.quiz.choices.innerHTML = question.choices.map(choice => `
+        <button class="btn btn-sm btn-outline-dark" data-value="${escapeHTML(choice.value)}">${escapeHTML(choice.label)}</button>`).join('');
+    DOM.quiz.choices.querySelectorAll('button').forEach(button => {
+        button.addEventListener('click', () => answerQuiz(button.dataset.value));
+    });
+    DOM.quiz.result.hidden = true;
+    DOM.quiz.next.hidden = true;
+}
 
-    // Update button states
-    const stopBtn = document.getElementById('stopSimBtn');
-    const runBtn = document.querySelector('.btn-danger');
-    stopBtn.disabled = true;
-    runBtn.disabled = false;
+/**
+ * Takes a prediction and plays the message to see whether it was right
+ * @param {string} value - Value of the choice picked
+ */
+function answerQuiz(value) {
+    if (!QuizState.question || QuizState.answer !== null) return;
 
-    // Restore token passing
-    if (wasTokenActive && currentTokenNode) {
-        TokenState.isActive = true;
-        TokenState.currentNode = currentTokenNode;
-        const node = NetworkState.nodes[currentTokenNode];
-        if (node) {
-            node.classList.add('has-token');
-        }
-        // Restart token passing with proper interval
-        TokenState.timer = setTimeout(passToken, TokenState.interval);
-    }
+    QuizState.answer = value;
+    DOM.quiz.choices.querySelectorAll('button').forEach(button => {
+        button.disabled = true;
+        button.classList.toggle('picked', button.dataset.value === value);
+    });
+    DOM.quiz.summary.textContent = 'Playing...';
+    const answered = QuizState.results.length;
+    const cancel = Quiz.runQuestion(Sim, QuizState.question, showQuizOutcome);
+    if (QuizState.results.length > answered) return;  // Refused before it was sent
 
-    DOM.status.textContent = 'Demo simulation stopped!';
-    addMessageToHistory('Demo simulation stopped by user', true);
+    QuizState.cancel = cancel;
+    if (!Clock.running) Clock.play();
 }
 
 /**
- * Updates the node control panel
+ * Text telling what became of the message of a question
+ * @param {Object} question - Question from Quiz.generateQuestion
+ * @param {Object} outcome - Outcome from Quiz.runQuestion
+ * @returns {string}
  */
-function updateNodeControlPanel() {
-    const nodeControlList = document.getElementById('nodeControlList');
-    if (!nodeControlList) return;
-    
-    nodeControlList.innerHTML = '';
-    
-    // Get all node IDs (including removed ones) up to maxNodeId
-    for (let i = 1; i <= NetworkState.maxNodeId; i++) {
-        const nodeControlItem = document.createElement('div');
-        nodeControlItem.className = 'node-control-item';
-        nodeControlItem.id = `nodeControl${i}`;
-        
-        const isRemoved = NetworkState.removedNodes.has(i);
-        const isPoweredOff = NetworkState.nodes[i] && NetworkState.nodes[i].classList.contains('powered-off');
-        
-        if (isRemoved) {
-            nodeControlItem.classList.add('removed');
-        } else if (isPoweredOff) {
-            nodeControlItem.classList.add('powered-off');
-        }
-        
-        let statusText = 'Active';
-        let statusClass = 'active';
-        
-        if (isRemoved) {
-            statusText = 'Removed';
-            statusClass = 'removed';
-        } else if (isPoweredOff) {
-            statusText = 'Powered Off';
-            statusClass = 'powered-off';
-        }
-        
-        nodeControlItem.innerHTML = `
-            <div>
-                <strong>PC ${i}</strong>
-                <div class="node-status ${statusClass}">${statusText}</div>
-            </div>
-            <div class="node-control-buttons">
-                ${!isRemoved ? `
-                    <button class="btn btn-sm ${isPoweredOff ? 'btn-success' : 'btn-warning'}" 
-                            onclick="toggleNodePowerFromPanel(${i})" 
-                            title="${isPoweredOff ? 'Power On' : 'Power Off'}">
-                        <i class="fas fa-power-off"></i>
-                    </button>
-                    <button class="btn btn-sm btn-danger" 
-                            onclick="removeSpecificNode(${i})" 
-                            title="Remove Node">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                ` : `
-                    <button class="btn btn-sm btn-success" 
-                            onclick="recoverSpecificNode(${i})" 
-                            title="Recover Node">
-                        <i class="fas fa-undo"></i>
-                    </button>
-                `}
-            </div>
-        `;
-        
-        nodeControlList.appendChild(nodeControlItem);
+function describeQuizOutcome(question, outcome) {
+    const passes = `the token was passed ${outcome.tokenPasses} time${outcome.tokenPasses === 1 ? '' : 's'}`;
+    if (outcome.delivered) {
+        return `PC ${question.destinationNode} got the message after ${(outcome.time / 1000).toFixed(2)}s; ${passes} on the way.`;
+    }
+    if (outcome.reason === 'waiting') {
+        return `PC ${question.sourceNode} was still waiting to send after ${Quiz.QUIZ.deadline / 1000}s: the token never reached it.`;
     }
+    return `${describeFailure(outcome.event)}, so the message never arrived.`;
 }
 
 /**
- * Toggle node power from the management panel
+ * Scores the prediction once the message arrived or failed
+ * @param {Object} outcome - Outcome from Quiz.runQuestion
  */
-function toggleNodePowerFromPanel(nodeId) {
-    if (NetworkState.removedNodes.has(nodeId)) return;
-    toggleNodePower(nodeId);
-    updateNodeControlPanel();
+function showQuizOutcome(outcome) {
+    const { question, answer } = QuizState;
+    const score = Quiz.scoreAnswer(question, answer, outcome);
+    QuizState.cancel = null;
+    QuizState.results.push({ question, answer, outcome, score });
+    if (Clock.running) Clock.pause();  // Keep the network as the message left it
+
+    DOM.quiz.choices.querySelectorAll('button').forEach(button => {
+        button.classList.toggle('expected', button.dataset.value === score.expected);
+    });
+    DOM.quiz.result.hidden = false;
+    DOM.quiz.result.className = `quiz-result ${score.correct ? 'correct' : 'incorrect'}`;
+    DOM.quiz.result.innerHTML = `
+        <i class="fas ${score.correct ? 'fa-check-circle' : 'fa-times-circle'} me-2"></i>
+        <strong>${score.correct ? 'Right!' : `Not quite: ${escapeHTML(score.expectedLabel)}.`}</strong>
+        ${escapeHTML(describeQuizOutcome(question, outcome))}`;
+    DOM.quiz.summary.textContent = `${QuizState.results.filter(result => result.score.correct).length} of ${QuizState.results.length} right`;
+    DOM.quiz.next.hidden = false;
+    DOM.quiz.next.innerHTML = QuizState.results.length < Quiz.QUIZ.questions ?
+        'Next<i class="fas fa-arrow-right ms-2"></i>' :
+        'See results<i class="fas fa-flag-checkered ms-2"></i>';
 }
 
 /**
- * Remove a specific node (visual removal with renumbering)
+ * Moves on to the next question, or to the summary after the last one
  */
-function removeSpecificNode(nodeId) {
-    if (NetworkState.removedNodes.has(nodeId)) return;
-    
-    // Check if we can remove (need at least 2 active nodes)
-    const activeNodeCount = Object.keys(NetworkState.nodes).filter(id => 
-        !NetworkState.removedNodes.has(parseInt(id))
-    ).length;
-    
-    if (activeNodeCount <= 2) {
-        DOM.status.textContent = 'Cannot remove node. Minimum 2 nodes required!';
-        addMessageToHistory('Failed to remove node: Minimum limit reached', false);
-        return;
+function nextQuizQuestion() {
+    if (!QuizState.base || QuizState.cancel) return;
+
+    if (QuizState.results.length < Quiz.QUIZ.questions) {
+        showQuizQuestion();
+    } else {
+        finishQuiz();
     }
-    
-    // Check if the node being removed has the token
-    if (TokenState.currentNode === nodeId) {
-        // Get list of all powered-on nodes
-        const activeNodes = Object.entries(NetworkState.nodes)
-            .filter(([id, node]) => !node.classList.contains('powered-off') && !NetworkState.removedNodes.has(parseInt(id)))
-            .map(([id]) => parseInt(id));
-        
-        // Find current node's position in the active nodes array
-        const currentIndex = activeNodes.indexOf(nodeId);
-        
-        // Calculate next node index based on direction
-        let nextIndex = currentIndex + TokenState.direction;
-        if (nextIndex >= activeNodes.length) {
-            nextIndex = 0;  // Wrap around to start if at end
-        } else if (nextIndex < 0) {
-            nextIndex = activeNodes.length - 1;  // Wrap around to end if at start
-        }
-        
-        // Update token to next node
-        TokenState.currentNode = activeNodes[nextIndex];
-        
-        // Add visual token indicator to new node
-        const nextNode = NetworkState.nodes[TokenState.currentNode];
-        nextNode.classList.add('has-token');
-        
-        // Update status display and log
-        DOM.status.textContent = `Token transferred to PC ${TokenState.currentNode}`;
-        addMessageToHistory(`Token transferred to PC ${TokenState.currentNode}`, true);
-    }
-    
-    // Remove any queued messages for this node
-    const initialQueueLength = NetworkState.messageQueue.length;
-    NetworkState.messageQueue = NetworkState.messageQueue.filter(msg => 
-        msg.sourceNode !== nodeId && msg.destinationNode !== nodeId
+}
+
+/**
+ * Lists how every question went and brings back the learner's network
+ */
+function finishQuiz() {
+    const { results, seed } = QuizState;
+    const right = results.filter(result => result.score.correct).length;
+
+    DOM.quiz.results.innerHTML = results.map(({ question, answer, outcome, score }) => {
+        const picked = question.choices.find(choice => choice.value === answer);
+        return `
+        <li class="${score.correct ? 'script-pass' : 'script-fail'}">
+            <i class="fas ${score.correct ? 'fa-check-circle' : 'fa-times-circle'} me-2"></i>
+            ${escapeHTML(question.prompt)}
+            <div class="script-detail">
+                You said: ${escapeHTML(picked ? picked.label : answer)}. ${escapeHTML(describeQuizOutcome(question, outcome))}
+            </div>
+        </li>`;
+    }).join('');
+    DOM.quiz.results.hidden = false;
+    endQuiz();
+    DOM.quiz.summary.textContent = `You got ${right} of ${results.length} right`;
+    report(
+        `Quiz over: ${right} of ${results.length} right`,
+        `Quiz finished (seed ${seed}): ${right} of ${results.length} predictions right`,
+        right === results.length
     );
-    
-    // If any messages were removed, update the queue display
-    if (NetworkState.messageQueue.length !== initialQueueLength) {
-        updateQueueDisplay();
-        addMessageToHistory(`Removed queued messages for PC ${nodeId}`, true);
-    }
-    
-    // Mark node as removed
-    NetworkState.removedNodes.add(nodeId);
-    
-    // Rebuild the network with renumbering
-    rebuildNetwork();
-    
-    DOM.status.textContent = `PC ${nodeId} removed successfully!`;
-    addMessageToHistory(`PC ${nodeId} removed successfully`, true);
-    updateNodeControlPanel();
 }
 
 /**
- * Recover a specific node
+ * Stops the quiz before the last question and brings back the learner's network
  */
-function recoverSpecificNode(nodeId) {
-    if (!NetworkState.removedNodes.has(nodeId)) return;
-    
-    // Remove from removed set
-    NetworkState.removedNodes.delete(nodeId);
-    
-    // Rebuild the network
-    rebuildNetwork();
-    
-    DOM.status.textContent = `PC ${nodeId} recovered successfully!`;
-    addMessageToHistory(`PC ${nodeId} recovered successfully`, true);
-    updateNodeControlPanel();
+function quitQuiz() {
+    if (!QuizState.base) return;
+
+    endQuiz();
+    DOM.quiz.summary.textContent = 'Quiz stopped';
+    addMessageToHistory('Quiz stopped; your network is back', true);
+}
+
+// Stops watching the message under way and restores the network the quiz started from
+function endQuiz() {
+    if (QuizState.cancel) QuizState.cancel();
+    if (Clock.running) Clock.pause();
+    Sim.restore(QuizState.base);
+    Object.assign(QuizState, { base: null, question: null, answer: null, cancel: null });
+    DOM.quiz.question.hidden = true;
+    DOM.quiz.quit.hidden = true;
 }
 
 /**
- * Recover all removed nodes
+ * Keeps the scrubber at the latest frame while the view is live
  */
-function recoverAllNodes() {
-    if (NetworkState.removedNodes.size === 0) {
-        DOM.status.textContent = 'No nodes to recover!';
-        addMessageToHistory('No nodes to recover', false);
-        return;
+function updateTimelineControls() {
+    if (!DOM.timeline.scrubber || ReplayState.active) return;
+
+    const last = SessionTimeline.length() - 1;
+    DOM.timeline.scrubber.max = last;
+    DOM.timeline.scrubber.value = last;
+    DOM.timeline.label.textContent = `Live · ${SessionTimeline.length()} moments recorded`;
+}
+
+/**
+ * Pauses the clock and shows a recorded frame instead of the live network
+ */
+function enterReplay() {
+    if (ReplayState.active) return;
+
+    ReplayState.active = true;
+    ReplayState.resume = Clock.running;
+    if (Clock.running) Clock.pause();
+    ReplayState.index = SessionTimeline.length() - 1;
+
+    DOM.network.classList.add('replaying');
+    DOM.timeline.controls.classList.add('replaying');
+    DOM.timeline.toggle.innerHTML = '<i class="fas fa-broadcast-tower me-2"></i>Live';
+    DOM.timeline.scrubber.max = SessionTimeline.length() - 1;
+}
+
+/**
+ * Goes back to the live network, running the clock again if replay paused it
+ */
+function exitReplay() {
+    if (!ReplayState.active) return;
+
+    ReplayState.active = false;
+    DOM.network.classList.remove('replaying');
+    DOM.timeline.controls.classList.remove('replaying');
+    DOM.timeline.toggle.innerHTML = '<i class="fas fa-history me-2"></i>Replay';
+    DOM.timeline.notice.textContent = '';
+    renderNetwork();
+    updateTimelineControls();
+
+    if (ReplayState.resume && !Clock.running) Clock.play();
+}
+
+/**
+ * Switches the network view between the live network and the recorded timeline
+ */
+function toggleReplay() {
+    if (ReplayState.active) {
+        exitReplay();
+    } else {
+        enterReplay();
+        showReplayFrame(ReplayState.index);
     }
-    
-    // Store current token state
-    const currentTokenNode = TokenState.currentNode;
-    const wasTokenActive = TokenState.isActive;
-    
-    NetworkState.removedNodes.clear();
-    rebuildNetwork();
-    
-    // Restore token state
-    if (wasTokenActive && currentTokenNode) {
-        TokenState.isActive = true;
-        TokenState.currentNode = currentTokenNode;
-        const node = NetworkState.nodes[currentTokenNode];
-        if (node) {
-            node.classList.add('has-token');
-        }
-        // Restart token passing with proper interval
-        if (TokenState.timer) {
-            clearTimeout(TokenState.timer);
+}
+
+/**
+ * Shows the frame the scrubber was moved to
+ * @param {string|number} value - Timeline index
+ */
+function scrubTimeline(value) {
+    enterReplay();
+    showReplayFrame(parseInt(value));
+}
+
+/**
+ * Shows the frame before or after the one shown
+ * @param {number} delta - -1 for the previous frame, 1 for the next
+ */
+function stepTimeline(delta) {
+    enterReplay();
+    showReplayFrame(ReplayState.index + delta);
+}
+
+/**
+ * Shows the moment the last failed transfer failed
+ */
+function jumpToLastFailure() {
+    for (let i = SessionTimeline.length() - 1; i >= 0; i--) {
+        if (SessionTimeline.frame(i).event.type === 'transmission:failed') {
+            enterReplay();
+            showReplayFrame(i);
+            return;
         }
-        TokenState.timer = setTimeout(passToken, TokenState.interval);
     }
-    
-    DOM.status.textContent = 'All nodes recovered successfully!';
-    addMessageToHistory('All nodes recovered successfully', true);
-    updateNodeControlPanel();
+    DOM.status.textContent = 'No transfer has failed yet';
 }
 
 /**
- * Rebuild the network with proper renumbering (the "illusion")
+ * Shows a recorded frame and describes it under the scrubber
+ * @param {number} index - Timeline index; clamped to the frames recorded
  */
-function rebuildNetwork() {
-    // Store current power states and IP addresses
-    const powerStates = {};
-    const ipAddresses = {};
-    Object.keys(NetworkState.nodes).forEach(id => {
-        powerStates[id] = NetworkState.nodes[id].classList.contains('powered-off');
-        ipAddresses[id] = NetworkState.nodeIPs[id];
-    });
-    
-    // Clear existing network
-    DOM.network.innerHTML = '';
-    NetworkState.nodes = {};
-    NetworkState.connections = [];
-    NetworkState.nodeCount = 0;
-    
-    // Get active node IDs (not removed) and sort them
-    const activeNodeIds = [];
-    for (let i = 1; i <= NetworkState.maxNodeId; i++) {
-        if (!NetworkState.removedNodes.has(i)) {
-            activeNodeIds.push(i);
-        }
+function showReplayFrame(index) {
+    const count = SessionTimeline.length();
+    ReplayState.index = Math.max(0, Math.min(count - 1, index));
+    const frame = SessionTimeline.frame(ReplayState.index);
+
+    DOM.timeline.scrubber.value = ReplayState.index;
+    DOM.timeline.label.textContent = `${SimClock.formatTime(frame.time)} · ${describeTimelineEvent(frame.event)} · ` +
+        `${ReplayState.index + 1}/${count}`;
+    renderReplayFrame(frame);
+}
+
+/**
+ * Short text naming the event a frame was captured after
+ * @param {Object} event - Simulation event
+ * @returns {string}
+ */
+function describeTimelineEvent(event) {
+    switch (event.type) {
+        case 'timeline:start':
+            return 'Recording started';
+        case 'transmission:start':
+            return `PC ${event.sourceNode} starts sending to ${destinationName(event.destinationNode)}`;
+        case 'transmission:hop':
+            return `${event.kind === 'ack' ? 'Acknowledgement' : 'Frame'} leaves ${nodeName(event.from)} for ${nodeName(event.to)}`;
+        case 'transmission:node':
+            return `Frame reaches ${nodeName(event.nodeId)}`;
+        case 'transmission:frame-lost':
+            return `Frame lost: ${describeFailure(event)}`;
+        case 'transmission:delivered':
+            return `Delivered to ${destinationName(event.destinationNode)}`;
+        case 'transmission:failed':
+            return `Transfer failed: ${describeFailure(event)}`;
+        case 'token:passed':
+            return `Token passed from PC ${event.from} to PC ${event.to}`;
+        case 'token:lost':
+            return 'Token lost';
+        case 'node:power':
+            return `PC ${event.nodeId} powered ${event.poweredOff ? 'off' : 'on'}`;
+        case 'node:fault':
+            return event.fault ? `PC ${event.nodeId}: ${Simulation.NODE_FAULTS[event.fault.mode].label}` : `PC ${event.nodeId} fault cleared`;
+        case 'wire:changed':
+            return `Wire ${event.linkId} ${event.broken ? 'broken' : 'repaired'}`;
+        default:
+            return event.type;
     }
-    
-    // Sort active node IDs to maintain order
-    activeNodeIds.sort((a, b) => a - b);
-    
-    // Create nodes with their original IDs
-    activeNodeIds.forEach((nodeId, index) => {
-        NetworkState.nodeCount++;
-        
-        // Create connection if not the first node
-        if (index > 0) {
-            const connection = createConnection();
-            DOM.network.appendChild(connection);
-            NetworkState.connections.push(connection);
-        }
-        
-        // Create node with original ID
-        const node = createNode(nodeId);
-        DOM.network.appendChild(node);
-        NetworkState.nodes[nodeId] = node;
-        
-        // Restore power state if it existed
-        if (powerStates[nodeId]) {
-            node.classList.add('powered-off');
+}
+
+/**
+ * Draws a recorded frame onto the elements of the live network. Nodes and wires
+ * that did not exist at that moment are faded out; the ones that no longer exist
+ * are listed in the notice under the scrubber.
+ * @param {Object} frame - Frame from the session timeline
+ */
+function renderReplayFrame(frame) {
+    clearReplayMarks();
+
+    Object.entries(View.nodes).forEach(([id, node]) => {
+        const nodeId = parseInt(id);
+        if (nodeId === Topology.HUB_ID) {
+            if (frame.hubFailed === null) {
+                node.classList.add('replay-absent');
+            } else {
+                renderNodePower(nodeId, frame.hubFailed);
+            }
+        } else if (frame.nodes[nodeId]) {
+            renderNodePower(nodeId, frame.nodes[nodeId].poweredOff);
+            renderNodeFault(nodeId, frame.nodes[nodeId].fault || null);
+        } else {
+            node.classList.add('replay-absent');
         }
-        
-        // Restore IP address
-        NetworkState.nodeIPs[nodeId] = ipAddresses[nodeId] || generateIPAddress(nodeId);
     });
-    
-    updateSelects();
-    updateStats();
+
+    Object.entries(View.connections).forEach(([id, connection]) => {
+        const link = frame.links[id];
+        connection.classList.toggle('replay-absent', !link);
+        connection.classList.toggle('broken', Boolean(link && link.broken));
+        connection.classList.toggle('noisy', Boolean(link && link.noisy));
+    });
+
+    renderTokenMarks(frame.token);
+
+    const transfer = frame.transfer;
+    if (transfer) {
+        transfer.path.slice(1).forEach((nodeId, i) => {
+            const link = Sim.getLink(transfer.path[i], nodeId);
+            const connection = link && View.connections[link.id];
+            if (connection) connection.classList.add('replay-route');
+        });
+        markReplayNode(transfer.sourceNode, 'replay-source');
+        (transfer.receivers || [transfer.destinationNode]).forEach(nodeId => markReplayNode(nodeId, 'replay-destination'));
+        transfer.reached.forEach(nodeId => markReplayNode(nodeId, 'replay-reached'));
+        Object.values(transfer.flights).forEach(flight => {
+            const connection = View.connections[flight.linkId];
+            if (connection) connection.classList.add(flight.kind === 'ack' ? 'replay-ack' : 'replay-packet');
+        });
+        transfer.lost.forEach(lost => markReplayLoss(lost, transfer.sourceNode));
+        if (transfer.failure) markReplayLoss(transfer.failure, transfer.sourceNode);
+    }
+
+    const missing = Object.keys(frame.nodes).filter(id => !View.nodes[id]);
+    const notes = [];
+    if (frame.topology !== NetworkState.topology) {
+        notes.push(`Recorded on a ${Topology.TOPOLOGIES[frame.topology].label} network, shown on the current layout.`);
+    }
+    if (missing.length > 0) {
+        notes.push(`Not shown: PC ${missing.join(', PC ')} (removed since).`);
+    }
+    DOM.timeline.notice.textContent = notes.join(' ');
+}
+
+function markReplayNode(nodeId, className) {
+    const node = View.nodes[nodeId];
+    if (node) node.classList.add(className);
+}
+
+// Marks the wire or node where a frame died, with the reason as its tooltip
+function markReplayLoss(loss, sourceNode) {
+    const place = (loss.linkId && View.connections[loss.linkId]) ||
+        View.nodes[loss.nodeId === null ? sourceNode : loss.nodeId];
+    if (!place) return;
+
+    place.classList.add('replay-failed');
+    const marker = document.createElement('div');
+    marker.className = 'replay-lost';
+    marker.textContent = 'LOST';
+    marker.title = describeFailure(loss.event);
+    place.appendChild(marker);
+}
+
+// Removes the marks a recorded frame left on the network elements
+function clearReplayMarks() {
+    DOM.network.querySelectorAll('.replay-lost').forEach(marker => marker.remove());
+    const marks = ['replay-absent', 'replay-route', 'replay-source', 'replay-destination', 'replay-reached',
+        'replay-packet', 'replay-ack', 'replay-failed'];
+    DOM.network.querySelectorAll(marks.map(mark => `.${mark}`).join(', '))
+        .forEach(element => element.classList.remove(...marks));
 }
 
 /**
@@ -1305,13 +3714,12 @@ function resetPage() {
  * Updates the send button state based on whether any PCs are powered on
  */
 function updateSendButtonState() {
-    const hasActiveNodes = Object.values(NetworkState.nodes)
-        .some(node => !node.classList.contains('powered-off'));
-    
+    const hasActiveNodes = Sim.getActiveNodeIds().length > 0;
+
     if (DOM.sendButton) {
         DOM.sendButton.disabled = !hasActiveNodes;
-        DOM.sendButton.title = hasActiveNodes ? 
-            'Send data packet' : 
+        DOM.sendButton.title = hasActiveNodes ?
+            'Send data packet' :
             'Cannot send: No powered-on PCs available';
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,54 @@
+/**
+ * Lesson: a broken wire splits a daisy chain in two.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Lessons.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'broken-wire',
+        title: 'When a wire breaks',
+        summary: 'Why a daisy chain has a single point of failure on every wire.',
+        setup: '#n=5&t=1',
+        steps: [
+            {
+                title: 'Cut a wire',
+                text: 'Click the wire between PC 2 and PC 3 to break it.',
+                highlight: '#network .connection[data-link-id="2-3"]',
+                waitFor: { type: 'wire:changed', linkId: '2-3', broken: true },
+                explain: 'The wire is marked BROKEN. A daisy chain has exactly one path between two PCs, ' +
+                    'so PCs 1 and 2 can no longer reach PCs 3, 4 and 5.'
+            },
+            {
+                title: 'Try to get through',
+                setup: '#n=5&b=2-3&t=1',
+                text: 'Send a message from PC 1 to PC 5 and watch where it goes.',
+                highlight: '#sourceNode, #destinationNode, .btn-primary[onclick="sendMessage()"]',
+                waitFor: { type: 'transmission:failed', sourceNode: 1, destinationNode: 5 },
+                explain: 'The frame reached PC 2 and died at the broken wire. Click "Last failure" in the ' +
+                    'bar under the clock to rewind the network to that moment.'
+            },
+            {
+                title: 'Repair it',
+                text: 'Click the broken wire again to repair it.',
+                highlight: '#network .connection[data-link-id="2-3"]',
+                waitFor: { type: 'wire:changed', linkId: '2-3', broken: false },
+                explain: 'The chain is whole again, and the token can reach every PC.'
+            },
+            {
+                title: 'Send again',
+                setup: '#n=5&t=1',
+                text: 'Send the message from PC 1 to PC 5 once more.',
+                highlight: '#sourceNode, #destinationNode, .btn-primary[onclick="sendMessage()"]',
+                waitFor: { type: 'transmission:delivered', sourceNode: 1, destinationNode: 5 },
+                explain: 'Delivered. Every wire of a daisy chain is needed by the PCs on either side of it; ' +
+                    'a ring adds a second path, as the next lesson shows.'
+            }
+        ]
+    };
+}));
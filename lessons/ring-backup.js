@@ -0,0 +1,43 @@
+/**
+ * Lesson: a ring survives a broken wire by going the other way round.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Lessons.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'ring-backup',
+        title: 'The ring\'s second path',
+        summary: 'How closing the chain into a ring keeps the PCs connected.',
+        setup: '#n=6&g=ring&t=1',
+        steps: [
+            {
+                title: 'A ring',
+                text: 'The last PC is now wired back to the first, closing the chain into a ring. ' +
+                    'Every PC can be reached both ways round.',
+                highlight: '#network'
+            },
+            {
+                title: 'Cut a wire',
+                text: 'Click the wire between PC 2 and PC 3 to break it.',
+                highlight: '#network .connection[data-link-id="2-3"]',
+                waitFor: { type: 'wire:changed', linkId: '2-3', broken: true },
+                explain: 'In a daisy chain this would have split the network. Let\'s see what the ring does.'
+            },
+            {
+                title: 'Go the long way',
+                setup: '#n=6&g=ring&b=2-3&t=1',
+                text: 'Send a message from PC 2 to PC 4.',
+                highlight: '#sourceNode, #destinationNode, .btn-primary[onclick="sendMessage()"]',
+                waitFor: { type: 'transmission:delivered', sourceNode: 2, destinationNode: 4 },
+                explain: 'Delivered: the frame went round through PCs 1, 6 and 5 instead. A ring tolerates ' +
+                    'one broken wire; break a second one and it splits like a chain.'
+            }
+        ]
+    };
+}));
@@ -0,0 +1,50 @@
+/**
+ * Lesson: how the token decides who may send.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Lessons.register(factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        id: 'token-passing',
+        title: 'Meet the token',
+        summary: 'Who may send, and how a frame crosses a daisy chain.',
+        setup: '#n=5&t=1',
+        steps: [
+            {
+                title: 'A daisy chain',
+                text: 'Five PCs are wired one after the other. Each PC is cabled only to its neighbours, ' +
+                    'so a frame from PC 1 to PC 5 is passed along by every PC in between.',
+                highlight: '#network'
+            },
+            {
+                title: 'The token',
+                text: 'Only the PC holding the token may send. The highlighted PC holds it now: ' +
+                    'wait for it to pass the token on.',
+                highlight: '#network .node.has-token',
+                waitFor: { type: 'token:passed' },
+                explain: 'The token moved to the next PC. It keeps going round, so every PC gets a turn ' +
+                    'and two PCs never send at the same time.'
+            },
+            {
+                title: 'Send a message',
+                text: 'Pick PC 1 as the source and PC 5 as the destination, then click Send.',
+                highlight: '#sourceNode, #destinationNode, .btn-primary[onclick="sendMessage()"]',
+                waitFor: { type: 'transmission:delivered', sourceNode: 1, destinationNode: 5 },
+                explain: 'PC 1 waited for the token, then the frame crossed every wire on the way while ' +
+                    'PCs 2, 3 and 4 forwarded it. The Frame Viewer shows the frame at each hop.'
+            },
+            {
+                title: 'Well done',
+                text: 'The Network Logs list every token pass and hop of the transfer. ' +
+                    'Next, see what happens when a wire breaks.',
+                highlight: '#messageHistory'
+            }
+        ]
+    };
+}));
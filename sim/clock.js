@@ -0,0 +1,271 @@
+/**
+ * Discrete-event simulated clock.
+ *
+ * Keeps a queue of scheduled callbacks ordered by simulated time and runs them
+ * one at a time. It implements the scheduler interface expected by the
+ * simulation core (setTimeout, clearTimeout, now), so the whole simulation can
+ * be paused, single-stepped, fast-forwarded or driven instantly from Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimClock = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Upper bound on events run by a single runUntil call (guards against zero-delay loops)
+    const MAX_EVENTS_PER_RUN = 1000000;
+
+    // Real-time driver used by play(): how often simulated time advances, in milliseconds
+    const TICK_INTERVAL = 16;
+
+    const defaultHost = {
+        setInterval: (callback, ms) => setInterval(callback, ms),
+        clearInterval: handle => clearInterval(handle),
+        now: () => Date.now()
+    };
+
+    /**
+     * Creates a simulated clock starting at t=0
+     * @param {Object} [options]
+     * @param {number} [options.rate] - Simulated milliseconds per real millisecond while playing (default 1)
+     * @param {Object} [options.host] - Real timers used to drive play(): setInterval, clearInterval, now
+     * @returns {Object} - The clock
+     */
+    function createClock(options = {}) {
+        const host = options.host || defaultHost;
+        const listeners = [];
+
+        let currentTime = 0;
+        let nextId = 1;
+        let queue = [];          // Pending events sorted by time, then by scheduling order
+        let rate = options.rate || 1;
+        let running = false;
+        let driver = null;
+        let lastRealTime = 0;
+
+        function notify() {
+            listeners.slice().forEach(listener => listener(clock));
+        }
+
+        /**
+         * Subscribes to clock changes (time advanced, paused, resumed, rate changed)
+         * @param {Function} listener - Called with the clock
+         * @returns {Function} - Unsubscribes the listener
+         */
+        function onChange(listener) {
+            listeners.push(listener);
+            return () => {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) listeners.splice(index, 1);
+            };
+        }
+
+        /**
+         * Returns the current simulated time in milliseconds
+         * @returns {number}
+         */
+        function now() {
+            return currentTime;
+        }
+
+        /**
+         * Schedules a callback at a simulated delay
+         * @param {Function} callback - Function to run
+         * @param {number} [ms] - Delay in simulated milliseconds
+         * @param {string} [label] - Description shown when stepping through events
+         * @returns {number} - Handle for clearTimeout
+         */
+        function scheduleTimeout(callback, ms = 0, label = '') {
+            const entry = {
+                id: nextId++,
+                time: currentTime + Math.max(0, ms || 0),
+                callback,
+                label
+            };
+
+            // Insert after every event at the same or an earlier time
+            let low = 0;
+            let high = queue.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (queue[mid].time <= entry.time) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            queue.splice(low, 0, entry);
+
+            return entry.id;
+        }
+
+        /**
+         * Cancels a scheduled callback
+         * @param {number} id - Handle returned by setTimeout
+         */
+        function cancelTimeout(id) {
+            const index = queue.findIndex(entry => entry.id === id);
+            if (index !== -1) queue.splice(index, 1);
+        }
+
+        function runNext() {
+            const entry = queue.shift();
+            currentTime = entry.time;
+            entry.callback();
+            return entry;
+        }
+
+        /**
+         * Runs exactly one pending event, pausing real-time playback first
+         * @returns {Object|null} - The event that ran ({ time, label }), or null if none was pending
+         */
+        function step() {
+            if (running) pause();
+            if (queue.length === 0) return null;
+
+            const entry = runNext();
+            notify();
+            return { time: entry.time, label: entry.label };
+        }
+
+        /**
+         * Runs every event up to a simulated time and moves the clock there
+         * @param {number} time - Target time in milliseconds
+         * @returns {number} - Number of events that ran
+         */
+        function runUntil(time) {
+            let count = 0;
+            while (queue.length > 0 && queue[0].time <= time) {
+                if (++count > MAX_EVENTS_PER_RUN) {
+                    throw new Error(`Clock stopped after ${MAX_EVENTS_PER_RUN} events at t=${currentTime}ms; an event keeps rescheduling itself without delay`);
+                }
+                runNext();
+            }
+            currentTime = Math.max(currentTime, time);
+            notify();
+            return count;
+        }
+
+        /**
+         * Advances simulated time by a duration
+         * @param {number} ms - Simulated milliseconds to advance
+         * @returns {number} - Number of events that ran
+         */
+        function advance(ms) {
+            return runUntil(currentTime + ms);
+        }
+
+        /**
+         * Fast-forwards to an absolute simulated time
+         * @param {number} time - Target time in milliseconds; must not be in the past
+         * @returns {number} - Number of events that ran
+         */
+        function jumpTo(time) {
+            if (!Number.isFinite(time) || time < currentTime) {
+                throw new RangeError(`Cannot jump to t=${time}ms: the clock is already at t=${currentTime}ms`);
+            }
+            return runUntil(time);
+        }
+
+        /**
+         * Runs pending events until the queue is empty or a time limit is reached
+         * @param {number} [limit] - Latest simulated time to run to
+         * @returns {number} - Number of events that ran
+         */
+        function runAll(limit = Infinity) {
+            let count = 0;
+            while (queue.length > 0 && queue[0].time <= limit) {
+                if (++count > MAX_EVENTS_PER_RUN) {
+                    throw new Error(`Clock stopped after ${MAX_EVENTS_PER_RUN} events at t=${currentTime}ms; an event keeps rescheduling itself without delay`);
+                }
+                runNext();
+            }
+            notify();
+            return count;
+        }
+
+        function tick() {
+            const realTime = host.now();
+            const elapsed = realTime - lastRealTime;
+            lastRealTime = realTime;
+            advance(elapsed * rate);
+        }
+
+        /**
+         * Starts advancing simulated time along with real time (scaled by the rate)
+         */
+        function play() {
+            if (running) return;
+            running = true;
+            lastRealTime = host.now();
+            driver = host.setInterval(tick, TICK_INTERVAL);
+            notify();
+        }
+
+        /**
+         * Stops advancing simulated time; pending events stay queued
+         */
+        function pause() {
+            if (!running) return;
+            running = false;
+            host.clearInterval(driver);
+            driver = null;
+            notify();
+        }
+
+        /**
+         * Sets how many simulated milliseconds pass per real millisecond while playing
+         * @param {number} value - Playback rate (e.g. 0.5 for slow motion, 10 for fast-forward)
+         */
+        function setRate(value) {
+            rate = value;
+            notify();
+        }
+
+        /**
+         * Describes the next pending event
+         * @returns {Object|null} - { time, label } or null if nothing is pending
+         */
+        function peek() {
+            return queue.length > 0 ? { time: queue[0].time, label: queue[0].label } : null;
+        }
+
+        const clock = {
+            now,
+            setTimeout: scheduleTimeout,
+            clearTimeout: cancelTimeout,
+            step,
+            advance,
+            runUntil,
+            jumpTo,
+            runAll,
+            play,
+            pause,
+            setRate,
+            peek,
+            onChange,
+            get rate() { return rate; },
+            get running() { return running; },
+            get pending() { return queue.length; }
+        };
+
+        return clock;
+    }
+
+    /**
+     * Formats a simulated time for display
+     * @param {number} ms - Simulated time in milliseconds
+     * @returns {string} - e.g. "t=12.35s"
+     */
+    function formatTime(ms) {
+        return `t=${(ms / 1000).toFixed(2)}s`;
+    }
+
+    return {
+        createClock,
+        formatTime
+    };
+}));
@@ -0,0 +1,127 @@
+/**
+ * Protocol comparison: the same traffic under every medium access protocol.
+ *
+ * Each protocol runs on its own copy of a network, driven by its own simulated
+ * clock, so a comparison finishes instantly and leaves the live simulation
+ * untouched. The traffic is a list of messages offered at fixed times, usually
+ * from Traffic.generateTraffic; every copy gets exactly the same list, and the
+ * runs report how much got through, how often the nodes collided and how long
+ * the messages waited.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./clock.js'), require('./simulation.js'));
+    } else {
+        root.Comparison = factory(root.SimClock, root.Simulation);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SimClock, Simulation) {
+    'use strict';
+
+    // Default length of every run in simulated milliseconds (10 minutes)
+    const DURATION = 600000;
+
+    /**
+     * Runs traffic on a copy of a network under one protocol
+     * @param {Object} state - Network captured with sim.snapshot(); its queue and token position are ignored
+     * @param {Object[]} traffic - Messages to offer: { time, sourceNode, destinationNode, payload?, priority? }
+     * @param {string} mac - A key of Simulation.MAC_PROTOCOLS
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Length of the run in simulated milliseconds
+     * @param {Function} [options.random] - Source of random numbers for noise and backoff
+     * @param {number} [options.seed] - Seed for the noise and backoff; the seed of the state by default
+     * @returns {Object} - Results, see compareProtocols
+     */
+    function runProtocol(state, traffic, mac, options = {}) {
+        const duration = options.duration || DURATION;
+        const clock = SimClock.createClock();
+        const sim = Simulation.createSimulation({ scheduler: clock, random: options.random });
+
+        // Every copy starts from the same idle network and seed; duplicate sends are allowed so no message is refused
+        sim.restore(Object.assign({}, state, {
+            seed: options.seed === undefined ? state.seed : options.seed,
+            mac: 'token',
+            token: Object.assign({}, state.token, { isActive: false, currentNode: null }),
+            messageQueue: []
+        }));
+        sim.setAllowDuplicates(true);
+        if (mac === 'token') {
+            sim.startTokenPassing();
+        } else {
+            sim.setMac(mac);
+        }
+
+        // Delivered messages are matched to the oldest message offered between the same pair
+        const offered = {};
+        const delays = [];
+        let busyTime = 0;
+        let startedAt = null;
+        let lastDelivery = 0;
+        let gaveUp = 0;
+
+        sim.on('transmission:start', event => {
+            startedAt = event.time;
+        });
+        sim.on('transmission:delivered', event => {
+            const waiting = offered[`${event.sourceNode}>${event.destinationNode}`] || [];
+            if (waiting.length > 0) {
+                delays.push(event.time - waiting.shift());
+            }
+            busyTime += event.time - startedAt;
+            lastDelivery = event.time;
+        });
+        sim.on('message:rejected', event => {
+            if (event.reason === 'excessive-collisions') gaveUp++;
+        });
+
+        traffic.forEach(msg => {
+            clock.setTimeout(() => {
+                const key = `${msg.sourceNode}>${msg.destinationNode}`;
+                (offered[key] || (offered[key] = [])).push(clock.now());
+                sim.sendMessage(msg.sourceNode, msg.destinationNode, msg.payload || '', msg.priority || 0);
+            }, msg.time, 'Offer traffic');
+        });
+        clock.runUntil(duration);
+
+        const stats = sim.getStats();
+        const delivered = delays.length;
+        return {
+            mac,
+            label: Simulation.MAC_PROTOCOLS[mac].label,
+            offered: traffic.length,
+            delivered,
+            waiting: sim.getQueuedMessages().length,
+            gaveUp,
+            collisions: stats.collisions,
+            transfers: stats.messagesSent,
+            throughput: lastDelivery === 0 ? 0 : delivered / (lastDelivery / 60000),
+            utilization: lastDelivery === 0 ? 0 : busyTime / lastDelivery,
+            averageDelay: delivered === 0 ? null : delays.reduce((sum, delay) => sum + delay, 0) / delivered,
+            finishedAt: lastDelivery
+        };
+    }
+
+    /**
+     * Runs the same traffic under several protocols
+     * @param {Object} state - Network captured with sim.snapshot()
+     * @param {Object[]} traffic - Messages to offer (see Traffic.generateTraffic)
+     * @param {Object} [options]
+     * @param {string[]} [options.protocols] - Protocols to compare; all of Simulation.MAC_PROTOCOLS by default
+     * @param {number} [options.duration] - Length of every run in simulated milliseconds
+     * @param {Function} [options.random] - Source of random numbers for noise and backoff
+     * @param {number} [options.seed] - Seed for the noise and backoff (the seed of the state by default);
+     *   every protocol starts from it afresh
+     * @returns {Object[]} - One result per protocol: { mac, label, offered, delivered, waiting, gaveUp,
+     *   collisions, transfers, throughput (messages per minute until the last delivery),
+     *   utilization (share of that time spent on transfers that got through), averageDelay (ms), finishedAt }
+     */
+    function compareProtocols(state, traffic, options = {}) {
+        const protocols = options.protocols || Object.keys(Simulation.MAC_PROTOCOLS);
+        return protocols.map(mac => runProtocol(state, traffic, mac, options));
+    }
+
+    return {
+        DURATION,
+        runProtocol,
+        compareProtocols
+    };
+}));
@@ -0,0 +1,202 @@
+/**
+ * Structured log of a run, exportable as CSV or JSON.
+ *
+ * The log records every simulation event as a flat record: when it happened,
+ * its type, the nodes and wire involved, its outcome and failure reason, and
+ * the rest of the event as details. The page can add its own entries (e.g. the
+ * lines of the history panel) next to them. Nothing in here touches the DOM.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EventLog = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default log settings
+    const EVENT_LOG = {
+        limit: 20000           // Records kept; the oldest ones are dropped beyond it
+    };
+
+    // Events that only tell the page to redraw; their state is in the events around them
+    const SKIPPED_EVENTS = ['queue:changed', 'network:rebuilt'];
+
+    // Fields naming the nodes an event involves, in the order they are listed
+    const NODE_FIELDS = ['nodeId', 'sourceNode', 'destinationNode', 'from', 'to', 'receiver', 'target'];
+
+    // Outcome of the events that have one but do not carry an outcome field
+    const OUTCOMES = {
+        'transmission:delivered': 'delivered',
+        'transmission:failed': 'failed',
+        'transmission:discarded': 'discarded',
+        'transmission:frame-lost': 'lost',
+        'transmission:timeout': 'timeout',
+        'message:queued': 'queued',
+        'message:duplicate': 'duplicate',
+        'message:rejected': 'rejected',
+        'mac:collision': 'collision',
+        'token:lost': 'lost',
+        'monitor:token-lost': 'lost',
+        'node:remove-rejected': 'rejected',
+        'node:recover-rejected': 'rejected',
+        'token:start-rejected': 'rejected'
+    };
+
+    // Columns of the CSV export
+    const CSV_COLUMNS = ['seq', 'time', 'type', 'nodes', 'linkId', 'outcome', 'reason', 'details'];
+
+    // Frames are logged by their header, not their addresses and status bits
+    function compactFrame(frame) {
+        return { kind: frame.kind, sequence: frame.sequence, payload: frame.payload, bitErrors: frame.bitErrors };
+    }
+
+    /**
+     * Turns a simulation event into a log record
+     * @param {Object} event - { type, time, ...fields }
+     * @param {number} seq - Position of the record in the log
+     * @returns {Object} - { seq, time, type, nodes, linkId, outcome, reason, details }
+     */
+    function toRecord(event, seq) {
+        const nodes = [];
+        const details = {};
+        Object.keys(event).forEach(key => {
+            const value = event[key];
+            if (['type', 'time', 'linkId', 'outcome', 'reason'].includes(key)) return;
+            if (NODE_FIELDS.includes(key) && value !== null && value !== undefined) {
+                if (!nodes.includes(value)) nodes.push(value);
+                return;
+            }
+            details[key] = key === 'frame' && value ? compactFrame(value) : value;
+        });
+        return {
+            seq,
+            time: event.time,
+            type: event.type,
+            nodes,
+            linkId: event.linkId || null,
+            outcome: event.outcome || OUTCOMES[event.type] || null,
+            reason: event.reason || null,
+            details
+        };
+    }
+
+    /**
+     * Quotes a CSV field when it holds a separator, a quote or a line break
+     * @param {*} value - Field value; null and undefined become empty fields
+     * @returns {string}
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Writes log records as CSV, one row per record
+     * @param {Object[]} records - Records from a log
+     * @returns {string} - CSV with a header row; nodes are separated by spaces and details are JSON
+     */
+    function recordsToCSV(records) {
+        const rows = records.map(record => [
+            record.seq,
+            record.time,
+            record.type,
+            record.nodes.join(' '),
+            record.linkId,
+            record.outcome,
+            record.reason,
+            Object.keys(record.details).length ? JSON.stringify(record.details) : ''
+        ].map(csvField).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Flattens nested statistics into name/value rows, e.g. { links: { '1-2': { data: 3 } } }
+     * into "links.1-2.data,3"
+     * @param {Object} stats - Statistics; arrays and objects are flattened, other values kept
+     * @returns {string} - CSV with a "name,value" header row
+     */
+    function statsToCSV(stats) {
+        const rows = [];
+        (function flatten(value, name) {
+            if (value !== null && typeof value === 'object') {
+                Object.keys(value).forEach(key => flatten(value[key], name ? `${name}.${key}` : key));
+            } else {
+                rows.push([name, value].map(csvField).join(','));
+            }
+        }(stats, ''));
+        return ['name,value', ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Starts recording the events of a simulation
+     * @param {Object} sim - Simulation from Simulation.createSimulation
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Records kept; the oldest ones are dropped beyond it
+     * @returns {Object} - The log: { records(), dropped(), add(type, fields), clear(), toCSV(), toJSON(), stop() }
+     */
+    function createEventLog(sim, options = {}) {
+        const settings = Object.assign({}, EVENT_LOG, options);
+        let records = [];
+        let seq = 0;
+        let dropped = 0;
+
+        function push(event) {
+            records.push(toRecord(event, ++seq));
+            if (records.length > settings.limit) {
+                dropped += records.length - settings.limit;
+                records.splice(0, records.length - settings.limit);
+            }
+        }
+
+        const unsubscribe = sim.on('*', event => {
+            if (!SKIPPED_EVENTS.includes(event.type)) push(event);
+        });
+
+        /**
+         * Records an entry that is not a simulation event, at the current simulated time
+         * @param {string} type - Entry type, e.g. 'log:message'
+         * @param {Object} [fields] - Nodes, outcome, reason and details as in a simulation event
+         */
+        function add(type, fields = {}) {
+            push(Object.assign({}, fields, { type, time: sim.scheduler.now() }));
+        }
+
+        // Forgets every record; numbering starts again from 1
+        function clear() {
+            records = [];
+            seq = 0;
+            dropped = 0;
+        }
+
+        /**
+         * Exports the log as JSON
+         * @param {Object} [meta] - Fields stored next to the records, e.g. the seed
+         * @returns {string}
+         */
+        function toJSON(meta = {}) {
+            return JSON.stringify(Object.assign({}, meta, { dropped, records }), null, 2);
+        }
+
+        return {
+            settings,
+            records: () => records.slice(),
+            dropped: () => dropped,
+            add,
+            clear,
+            toCSV: () => recordsToCSV(records),
+            toJSON,
+            stop: unsubscribe
+        };
+    }
+
+    return {
+        EVENT_LOG,
+        CSV_COLUMNS,
+        toRecord,
+        recordsToCSV,
+        statsToCSV,
+        createEventLog
+    };
+}));
@@ -0,0 +1,233 @@
+/**
+ * Data frames carried by the simulation.
+ *
+ * A frame has source and destination addresses (IP and a MAC-like hardware
+ * address), a per-sender sequence number, the payload text, a frame check
+ * sequence (CRC-32 over the addresses, sequence number and payload) and the
+ * IEEE 802.5 frame-status bits: A (address recognized) and C (frame copied),
+ * set by the destination when the frame reaches it. Noisy wires flip bits of
+ * the sequence number, payload and FCS; the receiver detects it with the FCS.
+ * Reliable delivery also sends acknowledgement frames back to the sender; their
+ * sequence number is the next sequence number the receiver expects. Broadcast
+ * and multicast frames carry a group address instead of a single PC's.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Frame = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Longest payload accepted from the send form, in characters
+    const MAX_PAYLOAD_LENGTH = 256;
+
+    // CRC-32 lookup table (IEEE 802.3 polynomial, reflected)
+    const CRC_TABLE = (() => {
+        const table = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table.push(c >>> 0);
+        }
+        return table;
+    })();
+
+    /**
+     * Computes the CRC-32 of a text (UTF-8 encoded)
+     * @param {string} text - Text to checksum
+     * @returns {number} - Unsigned 32-bit checksum
+     */
+    function crc32(text) {
+        const bytes = new TextEncoder().encode(text);
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Builds the MAC-like hardware address of a node (locally administered range)
+     * @param {number} nodeId - The ID of the node
+     * @returns {string} - Address such as "02:00:00:00:00:0a"
+     */
+    function macAddress(nodeId) {
+        const hex = nodeId.toString(16).padStart(8, '0');
+        return `02:00:${hex.match(/../g).join(':')}`;
+    }
+
+    // Destination address of a frame for every PC
+    const BROADCAST_ADDRESS = { nodeId: null, group: 'all', ip: '255.255.255.255', mac: 'ff:ff:ff:ff:ff:ff' };
+
+    /**
+     * Builds the destination address of a multicast group from its name
+     * @param {string} name - Group name
+     * @returns {Object} - { nodeId: null, group, ip, mac } with an IP in 239.1.0.0/16
+     */
+    function groupAddress(name) {
+        const hash = crc32(name) & 0xFFFF;
+        const high = hash >>> 8;
+        const low = hash & 0xFF;
+        const hex = value => value.toString(16).padStart(2, '0');
+        return {
+            nodeId: null,
+            group: name,
+            ip: `239.1.${high}.${low}`,
+            mac: `01:00:5e:01:${hex(high)}:${hex(low)}`
+        };
+    }
+
+    // The fields covered by the frame check sequence, in transmission order
+    function checkedContent(frame) {
+        return [
+            frame.kind,
+            frame.destination.mac,
+            frame.source.mac,
+            frame.destination.ip,
+            frame.source.ip,
+            frame.sequence,
+            frame.payload
+        ].join('|');
+    }
+
+    /**
+     * Creates a frame and computes its frame check sequence
+     * @param {Object} fields
+     * @param {number} fields.sequence - Sequence number of the frame for its sender
+     * @param {Object} fields.source - Sender: { nodeId, ip }
+     * @param {Object} fields.destination - Receiver: { nodeId, ip }, or a group address (see groupAddress)
+     * @param {string} [fields.payload] - Data carried by the frame
+     * @param {string} [fields.kind] - 'data', or 'ack' for an acknowledgement
+     * @returns {Object} - The frame
+     */
+    function createFrame({ sequence, source, destination, payload = '', kind = 'data' }) {
+        const frame = {
+            kind,
+            sequence,
+            source: { nodeId: source.nodeId, ip: source.ip, mac: macAddress(source.nodeId) },
+            destination: destination.nodeId === null ?
+                Object.assign({}, destination) :
+                { nodeId: destination.nodeId, ip: destination.ip, mac: macAddress(destination.nodeId) },
+            payload: String(payload),
+            fcs: 0,
+            bitErrors: 0,          // Bits flipped in transit (not part of the frame on the wire)
+            status: {
+                addressRecognized: false,
+                frameCopied: false
+            }
+        };
+        frame.fcs = crc32(checkedContent(frame));
+        return frame;
+    }
+
+    /**
+     * Creates the acknowledgement a receiver sends back for a data frame
+     * @param {Object} frame - The data frame being acknowledged
+     * @param {number} nextSequence - Sequence number the receiver expects next
+     * @returns {Object} - The acknowledgement frame
+     */
+    function createAck(frame, nextSequence) {
+        return createFrame({
+            sequence: nextSequence,
+            source: frame.destination,
+            destination: frame.source,
+            kind: 'ack'
+        });
+    }
+
+    /**
+     * Checks the frame check sequence against the frame contents
+     * @param {Object} frame - The frame
+     * @returns {boolean} - True if the frame is intact
+     */
+    function checkFCS(frame) {
+        return crc32(checkedContent(frame)) === frame.fcs;
+    }
+
+    /**
+     * Flips each bit of the sequence number, payload and FCS with the given probability
+     * @param {Object} frame - The frame, changed in place
+     * @param {number} bitErrorRate - Probability that a single bit is flipped (0 to 1)
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {number} - Number of bits flipped
+     */
+    function corruptFrame(frame, bitErrorRate, random) {
+        if (!(bitErrorRate > 0)) return 0;
+
+        const payload = Array.from(frame.payload, char => char.charCodeAt(0));
+        const payloadBits = payload.length * 8;
+        const totalBits = 16 + payloadBits + 32;
+        let flipped = 0;
+
+        for (let bit = 0; bit < totalBits; bit++) {
+            if (random() >= bitErrorRate) continue;
+            flipped++;
+
+            if (bit < 16) {
+                frame.sequence ^= 1 << bit;
+            } else if (bit < 16 + payloadBits) {
+                const offset = bit - 16;
+                payload[Math.floor(offset / 8)] ^= 1 << (offset % 8);
+            } else {
+                frame.fcs = (frame.fcs ^ (1 << (bit - 16 - payloadBits))) >>> 0;
+            }
+        }
+
+        if (flipped > 0) {
+            frame.payload = String.fromCharCode(...payload);
+            frame.bitErrors += flipped;
+        }
+        return flipped;
+    }
+
+    /**
+     * Copies a frame so a snapshot is not changed by later hops
+     * @param {Object} frame - The frame
+     * @returns {Object}
+     */
+    function cloneFrame(frame) {
+        return Object.assign({}, frame, {
+            source: Object.assign({}, frame.source),
+            destination: Object.assign({}, frame.destination),
+            status: Object.assign({}, frame.status)
+        });
+    }
+
+    /**
+     * Formats a frame check sequence as hexadecimal
+     * @param {number} fcs - The checksum
+     * @returns {string} - e.g. "0x1C291CA3"
+     */
+    function formatFCS(fcs) {
+        return `0x${fcs.toString(16).toUpperCase().padStart(8, '0')}`;
+    }
+
+    /**
+     * Size of the frame on the wire in bytes: 1 frame-control byte (data or ack),
+     * 2 x 6 address bytes, 2 sequence bytes, the UTF-8 payload, 4 FCS bytes and 1 frame-status byte
+     * @param {Object} frame - The frame
+     * @returns {number}
+     */
+    function frameLength(frame) {
+        return 1 + 12 + 2 + new TextEncoder().encode(frame.payload).length + 4 + 1;
+    }
+
+    return {
+        MAX_PAYLOAD_LENGTH,
+        BROADCAST_ADDRESS,
+        crc32,
+        macAddress,
+        groupAddress,
+        createFrame,
+        createAck,
+        checkFCS,
+        corruptFrame,
+        cloneFrame,
+        formatFCS,
+        frameLength
+    };
+}));
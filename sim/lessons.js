@@ -0,0 +1,242 @@
+/**
+ * Lesson engine: guided tutorials that walk a learner through the simulator.
+ *
+ * A lesson is plain data (see lessons/): a list of steps, each with a prompt,
+ * the part of the page to highlight, the simulation event that completes it
+ * and an explanation shown once it happened. The engine follows the learner
+ * through the steps by listening to the simulation, and remembers how far they
+ * got in a storage such as localStorage. Nothing in here touches the DOM.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Lessons = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Storage key of the progress through every lesson
+    const STORAGE_KEY = 'daisy-chain-lessons';
+
+    /**
+     * Error thrown for a lesson that is not valid
+     * @property {string[]} problems - One message per problem found
+     */
+    class LessonError extends Error {
+        constructor(message, problems = []) {
+            super(message);
+            this.name = 'LessonError';
+            this.problems = problems;
+        }
+    }
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    // Lessons in the order they were registered
+    const lessons = [];
+
+    /**
+     * Checks a lesson document
+     * @param {*} lesson - { id, title, summary?, setup? (scenario hash), steps: [{ title?, text, highlight?
+     *   (CSS selector), waitFor? ({ type, ...fields }), explain?, setup? (the network when resuming here) }] }
+     * @returns {string[]} - Problems found; empty when the lesson is valid
+     */
+    function validateLesson(lesson) {
+        if (!isPlainObject(lesson)) {
+            return ['Lesson must be an object'];
+        }
+
+        const problems = [];
+        if (!isText(lesson.id)) problems.push('id must be a non-empty string');
+        if (!isText(lesson.title)) problems.push('title must be a non-empty string');
+        if (lesson.summary !== undefined && typeof lesson.summary !== 'string') problems.push('summary must be a string');
+        if (lesson.setup !== undefined && !isText(lesson.setup)) problems.push('setup must be a scenario hash such as "#n=5&t=1"');
+        if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+            problems.push('steps must be a non-empty array');
+            return problems;
+        }
+
+        lesson.steps.forEach((step, i) => {
+            const name = `steps[${i}]`;
+            if (!isPlainObject(step)) {
+                problems.push(`${name} must be an object`);
+                return;
+            }
+            if (!isText(step.text)) problems.push(`${name}.text must be a non-empty string`);
+            ['title', 'highlight', 'explain', 'setup'].forEach(key => {
+                if (step[key] !== undefined && typeof step[key] !== 'string') problems.push(`${name}.${key} must be a string`);
+            });
+            if (step.waitFor !== undefined) {
+                const types = isPlainObject(step.waitFor) ? [].concat(step.waitFor.type) : [];
+                if (types.length === 0 || !types.every(isText)) {
+                    problems.push(`${name}.waitFor must be an object with the event type to wait for`);
+                }
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Adds a lesson to the course; a lesson with the same ID replaces the earlier one
+     * @param {Object} lesson - Lesson document (see validateLesson)
+     * @throws {LessonError} - If the lesson is not valid
+     */
+    function register(lesson) {
+        const problems = validateLesson(lesson);
+        if (problems.length > 0) {
+            const name = isPlainObject(lesson) && isText(lesson.id) ? ` "${lesson.id}"` : '';
+            throw new LessonError(`Invalid lesson${name}: ${problems[0]}`, problems);
+        }
+
+        const index = lessons.findIndex(existing => existing.id === lesson.id);
+        if (index === -1) {
+            lessons.push(lesson);
+        } else {
+            lessons[index] = lesson;
+        }
+    }
+
+    /**
+     * Network to set up for a learner starting or coming back to a lesson at a step: the setup of that
+     * step or the last step before it that has one, otherwise the setup of the lesson
+     * @param {Object} lesson - A registered lesson
+     * @param {number} index - Step index
+     * @returns {string|null} - Scenario hash, or null to keep the current network
+     */
+    function setupAt(lesson, index) {
+        for (let i = Math.min(index, lesson.steps.length - 1); i >= 0; i--) {
+            if (lesson.steps[i].setup) return lesson.steps[i].setup;
+        }
+        return lesson.setup || null;
+    }
+
+    /**
+     * Whether a simulation event is the one a step waits for
+     * @param {Object} waitFor - { type, ...fields }; a field given as an array matches any of its values
+     * @param {Object} event - Simulation event
+     * @returns {boolean}
+     */
+    function matchesEvent(waitFor, event) {
+        return Object.keys(waitFor).every(key => {
+            const expected = waitFor[key];
+            return Array.isArray(expected) ? expected.includes(event[key]) : event[key] === expected;
+        });
+    }
+
+    /**
+     * Keeps the progress through every lesson in a storage
+     * @param {Object|null} storage - Object with getItem and setItem, such as localStorage; the progress
+     *   is only kept in memory without one, or when the storage refuses it
+     * @param {string} [key] - Storage key
+     * @returns {Object} - { get(id) => { step, completed }, setStep(id, step), complete(id), reset(id) }
+     */
+    function createProgress(storage, key = STORAGE_KEY) {
+        let data = {};
+        try {
+            data = JSON.parse(storage ? storage.getItem(key) : null) || {};
+        } catch (error) {
+            data = {};
+        }
+
+        function save() {
+            try {
+                if (storage) storage.setItem(key, JSON.stringify(data));
+            } catch (error) {
+                // Private browsing or a full storage: the progress lasts until the page is closed
+            }
+        }
+
+        function update(id, fields) {
+            data[id] = Object.assign({ step: 0, completed: false }, data[id], fields);
+            save();
+        }
+
+        return {
+            get: id => Object.assign({ step: 0, completed: false }, data[id]),
+            setStep: (id, step) => update(id, { step }),
+            complete: id => update(id, { step: 0, completed: true }),
+            reset: id => update(id, { step: 0 })
+        };
+    }
+
+    /**
+     * Follows a learner through a lesson
+     * @param {Object} sim - Simulation from Simulation.createSimulation
+     * @param {Object} lesson - A registered lesson
+     * @param {Object} [options]
+     * @param {number} [options.step] - Step to start at
+     * @param {Object} [options.progress] - Progress from createProgress, updated as the learner goes on
+     * @param {Function} [options.onChange] - Called when the step changes, is done or the lesson is finished
+     * @returns {Object} - { lesson, index(), step(), isDone(), isFinished(), next(), back(), stop() }
+     */
+    function createLessonRunner(sim, lesson, options = {}) {
+        const progress = options.progress || null;
+        const onChange = options.onChange || (() => {});
+        let index = 0;
+        let done = false;
+        let finished = false;
+
+        // A step without an event to wait for only has to be read
+        function enter(stepIndex) {
+            index = Math.max(0, Math.min(lesson.steps.length - 1, stepIndex));
+            done = !lesson.steps[index].waitFor;
+            if (progress) progress.setStep(lesson.id, index);
+        }
+
+        function goTo(stepIndex) {
+            enter(stepIndex);
+            onChange();
+        }
+
+        const unsubscribe = sim.on('*', event => {
+            const { waitFor } = lesson.steps[index];
+            if (done || finished || !matchesEvent(waitFor, event)) return;
+            done = true;
+            onChange(event);
+        });
+
+        /**
+         * Goes on to the next step once the current one is done
+         * @returns {boolean} - Whether the lesson moved on
+         */
+        function next() {
+            if (!done || finished) return false;
+            if (index === lesson.steps.length - 1) {
+                finished = true;
+                if (progress) progress.complete(lesson.id);
+                onChange();
+            } else {
+                goTo(index + 1);
+            }
+            return true;
+        }
+
+        enter(options.step || 0);
+
+        return {
+            lesson,
+            index: () => index,
+            step: () => lesson.steps[index],
+            isDone: () => done,
+            isFinished: () => finished,
+            next,
+            back: () => goTo(index - 1),
+            stop: unsubscribe
+        };
+    }
+
+    return {
+        STORAGE_KEY,
+        LessonError,
+        validateLesson,
+        register,
+        list: () => lessons.slice(),
+        get: id => lessons.find(lesson => lesson.id === id) || null,
+        setupAt,
+        matchesEvent,
+        createProgress,
+        createLessonRunner
+    };
+}));
@@ -0,0 +1,236 @@
+/**
+ * Performance metrics collected from the simulation event stream.
+ *
+ * The collector listens to a simulation and keeps, per slice of simulated time,
+ * the throughput and the averages of the end-to-end latency, hop count and queue
+ * wait of the messages delivered in it, and of the token rotation time. It also
+ * adds up how long every PC spent sending and how many frames crossed each wire.
+ * Nothing in here touches the DOM; the page draws the numbers as charts.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Metrics = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default collection settings
+    const METRICS = {
+        bucket: 5000,          // Simulated milliseconds per point of the time series
+        maxBuckets: 720        // Points kept per series (an hour at the default bucket size)
+    };
+
+    // Time series kept per bucket, with how each is computed
+    const SERIES = {
+        throughput: { label: 'Throughput', unit: 'msg/min' },     // Messages delivered, scaled to a minute
+        latency: { label: 'End-to-end latency', unit: 's' },      // From queueing to delivery
+        hops: { label: 'Hop count', unit: 'hops' },               // Wires crossed by delivered unicast messages
+        queueWait: { label: 'Queue wait', unit: 's' },            // From queueing to the start of the transfer
+        rotation: { label: 'Token rotation time', unit: 's' }     // Between two visits of the token at a PC
+    };
+
+    /**
+     * Starts collecting metrics from a simulation
+     * @param {Object} sim - Simulation from Simulation.createSimulation
+     * @param {Object} [options]
+     * @param {number} [options.bucket] - Simulated milliseconds per point of the time series
+     * @param {number} [options.maxBuckets] - Points kept per series; older ones are dropped
+     * @returns {Object} - The collector: { series(), nodeUtilization(), linkTraffic(), summary(), reset(), stop() }
+     */
+    function createMetrics(sim, options = {}) {
+        const settings = Object.assign({}, METRICS, options);
+        const now = () => sim.scheduler.now();
+
+        let startTime;
+        let buckets;           // { start, delivered, sums: { name: total }, counts: { name: samples } }
+        let busy;              // Time each PC spent sending, keyed by node ID
+        let links;             // Frames that crossed each wire, keyed by link ID: { data, ack }
+        let lastVisit;         // Time the token last reached each PC
+        let current;           // The transfer in progress: { sourceNode, startedAt, queuedAt, hops }
+        let totals;            // Counts over the whole collection
+
+        reset();
+
+        // Bucket holding a time, created on demand; too old buckets are dropped
+        function bucketAt(time) {
+            const start = Math.floor((time - startTime) / settings.bucket) * settings.bucket + startTime;
+            let last = buckets[buckets.length - 1];
+            if (last && last.start === start) return last;
+            if (last && last.start > start) {
+                return buckets.find(bucket => bucket.start === start) || last;
+            }
+
+            // Fill the gap so quiet periods show up as zero throughput
+            let next = last ? last.start + settings.bucket : start;
+            while (next <= start) {
+                last = { start: next, delivered: 0, sums: {}, counts: {} };
+                buckets.push(last);
+                next += settings.bucket;
+            }
+            if (buckets.length > settings.maxBuckets) {
+                buckets.splice(0, buckets.length - settings.maxBuckets);
+            }
+            return last;
+        }
+
+        function sample(name, time, value) {
+            const bucket = bucketAt(time);
+            bucket.sums[name] = (bucket.sums[name] || 0) + value;
+            bucket.counts[name] = (bucket.counts[name] || 0) + 1;
+            totals.sums[name] = (totals.sums[name] || 0) + value;
+            totals.counts[name] = (totals.counts[name] || 0) + 1;
+        }
+
+        // The sending PC is busy from the start of a transfer until it ends
+        function closeTransfer(time) {
+            if (!current) return;
+            busy[current.sourceNode] = (busy[current.sourceNode] || 0) + time - Math.max(current.startedAt, startTime);
+            current = null;
+        }
+
+        const handlers = {
+            'transmission:start': event => {
+                closeTransfer(event.time);
+                current = {
+                    sourceNode: event.sourceNode,
+                    startedAt: event.time,
+                    queuedAt: event.queuedAt === undefined ? event.time : event.queuedAt,
+                    hops: event.receivers ? null : event.path.length - 1
+                };
+                sample('queueWait', event.time, (event.time - current.queuedAt) / 1000);
+            },
+            'transmission:delivered': event => {
+                const bucket = bucketAt(event.time);
+                bucket.delivered++;
+                totals.delivered++;
+                if (current) {
+                    sample('latency', event.time, (event.time - current.queuedAt) / 1000);
+                    if (current.hops !== null) {
+                        sample('hops', event.time, current.hops);
+                    }
+                }
+            },
+            'transmission:failed': () => {
+                totals.failed++;
+            },
+            'transmission:end': event => closeTransfer(event.time),
+            'transmission:hop': event => {
+                const link = links[event.linkId] || (links[event.linkId] = { data: 0, ack: 0 });
+                link[event.kind === 'ack' ? 'ack' : 'data']++;
+            },
+            'token:passed': event => {
+                if (lastVisit[event.to] !== undefined) {
+                    sample('rotation', event.time, (event.time - lastVisit[event.to]) / 1000);
+                }
+                lastVisit[event.to] = event.time;
+            },
+            'token:stopped': () => {
+                lastVisit = {};
+            },
+            'state:restored': event => {
+                closeTransfer(event.time);
+                lastVisit = {};
+            }
+        };
+        const unsubscribe = Object.entries(handlers).map(([type, handler]) => sim.on(type, handler));
+
+        /**
+         * Forgets everything collected so far and starts again from the current time
+         */
+        function reset() {
+            startTime = now();
+            buckets = [];
+            busy = {};
+            links = {};
+            lastVisit = {};
+            totals = { delivered: 0, failed: 0, sums: {}, counts: {} };
+            // A transfer under way counts from now on
+            current = current ? Object.assign({}, current, { startedAt: startTime }) : null;
+        }
+
+        /**
+         * Time series of every metric, one point per bucket up to the current time
+         * @returns {Object} - Points keyed by metric name (see SERIES): [{ time, value }], where
+         *   value is null in a bucket without samples (throughput is 0 then)
+         */
+        function series() {
+            if (now() > startTime) bucketAt(now());
+            const result = {};
+            Object.keys(SERIES).forEach(name => {
+                result[name] = buckets.map(bucket => {
+                    const time = bucket.start + settings.bucket;
+                    if (name === 'throughput') {
+                        return { time, value: bucket.delivered * 60000 / settings.bucket };
+                    }
+                    return { time, value: bucket.counts[name] ? bucket.sums[name] / bucket.counts[name] : null };
+                });
+            });
+            return result;
+        }
+
+        /**
+         * Share of the time every PC spent sending since collection started
+         * @returns {Object[]} - { nodeId, busy (ms), share (0 to 1) } for every PC in the network
+         */
+        function nodeUtilization() {
+            const elapsed = now() - startTime;
+            return sim.getNodeIds().map(nodeId => {
+                let time = busy[nodeId] || 0;
+                if (current && current.sourceNode === nodeId) {
+                    time += now() - Math.max(current.startedAt, startTime);
+                }
+                return { nodeId, busy: time, share: elapsed > 0 ? time / elapsed : 0 };
+            });
+        }
+
+        /**
+         * Frames that crossed every wire since collection started
+         * @returns {Object[]} - { linkId, data, ack } for every wire of the network
+         */
+        function linkTraffic() {
+            return sim.network.connections.map(link => Object.assign({ linkId: link.id }, links[link.id] || { data: 0, ack: 0 }));
+        }
+
+        /**
+         * Totals since collection started
+         * @returns {Object} - { elapsed (ms), delivered, failed, throughput (msg/min), and the average
+         *   latency, hops, queueWait and rotation over all samples (null without samples) }
+         */
+        function summary() {
+            const elapsed = now() - startTime;
+            const result = {
+                elapsed,
+                delivered: totals.delivered,
+                failed: totals.failed,
+                throughput: elapsed > 0 ? totals.delivered * 60000 / elapsed : 0
+            };
+            Object.keys(SERIES).filter(name => name !== 'throughput').forEach(name => {
+                result[name] = totals.counts[name] ? totals.sums[name] / totals.counts[name] : null;
+            });
+            return result;
+        }
+
+        // Stops listening to the simulation
+        function stop() {
+            unsubscribe.forEach(off => off());
+        }
+
+        return {
+            settings,
+            series,
+            nodeUtilization,
+            linkTraffic,
+            summary,
+            reset,
+            stop
+        };
+    }
+
+    return {
+        METRICS,
+        SERIES,
+        createMetrics
+    };
+}));
@@ -0,0 +1,240 @@
+/**
+ * Quiz: predict what happens to a message before the simulation plays it.
+ *
+ * A question takes the learner's network, breaks a few wires and powers off a
+ * few PCs at random, and asks about one message: will it arrive, at which hop
+ * does it stop, or how often is the token passed before it is delivered. The
+ * page shows the faults, takes the prediction, then plays the message on the
+ * simulation; the answer is scored against what actually happened.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./clock.js'), require('./simulation.js'), require('./topology.js'));
+    } else {
+        root.Quiz = factory(root.SimClock, root.Simulation, root.Topology);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SimClock, Simulation, Topology) {
+    'use strict';
+
+    // Default quiz settings
+    const QUIZ = {
+        questions: 5,          // Questions per quiz
+        maxBroken: 2,          // Wires broken at most per question
+        maxPoweredOff: 1,      // PCs powered off at most per question
+        deadline: 60000,       // Simulated milliseconds a message gets to arrive before it counts as stuck
+        maxPasses: 5           // Token passes counted one by one; more are answered as "5 or more"
+    };
+
+    const place = nodeId => (nodeId === Topology.HUB_ID ? 'the hub' : `PC ${nodeId}`);
+
+    // Wire crossed by each hop of a path, in order
+    function pathLinks(path) {
+        return path.slice(1).map((nodeId, i) => Topology.linkId(path[i], nodeId));
+    }
+
+    // Hop a failed message stopped at: the wire it died on, or the wire into the PC that dropped it
+    function failingHop(question, outcome) {
+        if (outcome.delivered) return 'none';
+        if (outcome.linkId && question.links.includes(outcome.linkId)) return outcome.linkId;
+        const index = outcome.nodeId === null ? -1 : question.path.indexOf(outcome.nodeId);
+        return index > 0 ? question.links[index - 1] : 'never';
+    }
+
+    // The kinds of question: the text, the choices and the right choice for an outcome
+    const QUESTIONS = {
+        reach: {
+            prompt: q => `Will PC ${q.sourceNode} reach PC ${q.destinationNode}?`,
+            choices: () => [
+                { value: 'yes', label: 'Yes, it arrives' },
+                { value: 'no', label: 'No, it does not' }
+            ],
+            answer: (q, outcome) => (outcome.delivered ? 'yes' : 'no')
+        },
+        hop: {
+            prompt: q => `Which hop fails on the way from PC ${q.sourceNode} to PC ${q.destinationNode}?`,
+            choices: q => [
+                ...q.links.map((linkId, i) => ({ value: linkId, label: `${place(q.path[i])} → ${place(q.path[i + 1])}` })),
+                { value: 'never', label: `It never leaves PC ${q.sourceNode}` },
+                { value: 'none', label: 'None, it arrives' }
+            ],
+            answer: failingHop
+        },
+        passes: {
+            prompt: q => `How many times is the token passed before PC ${q.destinationNode} gets the message from PC ${q.sourceNode}?`,
+            choices: () => {
+                const choices = [];
+                for (let passes = 0; passes < QUIZ.maxPasses; passes++) {
+                    choices.push({ value: String(passes), label: String(passes) });
+                }
+                choices.push({ value: `${QUIZ.maxPasses}+`, label: `${QUIZ.maxPasses} or more` });
+                choices.push({ value: 'never', label: 'It never arrives' });
+                return choices;
+            },
+            answer: (q, outcome) => {
+                if (!outcome.delivered) return 'never';
+                return outcome.tokenPasses >= QUIZ.maxPasses ? `${QUIZ.maxPasses}+` : String(outcome.tokenPasses);
+            }
+        }
+    };
+
+    // Picks count different items at random
+    function pickSome(items, count, random) {
+        const pool = items.slice();
+        const picked = [];
+        while (picked.length < count && pool.length > 0) {
+            picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+        }
+        return picked;
+    }
+
+    /**
+     * Makes a question about a network with random faults
+     * @param {Object} state - Network captured with sim.snapshot(); its faults, noise and queue are replaced
+     * @param {Function} random - Returns numbers in [0, 1), e.g. from SimRandom.createRandom
+     * @param {Object} [options]
+     * @param {string} [options.kind] - A key of QUESTIONS; picked at random by default
+     * @param {number} [options.maxBroken] - Wires broken at most
+     * @param {number} [options.maxPoweredOff] - PCs powered off at most
+     * @returns {Object} - { kind, prompt, choices: [{ value, label }], sourceNode, destinationNode,
+     *   path (node IDs the message will take), links (wire of each hop), broken, poweredOff,
+     *   state (the network to restore before playing it) }
+     */
+    function generateQuestion(state, random, options = {}) {
+        const settings = Object.assign({}, QUIZ, options);
+        const nodeIds = state.nodes.map(node => node.id);
+        if (nodeIds.length < 2) {
+            throw new Error('A quiz needs at least 2 PCs');
+        }
+
+        const kinds = Object.keys(QUESTIONS);
+        const kind = options.kind || kinds[Math.floor(random() * kinds.length)];
+        const [sourceNode, destinationNode] = pickSome(nodeIds, 2, random);
+        const broken = pickSome(state.links.map(link => Topology.linkId(link.a, link.b)),
+            Math.floor(random() * (settings.maxBroken + 1)), random);
+        const poweredOff = pickSome(nodeIds, Math.floor(random() * (settings.maxPoweredOff + 1)), random);
+        const poweredOn = nodeIds.filter(id => !poweredOff.includes(id));
+
+        // Noise, reliable delivery and contention would make the outcome a matter of chance
+        const questionState = Object.assign({}, state, {
+            nodes: state.nodes.map(node => ({ id: node.id, poweredOff: poweredOff.includes(node.id) })),
+            links: state.links.map(link => Object.assign({}, link, {
+                broken: broken.includes(Topology.linkId(link.a, link.b)),
+                bitErrorRate: 0,
+                dropProbability: 0,
+                latency: 0,
+                jitter: 0
+            })),
+            hub: state.hub ? { failed: false } : null,
+            token: Object.assign({}, state.token, {
+                isActive: poweredOn.length > 0,
+                currentNode: poweredOn.length > 0 ? poweredOn[Math.floor(random() * poweredOn.length)] : null,
+                priority: Simulation.PRIORITY.lowest,
+                reservation: Simulation.PRIORITY.lowest,
+                stack: []
+            }),
+            monitor: null,
+            arq: Object.assign({}, state.arq, { mode: 'off' }),
+            mac: 'token',
+            allowDuplicates: true,
+            messageQueue: []
+        });
+
+        // The route the message will take, worked out on a copy of the network
+        const copy = Simulation.createSimulation({ scheduler: SimClock.createClock() });
+        copy.restore(questionState);
+        const path = copy.findPath(sourceNode, destinationNode);
+
+        const question = {
+            kind,
+            sourceNode,
+            destinationNode,
+            path,
+            links: pathLinks(path),
+            broken,
+            poweredOff,
+            state: questionState
+        };
+        question.prompt = QUESTIONS[kind].prompt(question);
+        question.choices = QUESTIONS[kind].choices(question);
+        return question;
+    }
+
+    /**
+     * Sends the message of a question and reports what became of it
+     * @param {Object} sim - Simulation the question's state was restored into
+     * @param {Object} question - Question from generateQuestion
+     * @param {Function} onOutcome - Called once with { delivered, reason, linkId, nodeId, event, tokenPasses,
+     *   time (ms from the send) }; reason is 'waiting' when the message did not arrive or fail in time
+     * @returns {Function} - Stops watching without an outcome
+     */
+    function runQuestion(sim, question, onOutcome) {
+        const startedAt = sim.scheduler.now();
+        const isQuestion = event => event.sourceNode === question.sourceNode && event.destinationNode === question.destinationNode;
+        let tokenPasses = 0;
+        let finished = false;
+
+        function finish(outcome) {
+            if (finished) return;
+            finished = true;
+            stop();
+            onOutcome(Object.assign({ tokenPasses, time: sim.scheduler.now() - startedAt }, outcome));
+        }
+
+        function failed(event) {
+            if (!isQuestion(event)) return;
+            finish({
+                delivered: false,
+                reason: event.reason,
+                linkId: event.linkId || null,
+                nodeId: event.nodeId === undefined ? null : event.nodeId,
+                event
+            });
+        }
+
+        const unsubscribe = [
+            sim.on('token:passed', () => {
+                tokenPasses++;
+            }),
+            sim.on('transmission:delivered', event => {
+                if (isQuestion(event)) finish({ delivered: true, reason: null, linkId: null, nodeId: null, event });
+            }),
+            sim.on('transmission:failed', failed),
+            sim.on('message:rejected', failed)
+        ];
+        const deadline = sim.scheduler.setTimeout(() => {
+            finish({ delivered: false, reason: 'waiting', linkId: null, nodeId: null, event: null });
+        }, QUIZ.deadline, 'Quiz deadline');
+
+        function stop() {
+            unsubscribe.forEach(off => off());
+            sim.scheduler.clearTimeout(deadline);
+        }
+
+        sim.sendMessage(question.sourceNode, question.destinationNode, 'Quiz');
+        return () => {
+            finished = true;
+            stop();
+        };
+    }
+
+    /**
+     * Scores a prediction against what happened
+     * @param {Object} question - Question from generateQuestion
+     * @param {string} answer - Value of the choice the learner picked
+     * @param {Object} outcome - Outcome from runQuestion
+     * @returns {Object} - { correct, expected (value of the right choice), expectedLabel }
+     */
+    function scoreAnswer(question, answer, outcome) {
+        const expected = QUESTIONS[question.kind].answer(question, outcome);
+        const choice = question.choices.find(candidate => candidate.value === expected);
+        return { correct: answer === expected, expected, expectedLabel: choice ? choice.label : expected };
+    }
+
+    return {
+        QUIZ,
+        QUESTIONS,
+        generateQuestion,
+        runQuestion,
+        scoreAnswer
+    };
+}));
@@ -0,0 +1,76 @@
+/**
+ * Seeded pseudo-random numbers.
+ *
+ * Math.random cannot be replayed, so runs that must be reproducible draw their
+ * random numbers from a generator built from a seed instead: the same seed gives
+ * the same sequence of numbers every time, in every browser and in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimRandom = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Largest seed accepted; seeds are unsigned 32-bit integers
+    const MAX_SEED = 0xFFFFFFFF;
+
+    /**
+     * Creates a random number generator (mulberry32) from a seed
+     * @param {number} seed - Unsigned 32-bit integer
+     * @returns {Function} - Returns the next number in [0, 1) on every call
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Derives a seed for one use of a run seed, so that for example the traffic and the
+     * noise on the wires do not draw the same sequence of numbers
+     * @param {number} seed - The run seed
+     * @param {string} label - Name of the use, e.g. 'traffic'
+     * @returns {number} - Unsigned 32-bit integer
+     */
+    function deriveSeed(seed, label) {
+        // FNV-1a over the label, starting from the seed
+        let hash = (0x811C9DC5 ^ seed) >>> 0;
+        for (let i = 0; i < label.length; i++) {
+            hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Picks a new seed at random
+     * @returns {number} - Integer from 1 to 999999, short enough to type in again
+     */
+    function randomSeed() {
+        return 1 + Math.floor(Math.random() * 999999);
+    }
+
+    /**
+     * Checks that a value can be used as a seed
+     * @param {*} seed - The value
+     * @returns {boolean}
+     */
+    function isValidSeed(seed) {
+        return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+    }
+
+    return {
+        MAX_SEED,
+        createRandom,
+        deriveSeed,
+        randomSeed,
+        isValidSeed
+    };
+}));
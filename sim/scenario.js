@@ -0,0 +1,841 @@
+/**
+ * Scenario files: save and load a network setup as versioned JSON.
+ *
+ * A scenario records the network (topology, node IDs, removed nodes, power
+ * states and faults, broken and noisy wires, the wires of removed nodes, hub failure, IP assignments), the token position/direction/interval/holding time,
+ * the reliable delivery settings, the multicast groups and the pending messages of every node's queue.
+ * It can also carry the random seed and the traffic generator settings, so a run can be replayed exactly.
+ * Files are validated before anything is applied, and every problem found is reported with the path of the offending field.
+ * Scenarios can also be packed into a short URL hash for sharing as a link.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation.js'), require('./topology.js'), require('./frame.js'),
+            require('./random.js'), require('./traffic.js'));
+    } else {
+        root.Scenario = factory(root.Simulation, root.Topology, root.Frame, root.SimRandom, root.Traffic);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Simulation, Topology, Frame, SimRandom, Traffic) {
+    'use strict';
+
+    const FORMAT = 'daisy-chain-scenario';
+    // Version 2 added the topology and hubFailed fields; version 1 files load as a daisy chain.
+    // Version 3 added noisyLinks, version 4 the reliable delivery settings (arq),
+    // version 5 multicast groups and queued messages to "all" or a group,
+    // version 6 message priorities, the token holding time and allowDuplicates,
+    // version 7 the medium access protocol (mac); older files use token passing,
+    // version 8 the random seed and the traffic generator settings (traffic),
+    // version 9 what removed nodes leave behind (removal) and the bandwidth of noisy wires,
+    // version 10 the fault of a node (nodes[].fault),
+    // version 11 the broken or noisy wires of removed nodes (detachedLinks),
+    // version 12 why a running token has no holder (token.lost)
+    const VERSION = 12;
+
+    // Settings of a noisy wire, in the order used by the URL hash
+    const QUALITY_FIELDS = Object.keys(Simulation.LINK_QUALITY);
+
+    /**
+     * Error raised for a scenario that cannot be loaded
+     * @param {string} message - Summary of the problem
+     * @param {string[]} [problems] - Every individual validation problem
+     */
+    class ScenarioError extends Error {
+        constructor(message, problems = []) {
+            super(message);
+            this.name = 'ScenarioError';
+            this.problems = problems;
+        }
+    }
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isNodeId = value => Number.isInteger(value) && value > 0;
+    const isIPv4 = value => typeof value === 'string' &&
+        /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.test(value) &&
+        value.split('.').every(part => parseInt(part) <= 255);
+
+    /**
+     * Writes sorted node IDs as ranges, e.g. "2-4, 7"
+     * @param {number[]} ids - Node IDs in ascending order
+     * @returns {string}
+     */
+    function formatIdRanges(ids) {
+        const ranges = [];
+        ids.forEach(id => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === id - 1) {
+                last[1] = id;
+            } else {
+                ranges.push([id, id]);
+            }
+        });
+        return ranges.map(([first, end]) => first === end ? `${first}` : `${first}-${end}`).join(', ');
+    }
+
+    /**
+     * Builds a scenario document from the current simulation state
+     * @param {Object} sim - Simulation created by Simulation.createSimulation
+     * @param {Object} [meta] - Optional fields such as a name or description, or the traffic
+     *   generator settings to replay (traffic, without their seed: the scenario seed is used)
+     * @returns {Object} - JSON-serializable scenario
+     */
+    function exportScenario(sim, meta = {}) {
+        const state = sim.snapshot();
+
+        return Object.assign({
+            format: FORMAT,
+            version: VERSION
+        }, meta, {
+            topology: state.topology,
+            removal: state.removal,
+            maxNodeId: state.maxNodeId,
+            nodes: state.nodes,
+            removedNodes: state.removedNodes,
+            nodeIPs: state.nodeIPs,
+            brokenLinks: state.links
+                .filter(link => link.broken)
+                .map(link => [link.a, link.b]),
+            noisyLinks: state.links
+                .filter(link => QUALITY_FIELDS.some(key => link[key] > 0))
+                .map(link => {
+                    const entry = { link: [link.a, link.b] };
+                    QUALITY_FIELDS.forEach(key => {
+                        entry[key] = link[key];
+                    });
+                    return entry;
+                }),
+            detachedLinks: state.detachedLinks.map(link => {
+                const entry = { link: [link.a, link.b], broken: link.broken };
+                QUALITY_FIELDS.forEach(key => {
+                    entry[key] = link[key];
+                });
+                return entry;
+            }),
+            hubFailed: state.hub ? state.hub.failed : false,
+            token: {
+                active: state.token.isActive,
+                currentNode: state.token.currentNode,
+                direction: state.token.direction,
+                interval: state.token.interval,
+                holdingTime: state.token.holdingTime,
+                lost: state.token.lost
+            },
+            mac: state.mac,
+            seed: state.seed,
+            arq: {
+                mode: state.arq.mode,
+                timeout: state.arq.timeout,
+                maxRetries: state.arq.maxRetries,
+                windowSize: state.arq.windowSize
+            },
+            groups: state.groups,
+            allowDuplicates: state.allowDuplicates,
+            messageQueue: state.messageQueue
+        });
+    }
+
+    /**
+     * Checks the error settings of a wire entry; settings left out are fine
+     * @param {Object} entry - A noisyLinks or detachedLinks entry
+     * @param {string} path - Path of the entry in the document
+     * @param {string[]} problems - Problems found so far; more are added
+     */
+    function checkLinkQuality(entry, path, problems) {
+        ['bitErrorRate', 'dropProbability'].forEach(key => {
+            const value = entry[key];
+            if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+                problems.push(`${path}.${key} must be a probability between 0 and 1`);
+            }
+        });
+        ['latency', 'jitter'].forEach(key => {
+            const value = entry[key];
+            if (value !== undefined && !(typeof value === 'number' && value >= 0 && Number.isFinite(value))) {
+                problems.push(`${path}.${key} must be a number of milliseconds, 0 or more`);
+            }
+        });
+        if (entry.bandwidth !== undefined &&
+            !(typeof entry.bandwidth === 'number' && entry.bandwidth >= 0 && Number.isFinite(entry.bandwidth))) {
+            problems.push(`${path}.bandwidth must be a number of bits per second, 0 or more (0 for no limit)`);
+        }
+    }
+
+    /**
+     * Checks a parsed scenario document
+     * @param {*} data - Parsed JSON
+     * @returns {string[]} - Problems found; empty when the scenario is valid
+     */
+    function validateScenario(data) {
+        const problems = [];
+
+        if (!isPlainObject(data)) {
+            return ['Scenario must be a JSON object'];
+        }
+
+        if (data.format !== FORMAT) {
+            problems.push(`format must be "${FORMAT}"`);
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            problems.push('version must be a positive integer');
+        } else if (data.version > VERSION) {
+            problems.push(`version ${data.version} is newer than the supported version ${VERSION}`);
+        }
+
+        const topology = data.topology === undefined ? 'chain' : data.topology;
+        if (!Topology.isTopology(topology)) {
+            problems.push(`topology must be one of: ${Object.keys(Topology.TOPOLOGIES).join(', ')}`);
+        }
+        const removal = data.removal === undefined ? 'splice' : data.removal;
+        if (!Object.prototype.hasOwnProperty.call(Topology.REMOVAL_MODES, removal)) {
+            problems.push(`removal must be one of: ${Object.keys(Topology.REMOVAL_MODES).join(', ')}`);
+        }
+
+        if (!isNodeId(data.maxNodeId)) {
+            problems.push('maxNodeId must be a positive integer');
+            return problems;
+        }
+        if (data.maxNodeId > Simulation.MAX_NODE_ID) {
+            problems.push(`maxNodeId must be at most ${Simulation.MAX_NODE_ID}`);
+            return problems;
+        }
+        const inRange = id => isNodeId(id) && id <= data.maxNodeId;
+
+        // Nodes present in the chain
+        const nodeIds = new Set();
+        if (!Array.isArray(data.nodes)) {
+            problems.push('nodes must be an array');
+        } else {
+            data.nodes.forEach((node, index) => {
+                const path = `nodes[${index}]`;
+                if (!isPlainObject(node)) {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                if (!inRange(node.id)) {
+                    problems.push(`${path}.id must be an integer from 1 to maxNodeId (${data.maxNodeId})`);
+                } else if (nodeIds.has(node.id)) {
+                    problems.push(`${path}.id ${node.id} is listed more than once`);
+                } else {
+                    nodeIds.add(node.id);
+                }
+                if (typeof node.poweredOff !== 'boolean') {
+                    problems.push(`${path}.poweredOff must be true or false`);
+                }
+                // A fault without its setting gets the mode's default, as in the simulation
+                if (node.fault !== undefined && node.fault !== null &&
+                    !(isPlainObject(node.fault) && Simulation.isNodeFault(Simulation.faultSettings(node.fault)))) {
+                    problems.push(`${path}.fault must be null or { mode } with mode one of: ` +
+                        `${Object.keys(Simulation.NODE_FAULTS).join(', ')}, and the mode's setting in range`);
+                }
+            });
+            if (nodeIds.size < 2) {
+                problems.push('nodes must contain at least 2 nodes');
+            }
+        }
+
+        // Removed (recoverable) nodes
+        const removedIds = new Set();
+        if (!Array.isArray(data.removedNodes)) {
+            problems.push('removedNodes must be an array');
+        } else {
+            data.removedNodes.forEach((id, index) => {
+                if (!inRange(id)) {
+                    problems.push(`removedNodes[${index}] must be an integer from 1 to maxNodeId (${data.maxNodeId})`);
+                } else if (nodeIds.has(id)) {
+                    problems.push(`removedNodes[${index}]: PC ${id} is also listed in nodes`);
+                } else {
+                    removedIds.add(id);
+                }
+            });
+        }
+
+        if (Array.isArray(data.nodes) && Array.isArray(data.removedNodes)) {
+            const missing = [];
+            for (let id = 1; id <= data.maxNodeId; id++) {
+                if (!nodeIds.has(id) && !removedIds.has(id)) missing.push(id);
+            }
+            if (missing.length > 0) {
+                const pcs = missing.length === 1 ? `PC ${missing[0]} is` : `PCs ${formatIdRanges(missing)} are`;
+                problems.push(`${pcs} missing: every ID up to maxNodeId must be in nodes or removedNodes`);
+            }
+        }
+
+        // IP assignments
+        if (data.nodeIPs !== undefined) {
+            if (!isPlainObject(data.nodeIPs)) {
+                problems.push('nodeIPs must be an object mapping node IDs to IP addresses');
+            } else {
+                const seen = {};
+                Object.entries(data.nodeIPs).forEach(([key, ip]) => {
+                    const id = Number(key);
+                    if (!inRange(id)) {
+                        problems.push(`nodeIPs key "${key}" is not a node ID from 1 to maxNodeId`);
+                    } else if (!isIPv4(ip)) {
+                        problems.push(`nodeIPs["${key}"] must be an IPv4 address like 192.168.1.101`);
+                    } else if (seen[ip]) {
+                        problems.push(`nodeIPs["${key}"] reuses ${ip} already assigned to PC ${seen[ip]}`);
+                    } else {
+                        seen[ip] = key;
+                    }
+                });
+            }
+        }
+
+        if (data.hubFailed !== undefined) {
+            if (typeof data.hubFailed !== 'boolean') {
+                problems.push('hubFailed must be true or false');
+            } else if (data.hubFailed && !Topology.hasHub(topology)) {
+                problems.push(`hubFailed: the ${topology} topology has no hub`);
+            }
+        }
+
+        // Broken wires must be wires of the topology (the hub has ID 0)
+        const chain = Array.from(nodeIds).sort((a, b) => a - b);
+        const neighbours = new Set(Topology.isTopology(topology) ?
+            Topology.buildLinksAround(topology, chain, Array.from(removedIds), removal).map(([a, b]) => Topology.linkId(a, b)) : []);
+        if (data.brokenLinks !== undefined) {
+            if (!Array.isArray(data.brokenLinks)) {
+                problems.push('brokenLinks must be an array of [nodeA, nodeB] pairs');
+            } else {
+                data.brokenLinks.forEach((pair, index) => {
+                    if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(id => id === Topology.HUB_ID || isNodeId(id))) {
+                        problems.push(`brokenLinks[${index}] must be a pair of node IDs`);
+                        return;
+                    }
+                    if (Topology.isTopology(topology) && !neighbours.has(Topology.linkId(pair[0], pair[1]))) {
+                        const [a, b] = pair.map(id => id === Topology.HUB_ID ? 'the hub' : `PC ${id}`);
+                        problems.push(`brokenLinks[${index}]: there is no wire between ${a} and ${b}`);
+                    }
+                });
+            }
+        }
+
+        if (data.noisyLinks !== undefined) {
+            if (!Array.isArray(data.noisyLinks)) {
+                problems.push('noisyLinks must be an array of objects');
+            } else {
+                data.noisyLinks.forEach((entry, index) => {
+                    const path = `noisyLinks[${index}]`;
+                    if (!isPlainObject(entry)) {
+                        problems.push(`${path} must be an object`);
+                        return;
+                    }
+                    const pair = entry.link;
+                    if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(id => id === Topology.HUB_ID || isNodeId(id))) {
+                        problems.push(`${path}.link must be a pair of node IDs`);
+                    } else if (Topology.isTopology(topology) && !neighbours.has(Topology.linkId(pair[0], pair[1]))) {
+                        const [a, b] = pair.map(id => id === Topology.HUB_ID ? 'the hub' : `PC ${id}`);
+                        problems.push(`${path}.link: there is no wire between ${a} and ${b}`);
+                    }
+                    checkLinkQuality(entry, path, problems);
+                });
+            }
+        }
+
+        // Wires that are not connected now but keep their state for when their nodes come back
+        if (data.detachedLinks !== undefined) {
+            if (!Array.isArray(data.detachedLinks)) {
+                problems.push('detachedLinks must be an array of objects');
+            } else {
+                data.detachedLinks.forEach((entry, index) => {
+                    const path = `detachedLinks[${index}]`;
+                    if (!isPlainObject(entry)) {
+                        problems.push(`${path} must be an object`);
+                        return;
+                    }
+                    const pair = entry.link;
+                    if (!Array.isArray(pair) || pair.length !== 2 ||
+                        !pair.every(id => id === Topology.HUB_ID || inRange(id)) || pair[0] === pair[1]) {
+                        problems.push(`${path}.link must be a pair of different node IDs up to maxNodeId (${data.maxNodeId})`);
+                    }
+                    if (entry.broken !== undefined && typeof entry.broken !== 'boolean') {
+                        problems.push(`${path}.broken must be true or false`);
+                    }
+                    checkLinkQuality(entry, path, problems);
+                });
+            }
+        }
+
+        // Token
+        if (!isPlainObject(data.token)) {
+            problems.push('token must be an object');
+        } else {
+            const { active, currentNode, direction, interval, holdingTime, lost } = data.token;
+            if (typeof active !== 'boolean') {
+                problems.push('token.active must be true or false');
+            }
+            if (currentNode !== null && !nodeIds.has(currentNode)) {
+                problems.push('token.currentNode must be null or the ID of a node in nodes');
+            }
+            if (lost !== undefined && lost !== null && !(isPlainObject(lost) && typeof lost.reason === 'string')) {
+                problems.push('token.lost must be null or an object with the reason the token was lost');
+            } else if (lost && currentNode !== null) {
+                problems.push('token.lost must be null while a node holds the token');
+            }
+            if (active === true && currentNode === null && !lost) {
+                problems.push('token.currentNode is required when token.active is true, unless token.lost says why it has none');
+            }
+            if (direction !== 1 && direction !== -1) {
+                problems.push('token.direction must be 1 (forward) or -1 (backward)');
+            }
+            if (typeof interval !== 'number' || !(interval > 0)) {
+                problems.push('token.interval must be a positive number of milliseconds');
+            }
+            if (holdingTime !== undefined && !(typeof holdingTime === 'number' && holdingTime >= 0 && Number.isFinite(holdingTime))) {
+                problems.push('token.holdingTime must be a number of milliseconds, 0 or more');
+            }
+        }
+
+        // Reliable delivery
+        if (data.mac !== undefined && !Object.prototype.hasOwnProperty.call(Simulation.MAC_PROTOCOLS, data.mac)) {
+            problems.push(`mac must be one of ${Object.keys(Simulation.MAC_PROTOCOLS).join(', ')}`);
+        }
+
+        if (data.seed !== undefined && !SimRandom.isValidSeed(data.seed)) {
+            problems.push(`seed must be a whole number from 0 to ${SimRandom.MAX_SEED}`);
+        }
+        if (data.traffic !== undefined) {
+            if (!isPlainObject(data.traffic)) {
+                problems.push('traffic must be an object');
+            } else {
+                Traffic.validateTraffic(data.traffic).forEach(problem => problems.push(`traffic: ${problem}`));
+            }
+        }
+
+        if (data.arq !== undefined) {
+            if (!isPlainObject(data.arq)) {
+                problems.push('arq must be an object');
+            } else {
+                const { mode, timeout, maxRetries, windowSize } = data.arq;
+                if (!Simulation.ARQ_MODES.includes(mode)) {
+                    problems.push(`arq.mode must be one of ${Simulation.ARQ_MODES.join(', ')}`);
+                }
+                if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0 && Number.isFinite(timeout))) {
+                    problems.push('arq.timeout must be a positive number of milliseconds');
+                }
+                if (maxRetries !== undefined && !(Number.isInteger(maxRetries) && maxRetries >= 0)) {
+                    problems.push('arq.maxRetries must be a whole number, 0 or more');
+                }
+                if (windowSize !== undefined && !(Number.isInteger(windowSize) && windowSize >= 1)) {
+                    problems.push('arq.windowSize must be a whole number of frames, 1 or more');
+                }
+            }
+        }
+
+        // Multicast groups
+        const groups = isPlainObject(data.groups) ? data.groups : {};
+        if (data.groups !== undefined) {
+            if (!isPlainObject(data.groups)) {
+                problems.push('groups must be an object of member lists keyed by group name');
+            } else {
+                Object.entries(data.groups).forEach(([name, members]) => {
+                    if (!Simulation.isGroupName(name)) {
+                        problems.push(`groups: "${name}" is not a valid group name`);
+                    }
+                    if (!Array.isArray(members) || members.length === 0) {
+                        problems.push(`groups.${name} must be a non-empty array of node IDs`);
+                    } else if (!members.every(id => nodeIds.has(id) || removedIds.has(id))) {
+                        problems.push(`groups.${name} must only list nodes in nodes or removedNodes`);
+                    }
+                });
+            }
+        }
+
+        // Pending messages
+        if (data.allowDuplicates !== undefined && typeof data.allowDuplicates !== 'boolean') {
+            problems.push('allowDuplicates must be true or false');
+        }
+        if (!Array.isArray(data.messageQueue)) {
+            problems.push('messageQueue must be an array');
+        } else {
+            data.messageQueue.forEach((msg, index) => {
+                const path = `messageQueue[${index}]`;
+                if (!isPlainObject(msg)) {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                if (!nodeIds.has(msg.sourceNode)) {
+                    problems.push(`${path}.sourceNode must be the ID of a node in nodes`);
+                }
+                if (typeof msg.destinationNode === 'string') {
+                    if (msg.destinationNode !== Simulation.BROADCAST && !Object.prototype.hasOwnProperty.call(groups, msg.destinationNode)) {
+                        problems.push(`${path}.destinationNode: there is no group "${msg.destinationNode}"`);
+                    }
+                } else if (!nodeIds.has(msg.destinationNode)) {
+                    problems.push(`${path}.destinationNode must be the ID of a node in nodes, "${Simulation.BROADCAST}" or a group name`);
+                }
+                if (msg.sourceNode === msg.destinationNode) {
+                    problems.push(`${path} cannot send from a node to itself`);
+                }
+                if (msg.payload !== undefined &&
+                    (typeof msg.payload !== 'string' || msg.payload.length > Frame.MAX_PAYLOAD_LENGTH)) {
+                    problems.push(`${path}.payload must be text of at most ${Frame.MAX_PAYLOAD_LENGTH} characters`);
+                }
+                const { lowest, highest } = Simulation.PRIORITY;
+                if (msg.priority !== undefined &&
+                    !(Number.isInteger(msg.priority) && msg.priority >= lowest && msg.priority <= highest)) {
+                    problems.push(`${path}.priority must be a whole number from ${lowest} to ${highest}`);
+                }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Parses and validates scenario JSON text
+     * @param {string} text - File contents
+     * @returns {Object} - The validated scenario
+     * @throws {ScenarioError} - If the text is not valid JSON or not a valid scenario
+     */
+    function parseScenario(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ScenarioError(`File is not valid JSON: ${error.message}`, [error.message]);
+        }
+
+        const problems = validateScenario(data);
+        if (problems.length > 0) {
+            const count = problems.length === 1 ? '1 problem' : `${problems.length} problems`;
+            throw new ScenarioError(`Invalid scenario (${count}): ${problems[0]}`, problems);
+        }
+        return data;
+    }
+
+    /**
+     * Applies a scenario to a simulation, replacing its network, token and queue
+     * @param {Object} sim - Simulation created by Simulation.createSimulation
+     * @param {Object} scenario - Scenario document
+     * @throws {ScenarioError} - If the scenario is not valid
+     */
+    function importScenario(sim, scenario) {
+        const problems = validateScenario(scenario);
+        if (problems.length > 0) {
+            throw new ScenarioError(`Invalid scenario: ${problems[0]}`, problems);
+        }
+
+        const topology = scenario.topology || 'chain';
+        const removal = scenario.removal || 'splice';
+        const brokenIds = new Set((scenario.brokenLinks || []).map(([a, b]) => Topology.linkId(a, b)));
+        const noise = {};
+        (scenario.noisyLinks || []).forEach(entry => {
+            noise[Topology.linkId(entry.link[0], entry.link[1])] = entry;
+        });
+        const chain = scenario.nodes.map(node => node.id).sort((a, b) => a - b);
+
+        sim.restore({
+            topology,
+            removal,
+            maxNodeId: scenario.maxNodeId,
+            removedNodes: scenario.removedNodes,
+            nodes: scenario.nodes,
+            nodeIPs: scenario.nodeIPs || {},
+            links: Topology.buildLinksAround(topology, chain, scenario.removedNodes, removal).map(([a, b]) => {
+                const link = { a, b, broken: brokenIds.has(Topology.linkId(a, b)) };
+                const entry = noise[Topology.linkId(a, b)] || {};
+                QUALITY_FIELDS.forEach(key => {
+                    link[key] = entry[key] || 0;
+                });
+                return link;
+            }),
+            detachedLinks: (scenario.detachedLinks || []).map(entry => {
+                const link = { a: entry.link[0], b: entry.link[1], broken: !!entry.broken };
+                QUALITY_FIELDS.forEach(key => {
+                    link[key] = entry[key] || 0;
+                });
+                return link;
+            }),
+            hub: { failed: !!scenario.hubFailed },
+            token: {
+                isActive: scenario.token.active,
+                currentNode: scenario.token.currentNode,
+                direction: scenario.token.direction,
+                interval: scenario.token.interval,
+                holdingTime: scenario.token.holdingTime === undefined ? Simulation.HOLDING_TIME : scenario.token.holdingTime,
+                lost: scenario.token.lost || null
+            },
+            mac: scenario.mac || 'token',
+            seed: scenario.seed,
+            arq: Object.assign({ mode: 'off' }, scenario.arq),
+            groups: scenario.groups || {},
+            allowDuplicates: !!scenario.allowDuplicates,
+            messageQueue: scenario.messageQueue
+        });
+    }
+
+    /**
+     * Packs a scenario into a compact URL hash such as
+     * "#v=3&n=6&g=ring&o=3&b=4-5&t=1&q=1-6" (ring of 6 PCs, PC 3 off, wire 4-5 broken, token at PC 1,
+     * PC 1 queued to send to PC 6). A running token that was lost is written with why: "t=lost~wire-broken". Noisy wires are written as "w=2-3~0.001~0.1~50~10~9600": the wire,
+     * then its bit error rate, drop probability, latency, jitter and bandwidth. The wires of removed PCs are
+     * written the same way after whether they are broken: "dw=2-3~1~0~0~0~0~0". "rm=gap" leaves gaps where
+     * PCs were removed instead of splicing their neighbours together. Faulty PCs are written as
+ * "f=3~bypass,4~drop-nth~3": the PC, the fault mode and its setting. Reliable delivery is written as
+     * "a=go-back-n~20~3~4": the mode, then the timeout in seconds, the retries and the window.
+     * Multicast groups are written as "m=odd~1.3.5", and queued messages to a group as "q=2-odd" or "q=2-all".
+     * A queued message with a priority above 0 carries it after a "~" ("q=1-6~5"); the token holding time
+     * is written in seconds as "th=10" and "u=1" lets nodes queue duplicate sends. A contention protocol
+     * replacing token passing is written as "mac=csma-cd", the random seed as "s=1234" and the traffic
+     * generator settings as "tr=poisson~2~1~3~50~30": arrivals, rate per PC per minute, burst size,
+     * hotspot PC (empty for none), hotspot share in percent and duration in seconds.
+     * Fields equal to their defaults are left out, and so are the payloads of queued messages.
+     * @param {Object} scenario - Scenario document
+     * @returns {string} - Hash including the leading "#"
+     */
+    function encodeScenarioHash(scenario) {
+        const fields = [
+            ['v', scenario.version],
+            ['n', scenario.maxNodeId],
+            ['g', scenario.topology === undefined || scenario.topology === 'chain' ? '' : scenario.topology],
+            ['r', scenario.removedNodes.join(',')],
+            ['rm', scenario.removal === 'gap' ? 'gap' : ''],
+            ['o', scenario.nodes.filter(node => node.poweredOff).map(node => node.id).join(',')],
+            ['f', scenario.nodes.filter(node => node.fault).map(node => {
+                const { setting } = Simulation.NODE_FAULTS[node.fault.mode];
+                return [node.id, node.fault.mode].concat(setting ? [node.fault[setting.name]] : []).join('~');
+            }).join(',')],
+            ['b', (scenario.brokenLinks || []).map(pair => pair.join('-')).join(',')],
+            ['w', (scenario.noisyLinks || [])
+                .map(entry => [entry.link.join('-')].concat(QUALITY_FIELDS.map(key => entry[key] || 0)).join('~'))
+                .join(',')],
+            ['dw', (scenario.detachedLinks || [])
+                .map(entry => [entry.link.join('-'), entry.broken ? 1 : 0].concat(QUALITY_FIELDS.map(key => entry[key] || 0)).join('~'))
+                .join(',')],
+            ['h', scenario.hubFailed ? 1 : ''],
+            ['t', !scenario.token.active ? 'off' : scenario.token.lost ? `lost~${scenario.token.lost.reason}` : scenario.token.currentNode],
+            ['d', scenario.token.direction === 1 ? '' : scenario.token.direction],
+            ['i', scenario.token.interval === 3000 ? '' : scenario.token.interval / 1000],
+            ['th', scenario.token.holdingTime === undefined || scenario.token.holdingTime === Simulation.HOLDING_TIME ?
+                '' : scenario.token.holdingTime / 1000],
+            ['mac', scenario.mac === undefined || scenario.mac === 'token' ? '' : scenario.mac],
+            ['s', scenario.seed],
+            ['tr', scenario.traffic ? (() => {
+                const traffic = Object.assign({}, Traffic.TRAFFIC, scenario.traffic);
+                return [
+                    traffic.arrival,
+                    traffic.rate,
+                    traffic.burstSize,
+                    traffic.hotspot === null ? '' : traffic.hotspot,
+                    Math.round(traffic.hotspotShare * 100),
+                    traffic.duration / 1000
+                ].join('~');
+            })() : ''],
+            ['a', !scenario.arq || scenario.arq.mode === 'off' ? '' : [
+                scenario.arq.mode,
+                (scenario.arq.timeout === undefined ? Simulation.ARQ.timeout : scenario.arq.timeout) / 1000,
+                scenario.arq.maxRetries === undefined ? Simulation.ARQ.maxRetries : scenario.arq.maxRetries,
+                scenario.arq.windowSize === undefined ? Simulation.ARQ.windowSize : scenario.arq.windowSize
+            ].join('~')],
+            ['m', Object.entries(scenario.groups || {}).map(([name, members]) => `${name}~${members.join('.')}`).join(',')],
+            ['u', scenario.allowDuplicates ? 1 : ''],
+            ['q', scenario.messageQueue
+                .map(msg => `${msg.sourceNode}-${msg.destinationNode}` + (msg.priority > 0 ? `~${msg.priority}` : ''))
+                .join(',')],
+            ['ip', Object.entries(scenario.nodeIPs || {})
+                .filter(([id, ip]) => Number(id) <= scenario.maxNodeId && ip !== Simulation.generateIPAddress(Number(id)))
+                .map(([id, ip]) => `${id}:${ip}`)
+                .join(',')]
+        ];
+
+        return '#' + fields
+            .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+    }
+
+    /**
+     * Checks whether a URL hash carries a scenario
+     * @param {string} hash - e.g. window.location.hash
+     * @returns {boolean}
+     */
+    function hasScenarioHash(hash) {
+        return /^#?(.*&)?n=/.test(hash || '');
+    }
+
+    /**
+     * Unpacks and validates a scenario from a URL hash
+     * @param {string} hash - Hash produced by encodeScenarioHash (leading "#" optional)
+     * @returns {Object} - The validated scenario
+     * @throws {ScenarioError} - If the hash is malformed or describes an invalid scenario
+     */
+    function decodeScenarioHash(hash) {
+        const fields = {};
+        const problems = [];
+
+        hash.replace(/^#/, '').split('&').filter(Boolean).forEach(part => {
+            const separator = part.indexOf('=');
+            if (separator === -1) {
+                problems.push(`"${part}" is not a key=value field`);
+                return;
+            }
+            const key = part.slice(0, separator);
+            try {
+                fields[key] = decodeURIComponent(part.slice(separator + 1));
+            } catch (error) {
+                if (!(error instanceof URIError)) throw error;
+                problems.push(`field ${key} is not valid URL encoding`);
+            }
+        });
+
+        const list = key => (fields[key] || '').split(',').filter(Boolean);
+        const number = (text, field) => {
+            const value = Number(text);
+            if (text === '' || !Number.isFinite(value)) {
+                problems.push(`${field}: "${text}" is not a number`);
+            }
+            return value;
+        };
+        const pair = (text, field) => {
+            const ends = text.split('-');
+            if (ends.length !== 2) {
+                problems.push(`${field}: "${text}" must be two node IDs joined by "-"`);
+                return [NaN, NaN];
+            }
+            return ends.map(end => number(end, field));
+        };
+
+        const maxNodeId = number(fields.n || '', 'n (number of PCs)');
+        const removedNodes = list('r').map(id => number(id, 'r (removed PCs)'));
+        const poweredOff = list('o').map(id => number(id, 'o (powered-off PCs)'));
+        const nodes = [];
+        for (let id = 1; id <= maxNodeId && id <= Simulation.MAX_NODE_ID; id++) {
+            if (!removedNodes.includes(id)) {
+                nodes.push({ id, poweredOff: poweredOff.includes(id) });
+            }
+        }
+        poweredOff.filter(id => !nodes.some(node => node.id === id)).forEach(id => {
+            problems.push(`o (powered-off PCs): PC ${id} is not in the network`);
+        });
+        list('f').forEach(entry => {
+            const [id, mode, value] = entry.split('~');
+            const node = nodes.find(candidate => candidate.id === number(id, 'f (faulty PCs)'));
+            if (!node) {
+                problems.push(`f (faulty PCs): PC ${id} is not in the network`);
+                return;
+            }
+            const { setting } = Simulation.NODE_FAULTS[mode] || {};
+            node.fault = { mode };
+            if (setting) {
+                node.fault[setting.name] = value === undefined ? setting.value : number(value, 'f (faulty PCs)');
+            }
+        });
+
+        const nodeIPs = {};
+        list('ip').forEach(entry => {
+            const [id, ip] = entry.split(':');
+            nodeIPs[id] = ip;
+        });
+
+        const groups = {};
+        list('m').forEach(entry => {
+            const [name, members = ''] = entry.split('~');
+            groups[name] = members.split('.').filter(Boolean).map(id => number(id, 'm (multicast groups)'));
+        });
+
+        const tokenField = fields.t === undefined ? 'off' : fields.t;
+        const [tokenHolder, lostReason] = tokenField.split('~');
+        const scenario = {
+            format: FORMAT,
+            version: fields.v === undefined ? VERSION : number(fields.v, 'v (version)'),
+            topology: fields.g === undefined ? 'chain' : fields.g,
+            removal: fields.rm === undefined ? 'splice' : fields.rm,
+            maxNodeId,
+            nodes,
+            removedNodes,
+            nodeIPs,
+            brokenLinks: list('b').map(text => pair(text, 'b (broken wires)')),
+            noisyLinks: list('w').map(text => {
+                const [wire, ...values] = text.split('~');
+                const entry = { link: pair(wire, 'w (noisy wires)') };
+                QUALITY_FIELDS.forEach((key, index) => {
+                    entry[key] = values[index] === undefined ? 0 : number(values[index], 'w (noisy wires)');
+                });
+                return entry;
+            }),
+            detachedLinks: list('dw').map(text => {
+                const [wire, broken, ...values] = text.split('~');
+                const entry = {
+                    link: pair(wire, 'dw (wires of removed PCs)'),
+                    broken: broken === '1' || (broken === '0' || broken === undefined ? false : broken)
+                };
+                QUALITY_FIELDS.forEach((key, index) => {
+                    entry[key] = values[index] === undefined ? 0 : number(values[index], 'dw (wires of removed PCs)');
+                });
+                return entry;
+            }),
+            hubFailed: fields.h === '1',
+            token: {
+                active: tokenField !== 'off',
+                currentNode: tokenField === 'off' || tokenHolder === 'lost' ? null : number(tokenField, 't (token holder)'),
+                lost: tokenHolder === 'lost' ? { reason: lostReason || 'purged' } : null,
+                direction: fields.d === undefined ? 1 : number(fields.d, 'd (token direction)'),
+                interval: fields.i === undefined ? 3000 : number(fields.i, 'i (token interval)') * 1000,
+                holdingTime: fields.th === undefined ? Simulation.HOLDING_TIME : number(fields.th, 'th (token holding time)') * 1000
+            },
+            mac: fields.mac === undefined ? 'token' : fields.mac,
+            arq: fields.a === undefined ? { mode: 'off' } : (() => {
+                const [mode, timeout, maxRetries, windowSize] = fields.a.split('~');
+                return {
+                    mode,
+                    timeout: timeout === undefined ? Simulation.ARQ.timeout : number(timeout, 'a (reliable delivery)') * 1000,
+                    maxRetries: maxRetries === undefined ? Simulation.ARQ.maxRetries : number(maxRetries, 'a (reliable delivery)'),
+                    windowSize: windowSize === undefined ? Simulation.ARQ.windowSize : number(windowSize, 'a (reliable delivery)')
+                };
+            })(),
+            groups,
+            allowDuplicates: fields.u === '1',
+            messageQueue: list('q').map(entry => {
+                const [text, priority] = entry.split('~');
+                const message = priority === undefined ? {} : { priority: number(priority, 'q (queued messages)') };
+
+                // A destination that is not a number is "all" or a group name
+                const separator = text.indexOf('-');
+                const destination = text.slice(separator + 1);
+                if (separator !== -1 && !/^\d+$/.test(destination)) {
+                    return Object.assign({
+                        sourceNode: number(text.slice(0, separator), 'q (queued messages)'),
+                        destinationNode: destination
+                    }, message);
+                }
+                const [sourceNode, destinationNode] = pair(text, 'q (queued messages)');
+                return Object.assign({ sourceNode, destinationNode }, message);
+            })
+        };
+
+        if (fields.s !== undefined) {
+            scenario.seed = number(fields.s, 's (random seed)');
+        }
+        if (fields.tr !== undefined) {
+            const [arrival, rate, burstSize, hotspot, share, duration] = fields.tr.split('~');
+            const setting = (text, fallback) => text === undefined ? fallback : number(text, 'tr (traffic)');
+            scenario.traffic = {
+                arrival,
+                rate: setting(rate, Traffic.TRAFFIC.rate),
+                burstSize: setting(burstSize, Traffic.TRAFFIC.burstSize),
+                hotspot: hotspot === undefined || hotspot === '' ? null : number(hotspot, 'tr (traffic)'),
+                hotspotShare: setting(share, Traffic.TRAFFIC.hotspotShare * 100) / 100,
+                duration: setting(duration, Traffic.TRAFFIC.duration / 1000) * 1000
+            };
+        }
+
+        validateScenario(scenario).forEach(problem => problems.push(problem));
+        if (problems.length > 0) {
+            const count = problems.length === 1 ? '1 problem' : `${problems.length} problems`;
+            throw new ScenarioError(`Invalid scenario link (${count}): ${problems[0]}`, problems);
+        }
+        return scenario;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        ScenarioError,
+        exportScenario,
+        validateScenario,
+        parseScenario,
+        importScenario,
+        encodeScenarioHash,
+        hasScenarioHash,
+        decodeScenarioHash
+    };
+}));
@@ -0,0 +1,384 @@
+/**
+ * Scenario scripts: lab exercises written as timed steps and expectations.
+ *
+ * A script is plain text, one statement per line (or several separated by ";"),
+ * with "#" starting a comment:
+ *
+ *     network chain 5
+ *     at t=5 break wire 2-3
+ *     at t=6 send 1 -> 5
+ *     expect failure at wire 2-3
+ *
+ * The runner plays the script on its own copy of a network, driven by its own
+ * simulated clock, so a run finishes instantly and leaves the live simulation
+ * untouched. Every expectation passes or fails on its own, which is what an
+ * auto-graded exercise needs.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./clock.js'), require('./simulation.js'), require('./topology.js'),
+            require('./random.js'));
+    } else {
+        root.ScenarioScript = factory(root.SimClock, root.Simulation, root.Topology, root.SimRandom);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SimClock, Simulation, Topology, SimRandom) {
+    'use strict';
+
+    // Simulated time a run goes on after its last timed step, unless the script ends it with "run until"
+    const SETTLE_TIME = 30000;
+
+    // PCs of the network a script starts from when it has neither a "network" line nor a starting state
+    const DEFAULT_NODES = 5;
+
+    // Seed of the random choices (noise, jitter, backoff) of a script without a "seed" line,
+    // so a script grades the same on every run
+    const DEFAULT_SEED = 1;
+
+    /**
+     * Error thrown for a script that cannot be read
+     * @property {string[]} problems - One message per problem, each starting with its line number
+     */
+    class ScriptError extends Error {
+        constructor(message, problems = []) {
+            super(message);
+            this.name = 'ScriptError';
+            this.problems = problems;
+        }
+    }
+
+    const NUMBER = '(\\d+(?:\\.\\d+)?)';
+    const NODE = '(?:pc|node)\\s+(\\d+)';
+    const WIRE = 'wire\\s+(\\d+)\\s*-\\s*(\\d+)';
+    const PAIR = '(\\d+)\\s*(?:->|→|\\bto\\b)\\s*([\\w-]+)';
+
+    // One pattern per kind of statement; build turns the captured groups into a step
+    const STATEMENTS = [
+        {
+            pattern: `network\\s+([\\w-]+)\\s+(\\d+)`,
+            setup: true,
+            build: ([topology, count]) => ({ action: 'network', topology: topology.toLowerCase(), count: Number(count) })
+        },
+        {
+            pattern: 'seed\\s+(\\d+)',
+            setup: true,
+            build: ([seed]) => ({ action: 'seed', seed: Number(seed) })
+        },
+        {
+            pattern: `run\\s+until\\s+t\\s*=\\s*${NUMBER}\\s*s?`,
+            setup: true,
+            build: ([seconds]) => ({ action: 'end', end: Number(seconds) * 1000 })
+        },
+        {
+            pattern: 'add\\s+(?:pc|node)',
+            build: () => ({ action: 'add' })
+        },
+        {
+            pattern: `remove\\s+${NODE}`,
+            build: ([nodeId]) => ({ action: 'remove', nodeId: Number(nodeId) })
+        },
+        {
+            pattern: `power\\s+(on|off)\\s+${NODE}`,
+            build: ([state, nodeId]) => ({ action: 'power', nodeId: Number(nodeId), poweredOn: state.toLowerCase() === 'on' })
+        },
+        {
+            pattern: `(break|repair)\\s+${WIRE}`,
+            build: ([verb, a, b]) => ({ action: 'wire', linkId: Topology.linkId(Number(a), Number(b)), broken: verb.toLowerCase() === 'break' })
+        },
+        {
+            pattern: '(break|repair)\\s+hub',
+            build: ([verb]) => ({ action: 'hub', failed: verb.toLowerCase() === 'break' })
+        },
+        {
+            pattern: `send\\s+${PAIR}(?:\\s+"([^"]*)")?(?:\\s+priority\\s+(\\d+))?`,
+            build: ([source, destination, payload, priority]) => ({
+                action: 'send',
+                sourceNode: Number(source),
+                destinationNode: toDestination(destination),
+                payload: payload || '',
+                priority: priority === undefined ? Simulation.PRIORITY.lowest : Number(priority)
+            })
+        },
+        {
+            pattern: `expect\\s+(no\\s+)?(delivery|failure)(?:\\s+${PAIR})?` +
+                `(?:\\s+at\\s+(?:${WIRE}|${NODE}))?(?:\\s+reason\\s+([\\w-]+))?`,
+            build: ([negated, outcome, source, destination, a, b, nodeId, reason]) => ({
+                expect: outcome.toLowerCase(),
+                negated: Boolean(negated),
+                sourceNode: source === undefined ? null : Number(source),
+                destinationNode: destination === undefined ? null : toDestination(destination),
+                linkId: a === undefined ? null : Topology.linkId(Number(a), Number(b)),
+                nodeId: nodeId === undefined ? null : Number(nodeId),
+                reason: reason ? reason.toLowerCase() : null
+            })
+        },
+        {
+            pattern: `expect\\s+token\\s+at\\s+${NODE}`,
+            build: ([nodeId]) => ({ expect: 'token', nodeId: Number(nodeId) })
+        },
+        {
+            pattern: `expect\\s+${NODE}\\s+(on|off)`,
+            build: ([nodeId, state]) => ({ expect: 'power', nodeId: Number(nodeId), poweredOn: state.toLowerCase() === 'on' })
+        },
+        {
+            pattern: `expect\\s+${WIRE}\\s+(broken|ok)`,
+            build: ([a, b, state]) => ({ expect: 'wire', linkId: Topology.linkId(Number(a), Number(b)), broken: state.toLowerCase() === 'broken' })
+        }
+    ].map(statement => Object.assign({}, statement, { regex: new RegExp(`^${statement.pattern}$`, 'i') }));
+
+    // A PC number, or a broadcast or group name
+    function toDestination(text) {
+        return /^\d+$/.test(text) ? Number(text) : text.toLowerCase() === Simulation.BROADCAST ? Simulation.BROADCAST : text;
+    }
+
+    // Splits a line at the separators and comment signs that are not inside a quoted payload
+    function splitStatements(line) {
+        const statements = [''];
+        let quoted = false;
+        for (const char of line) {
+            if (char === '"') quoted = !quoted;
+            if (!quoted && char === '#') break;
+            if (!quoted && char === ';') {
+                statements.push('');
+            } else {
+                statements[statements.length - 1] += char;
+            }
+        }
+        return statements.map(statement => statement.trim()).filter(Boolean);
+    }
+
+    /**
+     * Reads a script
+     * @param {string} text - Script source
+     * @returns {Object[]} - Steps in script order: { line, text, time (ms, null for setup lines and
+     *   expectations checked at the end), action or expect, and the fields of the statement }
+     * @throws {ScriptError} - If a line cannot be read; every problem is listed
+     */
+    function parseScript(text) {
+        const steps = [];
+        const problems = [];
+
+        String(text).split(/\r?\n/).forEach((source, index) => {
+            splitStatements(source).forEach(statement => {
+                const line = index + 1;
+                const timed = statement.match(new RegExp(`^at\\s+t\\s*=\\s*${NUMBER}\\s*s?\\s+(.+)$`, 'i'));
+                const body = (timed ? timed[2] : statement).trim();
+                const kind = STATEMENTS.find(candidate => candidate.regex.test(body));
+                if (!kind) {
+                    problems.push(`line ${line}: cannot read "${statement}"`);
+                    return;
+                }
+                if (kind.setup && timed) {
+                    problems.push(`line ${line}: "${body}" cannot be timed, put it on a line of its own`);
+                    return;
+                }
+
+                const step = Object.assign({ line, text: statement, time: timed ? Number(timed[1]) * 1000 : null },
+                    kind.build(body.match(kind.regex).slice(1)));
+                if (step.action === 'network' && !Topology.isTopology(step.topology)) {
+                    problems.push(`line ${line}: topology must be one of: ${Object.keys(Topology.TOPOLOGIES).join(', ')}`);
+                } else if (step.action === 'network' && step.count < 2) {
+                    problems.push(`line ${line}: a network needs at least 2 PCs`);
+                } else if (step.action === 'network' && step.count > Simulation.MAX_NODE_ID) {
+                    problems.push(`line ${line}: a network can have at most ${Simulation.MAX_NODE_ID} PCs`);
+                } else if (step.action === 'seed' && !SimRandom.isValidSeed(step.seed)) {
+                    problems.push(`line ${line}: seed must be a whole number from 0 to ${SimRandom.MAX_SEED}`);
+                } else if (step.action && !kind.setup && step.time === null) {
+                    problems.push(`line ${line}: "${body}" needs a time, e.g. "at t=5 ${body}"`);
+                } else {
+                    steps.push(step);
+                }
+            });
+        });
+
+        const end = steps.find(step => step.action === 'end');
+        if (end) {
+            steps.filter(step => step.time !== null && step.time > end.end).forEach(step => {
+                problems.push(`line ${step.line}: t=${step.time / 1000} comes after the end of the run at t=${end.end / 1000}`);
+            });
+        }
+
+        if (problems.length > 0) {
+            const count = problems.length === 1 ? '1 problem' : `${problems.length} problems`;
+            throw new ScriptError(`Invalid script (${count}): ${problems[0]}`, problems);
+        }
+        return steps;
+    }
+
+    function describeOutcome(outcome) {
+        const pair = `${outcome.sourceNode} -> ${outcome.destinationNode}`;
+        const place = outcome.linkId ? ` at wire ${outcome.linkId}` : outcome.nodeId !== null ? ` at PC ${outcome.nodeId}` : '';
+        const reason = outcome.reason ? ` (${outcome.reason})` : '';
+        return `${outcome.kind} ${pair}${place}${reason} at ${SimClock.formatTime(outcome.time)}`;
+    }
+
+    // Whether a delivery or failure matches what an expectation asks for
+    function matchesOutcome(step, outcome) {
+        if (outcome.kind !== step.expect) return false;
+        if (step.sourceNode !== null && outcome.sourceNode !== step.sourceNode) return false;
+        if (step.destinationNode !== null && String(outcome.destinationNode) !== String(step.destinationNode)) return false;
+        if (step.reason !== null && outcome.reason !== step.reason && outcome.lastReason !== step.reason) return false;
+        if (step.linkId !== null && outcome.linkId !== step.linkId && outcome.lastLinkId !== step.linkId) return false;
+        if (step.nodeId !== null && outcome.nodeId !== step.nodeId && outcome.lastNodeId !== step.nodeId) return false;
+        return true;
+    }
+
+    /**
+     * Plays a script on a copy of a network and checks its expectations
+     * @param {string|Object[]} script - Script source, or steps from parseScript
+     * @param {Object} [options]
+     * @param {Object} [options.state] - Network to start from, captured with sim.snapshot(); a "network"
+     *   line replaces it, and without either the run starts from a chain of DEFAULT_NODES PCs
+     * @returns {Object} - { passed, expectations: [{ line, text, time, passed, detail }],
+     *   errors: [{ line, text, message }] for steps that could not be carried out, endTime }
+     * @throws {ScriptError} - If the script cannot be read
+     */
+    function runScript(script, options = {}) {
+        const steps = typeof script === 'string' ? parseScript(script) : script;
+        const clock = SimClock.createClock();
+        const sim = Simulation.createSimulation({ scheduler: clock, seed: DEFAULT_SEED });
+        const expectations = [];
+        const errors = [];
+
+        // Deliveries and failures in the order they happened
+        const outcomes = [];
+        const record = kind => event => {
+            const last = event.lastFailure || {};
+            outcomes.push({
+                kind,
+                time: event.time,
+                sourceNode: event.sourceNode,
+                destinationNode: event.destinationNode,
+                linkId: event.linkId || null,
+                nodeId: event.nodeId === undefined ? null : event.nodeId,
+                reason: event.reason || null,
+                lastLinkId: last.linkId || null,
+                lastNodeId: last.nodeId === undefined ? null : last.nodeId,
+                lastReason: last.reason || null
+            });
+        };
+        sim.on('transmission:delivered', record('delivery'));
+        sim.on('transmission:failed', record('failure'));
+        sim.on('message:rejected', record('failure'));
+
+        // The starting network
+        const network = steps.filter(step => step.action === 'network').pop();
+        if (network || !options.state) {
+            sim.clear();
+            for (let i = 0; i < (network ? network.count : DEFAULT_NODES); i++) {
+                sim.addNode();
+            }
+            sim.setTopology(network ? network.topology : 'chain');
+            sim.startTokenPassing();
+        } else {
+            sim.restore(options.state);
+        }
+        const seed = steps.filter(step => step.action === 'seed').pop();
+        sim.setSeed(seed ? seed.seed : DEFAULT_SEED);
+
+        function fail(step, message) {
+            errors.push({ line: step.line, text: step.text, message });
+        }
+
+        const hasNode = nodeId => Boolean(sim.network.nodes[nodeId]);
+
+        function perform(step) {
+            switch (step.action) {
+                case 'add':
+                    sim.addNode();
+                    break;
+                case 'remove':
+                    if (!sim.removeNode(step.nodeId)) fail(step, `PC ${step.nodeId} could not be removed`);
+                    break;
+                case 'power':
+                    if (hasNode(step.nodeId)) {
+                        sim.setNodePower(step.nodeId, step.poweredOn);
+                    } else {
+                        fail(step, `there is no PC ${step.nodeId}`);
+                    }
+                    break;
+                case 'wire':
+                    if (sim.network.connections.some(link => link.id === step.linkId)) {
+                        sim.setWireBroken(step.linkId, step.broken);
+                    } else {
+                        fail(step, `there is no wire ${step.linkId}`);
+                    }
+                    break;
+                case 'hub':
+                    if (sim.network.hub) {
+                        sim.setHubFailed(step.failed);
+                    } else {
+                        fail(step, 'this topology has no hub');
+                    }
+                    break;
+                case 'send':
+                    if (hasNode(step.sourceNode)) {
+                        sim.sendMessage(step.sourceNode, step.destinationNode, step.payload, step.priority);
+                    } else {
+                        fail(step, `there is no PC ${step.sourceNode} to send from`);
+                    }
+                    break;
+            }
+        }
+
+        function check(step) {
+            const time = clock.now();
+            let passed;
+            let detail;
+
+            if (step.expect === 'delivery' || step.expect === 'failure') {
+                const match = outcomes.find(outcome => matchesOutcome(step, outcome));
+                passed = step.negated ? !match : Boolean(match);
+                if (match) {
+                    detail = describeOutcome(match);
+                } else {
+                    const seen = outcomes.filter(outcome => outcome.kind === step.expect);
+                    detail = seen.length > 0 ?
+                        `no match by ${SimClock.formatTime(time)}; last ${step.expect}: ${describeOutcome(seen[seen.length - 1])}` :
+                        `no ${step.expect} by ${SimClock.formatTime(time)}`;
+                }
+            } else if (step.expect === 'token') {
+                const holder = sim.token.isActive ? sim.token.currentNode : null;
+                passed = holder === step.nodeId;
+                detail = holder === null ? 'the token is not circulating' : `the token is at PC ${holder}`;
+            } else if (step.expect === 'power') {
+                passed = hasNode(step.nodeId) && sim.isPoweredOff(step.nodeId) !== step.poweredOn;
+                detail = !hasNode(step.nodeId) ? `there is no PC ${step.nodeId}` :
+                    `PC ${step.nodeId} is ${sim.isPoweredOff(step.nodeId) ? 'off' : 'on'}`;
+            } else {
+                const link = sim.network.connections.find(candidate => candidate.id === step.linkId);
+                passed = Boolean(link) && link.broken === step.broken;
+                detail = !link ? `there is no wire ${step.linkId}` : `wire ${step.linkId} is ${link.broken ? 'broken' : 'ok'}`;
+            }
+
+            expectations.push({ line: step.line, text: step.text, time, passed, detail });
+        }
+
+        const timed = steps.filter(step => step.time !== null);
+        timed.forEach(step => {
+            clock.setTimeout(() => (step.expect ? check(step) : perform(step)), step.time, `Script line ${step.line}`);
+        });
+
+        const end = steps.find(step => step.action === 'end');
+        const endTime = end ? end.end : Math.max(0, ...timed.map(step => step.time)) + SETTLE_TIME;
+        clock.runUntil(endTime);
+        steps.filter(step => step.expect && step.time === null).forEach(check);
+
+        // Expectations in script order, whenever they were checked
+        expectations.sort((a, b) => a.line - b.line);
+        return {
+            passed: errors.length === 0 && expectations.every(expectation => expectation.passed),
+            expectations,
+            errors,
+            endTime
+        };
+    }
+
+    return {
+        SETTLE_TIME,
+        DEFAULT_NODES,
+        DEFAULT_SEED,
+        ScriptError,
+        parseScript,
+        runScript
+    };
+}));
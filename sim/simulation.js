@@ -0,0 +1,2993 @@
+/**
+ * Headless simulation core for the daisy chain network.
+ *
+ * Holds the network model (nodes, links, token and message queues) as plain
+ * data and announces every state change on an event stream. Nothing in here
+ * touches the DOM: daisy.js subscribes to the events to render the network,
+ * and the same core can be required from Node to run scenarios without a browser.
+ * Every random choice (noise on the wires, jitter, backoff) is drawn from a
+ * generator seeded with network.seed, so a run can be repeated exactly.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topology.js'), require('./frame.js'), require('./random.js'));
+    } else {
+        root.Simulation = factory(root.Topology, root.Frame, root.SimRandom);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Topology, Frame, SimRandom) {
+    'use strict';
+
+    // Timing of a data packet transmission in milliseconds
+    const TIMING = {
+        startDelay: 800,     // Pause before the source node starts sending
+        hopDuration: 1500,   // Time to cross one wire at 1x speed (scaled by network speed)
+        nodeDwell: 300,      // Pause at each node the packet reaches
+        finishDelay: 500,    // Pause at the destination before reporting delivery
+        queueDelay: 100      // Delay before checking the queue once a transfer ends
+    };
+
+    // Active monitor timers of the token passing protocol (IEEE 802.5)
+    const MONITOR = {
+        lossTimeout: 2.5,    // Token intervals without a token pass before the monitor declares the token lost
+        standbyTimeout: 1.5, // Token intervals before the standby monitors notice the active monitor is gone
+        claimDuration: 1000, // Time the claim-token election takes in milliseconds
+        purgeDuration: 500   // Time the monitor spends purging the ring before issuing a new token
+    };
+
+    // Error settings of a wire, all off by default
+    const LINK_QUALITY = {
+        bitErrorRate: 0,     // Probability that any single bit is flipped while crossing the wire
+        dropProbability: 0,  // Probability that a frame is lost on the wire
+        latency: 0,          // Delay added to every crossing in milliseconds
+        jitter: 0,           // Random variation of the delay, up to this many milliseconds either way
+        bandwidth: 0         // Bits per second the wire carries, 0 for no limit; a frame takes its length over it longer to cross
+    };
+
+    // Ways a powered-on node can misbehave. Each mode but bypass has one setting: its name,
+    // default value and limits.
+    const NODE_FAULTS = {
+        // Repeats frames and the token without reading them: never takes the token, sends or receives
+        'bypass': { label: 'Bypass relay', setting: null },
+        // Loses every Nth frame or token that reaches it
+        'drop-nth': { label: 'Drops every Nth frame', setting: { name: 'every', value: 3, min: 2, max: 100, integer: true } },
+        // Holds every frame and the token this many milliseconds longer
+        'slow': { label: 'Slow', setting: { name: 'delay', value: 2000, min: 0, max: 60000, integer: false } },
+        // Flips the bits it repeats at this rate, like a noisy wire; a flipped bit destroys the token
+        'babbling': { label: 'Babbling', setting: { name: 'errorRate', value: 0.01, min: 0, max: 1, integer: false } }
+    };
+
+    // Bits of a token on the wire: start delimiter, access control and end delimiter
+    const TOKEN_BITS = 24;
+
+    // Priority levels of queued messages (IEEE 802.5 uses three priority bits)
+    const PRIORITY = {
+        lowest: 0,
+        highest: 7
+    };
+
+    // Default Token Holding Time in milliseconds
+    const HOLDING_TIME = 10000;
+
+    // Highest PC ID a saved, shared or scripted network may use
+    const MAX_NODE_ID = 1000;
+
+    // Medium access control protocols: how a node gets the right to send. Token passing
+    // waits for the token; the others contend for the medium and may collide.
+    const MAC_PROTOCOLS = {
+        'token': { label: 'Token passing', contention: false, slotted: false, carrierSense: false },
+        'aloha': { label: 'Pure ALOHA', contention: true, slotted: false, carrierSense: false },
+        'slotted-aloha': { label: 'Slotted ALOHA', contention: true, slotted: true, carrierSense: false },
+        'csma-cd': { label: 'CSMA/CD', contention: true, slotted: false, carrierSense: true }
+    };
+
+    // Timing of the contention protocols in milliseconds
+    const CONTENTION = {
+        propagationDelay: 400, // Time before the other nodes hear a node start; nodes starting closer together collide
+        slotTime: 2000,        // Slotted ALOHA slot length and the backoff unit
+        jamTime: 300,          // Jam signal a CSMA/CD node sends once it detects a collision
+        maxAttempts: 16,       // Collisions before a node gives the message up
+        backoffLimit: 10       // Collisions after which the backoff range stops doubling
+    };
+
+    // Destination of a message to every other PC; any other text names a multicast group
+    const BROADCAST = 'all';
+
+    /**
+     * Checks whether a text can name a multicast group
+     * @param {*} name - Candidate name
+     * @returns {boolean} - True for a letter followed by up to 19 letters, digits, "-" or "_" (except "all")
+     */
+    function isGroupName(name) {
+        return typeof name === 'string' && /^[A-Za-z][\w-]{0,19}$/.test(name) && name !== BROADCAST;
+    }
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    /**
+     * Reduces a node fault to its mode and the mode's setting, the default filling in for a missing setting
+     * @param {Object} fault - { mode (a key of NODE_FAULTS), and every, delay or errorRate }
+     * @returns {Object} - { mode } plus the setting, if the mode has one
+     */
+    function faultSettings(fault) {
+        const { setting } = NODE_FAULTS[fault.mode] || {};
+        const settings = { mode: fault.mode };
+        if (setting) {
+            settings[setting.name] = fault[setting.name] === undefined ? setting.value : fault[setting.name];
+        }
+        return settings;
+    }
+
+    /**
+     * Checks a node fault: a known mode with its setting in range
+     * @param {*} fault - Candidate fault, e.g. { mode: 'drop-nth', every: 3 }
+     * @returns {boolean}
+     */
+    function isNodeFault(fault) {
+        if (!isPlainObject(fault) ||
+            !Object.prototype.hasOwnProperty.call(NODE_FAULTS, fault.mode)) return false;
+
+        const { setting } = NODE_FAULTS[fault.mode];
+        if (!setting) return true;
+        const value = fault[setting.name];
+        return typeof value === 'number' && value >= setting.min && value <= setting.max &&
+            (!setting.integer || Number.isInteger(value));
+    }
+
+    // Reliable delivery (automatic repeat request): the modes and their default settings
+    const ARQ_MODES = ['off', 'stop-and-wait', 'go-back-n'];
+    const ARQ = {
+        timeout: 20000,      // Time the sender waits for an acknowledgement before sending again, in milliseconds
+        maxRetries: 3,       // Times a frame is sent again before the message is given up
+        windowSize: 4,       // Frames a Go-Back-N sender may send before the first is acknowledged
+        segmentSize: 16      // Payload characters per frame; longer payloads are split over several frames
+    };
+
+    // Default scheduler backed by the real timers
+    const realTimeScheduler = {
+        setTimeout: (callback, ms) => setTimeout(callback, ms),
+        clearTimeout: handle => clearTimeout(handle),
+        now: () => Date.now()
+    };
+
+    /**
+     * Generates a unique IP address for a node
+     * @param {number} nodeId - The ID of the node
+     * @returns {string} - The generated IP address
+     */
+    function generateIPAddress(nodeId) {
+        // Generate IP in format 192.168.1.xxx where xxx is based on nodeId
+        return `192.168.1.${100 + nodeId}`;
+    }
+
+    const linkId = Topology.linkId;
+
+    /**
+     * Creates an independent simulation instance
+     * @param {Object} [options]
+     * @param {Object} [options.scheduler] - Object with setTimeout, clearTimeout and now (e.g. a SimClock); defaults to real timers
+     * @param {number} [options.seed] - Seed of the random numbers for noise, jitter and backoff; a random seed by default
+     * @param {Function} [options.random] - Source of random numbers in [0, 1) to use instead of the seeded generator
+     * @returns {Object} - The simulation with its state and operations
+     */
+    function createSimulation(options = {}) {
+        const scheduler = options.scheduler || realTimeScheduler;
+        const initialSeed = options.seed === undefined ? SimRandom.randomSeed() : options.seed;
+        let random = options.random || SimRandom.createRandom(initialSeed);
+        const listeners = {};
+        const dispatching = [];    // Events being published, innermost last (handlers can publish more)
+        let nextFlightId = 1;
+
+        // Contention state of the ALOHA and CSMA/CD protocols
+        const contention = {
+            stations: {},          // Nodes trying to send the head of their queue, keyed by ID: { attempts, timer, deferred }
+            window: null,          // Attempts that started within one propagation delay: { start, contenders, timer }
+            current: null          // The node that won the medium and the message it sends: { nodeId, message, attempts }
+        };
+
+        // Network state management
+        const network = {
+            nodes: {},              // Node models keyed by ID: { id, poweredOff, fault (null or see NODE_FAULTS), framesSeen }
+            connections: [],        // Links between wired nodes, in chain order: { id, a, b, broken, ...LINK_QUALITY }
+            wires: {},              // Every link the network has had, keyed by link ID, so its state survives being unwired
+            removal: 'splice',      // What the wires of a removed node become (see Topology.REMOVAL_MODES)
+            topology: 'chain',      // How the nodes are wired (see sim/topology.js)
+            hub: null,              // Shared device of star and bus networks: { failed }
+            nodeCount: 0,          // Tracks total number of nodes in the network
+            messagesSent: 0,       // Counter for started message transmissions
+            messagesFailed: 0,     // Counter for failed message transmissions
+            framesCorrupted: 0,    // Frames discarded by the receiver because the FCS did not match
+            framesDropped: 0,      // Frames lost on a noisy wire
+            deliveredFirstTry: 0,  // Messages delivered without sending any frame again
+            retransmissions: 0,    // Frames sent again by reliable delivery
+            arq: Object.assign({ mode: 'off' }, ARQ),  // Reliable delivery settings (see ARQ)
+            mac: 'token',          // Medium access control protocol (see MAC_PROTOCOLS)
+            collisions: 0,         // Collisions between nodes contending for the medium
+            seed: initialSeed,     // Seed of the random numbers drawn by the simulation
+            groups: {},            // Multicast groups: member node IDs keyed by group name
+            currentSpeed: 1,       // Network speed multiplier (1x to 5x)
+            removedNodes: new Set(), // Set of node IDs that have been removed but can be recovered
+            maxNodeId: 0,          // Highest node ID ever created (for consistent node numbering)
+            queues: {},            // Outbound queue of each node, keyed by node ID, highest priority first:
+                                   // { sourceNode, destinationNode, payload, priority, timestamp }
+            allowDuplicates: false, // Whether a node may queue the same destination twice
+            sequenceNumbers: {},   // Next frame sequence number of each sender, keyed by node ID
+            nodeIPs: {},           // Store IP addresses for each node
+            isSimulationRunning: false,  // Flag to track if simulation is running
+            transferInProgress: false,   // Flag to track if a message transfer is currently in progress
+            transmission: null     // The transfer currently travelling the chain, if any
+        };
+
+        // Token Passing Protocol State
+        const token = {
+            isActive: false,       // Flag indicating if token passing is currently running
+            currentNode: null,     // ID of the node currently holding the token
+            timer: null,          // Handle of the scheduled next token pass
+            interval: 3000,       // Time in milliseconds between token passes (3 seconds)
+            direction: 1,         // Token direction: 1 for forward, -1 for backward
+            lost: null,           // Why no node holds the token: { reason, nodeId?, linkId?, from?, to? }
+            stranded: null,       // Token stuck on a broken wire, reappearing when it is repaired: { linkId, to }
+            holdingTime: HOLDING_TIME, // Token Holding Time: how long a holder may keep starting frames, in milliseconds
+            visitStart: null,     // When the current holder got the token
+            framesSent: 0,        // Transfers the current holder started during this visit
+            held: false,          // The token was due to move on while its holder was still sending
+            priority: PRIORITY.lowest,    // Priority bits: only messages of this priority or higher may use the token
+            reservation: PRIORITY.lowest, // Reservation bits: highest priority a waiting node asked for
+            stack: []             // Stacking stations that raised the priority, most recent last: { nodeId, previous, raised }
+        };
+
+        // Active monitor: the node that watches the token and issues a new one when it is lost
+        const monitor = {
+            nodeId: null,         // ID of the active monitor node
+            state: 'off',         // 'off', 'watching', 'missing' (standby monitors waiting), 'claiming' or 'purging'
+            timer: null           // Handle of the scheduled monitor step
+        };
+
+        /**
+         * Subscribes to simulation events
+         * @param {string} type - Event type, or '*' for every event
+         * @param {Function} handler - Called with the event object
+         * @returns {Function} - Unsubscribes the handler
+         */
+        function on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+            return () => off(type, handler);
+        }
+
+        /**
+         * Removes an event subscription
+         * @param {string} type - Event type the handler was registered for
+         * @param {Function} handler - The handler to remove
+         */
+        function off(type, handler) {
+            if (!listeners[type]) return;
+            listeners[type] = listeners[type].filter(h => h !== handler);
+        }
+
+        /**
+         * Publishes an event to its subscribers. Wildcard subscribers get it first, so a log
+         * lists an event before the events its handlers cause.
+         * @param {string} type - Event type
+         * @param {Object} [detail] - Event payload
+         */
+        function emit(type, detail = {}) {
+            const event = Object.assign({ type, time: scheduler.now() }, detail);
+            dispatching.push(event);
+            try {
+                (listeners['*'] || []).slice().forEach(handler => handler(event));
+                (listeners[type] || []).slice().forEach(handler => handler(event));
+            } finally {
+                dispatching.pop();
+            }
+        }
+
+        /**
+         * The event whose subscribers are running, e.g. to tell what caused a log entry
+         * @returns {Object|null} - The innermost event being published, or null outside of a handler
+         */
+        function currentEvent() {
+            return dispatching.length ? dispatching[dispatching.length - 1] : null;
+        }
+
+        /**
+         * Runs a callback after a delay on the simulation scheduler
+         * @param {number} ms - Delay in milliseconds
+         * @param {Function} callback - Function to run
+         * @param {string} [label] - Description of the event, shown when stepping through the clock
+         * @returns {*} - Scheduler handle
+         */
+        function after(ms, callback, label) {
+            return scheduler.setTimeout(callback, ms, label);
+        }
+
+        /**
+         * Returns the IDs of all nodes in the network in chain order
+         * @returns {number[]}
+         */
+        function getNodeIds() {
+            return Object.keys(network.nodes)
+                .map(id => parseInt(id))
+                .sort((a, b) => a - b);
+        }
+
+        /**
+         * Returns the IDs of all powered-on nodes in chain order
+         * @returns {number[]}
+         */
+        function getActiveNodeIds() {
+            return getNodeIds().filter(id => !network.nodes[id].poweredOff);
+        }
+
+        /**
+         * Returns the powered-on nodes that can hold the token and be the active monitor, in chain
+         * order. Bypass relays only repeat the token, so they are left out unless every node is one.
+         * @returns {number[]}
+         */
+        function getTokenStations() {
+            const activeNodes = getActiveNodeIds();
+            const stations = activeNodes.filter(id => !hasFault(id, 'bypass'));
+            return stations.length > 0 ? stations : activeNodes;
+        }
+
+        /**
+         * Checks whether a node is powered off (missing nodes count as off).
+         * For the hub of a star or bus network this tells whether it has failed.
+         * @param {number} nodeId - The ID of the node
+         * @returns {boolean}
+         */
+        function isPoweredOff(nodeId) {
+            if (nodeId === Topology.HUB_ID && network.hub) {
+                return network.hub.failed;
+            }
+            const node = network.nodes[nodeId];
+            return !node || node.poweredOff;
+        }
+
+        /**
+         * Finds the link joining two nodes
+         * @param {number} a - ID of one endpoint
+         * @param {number} b - ID of the other endpoint
+         * @returns {Object|undefined} - The link model
+         */
+        function getLink(a, b) {
+            const id = linkId(a, b);
+            return network.connections.find(link => link.id === id);
+        }
+
+        /**
+         * Returns the wire between two nodes, the same one every time they are wired together
+         * @param {number} a - ID of one endpoint
+         * @param {number} b - ID of the other endpoint
+         * @returns {Object} - The link model, created intact and clean the first time
+         */
+        function wireBetween(a, b) {
+            const id = linkId(a, b);
+            if (!network.wires[id]) {
+                network.wires[id] = Object.assign({ id, a: Math.min(a, b), b: Math.max(a, b), broken: false }, LINK_QUALITY);
+            }
+            return network.wires[id];
+        }
+
+        /**
+         * Returns the error settings of a link
+         * @param {Object} link - The link model
+         * @returns {Object} - bitErrorRate, dropProbability, latency, jitter and bandwidth
+         */
+        function getLinkQuality(link) {
+            const quality = {};
+            Object.keys(LINK_QUALITY).forEach(key => {
+                quality[key] = link[key];
+            });
+            return quality;
+        }
+
+        /**
+         * Changes the error settings of a link; settings left out keep their value
+         * @param {string} id - The ID of the link
+         * @param {Object} settings - Any of bitErrorRate and dropProbability (0 to 1), latency and jitter (ms, 0 or more)
+         *   and bandwidth (bits per second, 0 for no limit)
+         * @returns {boolean} - Whether the link exists and the settings are valid
+         */
+        function setLinkQuality(id, settings) {
+            const link = network.connections.find(conn => conn.id === id);
+            if (!link) return false;
+
+            const quality = Object.assign(getLinkQuality(link), settings);
+            const valid = Object.keys(LINK_QUALITY).every(key =>
+                typeof quality[key] === 'number' && quality[key] >= 0 && Number.isFinite(quality[key])) &&
+                quality.bitErrorRate <= 1 && quality.dropProbability <= 1;
+            if (!valid) return false;
+
+            Object.assign(link, quality);
+            emit('wire:quality', Object.assign({ linkId: id }, quality));
+            return true;
+        }
+
+        /**
+         * Checks whether a link has any error setting switched on
+         * @param {Object} link - The link model
+         * @returns {boolean}
+         */
+        function isNoisy(link) {
+            return Object.keys(LINK_QUALITY).some(key => link[key] > 0);
+        }
+
+        /**
+         * Returns the current network statistics
+         * @returns {Object} - Active nodes, broken and noisy wires, sent/failed/corrupted/dropped/resent counters,
+         *                     the success rate and the share of messages delivered at the first try
+         */
+        function getStats() {
+            const activeNodes = getActiveNodeIds().length;
+            const brokenWires = network.connections.filter(link => link.broken).length;
+            const successRate = network.messagesSent === 0 ? 100 :
+                Math.round(((network.messagesSent - network.messagesFailed) / network.messagesSent) * 100);
+            const firstTrySuccessRate = network.messagesSent === 0 ? 100 :
+                Math.round((network.deliveredFirstTry / network.messagesSent) * 100);
+
+            return {
+                activeNodes,
+                brokenWires,
+                noisyWires: network.connections.filter(isNoisy).length,
+                messagesSent: network.messagesSent,
+                messagesFailed: network.messagesFailed,
+                framesCorrupted: network.framesCorrupted,
+                framesDropped: network.framesDropped,
+                retransmissions: network.retransmissions,
+                collisions: network.collisions,
+                successRate,
+                firstTrySuccessRate
+            };
+        }
+
+        /**
+         * Clears every node, link and queued message
+         */
+        function clear() {
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+            token.isActive = false;
+            token.currentNode = null;
+            token.lost = null;
+            token.stranded = null;
+            token.held = false;
+            resetPriority();
+            stopMonitor();
+            monitor.nodeId = null;
+
+            network.nodes = {};
+            network.connections = [];
+            network.wires = {};
+            network.hub = null;
+            network.nodeCount = 0;
+            network.removedNodes.clear();
+            network.maxNodeId = 0;
+            network.queues = {};
+            network.sequenceNumbers = {};
+            network.groups = {};
+            abandonTransmission();
+            resetContention();
+
+            emit('network:rebuilt');
+            emit('queue:changed');
+        }
+
+        /**
+         * Adds a new node at the end of the chain
+         * @returns {number} - The ID of the new node
+         */
+        function addNode() {
+            network.maxNodeId++; // Track the highest ID ever created
+            const newNodeId = network.maxNodeId;
+            const nodeIds = getNodeIds();
+
+            network.nodes[newNodeId] = { id: newNodeId, poweredOff: false, fault: null, framesSeen: 0 };
+            network.nodeIPs[newNodeId] = generateIPAddress(newNodeId);
+            network.nodeCount++;
+            wireNodes();
+
+            // The link to the previous last node in the chain
+            const link = nodeIds.length > 0 ? getLink(nodeIds[nodeIds.length - 1], newNodeId) : null;
+            emit('node:added', { nodeId: newNodeId, linkId: link ? link.id : null });
+            return newNodeId;
+        }
+
+        /**
+         * Drops queued messages that involve a node
+         * @param {number} nodeId - The ID of the node
+         */
+        function purgeQueuedMessages(nodeId) {
+            const removed = filterQueues(msg => msg.sourceNode !== nodeId && msg.destinationNode !== nodeId);
+            if (removed > 0) {
+                emit('queue:changed');
+                emit('queue:purged', { nodeId });
+            }
+        }
+
+        /**
+         * Sets the power state of a node
+         * @param {number} nodeId - The ID of the node
+         * @param {boolean} poweredOn - Whether the node should be on
+         */
+        function setNodePower(nodeId, poweredOn) {
+            const node = network.nodes[nodeId];
+            if (!node || node.poweredOff === !poweredOn) return;
+
+            if (!poweredOn) {
+                // Remove any queued messages for this node before powering off
+                purgeQueuedMessages(nodeId);
+            }
+
+            node.poweredOff = !poweredOn;
+            emit('node:power', { nodeId, poweredOff: node.poweredOff });
+
+            if (!poweredOn && token.isActive) {
+                // The token dies with its holder, and the monitor role with the monitor
+                if (token.currentNode === nodeId) {
+                    loseToken({ reason: 'holder-off', nodeId });
+                }
+                if (monitor.nodeId === nodeId) {
+                    monitorFailed();
+                }
+            }
+        }
+
+        /**
+         * Toggles the power state of a node
+         * @param {number} nodeId - The ID of the node to toggle
+         */
+        function toggleNodePower(nodeId) {
+            if (!network.nodes[nodeId]) return;
+            setNodePower(nodeId, network.nodes[nodeId].poweredOff);
+        }
+
+        /**
+         * Gives a node a fault, or clears it. A faulty node stays powered on but misbehaves
+         * as its mode says (see NODE_FAULTS); counting for "every Nth frame" starts afresh.
+         * @param {number} nodeId - The ID of the node
+         * @param {Object|null} fault - { mode, and the mode's setting: every, delay or errorRate (the default
+         *   when left out) }, or null for a healthy node
+         * @returns {boolean} - Whether the node exists and the fault is valid and was applied
+         */
+        function setNodeFault(nodeId, fault) {
+            const node = network.nodes[nodeId];
+            if (!node) return false;
+
+            const settings = fault ? faultSettings(fault) : null;
+            if (settings && !isNodeFault(settings)) return false;
+
+            node.fault = settings;
+            node.framesSeen = 0;
+            emit('node:fault', { nodeId, fault: settings ? Object.assign({}, settings) : null });
+
+            if (hasFault(nodeId, 'bypass')) {
+                // A bypass relay never gets to send what it queued, nor watch the token
+                if (filterQueues(msg => msg.sourceNode !== nodeId) > 0) {
+                    emit('queue:changed');
+                    emit('queue:purged', { nodeId });
+                }
+                if (token.isActive && monitor.nodeId === nodeId) {
+                    monitorFailed();
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Returns the fault of a node
+         * @param {number} nodeId - The ID of the node
+         * @returns {Object|null} - { mode, and the mode's setting }, or null for a healthy or missing node
+         */
+        function getNodeFault(nodeId) {
+            const node = network.nodes[nodeId];
+            return node && node.fault ? Object.assign({}, node.fault) : null;
+        }
+
+        // Whether a node has a fault of the given mode
+        function hasFault(nodeId, mode) {
+            const node = network.nodes[nodeId];
+            return !!node && !!node.fault && node.fault.mode === mode;
+        }
+
+        // Milliseconds a slow node holds a frame or the token on top of the usual time
+        function faultDelay(nodeId) {
+            return hasFault(nodeId, 'slow') ? network.nodes[nodeId].fault.delay : 0;
+        }
+
+        /**
+         * A frame or the token reaches a faulty node. A node that drops every Nth frame counts
+         * it and loses every Nth; a babbling node flips bits of it, and any flipped bit destroys a token.
+         * @param {number} nodeId - The node reached
+         * @param {Object|null} frame - The frame, changed in place; null for the token
+         * @returns {Object|null} - Why it was lost: 'node-dropped' (nodeId, every) or 'token-corrupted' (nodeId), or null
+         */
+        function nodeFaultFailure(nodeId, frame) {
+            const node = network.nodes[nodeId];
+            const fault = node && node.fault;
+            if (!fault) return null;
+
+            if (fault.mode === 'drop-nth') {
+                node.framesSeen++;
+                if (node.framesSeen % fault.every === 0) {
+                    if (frame) network.framesDropped++;
+                    return { reason: 'node-dropped', nodeId, every: fault.every };
+                }
+            } else if (fault.mode === 'babbling') {
+                if (!frame) {
+                    return random() < 1 - Math.pow(1 - fault.errorRate, TOKEN_BITS) ?
+                        { reason: 'token-corrupted', nodeId } : null;
+                }
+                const bits = Frame.corruptFrame(frame, fault.errorRate, random);
+                if (bits > 0) {
+                    emit('transmission:bit-errors', { nodeId, bits, kind: frame.kind, frame: Frame.cloneFrame(frame) });
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Powers every node on if any is off, otherwise powers every node off
+         * @returns {boolean} - True if the nodes were powered on
+         */
+        function toggleAllNodes() {
+            const anyPoweredOff = Object.values(network.nodes).some(node => node.poweredOff);
+
+            // Store current token state
+            const currentTokenNode = token.currentNode;
+            const wasTokenActive = token.isActive;
+
+            // Temporarily pause token passing
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+
+            Object.values(network.nodes).forEach(node => {
+                node.poweredOff = !anyPoweredOff;
+            });
+
+            if (anyPoweredOff) {
+                const activeNodes = getActiveNodeIds();
+                if (activeNodes.length >= 2 && network.mac === 'token') {
+                    // If previous token node is still active, keep it
+                    if (wasTokenActive && currentTokenNode && !isPoweredOff(currentTokenNode) &&
+                        !hasFault(currentTokenNode, 'bypass')) {
+                        token.currentNode = currentTokenNode;
+                    } else {
+                        token.currentNode = getTokenStations()[0];
+                    }
+
+                    // Resume token passing
+                    token.isActive = true;
+                    token.lost = null;
+                    token.stranded = null;
+                    token.timer = after(token.interval, passToken, 'Token pass');
+                    ensureMonitor();
+                }
+            } else {
+                token.isActive = false;
+                stopMonitor();
+            }
+
+            emit('nodes:power-all', { poweredOn: anyPoweredOff });
+            return anyPoweredOff;
+        }
+
+        /**
+         * Sets the failure state of a link
+         * @param {string} id - The ID of the link
+         * @param {boolean} broken - Whether the wire should be broken
+         */
+        function setWireBroken(id, broken) {
+            const link = network.connections.find(conn => conn.id === id);
+            if (!link || link.broken === broken) return;
+
+            link.broken = broken;
+            emit('wire:changed', { linkId: id, a: link.a, b: link.b, broken });
+
+            if (!broken) {
+                releaseStrandedToken(id);
+            }
+        }
+
+        /**
+         * Toggles the failure state of a link
+         * @param {string} id - The ID of the link to toggle
+         */
+        function toggleWireFailure(id) {
+            const link = network.connections.find(conn => conn.id === id);
+            if (link) setWireBroken(id, !link.broken);
+        }
+
+        /**
+         * Rebuilds nodes and links from the non-removed node IDs, keeping power states, faults, IPs and wire states
+         */
+        function rebuildNetwork() {
+            buildChain();
+            emit('network:rebuilt');
+        }
+
+        function buildChain() {
+            const previousNodes = network.nodes;
+
+            network.nodes = {};
+            network.nodeCount = 0;
+
+            for (let id = 1; id <= network.maxNodeId; id++) {
+                if (network.removedNodes.has(id)) continue;
+
+                network.nodeCount++;
+                network.nodes[id] = {
+                    id,
+                    poweredOff: previousNodes[id] ? previousNodes[id].poweredOff : false,
+                    fault: previousNodes[id] ? previousNodes[id].fault : null,
+                    framesSeen: previousNodes[id] ? previousNodes[id].framesSeen : 0
+                };
+                network.nodeIPs[id] = network.nodeIPs[id] || generateIPAddress(id);
+            }
+
+            wireNodes();
+        }
+
+        /**
+         * Connects the current nodes as the topology and the removal mode say. A wire
+         * that was there before, even before a rebuild took it out, keeps its state.
+         */
+        function wireNodes() {
+            const removedIds = Array.from(network.removedNodes).filter(id => id <= network.maxNodeId);
+            network.hub = Topology.hasHub(network.topology) ? (network.hub || { failed: false }) : null;
+            network.connections = Topology.buildLinksAround(network.topology, getNodeIds(), removedIds, network.removal)
+                .map(([a, b]) => wireBetween(a, b));
+        }
+
+        /**
+         * Sets whether the hub (or the bus backbone) has failed
+         * @param {boolean} failed - True to take the hub down, false to restore it
+         */
+        function setHubFailed(failed) {
+            if (!network.hub || network.hub.failed === failed) return;
+
+            network.hub.failed = failed;
+            emit('hub:changed', { failed });
+        }
+
+        /**
+         * Takes the hub (or the bus backbone) down, or restores it
+         */
+        function toggleHubFailure() {
+            if (network.hub) setHubFailed(!network.hub.failed);
+        }
+
+        /**
+         * Changes how the nodes are wired; wires that remain, or come back, keep their state
+         * @param {string} name - Topology name (e.g. 'chain', 'ring', 'star')
+         * @returns {boolean} - Whether the topology changed
+         */
+        function setTopology(name) {
+            if (!Topology.isTopology(name)) {
+                throw new Error(`Unknown topology "${name}"`);
+            }
+            if (network.topology === name) return false;
+
+            network.topology = name;
+            network.hub = null;
+            wireNodes();
+
+            emit('network:rebuilt');
+            emit('topology:changed', { topology: name });
+            return true;
+        }
+
+        /**
+         * Changes what the wires of removed nodes become, rewiring the network
+         * @param {string} mode - 'splice' to wire the nodes on either side of a removed node together,
+         *   'gap' to leave them unconnected (see Topology.REMOVAL_MODES)
+         * @returns {boolean} - Whether the mode changed
+         */
+        function setRemovalMode(mode) {
+            if (!Object.prototype.hasOwnProperty.call(Topology.REMOVAL_MODES, mode)) {
+                throw new Error(`Unknown removal mode "${mode}"`);
+            }
+            if (network.removal === mode) return false;
+
+            network.removal = mode;
+            wireNodes();
+
+            emit('network:rebuilt');
+            emit('removal:changed', { mode });
+            return true;
+        }
+
+        /**
+         * Removes a node from the chain (it can be recovered later)
+         * @param {number} nodeId - The ID of the node to remove
+         * @returns {boolean} - Whether the node was removed
+         */
+        function removeNode(nodeId) {
+            if (network.removedNodes.has(nodeId) || !network.nodes[nodeId]) return false;
+
+            // Need at least 2 nodes left
+            if (network.nodeCount <= 2) {
+                emit('node:remove-rejected', { nodeId, reason: 'minimum' });
+                return false;
+            }
+
+            // Hand the token on if the node being removed has it; it is lost if no other node is on
+            if (token.currentNode === nodeId) {
+                const nextNode = nextTokenStation(getActiveNodeIds().filter(id => id !== nodeId), nodeId);
+                if (nextNode !== undefined) {
+                    token.currentNode = nextNode;
+                    emit('token:transferred', { from: nodeId, to: token.currentNode });
+                } else if (token.isActive) {
+                    loseToken({ reason: 'holder-removed', nodeId });
+                } else {
+                    token.currentNode = null;
+                }
+            }
+
+            purgeQueuedMessages(nodeId);
+
+            network.removedNodes.add(nodeId);
+            rebuildNetwork();
+
+            emit('node:removed', { nodeId });
+            if (token.isActive && monitor.nodeId === nodeId) {
+                monitorFailed();
+            }
+            return true;
+        }
+
+        /**
+         * Recovers a previously removed node
+         * @param {number} nodeId - The ID of the node to recover
+         * @returns {boolean} - Whether the node was recovered
+         */
+        function recoverNode(nodeId) {
+            if (!network.removedNodes.has(nodeId)) return false;
+
+            network.removedNodes.delete(nodeId);
+            rebuildNetwork();
+
+            emit('node:recovered', { nodeId });
+            return true;
+        }
+
+        /**
+         * Recovers every removed node
+         * @returns {boolean} - Whether any node was recovered
+         */
+        function recoverAllNodes() {
+            if (network.removedNodes.size === 0) {
+                emit('node:recover-rejected', { reason: 'none-removed' });
+                return false;
+            }
+
+            network.removedNodes.clear();
+            rebuildNetwork();
+
+            // Restart token passing with proper interval
+            if (token.isActive && token.currentNode) {
+                resumeTokenPassing(token.currentNode);
+            }
+
+            emit('nodes:recovered-all');
+            return true;
+        }
+
+        /**
+         * Starts the token passing protocol at the first powered-on node
+         * @returns {boolean} - Whether token passing started
+         */
+        function startTokenPassing() {
+            const activeNodes = getActiveNodeIds();
+
+            if (network.mac !== 'token') {
+                emit('token:start-rejected', { reason: 'contention-mac' });
+                return false;
+            }
+
+            // Validate minimum node requirement for token passing
+            if (activeNodes.length < 2) {
+                emit('token:start-rejected', { reason: 'not-enough-nodes' });
+                return false;
+            }
+
+            token.isActive = true;
+            token.currentNode = getTokenStations()[0];  // Start with the first node that takes the token
+            token.direction = 1;                 // Start in forward direction
+            token.lost = null;
+            token.stranded = null;
+            resetPriority();
+            emit('token:started', { nodeId: token.currentNode });
+
+            // The node starting the ring becomes its active monitor
+            monitor.nodeId = token.currentNode;
+            emit('monitor:elected', { nodeId: monitor.nodeId, reason: 'start' });
+            watchToken();
+
+            passToken();
+            return true;
+        }
+
+        /**
+         * Puts the token at a node and schedules the next pass
+         * @param {number} nodeId - The ID of the node that should hold the token
+         */
+        function resumeTokenPassing(nodeId) {
+            if (network.mac !== 'token') return;
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+            }
+            token.isActive = true;
+            token.currentNode = nodeId;
+            token.lost = null;
+            beginVisit();
+            token.timer = after(token.interval, passToken, 'Token pass');
+            emit('token:resumed', { nodeId });
+            ensureMonitor();
+        }
+
+        /**
+         * Passes the token to the next powered-on node, skipping bypass relays
+         */
+        function passToken() {
+            token.timer = null;
+            if (!token.isActive || token.lost) return;
+
+            const previousNode = token.currentNode;
+            const activeNodes = getActiveNodeIds();
+
+            if (previousNode !== null && isPoweredOff(previousNode)) {
+                loseToken({ reason: 'holder-off', nodeId: previousNode });
+                return;
+            }
+
+            // A holder that is still sending keeps the token and passes it on once done
+            if (previousNode !== null && isHolderSending()) {
+                token.held = true;
+                return;
+            }
+            token.held = false;
+
+            if (previousNode !== null) {
+                releaseToken(previousNode);
+            }
+
+            if (activeNodes.length === 0) {
+                token.currentNode = null;
+            } else {
+                const nextNode = nextTokenStation(activeNodes, token.currentNode);
+                const blocked = findTokenBlock(previousNode, nextNode) || nodeFaultFailure(nextNode, null);
+                if (blocked) {
+                    loseToken(blocked);
+                    return;
+                }
+
+                token.currentNode = nextNode;
+                beginVisit();
+                emit('token:passed', { from: previousNode, to: token.currentNode });
+                restorePriority(nextNode);
+
+                // The active monitor saw the token go by
+                if (monitor.state === 'watching') {
+                    watchToken();
+                }
+
+                // Process any queued messages for this node
+                processQueuedMessages();
+            }
+
+            // Schedule next token pass; a slow node holds the token longer
+            token.timer = after(token.interval + faultDelay(token.currentNode), passToken, 'Token pass');
+        }
+
+        /**
+         * Finds the node the token goes to next: the next powered-on node in the token's
+         * direction, skipping bypass relays, which only repeat it
+         * @param {number[]} activeNodes - Powered-on node IDs in chain order
+         * @param {number|null} fromNode - Node the token leaves; the first node is next if it is null, and a node
+         *   left out of activeNodes (one being removed, say) counts from where its ID would be
+         * @returns {number|undefined} - ID of the next node, undefined if there is none; a relay only when every
+         *   powered-on node is one
+         */
+        function nextTokenStation(activeNodes, fromNode) {
+            // Find current node's position in the active nodes array
+            let currentIndex = activeNodes.indexOf(fromNode);
+            if (currentIndex === -1 && fromNode !== null) {
+                const before = activeNodes.filter(id => id < fromNode).length;
+                currentIndex = token.direction === 1 ? before - 1 : before;
+            }
+
+            // Calculate next node index based on direction
+            let nextIndex = currentIndex + token.direction;
+            if (nextIndex >= activeNodes.length) {
+                nextIndex = 0;  // Wrap around to start if at end
+            } else if (nextIndex < 0) {
+                nextIndex = activeNodes.length - 1;  // Wrap around to end if at start
+            }
+
+            for (let skipped = 1; skipped < activeNodes.length && hasFault(activeNodes[nextIndex], 'bypass'); skipped++) {
+                nextIndex = (nextIndex + token.direction + activeNodes.length) % activeNodes.length;
+            }
+            return activeNodes[nextIndex];
+        }
+
+        // The token arrives at a node: its holding time starts
+        function beginVisit() {
+            token.visitStart = scheduler.now();
+            token.framesSent = 0;
+            token.held = false;
+        }
+
+        // Whether the token holder is sending a frame right now
+        function isHolderSending() {
+            return network.transferInProgress && network.transmission !== null &&
+                network.transmission.sourceNode === token.currentNode;
+        }
+
+        // Whether the token holder may start another transfer during this visit
+        function canStartFrame() {
+            return token.framesSent === 0 || scheduler.now() - token.visitStart < token.holdingTime;
+        }
+
+        // A fresh token carries no priority or reservation
+        function resetPriority() {
+            token.priority = PRIORITY.lowest;
+            token.reservation = PRIORITY.lowest;
+            token.stack = [];
+        }
+
+        // Highest priority among a node's queued messages, or -1 if its queue is empty
+        function topPriority(nodeId) {
+            return getQueueDepth(nodeId) > 0 ? network.queues[nodeId][0].priority : -1;
+        }
+
+        /**
+         * A node the token or a data frame passes asks for the token at the priority of
+         * its most urgent queued message, if that is higher than the current reservation
+         * @param {number} nodeId - The ID of the node
+         * @param {string} by - What it reserved on: 'token' or 'frame'
+         */
+        function reserve(nodeId, by) {
+            const priority = topPriority(nodeId);
+            if (priority <= token.reservation) return;
+
+            token.reservation = priority;
+            emit('token:reserved', { nodeId, reservation: priority, priority: token.priority, by });
+        }
+
+        /**
+         * The holder releases the token. If it sent frames and a node reserved a higher
+         * priority meanwhile, it issues the token at that priority and becomes a stacking
+         * station that lowers it again when the token comes back round.
+         * @param {number} nodeId - The node giving up the token
+         */
+        function releaseToken(nodeId) {
+            if (token.framesSent === 0 || token.reservation <= token.priority) return;
+
+            const previous = token.priority;
+            token.stack.push({ nodeId, previous, raised: token.reservation });
+            token.priority = token.reservation;
+            token.reservation = PRIORITY.lowest;
+            emit('token:priority', { nodeId, priority: token.priority, previous, reason: 'raised' });
+        }
+
+        /**
+         * The token reaches a node. A stacking station lowers the priority it raised, to the
+         * priority it saw before or to a higher pending reservation. Stacking stations that
+         * were powered off or removed since cannot do it, so the first node to arrive does.
+         * @param {number} nodeId - The node that got the token
+         */
+        function restorePriority(nodeId) {
+            const active = getActiveNodeIds();
+            while (token.stack.length > 0) {
+                const entry = token.stack[token.stack.length - 1];
+                const gone = !active.includes(entry.nodeId);
+                if (entry.nodeId !== nodeId && !gone) return;
+
+                // A pending reservation stays with the token when the station is gone
+                const previous = token.priority;
+                const priority = gone ? entry.previous : Math.max(entry.previous, token.reservation);
+                const popped = priority === entry.previous;
+                if (!gone) {
+                    token.reservation = PRIORITY.lowest;
+                }
+                token.priority = priority;
+                if (popped) {
+                    token.stack.pop();
+                } else {
+                    // A higher reservation is pending: keep stacking at the new priority
+                    entry.raised = priority;
+                }
+                if (popped || priority !== previous) {
+                    emit('token:priority', { nodeId: entry.nodeId, priority, previous, reason: 'restored' });
+                }
+                if (!gone) return;
+            }
+        }
+
+        /**
+         * Checks the wires between two token holders
+         * @param {number} from - Node passing the token
+         * @param {number} to - Node that should receive it
+         * @returns {Object|null} - Why the token cannot get through ('wire-broken', 'hub-down' or 'no-route'
+         *   when no wire leads there, as across the gap left by a removed node), or null
+         */
+        function findTokenBlock(from, to) {
+            const route = shortestPath(from, to, () => true);
+            if (!route) {
+                return { reason: 'no-route', from, to };
+            }
+
+            for (let i = 0; i < route.length - 1; i++) {
+                const link = getLink(route[i], route[i + 1]);
+                if (link.broken) {
+                    return { reason: 'wire-broken', linkId: link.id, from: route[i], to: route[i + 1], target: to };
+                }
+                if (route[i] === Topology.HUB_ID && isPoweredOff(route[i])) {
+                    return { reason: 'hub-down', nodeId: route[i] };
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Drops the token; the active monitor notices when its timer runs out
+         * @param {Object} failure - Why it was lost: 'holder-off' or 'holder-removed' (nodeId), 'wire-broken' (linkId, from, to, target),
+         *   'hub-down', 'no-route' (from, to), or 'node-dropped' (nodeId, every) or 'token-corrupted' (nodeId) at a faulty node
+         */
+        function loseToken(failure) {
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+
+            const { target, ...lost } = failure;
+            token.currentNode = null;
+            token.held = false;
+            token.lost = lost;
+            if (failure.reason === 'wire-broken') {
+                token.stranded = { linkId: failure.linkId, to: target };
+            }
+            emit('token:lost', lost);
+        }
+
+        /**
+         * Lets a token stuck on a repaired wire continue. If a new token was issued
+         * meanwhile there are now two, and the active monitor purges the ring.
+         * @param {string} id - The ID of the repaired link
+         */
+        function releaseStrandedToken(id) {
+            if (!token.isActive || !token.stranded || token.stranded.linkId !== id) return;
+
+            const { to } = token.stranded;
+            token.stranded = null;
+
+            if (token.lost) {
+                if (isPoweredOff(to) || monitor.state === 'purging') return;
+
+                token.lost = null;
+                token.currentNode = to;
+                beginVisit();
+                emit('token:released', { linkId: id, nodeId: to });
+                token.timer = after(token.interval, passToken, 'Token pass');
+                if (monitor.state === 'watching') {
+                    watchToken();
+                }
+                processQueuedMessages();
+            } else if (token.currentNode !== null) {
+                emit('token:duplicate', { nodeIds: [token.currentNode, to], monitorId: monitor.nodeId });
+                if (monitor.state === 'watching') {
+                    purgeRing();
+                }
+            }
+        }
+
+        /**
+         * Runs a monitor step after a delay, replacing any pending one
+         * @param {string} state - Monitor state while waiting
+         * @param {number} ms - Delay in milliseconds
+         * @param {Function} callback - Step to run
+         * @param {string} label - Description shown when stepping through the clock
+         */
+        function scheduleMonitor(state, ms, callback, label) {
+            if (monitor.timer) {
+                scheduler.clearTimeout(monitor.timer);
+            }
+            monitor.state = state;
+            monitor.timer = after(ms, () => {
+                monitor.timer = null;
+                callback();
+            }, label);
+        }
+
+        function stopMonitor() {
+            if (monitor.timer) {
+                scheduler.clearTimeout(monitor.timer);
+                monitor.timer = null;
+            }
+            monitor.state = 'off';
+        }
+
+        // Makes sure a live node is the active monitor and is watching the token
+        function ensureMonitor() {
+            if (monitor.nodeId === null || isPoweredOff(monitor.nodeId) || hasFault(monitor.nodeId, 'bypass')) {
+                const stations = getTokenStations();
+                if (stations.length === 0) return;
+                monitor.nodeId = stations.includes(token.currentNode) ? token.currentNode : stations[0];
+                emit('monitor:elected', { nodeId: monitor.nodeId, reason: 'start' });
+            }
+            watchToken();
+        }
+
+        // (Re)starts the timer of the active monitor, reset by every token pass
+        function watchToken() {
+            scheduleMonitor('watching', token.interval * MONITOR.lossTimeout, monitorTimeout,
+                `Active monitor PC ${monitor.nodeId} checks for the token`);
+        }
+
+        function monitorTimeout() {
+            if (!token.isActive) {
+                stopMonitor();
+                return;
+            }
+            if (!token.lost && token.currentNode !== null) {
+                watchToken();
+                return;
+            }
+
+            emit('monitor:token-lost', { nodeId: monitor.nodeId, reason: token.lost ? token.lost.reason : null });
+            purgeRing();
+        }
+
+        /**
+         * The active monitor clears the ring of any tokens and frames, then issues a new token
+         */
+        function purgeRing() {
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+            token.currentNode = null;
+            token.lost = token.lost || { reason: 'purged' };
+
+            scheduleMonitor('purging', MONITOR.purgeDuration, regenerateToken, `PC ${monitor.nodeId} purges the ring`);
+            emit('monitor:purge', { nodeId: monitor.nodeId });
+        }
+
+        function regenerateToken() {
+            if (!token.isActive) {
+                stopMonitor();
+                return;
+            }
+            if (isPoweredOff(monitor.nodeId) || hasFault(monitor.nodeId, 'bypass')) {
+                monitorFailed();
+                return;
+            }
+
+            // A token stuck on a broken wire is out of reach of the purge and survives it
+            token.lost = null;
+            token.currentNode = monitor.nodeId;
+            resetPriority();
+            beginVisit();
+            emit('token:regenerated', { nodeId: monitor.nodeId });
+
+            token.timer = after(token.interval, passToken, 'Token pass');
+            watchToken();
+            processQueuedMessages();
+        }
+
+        /**
+         * The active monitor went down: the standby monitors notice after a while and hold an election
+         */
+        function monitorFailed() {
+            if (monitor.state === 'missing' || monitor.state === 'claiming') return;
+
+            const failedNode = monitor.nodeId;
+            monitor.nodeId = null;
+            scheduleMonitor('missing', token.interval * MONITOR.standbyTimeout, claimToken,
+                'Standby monitors notice the active monitor is gone');
+            emit('monitor:failed', { nodeId: failedNode });
+        }
+
+        /**
+         * Claim-token election: every powered-on node but the bypass relays bids and the highest address becomes the active monitor
+         */
+        function claimToken() {
+            if (!token.isActive || getActiveNodeIds().length === 0) {
+                stopMonitor();
+                return;
+            }
+
+            scheduleMonitor('claiming', MONITOR.claimDuration, () => {
+                const candidates = getTokenStations();
+                if (candidates.length === 0) {
+                    stopMonitor();
+                    return;
+                }
+
+                monitor.nodeId = candidates.reduce((best, id) =>
+                    compareAddresses(id, best) > 0 ? id : best);
+                emit('monitor:elected', { nodeId: monitor.nodeId, reason: 'claim' });
+                purgeRing();
+            }, 'Claim-token election');
+            emit('monitor:claim', { candidates: getTokenStations() });
+        }
+
+        // Orders two nodes by IP address, then by ID
+        function compareAddresses(a, b) {
+            const toNumber = id => (network.nodeIPs[id] || generateIPAddress(id))
+                .split('.')
+                .reduce((value, part) => value * 256 + parseInt(part), 0);
+            return (toNumber(a) - toNumber(b)) || (a - b);
+        }
+
+        /**
+         * Reverses the direction of token passing
+         * @returns {number} - The new direction (1 forward, -1 backward)
+         */
+        function changeTokenDirection() {
+            token.direction *= -1;
+            emit('token:direction', { direction: token.direction });
+            return token.direction;
+        }
+
+        /**
+         * Updates the token passing interval
+         * @param {number} ms - Time between token passes in milliseconds
+         */
+        function setTokenInterval(ms) {
+            token.interval = ms;
+            emit('token:interval', { interval: ms });
+        }
+
+        /**
+         * Updates the Token Holding Time. A holder with queued messages keeps starting
+         * transfers until this time has passed since it got the token; the first
+         * transfer of a visit is always allowed, so 0 means one transfer per visit.
+         * @param {number} ms - Holding time in milliseconds, 0 or more
+         * @returns {boolean} - Whether the value is valid and was applied
+         */
+        function setHoldingTime(ms) {
+            if (typeof ms !== 'number' || !(ms >= 0) || !Number.isFinite(ms)) return false;
+            token.holdingTime = ms;
+            emit('token:holding-time', { holdingTime: ms });
+            return true;
+        }
+
+        /**
+         * Restarts the random numbers of the simulation from a seed; the same seed, network
+         * and actions give the same noise, jitter and backoff
+         * @param {number} seed - Unsigned 32-bit integer
+         * @returns {boolean} - Whether the seed was valid
+         */
+        function setSeed(seed) {
+            if (!SimRandom.isValidSeed(seed)) return false;
+            reseed(seed);
+            emit('seed:changed', { seed });
+            return true;
+        }
+
+        // A random source passed to createSimulation is kept; only the seed is recorded then
+        function reseed(seed) {
+            network.seed = seed;
+            if (!options.random) {
+                random = SimRandom.createRandom(seed);
+            }
+        }
+
+        /**
+         * Lets nodes queue several messages to the same destination, or refuses the repeats
+         * @param {boolean} allowed - Whether duplicate sends are queued
+         */
+        function setAllowDuplicates(allowed) {
+            network.allowDuplicates = !!allowed;
+            emit('queue:duplicates', { allowed: network.allowDuplicates });
+        }
+
+        /**
+         * Sets the network speed multiplier used for packet travel time
+         * @param {number} multiplier - Speed from 1x to 5x
+         */
+        function setSpeed(multiplier) {
+            network.currentSpeed = multiplier;
+        }
+
+        /**
+         * Changes the reliable delivery settings; settings left out keep their value.
+         * A transfer in progress keeps its mode but uses the new timer, retries and window.
+         * @param {Object} settings
+         * @param {string} [settings.mode] - 'off' (best effort), 'stop-and-wait' or 'go-back-n'
+         * @param {number} [settings.timeout] - Acknowledgement timeout in milliseconds
+         * @param {number} [settings.maxRetries] - Times a frame is sent again before giving up
+         * @param {number} [settings.windowSize] - Go-Back-N window in frames
+         * @returns {boolean} - Whether the settings are valid and were applied
+         */
+        function setReliability(settings) {
+            const arq = Object.assign({}, network.arq, settings);
+            const valid = ARQ_MODES.includes(arq.mode) &&
+                typeof arq.timeout === 'number' && arq.timeout > 0 && Number.isFinite(arq.timeout) &&
+                Number.isInteger(arq.maxRetries) && arq.maxRetries >= 0 &&
+                Number.isInteger(arq.windowSize) && arq.windowSize >= 1 &&
+                Number.isInteger(arq.segmentSize) && arq.segmentSize >= 1;
+            if (!valid) return false;
+
+            network.arq = arq;
+            emit('arq:changed', Object.assign({}, arq));
+            return true;
+        }
+
+        /**
+         * Adds a message to its sender's queue, behind the messages of the same or
+         * higher priority. Unless duplicates are allowed, a message to a destination
+         * the sender already has queued is refused.
+         * @param {Object} message - { sourceNode, destinationNode, payload, priority, timestamp? }
+         * @param {string} reason - Why it waits: 'busy' (transfer in progress), 'token', 'holding-time' or 'priority'
+         * @returns {string} - 'queued' or 'duplicate'
+         */
+        function enqueueMessage({ sourceNode, destinationNode, payload, priority, timestamp = scheduler.now() }, reason) {
+            const queue = network.queues[sourceNode] || [];
+
+            if (!network.allowDuplicates && queue.some(msg => msg.destinationNode === destinationNode)) {
+                emit('message:duplicate', { sourceNode, destinationNode });
+                return 'duplicate';
+            }
+
+            insertQueued({ sourceNode, destinationNode, payload, priority, timestamp });
+            emit('queue:changed');
+            emit('message:queued', { sourceNode, destinationNode, priority, reason, depth: getQueueDepth(sourceNode) });
+            return 'queued';
+        }
+
+        // Puts a message in its sender's queue after every message of the same or higher
+        // priority, or before them when it is sent again
+        function insertQueued(message, again = false) {
+            const queue = network.queues[message.sourceNode] || (network.queues[message.sourceNode] = []);
+            const index = queue.findIndex(msg => again ? msg.priority <= message.priority : msg.priority < message.priority);
+            queue.splice(index === -1 ? queue.length : index, 0, message);
+        }
+
+        /**
+         * Keeps the queued messages a test accepts and drops the others
+         * @param {Function} keep - Called with each queued message
+         * @returns {number} - Number of messages dropped
+         */
+        function filterQueues(keep) {
+            let removed = 0;
+            Object.keys(network.queues).forEach(id => {
+                const queue = network.queues[id].filter(keep);
+                removed += network.queues[id].length - queue.length;
+                if (queue.length > 0) {
+                    network.queues[id] = queue;
+                } else {
+                    delete network.queues[id];
+                }
+            });
+            return removed;
+        }
+
+        /**
+         * Counts the messages waiting in a node's queue
+         * @param {number} nodeId - The ID of the node
+         * @returns {number}
+         */
+        function getQueueDepth(nodeId) {
+            return network.queues[nodeId] ? network.queues[nodeId].length : 0;
+        }
+
+        /**
+         * Lists every queued message, node by node in ID order and in sending order within a node
+         * @returns {Object[]} - { sourceNode, destinationNode, payload, priority, timestamp }
+         */
+        function getQueuedMessages() {
+            return Object.keys(network.queues)
+                .map(Number)
+                .sort((a, b) => a - b)
+                .reduce((list, id) => list.concat(network.queues[id]), []);
+        }
+
+        /**
+         * Empties every node's queue
+         */
+        function clearQueue() {
+            network.queues = {};
+            emit('queue:changed');
+        }
+
+        /**
+         * Sends the next queued message of the token holder while its Token Holding
+         * Time lasts. A token that was kept while the holder was sending moves on once
+         * the holder has nothing more it may send.
+         */
+        function processQueuedMessages() {
+            if (!token.isActive || !token.currentNode || network.transferInProgress) return;
+
+            const holder = token.currentNode;
+            if (getQueueDepth(holder) > 0) {
+                if (topPriority(holder) < token.priority) {
+                    // The token is reserved for more urgent messages: reserve and pass it on
+                    emit('token:deferred', {
+                        nodeId: holder,
+                        priority: token.priority,
+                        messagePriority: topPriority(holder)
+                    });
+                    reserve(holder, 'token');
+                } else if (canStartFrame()) {
+                    const message = dequeueHead(holder);
+                    const result = offerMessage(message);
+                    if (result === 'sent') return;
+
+                    // A rejected message does not use up the visit; try the next one
+                    processQueuedMessages();
+                    return;
+                } else {
+                    emit('token:hold-expired', {
+                        nodeId: holder,
+                        holdingTime: token.holdingTime,
+                        frames: token.framesSent,
+                        waiting: getQueueDepth(holder)
+                    });
+                }
+            }
+
+            if (token.held) {
+                passToken();
+            }
+        }
+
+        /**
+         * Sends a data packet, queueing it if the source lacks the token or the medium is busy
+         * @param {number} sourceNode - Sending node ID
+         * @param {number|string} destinationNode - Receiving node ID, BROADCAST ('all') or a multicast group name
+         * @param {string} [payload] - Data the frame carries
+         * @param {number} [priority] - Queue priority from PRIORITY.lowest (default) to PRIORITY.highest
+         * @returns {string} - 'sent', 'queued', 'duplicate' or 'rejected'
+         */
+        function sendMessage(sourceNode, destinationNode, payload = '', priority = PRIORITY.lowest) {
+            return offerMessage({ sourceNode, destinationNode, payload: String(payload), priority });
+        }
+
+        // Sends or queues a message; one taken from a queue keeps the time it was first queued
+        function offerMessage(message) {
+            const { sourceNode, destinationNode, payload, priority } = message;
+
+            if (!Number.isInteger(priority) || priority < PRIORITY.lowest || priority > PRIORITY.highest) {
+                network.messagesFailed++;
+                emit('message:rejected', { sourceNode, destinationNode, reason: 'bad-priority' });
+                return 'rejected';
+            }
+
+            if (payload.length > Frame.MAX_PAYLOAD_LENGTH) {
+                network.messagesFailed++;
+                emit('message:rejected', { sourceNode, destinationNode, reason: 'payload-too-long' });
+                return 'rejected';
+            }
+
+            if (destinationNode !== BROADCAST && isGroupDestination(destinationNode) && !hasGroup(destinationNode)) {
+                network.messagesFailed++;
+                emit('message:rejected', { sourceNode, destinationNode, reason: 'unknown-group' });
+                return 'rejected';
+            }
+
+            // A message to its own sender would never leave the queue it waits in
+            if (sourceNode === destinationNode) {
+                network.messagesFailed++;
+                emit('message:rejected', { sourceNode, destinationNode, reason: 'self' });
+                return 'rejected';
+            }
+
+            if (hasFault(sourceNode, 'bypass')) {
+                network.messagesFailed++;
+                emit('message:rejected', { sourceNode, destinationNode, reason: 'source-bypassed' });
+                return 'rejected';
+            }
+
+            // Contention protocols queue every message and let the node fight for the medium
+            if (MAC_PROTOCOLS[network.mac].contention) {
+                const result = enqueueMessage(message, 'contention');
+                if (result === 'queued') {
+                    scheduleAttempt(sourceNode, 0);
+                }
+                return result;
+            }
+
+            if (network.transferInProgress) {
+                return enqueueMessage(message, 'busy');
+            }
+
+            if (token.currentNode !== sourceNode) {
+                return enqueueMessage(message, 'token');
+            }
+
+            if (priority < token.priority) {
+                return enqueueMessage(message, 'priority');
+            }
+
+            if (!canStartFrame()) {
+                return enqueueMessage(message, 'holding-time');
+            }
+
+            if (rejectUnsendable(message)) {
+                return 'rejected';
+            }
+
+            token.framesSent++;
+            startTransfer(message);
+            return 'sent';
+        }
+
+        /**
+         * Refuses a message that cannot leave its sender right now
+         * @param {Object} message - { sourceNode, destinationNode }
+         * @returns {boolean} - True if the message was rejected
+         */
+        function rejectUnsendable({ sourceNode, destinationNode }) {
+            const group = isGroupDestination(destinationNode);
+            let reason = null;
+            if (sourceNode === destinationNode) {
+                reason = 'self';
+            } else if (isPoweredOff(sourceNode)) {
+                reason = 'source-off';
+            } else if (hasFault(sourceNode, 'bypass')) {
+                reason = 'source-bypassed';
+            } else if (group && getReceivers(sourceNode, destinationNode).length === 0) {
+                reason = 'no-receivers';
+            } else if (!group && isPoweredOff(destinationNode)) {
+                reason = 'destination-off';
+            }
+
+            if (!reason) return false;
+            network.messagesFailed++;
+            emit('message:rejected', { sourceNode, destinationNode, reason });
+            return true;
+        }
+
+        // Puts a message on the wire as a unicast or a broadcast/multicast transfer;
+        // a queued message remembers when it was queued, a message sent at once is queued now
+        function startTransfer({ sourceNode, destinationNode, payload, priority, timestamp }) {
+            const queuedAt = timestamp === undefined ? scheduler.now() : timestamp;
+            if (isGroupDestination(destinationNode)) {
+                startGroupTransmission(sourceNode, destinationNode, payload, priority, queuedAt);
+            } else {
+                startTransmission(sourceNode, destinationNode, payload, priority, queuedAt);
+            }
+        }
+
+        /**
+         * Changes the medium access control protocol. Token passing starts when it is picked
+         * and stops when a contention protocol takes over; queued messages stay queued.
+         * @param {string} name - A key of MAC_PROTOCOLS: 'token', 'aloha', 'slotted-aloha' or 'csma-cd'
+         * @returns {boolean} - Whether the protocol is known and was applied
+         */
+        function setMac(name) {
+            if (!Object.prototype.hasOwnProperty.call(MAC_PROTOCOLS, name)) return false;
+            if (name === network.mac) return true;
+
+            resetContention();
+            network.mac = name;
+            if (name === 'token') {
+                emit('mac:changed', { mac: name });
+                startTokenPassing();
+            } else {
+                stopTokenPassing();
+                emit('mac:changed', { mac: name });
+                Object.keys(network.queues).forEach(id => scheduleAttempt(Number(id), 0));
+            }
+            return true;
+        }
+
+        // Takes the token off the network and stands the active monitor down
+        function stopTokenPassing() {
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+            const wasActive = token.isActive;
+            token.isActive = false;
+            token.currentNode = null;
+            token.lost = null;
+            token.stranded = null;
+            token.held = false;
+            resetPriority();
+            stopMonitor();
+            monitor.nodeId = null;
+            if (wasActive) {
+                emit('token:stopped');
+            }
+        }
+
+        // Forgets every contention attempt, backoff and deferral in progress
+        function resetContention() {
+            Object.values(contention.stations).forEach(station => {
+                if (station.timer) scheduler.clearTimeout(station.timer);
+            });
+            if (contention.window && contention.window.timer) {
+                scheduler.clearTimeout(contention.window.timer);
+            }
+            contention.stations = {};
+            contention.window = null;
+            contention.current = null;
+        }
+
+        /**
+         * Lets a node try to send the head of its queue after a delay; slotted ALOHA
+         * waits on for the next slot boundary. Nothing happens if the node is already trying.
+         * @param {number} nodeId - The ID of the node
+         * @param {number} delay - Time to wait first, in milliseconds
+         */
+        function scheduleAttempt(nodeId, delay) {
+            const station = contention.stations[nodeId] || (contention.stations[nodeId] = { attempts: 0, timer: null, deferred: false });
+            const busy = station.timer || station.deferred ||
+                (contention.window && contention.window.contenders.includes(nodeId)) ||
+                (contention.current && contention.current.nodeId === nodeId && network.transferInProgress);
+            if (busy) return;
+
+            let wait = delay;
+            if (MAC_PROTOCOLS[network.mac].slotted) {
+                const start = scheduler.now() + delay;
+                wait = Math.ceil(start / CONTENTION.slotTime) * CONTENTION.slotTime - scheduler.now();
+            }
+            station.timer = after(wait, () => attempt(nodeId), `PC ${nodeId} tries to send`);
+        }
+
+        /**
+         * A node starts sending the head of its queue. CSMA/CD listens first and defers while
+         * the medium is busy; ALOHA sends anyway and collides with the frame on the wire.
+         * Attempts starting within one propagation delay cannot hear each other and collide.
+         * @param {number} nodeId - The ID of the node
+         */
+        function attempt(nodeId) {
+            const station = contention.stations[nodeId];
+            if (!station) return;
+            station.timer = null;
+
+            if (getQueueDepth(nodeId) === 0) {
+                delete contention.stations[nodeId];
+                return;
+            }
+
+            const message = network.queues[nodeId][0];
+            if (rejectUnsendable(message)) {
+                dequeueHead(nodeId);
+                station.attempts = 0;
+                scheduleAttempt(nodeId, 0);
+                return;
+            }
+
+            if (network.transferInProgress) {
+                if (MAC_PROTOCOLS[network.mac].carrierSense) {
+                    station.deferred = true;
+                    emit('mac:deferred', { nodeId, sender: network.transmission.sourceNode });
+                } else {
+                    collide([network.transmission.sourceNode, nodeId], network.transmission);
+                }
+                return;
+            }
+
+            emit('mac:attempt', { nodeId, attempt: station.attempts + 1, destinationNode: message.destinationNode });
+            if (contention.window) {
+                contention.window.contenders.push(nodeId);
+                return;
+            }
+            contention.window = { start: scheduler.now(), contenders: [nodeId], timer: null };
+            contention.window.timer = after(CONTENTION.propagationDelay, resolveContention, 'Contention window closes');
+        }
+
+        // One propagation delay after the first attempt: a lone sender has the medium, several collide
+        function resolveContention() {
+            const { contenders } = contention.window;
+            contention.window = null;
+
+            // Nodes that lost their message or power meanwhile have stopped sending
+            const senders = contenders.filter(id => getQueueDepth(id) > 0 && !isPoweredOff(id));
+            if (senders.length === 1) {
+                const nodeId = senders[0];
+                const station = contention.stations[nodeId];
+                const message = dequeueHead(nodeId);
+                contention.current = { nodeId, message, attempts: station.attempts + 1 };
+                delete contention.stations[nodeId];
+                emit('mac:acquired', { nodeId, attempts: contention.current.attempts });
+                startTransfer(message);
+            } else if (senders.length > 1) {
+                collide(senders, null);
+            }
+        }
+
+        /**
+         * Several nodes sent at once. With pure or slotted ALOHA a frame already on the
+         * wire is destroyed too and its sender tries again. Every node involved backs off
+         * for a random number of slots from a range that doubles with each collision
+         * (binary exponential backoff) and gives the message up after too many collisions.
+         * @param {number[]} nodeIds - The colliding nodes
+         * @param {Object|null} transmission - The transfer destroyed by the collision, if any
+         */
+        function collide(nodeIds, transmission) {
+            network.collisions++;
+            emit('mac:collision', { nodes: nodeIds.slice(), linkIds: collisionLinks(nodeIds) });
+
+            if (transmission) {
+                // The destroyed frame goes back to the head of its sender's queue
+                const current = contention.current;
+                contention.current = null;
+                failTransmission(transmission, { reason: 'collision', nodes: nodeIds.slice() });
+                if (current && !isPoweredOff(current.nodeId)) {
+                    insertQueued(current.message, true);
+                    emit('queue:changed');
+                    contention.stations[current.nodeId] = { attempts: current.attempts, timer: null, deferred: false };
+                }
+            }
+
+            nodeIds.forEach(nodeId => {
+                const station = contention.stations[nodeId];
+                if (!station || getQueueDepth(nodeId) === 0) return;
+
+                station.attempts++;
+                if (station.attempts >= CONTENTION.maxAttempts) {
+                    const message = dequeueHead(nodeId);
+                    network.messagesFailed++;
+                    emit('message:rejected', {
+                        sourceNode: nodeId,
+                        destinationNode: message.destinationNode,
+                        reason: 'excessive-collisions',
+                        attempts: station.attempts
+                    });
+                    station.attempts = 0;
+                    scheduleAttempt(nodeId, 0);
+                    return;
+                }
+
+                const range = Math.pow(2, Math.min(station.attempts, CONTENTION.backoffLimit));
+                const slots = Math.floor(random() * range);
+                const jam = MAC_PROTOCOLS[network.mac].carrierSense ? CONTENTION.jamTime : 0;
+                const wait = jam + slots * CONTENTION.slotTime;
+                emit('mac:backoff', { nodeId, attempts: station.attempts, slots, range, wait });
+                scheduleAttempt(nodeId, wait);
+            });
+        }
+
+        // Wires between the colliding nodes, where the signals meet
+        function collisionLinks(nodeIds) {
+            const ids = new Set();
+            nodeIds.slice(1).forEach((nodeId, index) => {
+                const path = findPath(nodeIds[index], nodeId);
+                path.slice(1).forEach((id, hop) => ids.add(linkId(path[hop], id)));
+            });
+            return Array.from(ids);
+        }
+
+        /**
+         * The medium fell silent after a transfer: the sender goes on with its queue and
+         * CSMA/CD nodes that deferred all start at once (1-persistent), which may collide
+         */
+        function releaseMedium() {
+            if (!MAC_PROTOCOLS[network.mac].contention || network.transferInProgress) return;
+
+            const current = contention.current;
+            contention.current = null;
+            if (current) {
+                scheduleAttempt(current.nodeId, 0);
+            }
+            Object.keys(contention.stations).forEach(id => {
+                const station = contention.stations[id];
+                if (station.deferred) {
+                    station.deferred = false;
+                    scheduleAttempt(Number(id), 0);
+                }
+            });
+        }
+
+        // Takes the first message off a node's queue
+        function dequeueHead(nodeId) {
+            const message = network.queues[nodeId].shift();
+            if (network.queues[nodeId].length === 0) {
+                delete network.queues[nodeId];
+            }
+            emit('queue:changed');
+            return message;
+        }
+
+        /**
+         * Checks whether a destination is a broadcast or multicast address rather than one PC
+         * @param {number|string} destination - Node ID, BROADCAST or a group name
+         * @returns {boolean}
+         */
+        function isGroupDestination(destination) {
+            return typeof destination === 'string';
+        }
+
+        /**
+         * Lists the PCs a message is meant for, leaving out the sender and PCs that were removed
+         * @param {number} sourceNode - Sending node ID
+         * @param {number|string} destination - Node ID, BROADCAST or a group name
+         * @returns {number[]} - Receiving node IDs in chain order
+         */
+        function getReceivers(sourceNode, destination) {
+            if (!isGroupDestination(destination)) {
+                return [destination];
+            }
+            const members = destination === BROADCAST ? getNodeIds() : (hasGroup(destination) ? network.groups[destination] : []);
+            return getNodeIds().filter(id => id !== sourceNode && members.includes(id));
+        }
+
+        // Whether a multicast group has that name; inherited names such as "toString" are not groups
+        function hasGroup(name) {
+            return Object.prototype.hasOwnProperty.call(network.groups, name);
+        }
+
+        /**
+         * Creates or changes a multicast group
+         * @param {string} name - Group name: a letter followed by up to 19 letters, digits, "-" or "_"
+         * @param {number[]} members - IDs of the member nodes
+         * @returns {boolean} - Whether the name and members are valid and the group was saved
+         */
+        function setGroup(name, members) {
+            const valid = isGroupName(name) &&
+                Array.isArray(members) && members.length > 0 &&
+                members.every(id => id in network.nodes || network.removedNodes.has(id));
+            if (!valid) return false;
+
+            network.groups[name] = Array.from(new Set(members)).sort((a, b) => a - b);
+            emit('group:changed', { name, members: network.groups[name].slice() });
+            return true;
+        }
+
+        /**
+         * Deletes a multicast group and the queued messages addressed to it
+         * @param {string} name - Group name
+         * @returns {boolean} - Whether the group existed
+         */
+        function deleteGroup(name) {
+            if (!hasGroup(name)) return false;
+
+            delete network.groups[name];
+            if (filterQueues(msg => msg.destinationNode !== name) > 0) {
+                emit('queue:changed');
+                emit('queue:purged', { group: name });
+            }
+            emit('group:deleted', { name });
+            return true;
+        }
+
+        /**
+         * Builds the next frame from a sender to a receiver
+         * @param {number} sourceNode - Sending node ID
+         * @param {number|string} destinationNode - Receiving node ID, BROADCAST or a group name
+         * @param {string} payload - Data the frame carries
+         * @returns {Object} - The frame (see sim/frame.js)
+         */
+        function buildFrame(sourceNode, destinationNode, payload) {
+            const sequence = network.sequenceNumbers[sourceNode] || 0;
+            network.sequenceNumbers[sourceNode] = (sequence + 1) % 65536;
+
+            let destination = { nodeId: destinationNode, ip: network.nodeIPs[destinationNode] };
+            if (destinationNode === BROADCAST) {
+                destination = Frame.BROADCAST_ADDRESS;
+            } else if (isGroupDestination(destinationNode)) {
+                destination = Frame.groupAddress(destinationNode);
+            }
+
+            return Frame.createFrame({
+                sequence,
+                source: { nodeId: sourceNode, ip: network.nodeIPs[sourceNode] },
+                destination,
+                payload
+            });
+        }
+
+        /**
+         * Computes the nodes a packet crosses between two nodes. The shortest route
+         * over intact wires and powered-on nodes is preferred (in a ring this is the
+         * shorter way around, or the other way when a wire is broken). If every route
+         * is cut, the shortest one is returned so the packet fails where it is cut.
+         * If no wire leads there at all, as across the gap left by a removed node,
+         * the path is just the source node and the packet fails there.
+         * @param {number} sourceNode - Starting node ID
+         * @param {number} destinationNode - Final node ID
+         * @returns {number[]} - Node IDs from source to destination inclusive, or [sourceNode]
+         */
+        function findPath(sourceNode, destinationNode) {
+            const isUsable = (link, nextNode) => !link.broken && !isPoweredOff(nextNode);
+            return shortestPath(sourceNode, destinationNode, isUsable) ||
+                shortestPath(sourceNode, destinationNode, () => true) ||
+                [sourceNode];
+        }
+
+        /**
+         * Breadth-first search over the links; on equal lengths the neighbour with the lower ID wins
+         * @param {number} sourceNode - Starting node ID
+         * @param {number} destinationNode - Final node ID
+         * @param {Function} canCross - Called with (link, nextNode); whether the hop may be used
+         * @returns {number[]|null} - Node IDs from source to destination inclusive, or null if unreachable
+         */
+        function shortestPath(sourceNode, destinationNode, canCross) {
+            const previous = { [sourceNode]: null };
+            const frontier = [sourceNode];
+
+            while (frontier.length > 0) {
+                const current = frontier.shift();
+                if (current === destinationNode) {
+                    const path = [];
+                    for (let node = current; node !== null; node = previous[node]) {
+                        path.unshift(node);
+                    }
+                    return path;
+                }
+
+                neighbours(current).forEach(({ link, next }) => {
+                    if (next in previous || !canCross(link, next)) return;
+                    previous[next] = current;
+                    frontier.push(next);
+                });
+            }
+            return null;
+        }
+
+        // Links of a node with the node at their other end, lowest ID first
+        function neighbours(nodeId) {
+            return network.connections
+                .filter(link => link.a === nodeId || link.b === nodeId)
+                .map(link => ({ link, next: link.a === nodeId ? link.b : link.a }))
+                .sort((x, y) => x.next - y.next);
+        }
+
+        /**
+         * Computes the tree a broadcast or multicast frame spreads along: every node
+         * is reached over the shortest working route if it has one, otherwise over
+         * the shortest route through the failure, so the frame stops where it is cut
+         * @param {number} sourceNode - Sending node ID
+         * @returns {Object} - Child node IDs keyed by node ID
+         */
+        function spanningTree(sourceNode) {
+            const parent = { [sourceNode]: null };
+            const order = [sourceNode];
+            const grow = canCross => {
+                for (let i = 0; i < order.length; i++) {
+                    neighbours(order[i]).forEach(({ link, next }) => {
+                        if (next in parent || !canCross(link, next)) return;
+                        parent[next] = order[i];
+                        order.push(next);
+                    });
+                }
+            };
+            grow((link, next) => !link.broken && !isPoweredOff(next));
+            grow(() => true);
+
+            const children = {};
+            order.forEach(nodeId => {
+                children[nodeId] = [];
+                if (parent[nodeId] !== null) {
+                    children[parent[nodeId]].push(nodeId);
+                }
+            });
+            return children;
+        }
+
+        function startTransmission(sourceNode, destinationNode, payload, priority, queuedAt) {
+            network.transferInProgress = true;
+            network.messagesSent++;
+
+            const reliable = network.arq.mode !== 'off';
+            const segments = reliable ? splitPayload(payload, network.arq.segmentSize) : [payload];
+            const transmission = {
+                sourceNode,
+                destinationNode,
+                priority,
+                frames: segments.map(segment => buildFrame(sourceNode, destinationNode, segment)),
+                frame: null,           // The data frame sent last
+                received: null,        // The data frame the receiver accepted last
+                path: findPath(sourceNode, destinationNode),
+                queuedAt,
+                startedAt: scheduler.now(),
+                reliable,
+                base: 0,               // Oldest frame not acknowledged yet
+                next: 0,               // Next frame to send
+                sent: 0,               // Frames sent at least once
+                expected: 0,           // Next frame the receiver accepts
+                round: 0,              // Incremented whenever the sender goes back, so older sends are skipped
+                retries: 0,            // Timeouts in a row for the frame at base
+                retransmissions: 0,    // Frames sent again
+                timer: null,           // Retransmission timer
+                lastFailure: null      // Why the last frame or acknowledgement was lost
+            };
+            transmission.frame = transmission.frames[0];
+            network.transmission = transmission;
+
+            emit('transmission:start', {
+                sourceNode,
+                destinationNode,
+                path: transmission.path.slice(),
+                frame: Frame.cloneFrame(transmission.frame),
+                frames: transmission.frames.length,
+                mode: network.arq.mode,
+                priority,
+                queuedAt
+            });
+
+            if (reliable) {
+                after(TIMING.startDelay, () => sendWindow(transmission), `PC ${sourceNode} starts sending`);
+            } else {
+                const flight = createFlight(transmission, 'data', transmission.frame, transmission.path);
+                after(TIMING.startDelay, () => forwardFrom(flight, 0), `PC ${sourceNode} starts sending`);
+            }
+        }
+
+        /**
+         * Splits a payload into the pieces carried by the frames of a reliable transfer
+         * @param {string} payload - Data to send
+         * @param {number} size - Characters per frame
+         * @returns {string[]} - At least one piece (empty for an empty payload)
+         */
+        function splitPayload(payload, size) {
+            const pieces = [];
+            for (let offset = 0; offset < payload.length; offset += size) {
+                pieces.push(payload.slice(offset, offset + size));
+            }
+            return pieces.length > 0 ? pieces : [''];
+        }
+
+        /**
+         * Creates a frame travelling along a path. A best-effort transfer has one
+         * flight; a reliable one has one per data frame sent and per acknowledgement.
+         * @param {Object} transmission - The transfer the frame belongs to
+         * @param {string} kind - 'data' or 'ack'
+         * @param {Object} frame - The frame, changed in place by noise on the way
+         * @param {number[]} path - Node IDs from sender to receiver inclusive
+         * @returns {Object} - The flight
+         */
+        function createFlight(transmission, kind, frame, path) {
+            return { id: nextFlightId++, transmission, kind, frame, path };
+        }
+
+        /**
+         * Advances a frame from the node at the given path index to the next node
+         * @param {Object} flight - The frame on its way (see createFlight)
+         * @param {number} index - Position in the path of the node holding the frame
+         */
+        function forwardFrom(flight, index) {
+            const { path, transmission } = flight;
+            if (network.transmission !== transmission) return;
+            const currentNode = path[index];
+
+            if (isPoweredOff(currentNode)) {
+                loseFlight(flight, nodeDownFailure(currentNode));
+                return;
+            }
+
+            // A path of one node leads nowhere: nothing is wired to the other end
+            if (path.length === 1) {
+                loseFlight(flight, { reason: 'no-route', nodeId: currentNode });
+                return;
+            }
+
+            if (index === path.length - 1) {
+                // A bypass relay repeats the frame on without copying it
+                if (hasFault(currentNode, 'bypass')) {
+                    loseFlight(flight, { reason: 'node-bypassed', nodeId: currentNode });
+                    return;
+                }
+                const label = flight.kind === 'ack' ?
+                    `Acknowledgement reaches PC ${currentNode}` : `Packet delivered to PC ${currentNode}`;
+                after(TIMING.finishDelay, () => arriveFlight(flight), label);
+                return;
+            }
+
+            const nextNode = path[index + 1];
+            const link = getLink(currentNode, nextNode);
+
+            if (!link || link.broken) {
+                loseFlight(flight, {
+                    reason: 'wire-broken',
+                    linkId: linkId(currentNode, nextNode),
+                    from: currentNode,
+                    to: nextNode
+                });
+                return;
+            }
+
+            if (isPoweredOff(nextNode)) {
+                loseFlight(flight, nodeDownFailure(nextNode));
+                return;
+            }
+
+            const duration = hopDuration(link, flight.frame);
+            const hop = {
+                from: currentNode,
+                to: nextNode,
+                linkId: link.id,
+                duration,
+                hopIndex: index,
+                kind: flight.kind,
+                flightId: flight.id,
+                frame: Frame.cloneFrame(flight.frame)
+            };
+
+            emit('transmission:hop', hop);
+            after(duration, () => {
+                emit('transmission:hop-end', hop);
+                if (network.transmission !== transmission) return;
+
+                // Noise on the wire: the frame may be lost or have bits flipped
+                if (link.dropProbability > 0 && random() < link.dropProbability) {
+                    network.framesDropped++;
+                    loseFlight(flight, { reason: 'dropped', linkId: link.id, from: currentNode, to: nextNode });
+                    return;
+                }
+                const bits = Frame.corruptFrame(flight.frame, link.bitErrorRate, random);
+                if (bits > 0) {
+                    emit('transmission:bit-errors', {
+                        linkId: link.id,
+                        from: currentNode,
+                        to: nextNode,
+                        bits,
+                        kind: flight.kind,
+                        frame: Frame.cloneFrame(flight.frame)
+                    });
+                }
+                const faulted = nodeFaultFailure(nextNode, flight.frame);
+                if (faulted) {
+                    loseFlight(flight, faulted);
+                    return;
+                }
+
+                emit('transmission:node', { nodeId: nextNode, kind: flight.kind, frame: Frame.cloneFrame(flight.frame) });
+                if (flight.kind === 'data' && !hasFault(nextNode, 'bypass')) {
+                    reserve(nextNode, 'frame');
+                }
+                const label = flight.kind === 'ack' ? `PC ${nextNode} forwards the acknowledgement` : `PC ${nextNode} forwards the packet`;
+                after(TIMING.nodeDwell + faultDelay(nextNode), () => forwardFrom(flight, index + 1), label);
+            }, `${flight.kind === 'ack' ? 'Acknowledgement' : 'Packet'} crosses wire ${link.id}`);
+        }
+
+        /**
+         * Time a frame takes to cross a wire: the base hop time at the current speed
+         * plus the wire's latency, a random jitter and, on a wire with a bandwidth,
+         * the time to put the frame's bits on it
+         * @param {Object} link - The link model
+         * @param {Object} frame - The frame crossing it
+         * @returns {number} - Milliseconds
+         */
+        function hopDuration(link, frame) {
+            const jitter = link.jitter > 0 ? (random() * 2 - 1) * link.jitter : 0;
+            const transmit = link.bandwidth > 0 ? Frame.frameLength(frame) * 8 / link.bandwidth * 1000 : 0;
+            return Math.max(0, TIMING.hopDuration / network.currentSpeed + link.latency + jitter + transmit);
+        }
+
+        // Failure details for a packet reaching a node that is down
+        function nodeDownFailure(nodeId) {
+            return nodeId === Topology.HUB_ID && network.hub ?
+                { reason: 'hub-down', nodeId } :
+                { reason: 'node-off', nodeId };
+        }
+
+        // A frame that reached the end of its path
+        function arriveFlight(flight) {
+            const { transmission } = flight;
+            if (network.transmission !== transmission) return;
+
+            if (!transmission.reliable) {
+                completeTransmission(transmission);
+            } else if (flight.kind === 'data') {
+                receiveFrame(transmission, flight.frame);
+            } else {
+                receiveAck(transmission, flight.frame);
+            }
+        }
+
+        // A frame that did not make it: a best-effort transfer fails, a reliable one waits for its timer
+        function loseFlight(flight, failure) {
+            const { transmission } = flight;
+            if (!transmission.reliable) {
+                failTransmission(transmission, failure);
+                return;
+            }
+
+            transmission.lastFailure = failure;
+            emit('transmission:frame-lost', Object.assign({
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                kind: flight.kind,
+                frame: Frame.cloneFrame(flight.frame)
+            }, failure));
+        }
+
+        function completeTransmission(transmission) {
+            // The destination recognizes its address and copies the frame if the check sequence matches
+            const { frame } = transmission;
+            frame.status.addressRecognized = true;
+            frame.status.frameCopied = Frame.checkFCS(frame);
+
+            if (!frame.status.frameCopied) {
+                network.framesCorrupted++;
+                failTransmission(transmission, { reason: 'crc-error', nodeId: transmission.destinationNode });
+                return;
+            }
+
+            deliverTransmission(transmission, frame);
+        }
+
+        function deliverTransmission(transmission, frame) {
+            if (transmission.retransmissions === 0) {
+                network.deliveredFirstTry++;
+            }
+            emit('transmission:delivered', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                frame: Frame.cloneFrame(frame),
+                frames: transmission.frames.length,
+                retransmissions: transmission.retransmissions
+            });
+            finishTransmission(transmission, 'delivered');
+        }
+
+        function failTransmission(transmission, failure) {
+            network.messagesFailed++;
+            emit('transmission:failed', Object.assign({
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                frame: Frame.cloneFrame(transmission.frame)
+            }, failure));
+            finishTransmission(transmission, 'failed');
+        }
+
+        // Drops the transfer in progress without reporting an outcome
+        function abandonTransmission() {
+            const transmission = network.transmission;
+            if (transmission && transmission.timer) {
+                scheduler.clearTimeout(transmission.timer);
+            }
+            network.transferInProgress = false;
+            network.transmission = null;
+        }
+
+        function finishTransmission(transmission, outcome) {
+            if (transmission.timer) {
+                scheduler.clearTimeout(transmission.timer);
+                transmission.timer = null;
+            }
+            network.transferInProgress = false;
+            network.transmission = null;
+            emit('transmission:end', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                outcome
+            });
+
+            // Process next message in queue if any
+            after(TIMING.queueDelay, MAC_PROTOCOLS[network.mac].contention ? releaseMedium : processQueuedMessages, 'Check message queue');
+        }
+
+        /**
+         * Sends every frame the window allows, one frame time apart. Stop-and-wait
+         * is Go-Back-N with a window of one frame.
+         * @param {Object} transmission - A reliable transfer
+         */
+        function sendWindow(transmission) {
+            const window = network.arq.mode === 'go-back-n' ? network.arq.windowSize : 1;
+            const limit = Math.min(transmission.frames.length, transmission.base + window);
+            const spacing = TIMING.hopDuration / network.currentSpeed;
+            const round = transmission.round;
+
+            for (let delay = 0; transmission.next < limit; delay += spacing) {
+                const index = transmission.next++;
+                const send = () => {
+                    if (network.transmission === transmission && transmission.round === round) {
+                        sendFrame(transmission, index);
+                    }
+                };
+                if (delay === 0) {
+                    send();
+                } else {
+                    after(delay, send, `PC ${transmission.sourceNode} sends frame ${index + 1}`);
+                }
+            }
+        }
+
+        /**
+         * Puts a fresh copy of one frame of a reliable transfer on the wire
+         * @param {Object} transmission - A reliable transfer
+         * @param {number} index - Position of the frame in the transfer
+         */
+        function sendFrame(transmission, index) {
+            const frame = Frame.cloneFrame(transmission.frames[index]);
+            const path = findPath(transmission.sourceNode, transmission.destinationNode);
+            const retransmission = index < transmission.sent;
+            transmission.sent = Math.max(transmission.sent, index + 1);
+            transmission.frame = frame;
+
+            if (!transmission.timer) {
+                startRetransmissionTimer(transmission);
+            }
+
+            emit('transmission:frame-sent', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                index,
+                frames: transmission.frames.length,
+                retransmission,
+                path: path.slice(),
+                frame: Frame.cloneFrame(frame)
+            });
+            forwardFrom(createFlight(transmission, 'data', frame, path), 0);
+        }
+
+        function startRetransmissionTimer(transmission) {
+            transmission.timer = after(network.arq.timeout, () => {
+                transmission.timer = null;
+                if (network.transmission !== transmission) return;
+                retransmit(transmission);
+            }, `PC ${transmission.sourceNode} acknowledgement timeout`);
+        }
+
+        /**
+         * Handles an expired retransmission timer: goes back to the oldest frame not
+         * acknowledged and sends it and every frame after it again, or gives up
+         * once the frame has been resent the maximum number of times
+         * @param {Object} transmission - A reliable transfer
+         */
+        function retransmit(transmission) {
+            emit('transmission:timeout', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                index: transmission.base,
+                retries: transmission.retries
+            });
+
+            if (transmission.retries >= network.arq.maxRetries) {
+                failTransmission(transmission, {
+                    reason: 'max-retries',
+                    retries: transmission.retries,
+                    lastFailure: transmission.lastFailure
+                });
+                return;
+            }
+
+            transmission.retries++;
+            transmission.retransmissions += transmission.next - transmission.base;
+            network.retransmissions += transmission.next - transmission.base;
+            emit('transmission:retransmit', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                from: transmission.base,
+                count: transmission.next - transmission.base,
+                attempt: transmission.retries
+            });
+
+            transmission.round++;
+            transmission.next = transmission.base;
+            sendWindow(transmission);
+        }
+
+        // Position within the transfer of the frame with the given sequence number
+        function frameIndex(transmission, sequence) {
+            return (sequence - transmission.frames[0].sequence + 65536) % 65536;
+        }
+
+        /**
+         * Receiver side of a reliable transfer: accepts the frame it expects, discards
+         * corrupted, duplicate and out-of-order frames, and acknowledges everything
+         * received intact with the next sequence number it expects
+         * @param {Object} transmission - A reliable transfer
+         * @param {Object} frame - The data frame that arrived
+         */
+        function receiveFrame(transmission, frame) {
+            const receiver = transmission.destinationNode;
+            frame.status.addressRecognized = true;
+
+            if (!Frame.checkFCS(frame)) {
+                network.framesCorrupted++;
+                emit('transmission:discarded', { nodeId: receiver, kind: 'data', reason: 'crc-error', frame: Frame.cloneFrame(frame) });
+                return;
+            }
+
+            const index = frameIndex(transmission, frame.sequence);
+            if (index === transmission.expected) {
+                transmission.expected++;
+                transmission.received = frame;
+                frame.status.frameCopied = true;
+                emit('transmission:frame-received', {
+                    nodeId: receiver,
+                    index,
+                    frames: transmission.frames.length,
+                    frame: Frame.cloneFrame(frame)
+                });
+            } else {
+                emit('transmission:discarded', {
+                    nodeId: receiver,
+                    kind: 'data',
+                    reason: index < transmission.expected ? 'duplicate' : 'out-of-order',
+                    frame: Frame.cloneFrame(frame)
+                });
+            }
+
+            const nextSequence = (transmission.frames[0].sequence + transmission.expected) % 65536;
+            const ack = Frame.createAck(frame, nextSequence);
+            const path = findPath(receiver, transmission.sourceNode);
+            emit('transmission:ack-sent', { nodeId: receiver, path: path.slice(), frame: Frame.cloneFrame(ack) });
+            forwardFrom(createFlight(transmission, 'ack', ack, path), 0);
+        }
+
+        /**
+         * Sender side of a reliable transfer: an acknowledgement moves the window on
+         * past every frame it covers; the transfer is delivered once all are covered
+         * @param {Object} transmission - A reliable transfer
+         * @param {Object} ack - The acknowledgement frame that arrived
+         */
+        function receiveAck(transmission, ack) {
+            if (!Frame.checkFCS(ack)) {
+                network.framesCorrupted++;
+                emit('transmission:discarded', {
+                    nodeId: transmission.sourceNode,
+                    kind: 'ack',
+                    reason: 'crc-error',
+                    frame: Frame.cloneFrame(ack)
+                });
+                return;
+            }
+
+            const acknowledged = frameIndex(transmission, ack.sequence);
+            const advances = acknowledged > transmission.base && acknowledged <= transmission.frames.length;
+            emit('transmission:ack', {
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                acknowledged: advances ? acknowledged : transmission.base,
+                frames: transmission.frames.length,
+                duplicate: !advances,
+                frame: Frame.cloneFrame(ack)
+            });
+            if (!advances) return;
+
+            transmission.base = acknowledged;
+            transmission.retries = 0;
+            if (transmission.timer) {
+                scheduler.clearTimeout(transmission.timer);
+                transmission.timer = null;
+            }
+
+            if (transmission.base === transmission.frames.length) {
+                deliverTransmission(transmission, transmission.received);
+                return;
+            }
+            if (transmission.base < transmission.next) {
+                startRetransmissionTimer(transmission);
+            }
+            sendWindow(transmission);
+        }
+
+        /**
+         * Starts a broadcast or multicast transfer. The frame spreads from the source
+         * along every branch of the network; each receiver copies it as it passes and
+         * a failure only cuts off the receivers behind it. Group frames are not
+         * acknowledged, so they are always sent best effort.
+         * @param {number} sourceNode - Sending node ID
+         * @param {string} destination - BROADCAST or a group name
+         * @param {string} payload - Data the frame carries
+         * @param {number} priority - Queue priority of the message
+         * @param {number} queuedAt - Simulated time at which the message was queued
+         */
+        function startGroupTransmission(sourceNode, destination, payload, priority, queuedAt) {
+            network.transferInProgress = true;
+            network.messagesSent++;
+
+            const frame = buildFrame(sourceNode, destination, payload);
+            const transmission = {
+                sourceNode,
+                destinationNode: destination,
+                priority,
+                frames: [frame],
+                frame,
+                path: [sourceNode],
+                queuedAt,
+                startedAt: scheduler.now(),
+                reliable: false,
+                retransmissions: 0,
+                receivers: getReceivers(sourceNode, destination),
+                tree: spanningTree(sourceNode),
+                receipts: {},          // Outcome for each receiver: { delivered, failure }
+                branches: 1            // Nodes still handling the frame; the transfer ends at zero
+            };
+            network.transmission = transmission;
+
+            emit('transmission:start', {
+                sourceNode,
+                destinationNode: destination,
+                path: transmission.path.slice(),
+                receivers: transmission.receivers.slice(),
+                frame: Frame.cloneFrame(frame),
+                frames: 1,
+                mode: 'off',
+                priority,
+                queuedAt
+            });
+            after(TIMING.startDelay, () => {
+                if (network.transmission !== transmission) return;
+                if (isPoweredOff(sourceNode)) {
+                    cutBranch(transmission, sourceNode, nodeDownFailure(sourceNode));
+                } else {
+                    spreadFrom(transmission, sourceNode, frame);
+                }
+                endBranch(transmission);
+            }, `PC ${sourceNode} starts sending`);
+        }
+
+        // Sends a copy of the frame from a node to each of its children in the tree
+        function spreadFrom(transmission, nodeId, frame) {
+            transmission.tree[nodeId].forEach(child => {
+                sendBranch(transmission, nodeId, child, Frame.cloneFrame(frame));
+            });
+        }
+
+        /**
+         * Moves a group frame over one wire of the tree and lets the node behind it copy and repeat it
+         * @param {Object} transmission - A group transfer
+         * @param {number} from - Node sending the frame
+         * @param {number} to - Node receiving the frame
+         * @param {Object} frame - This branch's copy of the frame
+         */
+        function sendBranch(transmission, from, to, frame) {
+            transmission.branches++;
+            const link = getLink(from, to);
+
+            if (!link || link.broken) {
+                cutBranch(transmission, to, { reason: 'wire-broken', linkId: linkId(from, to), from, to });
+                endBranch(transmission);
+                return;
+            }
+            if (isPoweredOff(to)) {
+                cutBranch(transmission, to, nodeDownFailure(to));
+                endBranch(transmission);
+                return;
+            }
+
+            const flight = createFlight(transmission, 'data', frame, [from, to]);
+            const duration = hopDuration(link, frame);
+            const hop = {
+                from,
+                to,
+                linkId: link.id,
+                duration,
+                hopIndex: 0,
+                kind: 'data',
+                flightId: flight.id,
+                frame: Frame.cloneFrame(frame)
+            };
+
+            emit('transmission:hop', hop);
+            after(duration, () => {
+                emit('transmission:hop-end', hop);
+                if (network.transmission !== transmission) return;
+
+                if (link.dropProbability > 0 && random() < link.dropProbability) {
+                    network.framesDropped++;
+                    cutBranch(transmission, to, { reason: 'dropped', linkId: link.id, from, to });
+                    endBranch(transmission);
+                    return;
+                }
+                const bits = Frame.corruptFrame(frame, link.bitErrorRate, random);
+                if (bits > 0) {
+                    emit('transmission:bit-errors', { linkId: link.id, from, to, bits, kind: 'data', frame: Frame.cloneFrame(frame) });
+                }
+                const faulted = nodeFaultFailure(to, frame);
+                if (faulted) {
+                    cutBranch(transmission, to, faulted);
+                    endBranch(transmission);
+                    return;
+                }
+
+                emit('transmission:node', { nodeId: to, kind: 'data', frame: Frame.cloneFrame(frame) });
+                if (hasFault(to, 'bypass')) {
+                    // A bypass relay repeats the frame on without copying it
+                    if (transmission.receivers.includes(to)) {
+                        recordReceipt(transmission, to, { reason: 'node-bypassed', nodeId: to }, null);
+                    }
+                } else {
+                    reserve(to, 'frame');
+                    if (transmission.receivers.includes(to)) {
+                        copyGroupFrame(transmission, to, frame);
+                    }
+                }
+                after(TIMING.nodeDwell + faultDelay(to), () => {
+                    if (network.transmission !== transmission) return;
+                    spreadFrom(transmission, to, frame);
+                    endBranch(transmission);
+                }, `PC ${to} repeats the packet`);
+            }, `Packet crosses wire ${link.id}`);
+        }
+
+        // A receiver copies the frame passing through if its check sequence matches
+        function copyGroupFrame(transmission, nodeId, frame) {
+            frame.status.addressRecognized = true;
+            frame.status.frameCopied = Frame.checkFCS(frame);
+
+            if (frame.status.frameCopied) {
+                recordReceipt(transmission, nodeId, null, frame);
+            } else {
+                network.framesCorrupted++;
+                recordReceipt(transmission, nodeId, { reason: 'crc-error', nodeId }, frame);
+            }
+        }
+
+        // Every receiver behind a failure misses the frame
+        function cutBranch(transmission, nodeId, failure) {
+            const behind = [nodeId];
+            for (let i = 0; i < behind.length; i++) {
+                behind.push(...transmission.tree[behind[i]]);
+            }
+            behind
+                .filter(id => transmission.receivers.includes(id))
+                .forEach(id => recordReceipt(transmission, id, failure, null));
+        }
+
+        function recordReceipt(transmission, receiver, failure, frame) {
+            transmission.receipts[receiver] = { delivered: !failure, failure };
+            emit('transmission:receipt', Object.assign({
+                sourceNode: transmission.sourceNode,
+                destinationNode: transmission.destinationNode,
+                receiver,
+                delivered: !failure,
+                frame: frame ? Frame.cloneFrame(frame) : null
+            }, failure));
+        }
+
+        function endBranch(transmission) {
+            transmission.branches--;
+            if (transmission.branches > 0 || network.transmission !== transmission) return;
+
+            const receipts = transmission.receivers.map(receiver => Object.assign({ receiver },
+                transmission.receipts[receiver] || { delivered: false, failure: { reason: 'unreachable' } }));
+            const delivered = receipts.filter(receipt => receipt.delivered).map(receipt => receipt.receiver);
+
+            if (delivered.length === receipts.length) {
+                if (transmission.retransmissions === 0) {
+                    network.deliveredFirstTry++;
+                }
+                emit('transmission:delivered', {
+                    sourceNode: transmission.sourceNode,
+                    destinationNode: transmission.destinationNode,
+                    frame: Frame.cloneFrame(transmission.frame),
+                    frames: 1,
+                    retransmissions: 0,
+                    receipts
+                });
+                finishTransmission(transmission, 'delivered');
+            } else {
+                failTransmission(transmission, {
+                    reason: delivered.length > 0 ? 'partial-delivery' : 'no-receiver-reached',
+                    delivered,
+                    receipts
+                });
+            }
+        }
+
+        // Copies multicast groups so saved state does not share member lists
+        function copyGroups(groups) {
+            const copy = {};
+            Object.keys(groups).forEach(name => {
+                copy[name] = groups[name].slice();
+            });
+            return copy;
+        }
+
+        // A node as plain data: its power state and its fault, if it has one
+        function saveNode(node) {
+            return Object.assign({ id: node.id, poweredOff: node.poweredOff }, node.fault ? { fault: faultSettings(node.fault) } : {});
+        }
+
+        // A link as plain data: its ends, whether it is broken and its settings
+        function saveLink(link) {
+            return Object.assign({ a: link.a, b: link.b, broken: link.broken }, getLinkQuality(link));
+        }
+
+        /**
+         * Captures the network, token and queue as plain serializable data
+         * @returns {Object} - State accepted by restore(). detachedLinks lists the wires that are
+         *   not connected now (those of removed nodes, say) but are broken or have settings to come back with
+         */
+        function snapshot() {
+            return {
+                topology: network.topology,
+                removal: network.removal,
+                maxNodeId: network.maxNodeId,
+                removedNodes: Array.from(network.removedNodes).sort((a, b) => a - b),
+                nodes: getNodeIds().map(id => saveNode(network.nodes[id])),
+                nodeIPs: Object.assign({}, network.nodeIPs),
+                links: network.connections.map(saveLink),
+                detachedLinks: Object.values(network.wires)
+                    .filter(link => !network.connections.includes(link) && (link.broken || isNoisy(link)))
+                    .map(saveLink),
+                hub: network.hub ? { failed: network.hub.failed } : null,
+                token: {
+                    isActive: token.isActive,
+                    currentNode: token.currentNode,
+                    direction: token.direction,
+                    interval: token.interval,
+                    holdingTime: token.holdingTime,
+                    lost: token.lost ? Object.assign({}, token.lost) : null,
+                    priority: token.priority,
+                    reservation: token.reservation,
+                    stack: token.stack.map(entry => Object.assign({}, entry))
+                },
+                monitor: monitor.nodeId,
+                arq: Object.assign({}, network.arq),
+                mac: network.mac,
+                seed: network.seed,
+                groups: copyGroups(network.groups),
+                allowDuplicates: network.allowDuplicates,
+                messageQueue: getQueuedMessages().map(msg => ({
+                    sourceNode: msg.sourceNode,
+                    destinationNode: msg.destinationNode,
+                    payload: msg.payload,
+                    priority: msg.priority
+                }))
+            };
+        }
+
+        /**
+         * Replaces the network, token and queue with a previously captured state.
+         * Any transfer in progress is abandoned; message counters are kept.
+         * @param {Object} state - State in the shape returned by snapshot()
+         */
+        function restore(state) {
+            if (token.timer) {
+                scheduler.clearTimeout(token.timer);
+                token.timer = null;
+            }
+            abandonTransmission();
+
+            network.topology = state.topology || 'chain';
+            network.removal = Topology.REMOVAL_MODES[state.removal] ? state.removal : 'splice';
+            network.arq = Object.assign({ mode: 'off' }, ARQ, state.arq);
+            network.mac = MAC_PROTOCOLS[state.mac] ? state.mac : 'token';
+            resetContention();
+            if (SimRandom.isValidSeed(state.seed)) {
+                reseed(state.seed);
+            }
+            network.groups = copyGroups(state.groups || {});
+            network.maxNodeId = state.maxNodeId;
+            network.removedNodes = new Set(state.removedNodes);
+            network.nodeIPs = Object.assign({}, state.nodeIPs);
+
+            // Put back the saved wires, then rebuild the network with the saved power states
+            network.wires = {};
+            (state.detachedLinks || []).concat(state.links || []).forEach(saved => {
+                const link = wireBetween(saved.a, saved.b);
+                link.broken = !!saved.broken;
+                Object.keys(LINK_QUALITY).forEach(key => {
+                    link[key] = typeof saved[key] === 'number' ? saved[key] : LINK_QUALITY[key];
+                });
+            });
+            network.nodes = {};
+            state.nodes.forEach(node => {
+                network.nodes[node.id] = {
+                    id: node.id,
+                    poweredOff: node.poweredOff,
+                    fault: isPlainObject(node.fault) && isNodeFault(faultSettings(node.fault)) ? faultSettings(node.fault) : null,
+                    framesSeen: 0
+                };
+            });
+            network.hub = null;
+            buildChain();
+            if (network.hub && state.hub) {
+                network.hub.failed = !!state.hub.failed;
+            }
+
+            // Contention protocols run without a token
+            token.isActive = state.token.isActive && network.mac === 'token';
+            token.currentNode = token.isActive ? state.token.currentNode : null;
+            token.direction = state.token.direction;
+            token.interval = state.token.interval;
+            token.holdingTime = typeof state.token.holdingTime === 'number' ? state.token.holdingTime : HOLDING_TIME;
+            token.priority = state.token.priority || PRIORITY.lowest;
+            token.reservation = state.token.reservation || PRIORITY.lowest;
+            token.stack = (state.token.stack || []).map(entry => Object.assign({}, entry));
+            // A token lost without a holder stays lost until the active monitor issues a new one
+            token.lost = token.isActive && token.currentNode === null ?
+                Object.assign({ reason: 'purged' }, state.token.lost) : null;
+            token.stranded = null;
+            stopMonitor();
+            monitor.nodeId = state.monitor !== undefined ? state.monitor : null;
+            if (token.isActive) {
+                if (!token.lost) {
+                    beginVisit();
+                    token.timer = after(token.interval, passToken, 'Token pass');
+                }
+                ensureMonitor();
+            }
+
+            network.allowDuplicates = !!state.allowDuplicates;
+            network.queues = {};
+            state.messageQueue.forEach(msg => insertQueued({
+                sourceNode: msg.sourceNode,
+                destinationNode: msg.destinationNode,
+                payload: msg.payload || '',
+                priority: msg.priority || PRIORITY.lowest,
+                timestamp: scheduler.now()
+            }));
+            if (MAC_PROTOCOLS[network.mac].contention) {
+                Object.keys(network.queues).forEach(id => scheduleAttempt(Number(id), 0));
+            }
+
+            emit('network:rebuilt');
+            emit('queue:changed');
+            emit('state:restored');
+        }
+
+        return {
+            network,
+            token,
+            monitor,
+            scheduler,
+            on,
+            off,
+            emit,
+            currentEvent,
+            getNodeIds,
+            getActiveNodeIds,
+            isPoweredOff,
+            setNodeFault,
+            getNodeFault,
+            getLink,
+            getReceivers,
+            setGroup,
+            deleteGroup,
+            getLinkQuality,
+            setLinkQuality,
+            isNoisy,
+            getStats,
+            clear,
+            addNode,
+            removeNode,
+            recoverNode,
+            recoverAllNodes,
+            setNodePower,
+            toggleNodePower,
+            toggleAllNodes,
+            setWireBroken,
+            toggleWireFailure,
+            setTopology,
+            setRemovalMode,
+            setHubFailed,
+            toggleHubFailure,
+            startTokenPassing,
+            resumeTokenPassing,
+            passToken,
+            changeTokenDirection,
+            setTokenInterval,
+            setHoldingTime,
+            setAllowDuplicates,
+            setSeed,
+            setSpeed,
+            setReliability,
+            setMac,
+            sendMessage,
+            getQueueDepth,
+            getQueuedMessages,
+            clearQueue,
+            processQueuedMessages,
+            findPath,
+            snapshot,
+            restore
+        };
+    }
+
+    return {
+        TIMING,
+        MONITOR,
+        LINK_QUALITY,
+        NODE_FAULTS,
+        PRIORITY,
+        HOLDING_TIME,
+        MAX_NODE_ID,
+        MAC_PROTOCOLS,
+        CONTENTION,
+        ARQ_MODES,
+        ARQ,
+        BROADCAST,
+        isGroupName,
+        isNodeFault,
+        faultSettings,
+        createSimulation,
+        generateIPAddress,
+        linkId
+    };
+}));
@@ -0,0 +1,208 @@
+/**
+ * Session timeline: what the network looked like at every moment of a session.
+ *
+ * After every simulation event the timeline captures a frame: the power state and
+ * fault of the nodes, the broken and noisy wires, the hub, where the token is (or where it
+ * was lost), and where the frames of the transfer under way are, where they got
+ * to and where they died. A frame shares everything that did not change with the
+ * frame before it, so a long session stays small. The page can then show any
+ * earlier moment without touching the live simulation.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Timeline = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default recording settings
+    const TIMELINE = {
+        limit: 20000           // Frames kept; the oldest ones are dropped beyond it
+    };
+
+    // Returns the previous value when the new one is the same, so unchanged parts are shared
+    function reuse(previous, next) {
+        return previous && JSON.stringify(previous) === JSON.stringify(next) ? previous : next;
+    }
+
+    // Wire or node an event happened at
+    function placeOf(event) {
+        return { linkId: event.linkId || null, nodeId: event.nodeId === undefined ? null : event.nodeId };
+    }
+
+    /**
+     * Follows the transfer under way through its events
+     * @param {Object|null} transfer - The transfer in the previous frame
+     * @param {Object} event - Simulation event
+     * @returns {Object|null} - { sourceNode, destinationNode, path, receivers, flights (frames on the
+     *   wires by flight ID: { linkId, from, to, kind }), reached (nodes the data got to), lost (where
+     *   frames died: { reason, linkId, nodeId, kind, event }), outcome ('delivered', 'failed' or null),
+     *   failure ({ reason, linkId, nodeId, event } once failed) }
+     */
+    function nextTransfer(transfer, event) {
+        switch (event.type) {
+            case 'transmission:start':
+                return {
+                    sourceNode: event.sourceNode,
+                    destinationNode: event.destinationNode,
+                    path: event.path,
+                    receivers: event.receivers || null,
+                    flights: {},
+                    reached: [event.sourceNode],
+                    lost: [],
+                    outcome: null,
+                    failure: null
+                };
+            case 'state:restored':
+                return null;
+        }
+        if (!transfer) return transfer;
+
+        switch (event.type) {
+            case 'transmission:hop':
+                return Object.assign({}, transfer, {
+                    flights: Object.assign({}, transfer.flights, {
+                        [event.flightId]: { linkId: event.linkId, from: event.from, to: event.to, kind: event.kind }
+                    })
+                });
+            case 'transmission:hop-end': {
+                const flights = Object.assign({}, transfer.flights);
+                delete flights[event.flightId];
+                return Object.assign({}, transfer, { flights });
+            }
+            case 'transmission:node':
+                if (event.kind !== 'data' || transfer.reached.includes(event.nodeId)) return transfer;
+                return Object.assign({}, transfer, { reached: transfer.reached.concat(event.nodeId) });
+            case 'transmission:frame-lost':
+                return Object.assign({}, transfer, {
+                    lost: transfer.lost.concat(Object.assign({ reason: event.reason, kind: event.kind, event }, placeOf(event)))
+                });
+            case 'transmission:delivered':
+                return Object.assign({}, transfer, { outcome: 'delivered' });
+            case 'transmission:failed':
+                return Object.assign({}, transfer, {
+                    outcome: 'failed',
+                    failure: Object.assign({ reason: event.reason, event }, placeOf(event))
+                });
+            case 'transmission:end':
+                return Object.keys(transfer.flights).length ? Object.assign({}, transfer, { flights: {} }) : transfer;
+            default:
+                return transfer;
+        }
+    }
+
+    /**
+     * Starts recording the timeline of a simulation
+     * @param {Object} sim - Simulation from Simulation.createSimulation
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Frames kept; the oldest ones are dropped beyond it
+     * @returns {Object} - The timeline: { length(), frame(index), indexAt(time), frameAt(time), dropped(), clear(), stop() }.
+     *   A frame is { time, event, topology, nodes: { id: { poweredOff, fault } }, links: { id: { broken, noisy } },
+     *   hubFailed, token: { isActive, currentNode, priority, stack, lost, monitor }, transfer (see nextTransfer) }
+     */
+    function createTimeline(sim, options = {}) {
+        const settings = Object.assign({}, TIMELINE, options);
+        let frames = [];
+        let dropped = 0;
+
+        function nodeStates() {
+            const nodes = {};
+            sim.getNodeIds().forEach(id => {
+                nodes[id] = { poweredOff: sim.isPoweredOff(id), fault: sim.getNodeFault(id) };
+            });
+            return nodes;
+        }
+
+        function linkStates() {
+            const links = {};
+            sim.network.connections.forEach(link => {
+                links[link.id] = { broken: link.broken, noisy: sim.isNoisy(link) };
+            });
+            return links;
+        }
+
+        function tokenState() {
+            const { token, monitor } = sim;
+            return {
+                isActive: token.isActive,
+                currentNode: token.currentNode,
+                priority: token.priority,
+                stack: token.stack.map(entry => ({ nodeId: entry.nodeId })),
+                lost: token.lost ? Object.assign({ reason: token.lost.reason }, placeOf(token.lost)) : null,
+                monitor: monitor.nodeId
+            };
+        }
+
+        // The frame after an event, or the previous frame if nothing visible changed
+        function capture(event) {
+            const previous = frames.length ? frames[frames.length - 1] : null;
+            const frame = {
+                time: event.time,
+                event,
+                topology: sim.network.topology,
+                nodes: reuse(previous && previous.nodes, nodeStates()),
+                links: reuse(previous && previous.links, linkStates()),
+                hubFailed: sim.network.hub ? sim.network.hub.failed : null,
+                token: reuse(previous && previous.token, tokenState()),
+                transfer: nextTransfer(previous && previous.transfer, event)
+            };
+            if (previous && ['topology', 'nodes', 'links', 'hubFailed', 'token', 'transfer'].every(key => frame[key] === previous[key])) {
+                return;
+            }
+
+            frames.push(frame);
+            if (frames.length > settings.limit) {
+                dropped += frames.length - settings.limit;
+                frames.splice(0, frames.length - settings.limit);
+            }
+        }
+
+        const unsubscribe = sim.on('*', capture);
+
+        /**
+         * Index of the frame showing the network at a time: the last one captured at or before it
+         * @param {number} time - Simulated time in milliseconds
+         * @returns {number} - Frame index; 0 for a time before the first frame
+         */
+        function indexAt(time) {
+            let low = 0;
+            let high = frames.length - 1;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (frames[middle].time <= time) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            return low;
+        }
+
+        // Forgets every frame and starts again from the current state
+        function clear() {
+            frames = [];
+            dropped = 0;
+            capture({ type: 'timeline:start', time: sim.scheduler.now() });
+        }
+
+        clear();
+
+        return {
+            settings,
+            length: () => frames.length,
+            frame: index => frames[index] || null,
+            indexAt,
+            frameAt: time => frames[indexAt(time)],
+            dropped: () => dropped,
+            clear,
+            stop: unsubscribe
+        };
+    }
+
+    return {
+        TIMELINE,
+        createTimeline
+    };
+}));
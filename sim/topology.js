@@ -0,0 +1,168 @@
+/**
+ * Network topologies: which nodes are wired to which.
+ *
+ * Each topology turns the ordered list of node IDs into a list of links.
+ * The simulation core uses it to build its link graph, and scenario files use
+ * it to check that a saved wire actually exists. Star and bus networks also
+ * have a shared device (the hub or the bus backbone) wired to every PC; it
+ * takes part in the link graph under the ID HUB_ID. A removed PC is either
+ * spliced out, its neighbours wired straight to each other, or leaves a gap.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Topology = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ID of the shared device of star and bus networks (PCs are numbered from 1)
+    const HUB_ID = 0;
+
+    /**
+     * Builds the identifier of the link between two nodes
+     * @param {number} a - ID of one endpoint
+     * @param {number} b - ID of the other endpoint
+     * @returns {string} - Link ID in the form "low-high"
+     */
+    function linkId(a, b) {
+        return `${Math.min(a, b)}-${Math.max(a, b)}`;
+    }
+
+    // Consecutive nodes wired one after another
+    function chainLinks(nodeIds) {
+        return nodeIds.slice(1).map((id, index) => [nodeIds[index], id]);
+    }
+
+    // Every node wired to the shared device
+    function hubLinks(nodeIds) {
+        return nodeIds.map(id => [HUB_ID, id]);
+    }
+
+    // The chain plus a closing link from the last node back to the first
+    function ringLinks(nodeIds) {
+        return nodeIds.length < 3 ? chainLinks(nodeIds) :
+            chainLinks(nodeIds).concat([[nodeIds[nodeIds.length - 1], nodeIds[0]]]);
+    }
+
+    // The ring plus a link from every node to the node two places further round
+    function meshLinks(nodeIds) {
+        const links = ringLinks(nodeIds);
+        const ids = new Set(links.map(([a, b]) => linkId(a, b)));
+
+        if (nodeIds.length >= 4) {
+            nodeIds.forEach((id, index) => {
+                const skip = nodeIds[(index + 2) % nodeIds.length];
+                if (!ids.has(linkId(id, skip))) {
+                    ids.add(linkId(id, skip));
+                    links.push([id, skip]);
+                }
+            });
+        }
+        return links;
+    }
+
+    // Available topologies: display name, link builder, how the view lays the
+    // nodes out ('row' or 'circle' around the optional hub, or 'bus') and the
+    // kind of shared device, if any
+    const TOPOLOGIES = {
+        chain: {
+            label: 'Daisy Chain',
+            links: chainLinks,
+            layout: 'row',
+            hub: null
+        },
+        ring: {
+            label: 'Ring',
+            links: ringLinks,
+            layout: 'row',
+            hub: null
+        },
+        bus: {
+            label: 'Bus',
+            links: hubLinks,
+            layout: 'bus',
+            hub: 'backbone'
+        },
+        star: {
+            label: 'Star',
+            links: hubLinks,
+            layout: 'circle',
+            hub: 'hub'
+        },
+        mesh: {
+            label: 'Partial Mesh',
+            links: meshLinks,
+            layout: 'circle',
+            hub: null
+        }
+    };
+
+    // What becomes of the wires of a removed PC: 'splice' joins the PCs on either
+    // side with a new wire, 'gap' leaves them without one
+    const REMOVAL_MODES = {
+        splice: { label: 'Splice the wire across' },
+        gap: { label: 'Leave a gap' }
+    };
+
+    /**
+     * Checks whether a topology name is known
+     * @param {string} name - Topology name
+     * @returns {boolean}
+     */
+    function isTopology(name) {
+        return Object.prototype.hasOwnProperty.call(TOPOLOGIES, name);
+    }
+
+    /**
+     * Checks whether a topology wires its PCs through a shared device
+     * @param {string} name - Topology name
+     * @returns {boolean}
+     */
+    function hasHub(name) {
+        return isTopology(name) && TOPOLOGIES[name].hub !== null;
+    }
+
+    /**
+     * Lists the links of a topology over the given nodes
+     * @param {string} name - Topology name (e.g. 'chain', 'ring', 'star')
+     * @param {number[]} nodeIds - Node IDs in chain order
+     * @returns {number[][]} - Pairs of node IDs that are wired together
+     */
+    function buildLinks(name, nodeIds) {
+        if (!isTopology(name)) {
+            throw new Error(`Unknown topology "${name}"`);
+        }
+        return TOPOLOGIES[name].links(nodeIds);
+    }
+
+    /**
+     * Lists the links of a topology over the PCs left after some were removed
+     * @param {string} name - Topology name
+     * @param {number[]} nodeIds - IDs of the PCs in the network, in chain order
+     * @param {number[]} removedIds - IDs of the removed PCs
+     * @param {string} [removal] - A key of REMOVAL_MODES: 'splice' wires the remaining PCs as if the removed
+     *   ones had never been there; 'gap' wires every PC in its place and leaves out the wires of removed ones
+     * @returns {number[][]} - Pairs of node IDs that are wired together
+     */
+    function buildLinksAround(name, nodeIds, removedIds, removal = 'splice') {
+        if (removal !== 'gap' || removedIds.length === 0) {
+            return buildLinks(name, nodeIds);
+        }
+        const removed = new Set(removedIds);
+        const places = nodeIds.concat(removedIds).sort((a, b) => a - b);
+        return buildLinks(name, places).filter(([a, b]) => !removed.has(a) && !removed.has(b));
+    }
+
+    return {
+        HUB_ID,
+        TOPOLOGIES,
+        REMOVAL_MODES,
+        isTopology,
+        hasHub,
+        buildLinks,
+        buildLinksAround,
+        linkId
+    };
+}));
@@ -0,0 +1,277 @@
+/**
+ * Traffic generator: messages offered by the PCs over a run.
+ *
+ * Every PC has its own arrival process, either Poisson (random gaps averaging
+ * the rate) or constant (evenly spaced messages, each PC starting at a random
+ * phase). An arrival can be a burst of several messages to one destination, and
+ * a hotspot PC can be made to receive a given share of the traffic. All random
+ * choices come from a seeded generator, so the same settings and seed always
+ * offer the same traffic. A rate the network cannot carry makes the queues grow.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random.js'));
+    } else {
+        root.Traffic = factory(root.SimRandom);
+    }
+}(typeof self !== 'undefined' ? self : this, function (SimRandom) {
+    'use strict';
+
+    // Arrival processes
+    const ARRIVALS = {
+        poisson: { label: 'Poisson' },
+        constant: { label: 'Constant' }
+    };
+
+    // Default settings
+    const TRAFFIC = {
+        arrival: 'poisson',
+        rate: 2,               // Arrivals per PC per minute
+        burstSize: 1,          // Messages per arrival, all to the same destination
+        hotspot: null,         // PC receiving an extra share of the traffic, or null
+        hotspotShare: 0.5,     // Probability that an arrival goes to the hotspot (0 to 1)
+        duration: 30000,       // Length of the run in simulated milliseconds
+        seed: 1                // Run seed; the traffic draws from its own stream derived from it
+    };
+
+    // Limits that keep a run small enough to generate in the browser
+    const LIMITS = {
+        rate: 120,
+        burstSize: 20,
+        duration: 3600000
+    };
+
+    /**
+     * Fills in the default settings
+     * @param {Object} [options] - Settings to use instead of the defaults (see TRAFFIC)
+     * @returns {Object}
+     */
+    function resolveSettings(options = {}) {
+        return Object.assign({}, TRAFFIC, options);
+    }
+
+    /**
+     * Checks traffic settings
+     * @param {Object} settings - Settings (see TRAFFIC); missing ones take their defaults
+     * @returns {string[]} - Problems found, empty if the settings can be used
+     */
+    function validateTraffic(settings) {
+        const { arrival, rate, burstSize, hotspot, hotspotShare, duration, seed } = resolveSettings(settings);
+        const problems = [];
+        if (!Object.prototype.hasOwnProperty.call(ARRIVALS, arrival)) {
+            problems.push(`arrival must be one of ${Object.keys(ARRIVALS).join(', ')}`);
+        }
+        if (!(typeof rate === 'number' && rate > 0 && rate <= LIMITS.rate)) {
+            problems.push(`rate must be more than 0 and at most ${LIMITS.rate} messages per minute`);
+        }
+        if (!(Number.isInteger(burstSize) && burstSize >= 1 && burstSize <= LIMITS.burstSize)) {
+            problems.push(`burst size must be a whole number from 1 to ${LIMITS.burstSize}`);
+        }
+        if (hotspot !== null && !Number.isInteger(hotspot)) {
+            problems.push('hotspot must be a node ID or none');
+        }
+        if (!(typeof hotspotShare === 'number' && hotspotShare >= 0 && hotspotShare <= 1)) {
+            problems.push('hotspot share must be from 0 to 1');
+        }
+        if (!(typeof duration === 'number' && duration > 0 && duration <= LIMITS.duration)) {
+            problems.push(`duration must be more than 0 and at most ${LIMITS.duration / 60000} minutes`);
+        }
+        if (!SimRandom.isValidSeed(seed)) {
+            problems.push(`seed must be a whole number from 0 to ${SimRandom.MAX_SEED}`);
+        }
+        return problems;
+    }
+
+    /**
+     * Creates the arrival processes of a set of PCs
+     * @param {number[]} nodeIds - The sending PCs
+     * @param {Object} settings - Resolved settings
+     * @param {Function} random - Seeded random number generator
+     * @returns {Function} - Returns the next arrival { time, sourceNode } in time order, or null once the run is over
+     */
+    function createArrivals(nodeIds, settings, random) {
+        const mean = 60000 / settings.rate;
+        const gap = () => settings.arrival === 'constant' ? mean : -Math.log(1 - random()) * mean;
+
+        // Constant-rate PCs start at random phases so they do not all send at once
+        const upcoming = nodeIds.map(nodeId => ({
+            nodeId,
+            time: settings.arrival === 'constant' ? random() * mean : gap()
+        }));
+
+        return function nextArrival() {
+            let earliest = null;
+            upcoming.forEach(entry => {
+                if (!earliest || entry.time < earliest.time) earliest = entry;
+            });
+            if (!earliest || earliest.time >= settings.duration) return null;
+
+            const arrival = { time: Math.floor(earliest.time), sourceNode: earliest.nodeId };
+            earliest.time += gap();
+            return arrival;
+        };
+    }
+
+    /**
+     * Picks the destination of an arrival
+     * @param {number} sourceNode - Sending PC
+     * @param {number[]} nodeIds - PCs that can receive
+     * @param {Object} settings - Resolved settings
+     * @param {Function} random - Seeded random number generator
+     * @returns {number|null} - Destination, or null if there is no other PC
+     */
+    function pickDestination(sourceNode, nodeIds, settings, random) {
+        const others = nodeIds.filter(id => id !== sourceNode);
+        if (others.length === 0) return null;
+
+        const toHotspot = random() < settings.hotspotShare;
+        if (toHotspot && others.includes(settings.hotspot)) {
+            return settings.hotspot;
+        }
+        return others[Math.floor(random() * others.length)];
+    }
+
+    /**
+     * Builds the messages of one arrival
+     * @param {Object} arrival - { time, sourceNode }
+     * @param {number} destinationNode - Where the burst goes
+     * @param {Object} settings - Resolved settings
+     * @param {Object} counts - Messages generated so far per PC, updated
+     * @returns {Object[]} - { time, sourceNode, destinationNode, payload }
+     */
+    function burst(arrival, destinationNode, settings, counts) {
+        const messages = [];
+        for (let i = 0; i < settings.burstSize; i++) {
+            counts[arrival.sourceNode] = (counts[arrival.sourceNode] || 0) + 1;
+            messages.push({
+                time: arrival.time,
+                sourceNode: arrival.sourceNode,
+                destinationNode,
+                payload: `Traffic ${arrival.sourceNode}.${counts[arrival.sourceNode]}`
+            });
+        }
+        return messages;
+    }
+
+    /**
+     * Generates all the traffic of a run in advance, for PCs that stay on
+     * @param {number[]} nodeIds - PCs that send and receive
+     * @param {Object} [options] - Settings (see TRAFFIC); they must pass validateTraffic
+     * @returns {Object[]} - Messages sorted by time: { time, sourceNode, destinationNode, payload }
+     */
+    function generateTraffic(nodeIds, options) {
+        const settings = resolveSettings(options);
+        const random = SimRandom.createRandom(SimRandom.deriveSeed(settings.seed, 'traffic'));
+        const nextArrival = createArrivals(nodeIds, settings, random);
+        const counts = {};
+        const traffic = [];
+
+        for (let arrival = nextArrival(); arrival; arrival = nextArrival()) {
+            const destinationNode = pickDestination(arrival.sourceNode, nodeIds, settings, random);
+            if (destinationNode !== null) {
+                traffic.push(...burst(arrival, destinationNode, settings, counts));
+            }
+        }
+        return traffic;
+    }
+
+    /**
+     * Offers traffic to a running simulation. Every PC in the network when the run
+     * starts gets an arrival process; an arrival at a PC that is off (or was removed)
+     * is skipped, and destinations are picked among the PCs that are on at the time.
+     * @param {Object} sim - Simulation from Simulation.createSimulation
+     * @param {Object} scheduler - Clock the simulation runs on (setTimeout, clearTimeout, now)
+     * @param {Object} [options] - Settings (see TRAFFIC); they must pass validateTraffic
+     * @param {Function} [options.onFinish] - Called with the run once the duration is over
+     * @returns {Object} - The run: { settings, startTime, stats, finished, stop() }. The stats count
+     *   arrivals, skipped arrivals, offered messages, the sendMessage results (sent, queued, duplicate,
+     *   rejected), transfers delivered and failed during the run and the longest total queue seen.
+     */
+    function startTraffic(sim, scheduler, options = {}) {
+        const { onFinish } = options;
+        const settings = resolveSettings(options);
+        delete settings.onFinish;
+
+        const random = SimRandom.createRandom(SimRandom.deriveSeed(settings.seed, 'traffic'));
+        const nextArrival = createArrivals(sim.getNodeIds(), settings, random);
+        const counts = {};
+        const run = {
+            settings,
+            startTime: scheduler.now(),
+            stats: {
+                arrivals: 0,
+                skipped: 0,
+                offered: 0,
+                sent: 0,
+                queued: 0,
+                duplicate: 0,
+                rejected: 0,
+                delivered: 0,
+                failed: 0,
+                maxQueue: 0
+            },
+            finished: false,
+            stop
+        };
+
+        const unsubscribe = [
+            sim.on('transmission:delivered', () => run.stats.delivered++),
+            sim.on('transmission:failed', () => run.stats.failed++)
+        ];
+        let timer = null;
+        let pending = nextArrival();
+
+        function schedule() {
+            const at = pending ? pending.time : settings.duration;
+            timer = scheduler.setTimeout(pending ? fire : finish,
+                Math.max(0, run.startTime + at - scheduler.now()), pending ? 'Traffic arrival' : 'Traffic finished');
+        }
+
+        function fire() {
+            const arrival = pending;
+            pending = nextArrival();
+            run.stats.arrivals++;
+
+            const destinationNode = sim.isPoweredOff(arrival.sourceNode) ? null :
+                pickDestination(arrival.sourceNode, sim.getActiveNodeIds(), settings, random);
+            if (destinationNode === null) {
+                run.stats.skipped++;
+            } else {
+                burst(arrival, destinationNode, settings, counts).forEach(msg => {
+                    run.stats.offered++;
+                    run.stats[sim.sendMessage(msg.sourceNode, msg.destinationNode, msg.payload)]++;
+                });
+                run.stats.maxQueue = Math.max(run.stats.maxQueue, sim.getQueuedMessages().length);
+            }
+            schedule();
+        }
+
+        function finish() {
+            timer = null;
+            run.finished = true;
+            unsubscribe.forEach(off => off());
+            if (onFinish) onFinish(run);
+        }
+
+        // Ends the run early; onFinish is not called
+        function stop() {
+            if (run.finished) return;
+            if (timer) scheduler.clearTimeout(timer);
+            timer = null;
+            run.finished = true;
+            unsubscribe.forEach(off => off());
+        }
+
+        schedule();
+        return run;
+    }
+
+    return {
+        ARRIVALS,
+        TRAFFIC,
+        LIMITS,
+        validateTraffic,
+        generateTraffic,
+        startTraffic
+    };
+}));
@@ -0,0 +1,58 @@
+/**
+ * Reliable delivery: acknowledgements, timeouts and retransmission (stop-and-wait and Go-Back-N).
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+
+// Sends a payload from PC 2 to PC 4 of a chain of 4 PCs with reliable delivery on;
+// the events of the transfer are returned as "type:sequence"
+function sendReliably(settings, quality, payload = 'Hi') {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 3 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    sim.setReliability(settings);
+    if (quality) sim.setLinkQuality('2-3', quality);
+    const events = [];
+    sim.on('*', event => {
+        if (/^transmission:(frame-sent|ack|retransmit|delivered|failed)$/.test(event.type)) {
+            events.push(event.frame ? `${event.type}:${event.frame.sequence}` : event.type);
+        }
+    });
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, payload);
+    clock.runUntil(60000);
+    return { events, stats: sim.getStats() };
+}
+
+test('stop-and-wait sends each segment once its predecessor is acknowledged', () => {
+    const { events, stats } = sendReliably({ mode: 'stop-and-wait' }, null, 'A message longer than sixteen chars');
+    assert.deepStrictEqual(events, [
+        'transmission:frame-sent:0', 'transmission:ack:1',
+        'transmission:frame-sent:1', 'transmission:ack:2',
+        'transmission:frame-sent:2', 'transmission:ack:3',
+        'transmission:delivered:2'
+    ]);
+    assert.strictEqual(stats.retransmissions, 0);
+});
+
+test('Go-Back-N sends a window of segments before the first acknowledgement', () => {
+    const { events } = sendReliably({ mode: 'go-back-n', windowSize: 4 }, null, 'A message longer than sixteen chars');
+    assert.deepStrictEqual(events.slice(0, 4), [
+        'transmission:frame-sent:0', 'transmission:frame-sent:1', 'transmission:frame-sent:2', 'transmission:ack:1'
+    ]);
+    assert.strictEqual(events[events.length - 1], 'transmission:delivered:2');
+});
+
+test('a frame that is never acknowledged is sent again until the retries run out', () => {
+    const { events, stats } = sendReliably({ mode: 'stop-and-wait', timeout: 5000, maxRetries: 2 }, { dropProbability: 1 });
+    assert.deepStrictEqual(events, [
+        'transmission:frame-sent:0',
+        'transmission:retransmit', 'transmission:frame-sent:0',
+        'transmission:retransmit', 'transmission:frame-sent:0',
+        'transmission:failed:0'
+    ]);
+    assert.strictEqual(stats.retransmissions, 2);
+});
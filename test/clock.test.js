@@ -0,0 +1,88 @@
+/**
+ * The simulated clock: events run in time order, one step at a time or up to a time.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+
+// Real timers under the test's control: each tick moves real time on by the given milliseconds
+function createHost() {
+    const host = {
+        realTime: 0,
+        driver: null,
+        setInterval: callback => {
+            host.driver = callback;
+            return 1;
+        },
+        clearInterval: () => {
+            host.driver = null;
+        },
+        now: () => host.realTime,
+        tick: ms => {
+            host.realTime += ms;
+            if (host.driver) host.driver();
+        }
+    };
+    return host;
+}
+
+test('events run in time order, and in scheduling order at the same time', () => {
+    const clock = SimClock.createClock();
+    const ran = [];
+    clock.setTimeout(() => ran.push('b'), 200);
+    clock.setTimeout(() => ran.push('a'), 100);
+    clock.setTimeout(() => ran.push('c'), 200);
+    const cancelled = clock.setTimeout(() => ran.push('x'), 150);
+    clock.clearTimeout(cancelled);
+
+    assert.strictEqual(clock.runUntil(1000), 3);
+    assert.deepStrictEqual(ran, ['a', 'b', 'c']);
+    assert.strictEqual(clock.now(), 1000);
+});
+
+test('stepping runs one event and moves the clock to its time', () => {
+    const clock = SimClock.createClock();
+    clock.setTimeout(() => {}, 300, 'First');
+    clock.setTimeout(() => {}, 500, 'Second');
+
+    assert.deepStrictEqual(clock.peek(), { time: 300, label: 'First' });
+    assert.deepStrictEqual(clock.step(), { time: 300, label: 'First' });
+    assert.strictEqual(clock.now(), 300);
+    assert.deepStrictEqual(clock.step(), { time: 500, label: 'Second' });
+    assert.strictEqual(clock.step(), null);
+});
+
+test('playing advances simulated time by real time times the rate, and pausing stops it', () => {
+    const host = createHost();
+    const clock = SimClock.createClock({ host, rate: 2 });
+    const ran = [];
+    clock.setTimeout(() => ran.push(clock.now()), 150);
+
+    clock.play();
+    host.tick(50);
+    assert.strictEqual(clock.now(), 100);
+    host.tick(50);
+    assert.deepStrictEqual(ran, [150]);
+    assert.strictEqual(clock.now(), 200);
+
+    clock.pause();
+    host.tick(1000);
+    assert.strictEqual(clock.now(), 200);
+    assert.strictEqual(clock.running, false);
+});
+
+test('the clock cannot jump back in time', () => {
+    const clock = SimClock.createClock();
+    clock.runUntil(500);
+    assert.throws(() => clock.jumpTo(100), RangeError);
+    clock.jumpTo(800);
+    assert.strictEqual(clock.now(), 800);
+});
+
+test('an event that keeps rescheduling itself without delay stops the run', () => {
+    const clock = SimClock.createClock();
+    const loop = () => clock.setTimeout(loop, 0);
+    loop();
+    assert.throws(() => clock.runUntil(1), /keeps rescheduling itself/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Protocol comparison: the same traffic under token passing, ALOHA and CSMA/CD.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Traffic = require('../sim/traffic.js');
+const Comparison = require('../sim/comparison.js');
+
+function createNetwork(count) {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 7 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return sim;
+}
+
+test('every protocol is offered the same traffic, and only the contention protocols collide', () => {
+    const sim = createNetwork(5);
+    const traffic = Traffic.generateTraffic(sim.getNodeIds(), { rate: 4, duration: 60000, seed: 7 });
+    const results = Comparison.compareProtocols(sim.snapshot(), traffic, { duration: 300000 });
+
+    assert.deepStrictEqual(results.map(result => result.mac), Object.keys(Simulation.MAC_PROTOCOLS));
+    results.forEach(result => {
+        assert.strictEqual(result.offered, traffic.length);
+        assert.ok(result.delivered + result.waiting + result.gaveUp <= result.offered);
+    });
+    const [token, aloha] = results;
+    assert.strictEqual(token.collisions, 0);
+    assert.strictEqual(token.delivered, traffic.length);
+    assert.ok(aloha.collisions > 0);
+});
+
+test('a comparison repeats exactly and leaves the live network untouched', () => {
+    const sim = createNetwork(4);
+    sim.startTokenPassing();
+    const before = JSON.stringify(sim.snapshot());
+    const traffic = Traffic.generateTraffic(sim.getNodeIds(), { rate: 6, duration: 60000, seed: 3 });
+
+    const first = Comparison.compareProtocols(sim.snapshot(), traffic, { duration: 120000 });
+    const second = Comparison.compareProtocols(sim.snapshot(), traffic, { duration: 120000 });
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(JSON.stringify(sim.snapshot()), before);
+});
@@ -0,0 +1,89 @@
+/**
+ * The structured event log and its CSV and JSON exports.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const EventLog = require('../sim/eventlog.js');
+
+// Logs PC 2 sending one message to PC 4 over a chain of 4 PCs
+function logOneMessage(options) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const log = EventLog.createEventLog(sim, options);
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(6000);
+    return { clock, sim, log };
+}
+
+test('an event becomes a flat record with its nodes, outcome and details', () => {
+    const record = EventLog.toRecord({ type: 'transmission:failed', time: 1200, sourceNode: 2, destinationNode: 4,
+        nodeId: 4, reason: 'crc-error', attempt: 1 }, 7);
+    assert.deepStrictEqual(record, {
+        seq: 7,
+        time: 1200,
+        type: 'transmission:failed',
+        nodes: [2, 4],
+        linkId: null,
+        outcome: 'failed',
+        reason: 'crc-error',
+        details: { attempt: 1 }
+    });
+});
+
+test('the log records every simulation event in order, numbered from 1', () => {
+    const { log } = logOneMessage();
+    const records = log.records();
+    assert.deepStrictEqual(records.map(record => record.seq), records.map((record, i) => i + 1));
+    assert.ok(!records.some(record => record.type === 'queue:changed'));
+    const delivered = records.find(record => record.type === 'transmission:delivered');
+    assert.deepStrictEqual([delivered.time, delivered.outcome], [4900, 'delivered']);
+    assert.deepStrictEqual(records.filter(record => record.linkId).map(record => record.linkId),
+        ['2-3', '2-3', '3-4', '3-4']);
+});
+
+test('entries added by the page sit between the simulation events', () => {
+    const { log } = logOneMessage();
+    log.add('log:message', { nodeId: 2, details: 'Sent' });
+    const last = log.records().pop();
+    assert.deepStrictEqual([last.type, last.time, last.nodes], ['log:message', 6000, [2]]);
+
+    log.clear();
+    log.add('log:message');
+    assert.deepStrictEqual(log.records().map(record => record.seq), [1]);
+});
+
+test('the oldest records are dropped beyond the limit', () => {
+    const { log } = logOneMessage({ limit: 3 });
+    const records = log.records();
+    assert.strictEqual(records.length, 3);
+    assert.strictEqual(records[2].seq, records.length + log.dropped());
+});
+
+test('the CSV export quotes fields and writes details as JSON', () => {
+    const csv = EventLog.recordsToCSV([
+        EventLog.toRecord({ type: 'message:queued', time: 0, sourceNode: 1, destinationNode: 3, payload: 'Hi, "you"' }, 1)
+    ]);
+    assert.strictEqual(csv, [
+        EventLog.CSV_COLUMNS.join(','),
+        '1,0,message:queued,1 3,,queued,,"{""payload"":""Hi, \\""you\\""""}"',
+        ''
+    ].join('\n'));
+});
+
+test('the JSON export keeps the records and the metadata given', () => {
+    const { log } = logOneMessage();
+    const exported = JSON.parse(log.toJSON({ seed: 1 }));
+    assert.strictEqual(exported.seed, 1);
+    assert.strictEqual(exported.dropped, 0);
+    assert.deepStrictEqual(exported.records, log.records());
+});
+
+test('nested statistics flatten into name/value rows', () => {
+    assert.strictEqual(EventLog.statsToCSV({ delivered: 2, links: { '1-2': { data: 3 } } }),
+        'name,value\ndelivered,2\nlinks.1-2.data,3\n');
+});
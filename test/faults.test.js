@@ -0,0 +1,110 @@
+/**
+ * Node faults: bypass relays, dropped frames, slow nodes and babbling nodes.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+
+function createNetwork(count) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+// Sends one message from PC 2 to PC 4 across a faulty PC 3 and records what happened
+function sendAcrossFault(fault) {
+    const { clock, sim } = createNetwork(4);
+    sim.setNodeFault(3, fault);
+    const events = [];
+    sim.on('*', event => {
+        if (/^(token:(passed|lost)|transmission:(delivered|failed|bit-errors))$/.test(event.type)) {
+            events.push([event.type, event.time, event.reason || event.to || event.bits || null]);
+        }
+    });
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(9000);
+    return events;
+}
+
+test('token passing starts on the first node that is not a bypass relay', () => {
+    const { sim } = createNetwork(4);
+    sim.setNodeFault(1, { mode: 'bypass' });
+    const started = [];
+    sim.on('token:started', event => started.push(event.nodeId));
+
+    sim.startTokenPassing();
+    assert.deepStrictEqual(started, [2]);
+    assert.strictEqual(sim.monitor.nodeId, 2);
+});
+
+test('removing the token holder hands the token past a bypass relay', () => {
+    const { sim } = createNetwork(5);
+    sim.startTokenPassing();
+    const holder = sim.token.currentNode;
+    sim.setNodeFault(holder + 1, { mode: 'bypass' });
+
+    sim.removeNode(holder);
+    assert.strictEqual(sim.token.currentNode, holder + 2);
+});
+
+test('a monitor turned bypass relay gives way to an elected monitor that issues tokens', () => {
+    const { clock, sim } = createNetwork(4);
+    sim.startTokenPassing();
+    const monitor = sim.monitor.nodeId;
+    sim.setNodeFault(monitor, { mode: 'bypass' });
+
+    const holders = [];
+    sim.on('token:regenerated', event => holders.push(event.nodeId));
+    sim.on('token:passed', event => holders.push(event.to));
+    sim.setWireBroken('2-3', true);
+    clock.runUntil(clock.now() + 60000);
+
+    assert.notStrictEqual(sim.monitor.nodeId, monitor);
+    assert.ok(holders.length > 0);
+    assert.ok(!holders.includes(monitor));
+});
+
+test('a fault must have a known mode and its setting in range; a missing setting takes its default', () => {
+    const { sim } = createNetwork(4);
+    [{ mode: 'sleepy' }, { mode: 'drop-nth', every: 1 }, { mode: 'drop-nth', every: 2.5 },
+        { mode: 'slow', delay: -1 }, { mode: 'babbling', errorRate: 2 }].forEach(fault => {
+        assert.strictEqual(sim.setNodeFault(2, fault), false, JSON.stringify(fault));
+    });
+    assert.strictEqual(sim.setNodeFault(9, { mode: 'slow' }), false);
+    assert.strictEqual(sim.getNodeFault(2), null);
+
+    assert.ok(sim.setNodeFault(2, { mode: 'slow' }));
+    assert.deepStrictEqual(sim.getNodeFault(2), { mode: 'slow', delay: 2000 });
+    assert.ok(sim.setNodeFault(2, null));
+    assert.strictEqual(sim.getNodeFault(2), null);
+});
+
+test('a node that drops every Nth frame counts the token too', () => {
+    // The data frame is the first thing to reach PC 3, the token the second
+    assert.deepStrictEqual(sendAcrossFault({ mode: 'drop-nth', every: 2 }), [
+        ['token:passed', 0, 2],
+        ['transmission:delivered', 4900, null],
+        ['token:lost', 5000, 'node-dropped']
+    ]);
+});
+
+test('a slow node holds the frame and the token longer', () => {
+    assert.deepStrictEqual(sendAcrossFault({ mode: 'slow', delay: 2000 }), [
+        ['token:passed', 0, 2],
+        ['transmission:delivered', 6900, null],
+        ['token:passed', 7000, 3]
+    ]);
+});
+
+test('a babbling node spoils the frames it repeats and destroys the token', () => {
+    assert.deepStrictEqual(sendAcrossFault({ mode: 'babbling', errorRate: 1 }), [
+        ['token:passed', 0, 2],
+        ['transmission:bit-errors', 2300, 64],
+        ['transmission:failed', 4900, 'crc-error'],
+        ['token:lost', 5000, 'token-corrupted']
+    ]);
+});
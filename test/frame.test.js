@@ -0,0 +1,55 @@
+/**
+ * Data frames: addresses, payload and the CRC-32 frame check sequence.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Frame = require('../sim/frame.js');
+
+const source = { nodeId: 2, ip: '192.168.1.102' };
+const destination = { nodeId: 10, ip: '192.168.1.110' };
+
+test('the frame check sequence is the standard CRC-32', () => {
+    assert.strictEqual(Frame.formatFCS(Frame.crc32('123456789')), '0xCBF43926');
+    assert.strictEqual(Frame.macAddress(10), '02:00:00:00:00:0a');
+});
+
+test('a frame passes its check until a field it covers changes', () => {
+    const frame = Frame.createFrame({ sequence: 3, source, destination, payload: 'Hello' });
+    assert.ok(Frame.checkFCS(frame));
+    assert.strictEqual(Frame.frameLength(frame), 1 + 12 + 2 + 5 + 4 + 1);
+
+    const copy = Frame.cloneFrame(frame);
+    copy.payload = 'Jello';
+    assert.ok(!Frame.checkFCS(copy));
+    assert.ok(Frame.checkFCS(frame));
+});
+
+test('an acknowledgement goes back to the sender with the next expected sequence number', () => {
+    const frame = Frame.createFrame({ sequence: 3, source, destination, payload: 'Hello' });
+    const ack = Frame.createAck(frame, 4);
+    assert.strictEqual(ack.kind, 'ack');
+    assert.strictEqual(ack.sequence, 4);
+    assert.deepStrictEqual([ack.source.nodeId, ack.destination.nodeId], [10, 2]);
+    assert.ok(Frame.checkFCS(ack));
+});
+
+test('a delivered frame carries its addresses and the address recognized and frame copied bits', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const frames = [];
+    sim.on('transmission:delivered', event => frames.push(event.frame));
+    sim.startTokenPassing();
+    sim.sendMessage(sim.token.currentNode, 4, 'Hi');
+    clock.runUntil(20000);
+
+    assert.strictEqual(frames.length, 1);
+    const [frame] = frames;
+    assert.strictEqual(frame.destination.ip, sim.network.nodeIPs[4]);
+    assert.strictEqual(frame.payload, 'Hi');
+    assert.ok(Frame.checkFCS(frame));
+    assert.deepStrictEqual(frame.status, { addressRecognized: true, frameCopied: true });
+});
@@ -0,0 +1,75 @@
+/**
+ * Broadcast and multicast: who receives a message to "all" or a group, and which group names count.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const ScenarioScript = require('../sim/script.js');
+
+function createNetwork(count) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+// The receipts of the transfers that ended, by receiver: [[receiver, delivered], ...]
+function recordReceipts(sim) {
+    const transfers = [];
+    ['transmission:delivered', 'transmission:failed'].forEach(type => sim.on(type, event => {
+        transfers.push(event.receipts.map(receipt => [receipt.receiver, receipt.delivered]));
+    }));
+    return transfers;
+}
+
+test('a multicast message reaches every member of its group but the sender', () => {
+    const { clock, sim } = createNetwork(5);
+    sim.setGroup('odd', [1, 3, 5]);
+    assert.deepStrictEqual(sim.getReceivers(3, 'odd'), [1, 5]);
+
+    const transfers = recordReceipts(sim);
+    sim.startTokenPassing();
+    sim.sendMessage(2, 'odd');
+    clock.runUntil(30000);
+    assert.deepStrictEqual(transfers, [[[1, true], [3, true], [5, true]]]);
+});
+
+test('a broadcast reaches every other PC, and a PC that is off misses it', () => {
+    const { clock, sim } = createNetwork(5);
+    sim.setNodePower(5, false);
+    assert.deepStrictEqual(sim.getReceivers(2, Simulation.BROADCAST), [1, 3, 4, 5]);
+
+    const transfers = recordReceipts(sim);
+    sim.startTokenPassing();
+    sim.sendMessage(2, Simulation.BROADCAST);
+    clock.runUntil(30000);
+    assert.deepStrictEqual(transfers, [[[1, true], [3, true], [4, true], [5, false]]]);
+});
+
+test('a message to an inherited object name is rejected as an unknown group', () => {
+    const { sim } = createNetwork(4);
+    const rejected = [];
+    sim.on('message:rejected', event => rejected.push(event.reason));
+
+    ['toString', 'constructor', 'hasOwnProperty'].forEach(name => {
+        assert.strictEqual(sim.sendMessage(1, name, 'x'), 'rejected');
+    });
+    assert.deepStrictEqual(rejected, ['unknown-group', 'unknown-group', 'unknown-group']);
+    assert.deepStrictEqual(sim.getReceivers(1, 'toString'), []);
+    assert.strictEqual(sim.deleteGroup('toString'), false);
+});
+
+test('a group may be named after an inherited object name', () => {
+    const { sim } = createNetwork(4);
+    assert.strictEqual(sim.setGroup('constructor', [2, 3]), true);
+    assert.deepStrictEqual(sim.getReceivers(1, 'constructor'), [2, 3]);
+    assert.strictEqual(sim.deleteGroup('constructor'), true);
+});
+
+test('a lab script sending to "toString" reports a failure instead of throwing', () => {
+    const result = ScenarioScript.runScript('at t=1 send 1 -> toString\nexpect failure');
+    assert.strictEqual(result.passed, true);
+    assert.match(result.expectations[0].detail, /unknown-group/);
+});
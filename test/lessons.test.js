@@ -0,0 +1,108 @@
+/**
+ * Guided lessons: the bundled lessons, following a learner and remembering progress.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Scenario = require('../sim/scenario.js');
+const Lessons = require('../sim/lessons.js');
+
+const LESSON_DIR = path.join(__dirname, '..', 'lessons');
+
+const lesson = {
+    id: 'test-lesson',
+    title: 'Break and repair',
+    setup: '#n=4&t=1',
+    steps: [
+        { text: 'Read this first.' },
+        { text: 'Break wire 2-3.', waitFor: { type: 'wire:changed', linkId: '2-3', broken: true }, setup: '#n=4&b=2-3&t=1' },
+        { text: 'Repair any wire.', waitFor: { type: 'wire:changed', broken: [false] } }
+    ]
+};
+
+// A storage like localStorage, kept in memory
+function createStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+test('the bundled lessons are valid and set up valid networks', () => {
+    const files = fs.readdirSync(LESSON_DIR).filter(file => file.endsWith('.js'));
+    assert.ok(files.length > 0);
+    files.forEach(file => {
+        const bundled = require(path.join(LESSON_DIR, file));
+        assert.deepStrictEqual(Lessons.validateLesson(bundled), [], file);
+        bundled.steps.forEach((step, i) => {
+            const setup = Lessons.setupAt(bundled, i);
+            if (setup) assert.doesNotThrow(() => Scenario.decodeScenarioHash(setup), `${file} step ${i}`);
+        });
+    });
+});
+
+test('every problem of a lesson is reported', () => {
+    assert.deepStrictEqual(Lessons.validateLesson([]), ['Lesson must be an object']);
+    assert.deepStrictEqual(Lessons.validateLesson({ id: '', title: 'T', steps: [{ text: 'x', waitFor: {} }, 3] }), [
+        'id must be a non-empty string',
+        'steps[0].waitFor must be an object with the event type to wait for',
+        'steps[1] must be an object'
+    ]);
+    assert.throws(() => Lessons.register({ id: 'broken', title: 'T', steps: [] }), error =>
+        error instanceof Lessons.LessonError && error.message === 'Invalid lesson "broken": steps must be a non-empty array');
+});
+
+test('a lesson registered again replaces the earlier one', () => {
+    Lessons.register(lesson);
+    Lessons.register(Object.assign({}, lesson, { title: 'Renamed' }));
+    assert.strictEqual(Lessons.list().filter(existing => existing.id === lesson.id).length, 1);
+    assert.strictEqual(Lessons.get(lesson.id).title, 'Renamed');
+    assert.strictEqual(Lessons.get('no-such-lesson'), null);
+});
+
+test('a learner coming back to a step gets the network of the last setup before it', () => {
+    assert.strictEqual(Lessons.setupAt(lesson, 0), '#n=4&t=1');
+    assert.strictEqual(Lessons.setupAt(lesson, 1), '#n=4&b=2-3&t=1');
+    assert.strictEqual(Lessons.setupAt(lesson, 2), '#n=4&b=2-3&t=1');
+});
+
+test('the runner moves on once the step\'s event happened and remembers the progress', () => {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const storage = createStorage();
+    const progress = Lessons.createProgress(storage);
+    const runner = Lessons.createLessonRunner(sim, lesson, { progress });
+
+    // A step without an event only has to be read
+    assert.ok(runner.isDone());
+    assert.ok(runner.next());
+    assert.ok(!runner.isDone());
+    assert.ok(!runner.next());
+
+    sim.setWireBroken('3-4', true);
+    assert.ok(!runner.isDone());
+    sim.setWireBroken('2-3', true);
+    assert.ok(runner.isDone());
+    assert.deepStrictEqual(Lessons.createProgress(storage).get(lesson.id), { step: 1, completed: false });
+
+    runner.next();
+    sim.setWireBroken('3-4', false);
+    assert.ok(runner.next());
+    assert.ok(runner.isFinished());
+    assert.deepStrictEqual(Lessons.createProgress(storage).get(lesson.id), { step: 0, completed: true });
+    runner.stop();
+});
+
+test('progress is kept in memory when the storage refuses it', () => {
+    const progress = Lessons.createProgress({
+        getItem: () => '{not json',
+        setItem: () => { throw new Error('QuotaExceededError'); }
+    });
+    progress.setStep('test-lesson', 2);
+    assert.deepStrictEqual(progress.get('test-lesson'), { step: 2, completed: false });
+});
@@ -0,0 +1,71 @@
+/**
+ * Sending messages: what is sent at once, queued or refused, and in which order queued messages leave.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Scenario = require('../sim/scenario.js');
+
+function createNetwork(count) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+test('a PC cannot send to itself, whether it holds the token or not', () => {
+    const { sim } = createNetwork(4);
+    sim.startTokenPassing();
+    const rejected = [];
+    sim.on('message:rejected', event => rejected.push([event.sourceNode, event.reason]));
+
+    const holder = sim.token.currentNode;
+    const other = holder === 3 ? 2 : 3;
+    assert.strictEqual(sim.sendMessage(holder, holder), 'rejected');
+    assert.strictEqual(sim.sendMessage(other, other), 'rejected');
+    assert.deepStrictEqual(rejected, [[holder, 'self'], [other, 'self']]);
+    assert.deepStrictEqual(sim.getQueuedMessages(), []);
+});
+
+test('a PC cannot queue a message to itself under a contention protocol', () => {
+    const { sim } = createNetwork(4);
+    sim.setMac('csma-cd');
+    assert.strictEqual(sim.sendMessage(2, 2), 'rejected');
+    assert.strictEqual(sim.sendMessage(2, 3), 'queued');
+    assert.deepStrictEqual(Scenario.validateScenario(JSON.parse(JSON.stringify(Scenario.exportScenario(sim)))), []);
+});
+
+test('queued messages leave in priority order, and a holder stops starting frames after its holding time', () => {
+    const { clock, sim } = createNetwork(5);
+    sim.startTokenPassing();
+    assert.strictEqual(sim.sendMessage(1, 5, 'low', 0), 'queued');
+    assert.strictEqual(sim.sendMessage(1, 4, 'high', 6), 'queued');
+    assert.strictEqual(sim.sendMessage(1, 3, 'middle', 3), 'queued');
+    assert.deepStrictEqual(sim.getQueuedMessages().map(msg => msg.payload), ['high', 'middle', 'low']);
+
+    const log = [];
+    sim.on('transmission:start', event => log.push(`PC ${event.sourceNode} sends to PC ${event.destinationNode}`));
+    sim.on('token:passed', event => log.push(`token to PC ${event.to}`));
+    clock.runUntil(40000);
+
+    // Two transfers fit in PC 1's holding time; the third waits for the token to come round
+    const visits = log.slice(log.indexOf('token to PC 1'));
+    assert.deepStrictEqual(visits.slice(0, 7), [
+        'token to PC 1', 'PC 1 sends to PC 4', 'PC 1 sends to PC 3',
+        'token to PC 2', 'token to PC 3', 'token to PC 4', 'token to PC 5'
+    ]);
+    assert.deepStrictEqual(visits.slice(7, 9), ['token to PC 1', 'PC 1 sends to PC 5']);
+});
+
+test('a second message to the same destination is refused unless duplicates are allowed', () => {
+    const { sim } = createNetwork(4);
+    sim.startTokenPassing();
+    assert.strictEqual(sim.sendMessage(1, 4, 'first'), 'queued');
+    assert.strictEqual(sim.sendMessage(1, 4, 'second'), 'duplicate');
+
+    sim.setAllowDuplicates(true);
+    assert.strictEqual(sim.sendMessage(1, 4, 'second'), 'queued');
+    assert.strictEqual(sim.getQueueDepth(1), 2);
+});
@@ -0,0 +1,71 @@
+/**
+ * Performance metrics: throughput, latency, utilization and traffic per wire.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Metrics = require('../sim/metrics.js');
+
+// Collects metrics while PC 2 sends one message to PC 4 over a chain of 4 PCs
+function measureOneMessage() {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const metrics = Metrics.createMetrics(sim);
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(20000);
+    return { clock, sim, metrics };
+}
+
+test('the summary averages every delivered message', () => {
+    const { metrics } = measureOneMessage();
+    // Delivered at 4900 after crossing 2 wires; the token comes back to PC 2 after 14 s
+    // and to PCs 3 and 4 after 12 s
+    assert.deepStrictEqual(metrics.summary(), {
+        elapsed: 20000,
+        delivered: 1,
+        failed: 0,
+        throughput: 3,
+        latency: 4.9,
+        hops: 2,
+        queueWait: 0,
+        rotation: (14 + 12 + 12) / 3
+    });
+});
+
+test('the time series have one point per bucket, with gaps for quiet periods', () => {
+    const { metrics } = measureOneMessage();
+    const series = metrics.series();
+    assert.deepStrictEqual(Object.keys(series), Object.keys(Metrics.SERIES));
+    assert.deepStrictEqual(series.throughput.map(point => point.value), [12, 0, 0, 0, 0]);
+    assert.deepStrictEqual(series.latency.map(point => point.value), [4.9, null, null, null, null]);
+    assert.deepStrictEqual(series.rotation.map(point => point.time), [5000, 10000, 15000, 20000, 25000]);
+});
+
+test('utilization and wire traffic count the sending PC and the wires crossed', () => {
+    const { metrics } = measureOneMessage();
+    assert.deepStrictEqual(metrics.nodeUtilization().map(({ nodeId, busy }) => [nodeId, busy]),
+        [[1, 0], [2, 4900], [3, 0], [4, 0]]);
+    assert.strictEqual(metrics.nodeUtilization()[1].share, 4900 / 20000);
+    assert.deepStrictEqual(metrics.linkTraffic(), [
+        { linkId: '1-2', data: 0, ack: 0 },
+        { linkId: '2-3', data: 1, ack: 0 },
+        { linkId: '3-4', data: 1, ack: 0 }
+    ]);
+});
+
+test('reset starts collecting again and stop stops listening', () => {
+    const { clock, sim, metrics } = measureOneMessage();
+    metrics.reset();
+    assert.deepStrictEqual(metrics.summary().delivered, 0);
+    assert.deepStrictEqual(metrics.series().throughput, []);
+
+    metrics.stop();
+    sim.sendMessage(1, 3, 'Again');
+    clock.runUntil(40000);
+    assert.strictEqual(metrics.summary().delivered, 0);
+    assert.ok(metrics.linkTraffic().every(link => link.data === 0));
+});
@@ -0,0 +1,58 @@
+/**
+ * Noisy wires: flipped bits caught by the frame check, lost frames and slow wires.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Frame = require('../sim/frame.js');
+
+// Sends a frame from PC 2 to PC 4 over a chain of 4 PCs whose wire 2-3 has the given settings
+function sendOverNoisyWire(quality) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    sim.setLinkQuality('2-3', quality);
+    const outcome = { hops: [], failures: [], delivered: [] };
+    sim.on('transmission:hop', event => outcome.hops.push([event.linkId, event.duration]));
+    sim.on('transmission:failed', event => outcome.failures.push([event.reason, event.nodeId || event.linkId]));
+    sim.on('transmission:delivered', event => outcome.delivered.push(event.time));
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(20000);
+    return Object.assign(outcome, { stats: sim.getStats() });
+}
+
+test('flipped bits break the frame check sequence', () => {
+    const frame = Frame.createFrame({ sequence: 1, source: { nodeId: 1, ip: '10.0.0.1' },
+        destination: { nodeId: 2, ip: '10.0.0.2' }, payload: 'Hello' });
+    assert.strictEqual(Frame.corruptFrame(frame, 0, () => 0), 0);
+    assert.ok(Frame.checkFCS(frame));
+
+    let draws = 0;
+    assert.strictEqual(Frame.corruptFrame(frame, 0.5, () => (draws++ === 20 ? 0 : 0.9)), 1);
+    assert.strictEqual(frame.bitErrors, 1);
+    assert.ok(!Frame.checkFCS(frame));
+});
+
+test('the receiver discards a frame corrupted on the way', () => {
+    const { failures, delivered, stats } = sendOverNoisyWire({ bitErrorRate: 0.5 });
+    assert.deepStrictEqual(failures, [['crc-error', 4]]);
+    assert.deepStrictEqual(delivered, []);
+    assert.strictEqual(stats.framesCorrupted, 1);
+});
+
+test('a frame can be lost on the wire', () => {
+    const { hops, failures, stats } = sendOverNoisyWire({ dropProbability: 1 });
+    assert.deepStrictEqual(hops.map(([linkId]) => linkId), ['2-3']);
+    assert.deepStrictEqual(failures, [['dropped', '2-3']]);
+    assert.strictEqual(stats.framesDropped, 1);
+});
+
+test('latency slows the crossing of a wire down without spoiling the frame', () => {
+    const { hops, delivered } = sendOverNoisyWire({ latency: 400 });
+    const crossing = Simulation.TIMING.hopDuration;
+    assert.deepStrictEqual(hops, [['2-3', crossing + 400], ['3-4', crossing]]);
+    assert.strictEqual(delivered.length, 1);
+});
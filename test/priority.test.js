@@ -0,0 +1,45 @@
+/**
+ * Token priority and reservation bits (IEEE 802.5).
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+
+test('a reservation lets an urgent message go before a less urgent one nearer the token', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 3 });
+    for (let i = 0; i < 5; i++) sim.addNode();
+    sim.startTokenPassing();
+    const log = [];
+    sim.on('token:reserved', event => log.push(`PC ${event.nodeId} reserves ${event.reservation}`));
+    sim.on('token:priority', event => log.push(`PC ${event.nodeId} ${event.reason} priority ${event.priority}`));
+    sim.on('transmission:start', event => log.push(`PC ${event.sourceNode} sends`));
+
+    // PC 2 holds the token and sends; PC 3 and PC 4 wait with priorities 1 and 5
+    sim.sendMessage(2, 5, 'routine', 0);
+    sim.sendMessage(4, 1, 'urgent', 5);
+    sim.sendMessage(3, 1, 'low', 1);
+    clock.runUntil(60000);
+
+    assert.deepStrictEqual(log, [
+        'PC 2 sends',
+        'PC 3 reserves 1',
+        'PC 4 reserves 5',
+        'PC 2 raised priority 5',
+        'PC 3 reserves 1',
+        'PC 4 sends',
+        'PC 2 restored priority 1',
+        'PC 3 sends',
+        'PC 2 restored priority 0'
+    ]);
+    assert.deepStrictEqual(sim.token.stack, []);
+});
+
+test('a priority outside 0 to 7 is refused', () => {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 3 });
+    for (let i = 0; i < 3; i++) sim.addNode();
+    assert.strictEqual(sim.sendMessage(1, 2, '', Simulation.PRIORITY.highest + 1), 'rejected');
+    assert.strictEqual(sim.sendMessage(1, 2, '', -1), 'rejected');
+});
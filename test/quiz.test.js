@@ -0,0 +1,82 @@
+/**
+ * Quiz questions: random faults, playing the message and scoring the prediction.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const SimRandom = require('../sim/random.js');
+const Quiz = require('../sim/quiz.js');
+
+// A ring of 6 PCs with a noisy wire, captured as a quiz starts from it
+function captureNetwork() {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    for (let i = 0; i < 6; i++) sim.addNode();
+    sim.setTopology('ring');
+    sim.setLinkQuality('1-2', { bitErrorRate: 0.01 });
+    sim.startTokenPassing();
+    return sim.snapshot();
+}
+
+// Plays a question on its own simulation and returns the outcome
+function play(question) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    sim.restore(question.state);
+    let outcome = null;
+    Quiz.runQuestion(sim, question, result => { outcome = result; });
+    clock.runUntil(Quiz.QUIZ.deadline + 1000);
+    return outcome;
+}
+
+test('a question breaks wires and powers off PCs, but leaves nothing to chance', () => {
+    const question = Quiz.generateQuestion(captureNetwork(), SimRandom.createRandom(3), { maxBroken: 2, maxPoweredOff: 1 });
+    assert.ok(question.broken.length <= 2);
+    assert.ok(question.poweredOff.length <= 1);
+    assert.notStrictEqual(question.sourceNode, question.destinationNode);
+    assert.strictEqual(question.path[0], question.sourceNode);
+    assert.strictEqual(question.links.length, question.path.length - 1);
+    question.state.links.forEach(link => assert.strictEqual(link.bitErrorRate, 0));
+    assert.strictEqual(question.state.mac, 'token');
+    assert.deepStrictEqual(question.state.messageQueue, []);
+});
+
+test('the same random numbers ask the same question', () => {
+    const state = captureNetwork();
+    const ask = seed => Quiz.generateQuestion(state, SimRandom.createRandom(seed));
+    assert.deepStrictEqual(ask(8), ask(8));
+});
+
+test('the right answer is always one of the choices', () => {
+    const state = captureNetwork();
+    for (let seed = 1; seed <= 30; seed++) {
+        const question = Quiz.generateQuestion(state, SimRandom.createRandom(seed));
+        const outcome = play(question);
+        assert.ok(outcome, `seed ${seed}: no outcome`);
+        const { expected } = Quiz.scoreAnswer(question, 'nothing', outcome);
+        assert.ok(question.choices.some(choice => choice.value === expected), `seed ${seed}: ${question.kind} ${expected}`);
+
+        // A message only arrives when nothing on its way is down
+        const blocked = question.links.some(linkId => question.broken.includes(linkId)) ||
+            question.path.some(nodeId => question.poweredOff.includes(nodeId));
+        if (outcome.delivered) assert.ok(!blocked, `seed ${seed}: delivered through a fault`);
+    }
+});
+
+test('a message across a network without faults arrives', () => {
+    const question = Quiz.generateQuestion(captureNetwork(), SimRandom.createRandom(5),
+        { kind: 'hop', maxBroken: 0, maxPoweredOff: 0 });
+    assert.deepStrictEqual([question.broken, question.poweredOff], [[], []]);
+    const outcome = play(question);
+    assert.strictEqual(outcome.delivered, true);
+    assert.deepStrictEqual(Quiz.scoreAnswer(question, 'none', outcome),
+        { correct: true, expected: 'none', expectedLabel: 'None, it arrives' });
+    assert.strictEqual(Quiz.scoreAnswer(question, question.links[0], outcome).correct, false);
+});
+
+test('a quiz needs at least 2 PCs', () => {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    sim.addNode();
+    assert.throws(() => Quiz.generateQuestion(sim.snapshot(), SimRandom.createRandom(1)), /at least 2 PCs/);
+});
@@ -0,0 +1,65 @@
+/**
+ * Seeded randomness: the same seed replays the same run.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const SimRandom = require('../sim/random.js');
+
+// Sends messages around 5 PCs over noisy, jittery wires and records what happened on them
+function runNoisyNetwork(seed) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed });
+    for (let i = 0; i < 5; i++) sim.addNode();
+    ['1-2', '2-3', '3-4', '4-5', '5-1'].forEach(linkId => {
+        sim.setLinkQuality(linkId, { bitErrorRate: 0.002, dropProbability: 0.2, jitter: 300 });
+    });
+    const events = [];
+    sim.on('*', event => events.push([event.type, event.time]));
+    sim.startTokenPassing();
+    for (let i = 1; i <= 5; i++) sim.sendMessage(i, i % 5 + 1, `Message ${i}`);
+    clock.runUntil(60000);
+    return events;
+}
+
+test('a seed always gives the same numbers', () => {
+    const draw = seed => {
+        const random = SimRandom.createRandom(seed);
+        return [random(), random(), random()];
+    };
+    assert.deepStrictEqual(draw(42), draw(42));
+    assert.notDeepStrictEqual(draw(42), draw(43));
+    draw(7).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('each use of a run seed draws its own numbers', () => {
+    assert.strictEqual(SimRandom.deriveSeed(42, 'traffic'), SimRandom.deriveSeed(42, 'traffic'));
+    assert.notStrictEqual(SimRandom.deriveSeed(42, 'traffic'), SimRandom.deriveSeed(42, 'noise'));
+    assert.ok(SimRandom.isValidSeed(SimRandom.deriveSeed(42, 'traffic')));
+});
+
+test('only unsigned 32-bit integers are seeds', () => {
+    [0, 1, SimRandom.MAX_SEED].forEach(seed => assert.ok(SimRandom.isValidSeed(seed)));
+    [-1, 1.5, SimRandom.MAX_SEED + 1, '7', null].forEach(seed => assert.ok(!SimRandom.isValidSeed(seed)));
+    assert.ok(SimRandom.isValidSeed(SimRandom.randomSeed()));
+});
+
+test('the same seed replays a noisy run exactly', () => {
+    const first = runNoisyNetwork(1234);
+    assert.ok(first.length > 0);
+    assert.deepStrictEqual(runNoisyNetwork(1234), first);
+    assert.notDeepStrictEqual(runNoisyNetwork(4321), first);
+});
+
+test('setting the seed again restarts the random numbers', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 5 });
+    const seeds = [];
+    sim.on('seed:changed', event => seeds.push(event.seed));
+    assert.strictEqual(sim.setSeed(-1), false);
+    assert.strictEqual(sim.setSeed(77), true);
+    assert.deepStrictEqual(seeds, [77]);
+    assert.strictEqual(sim.network.seed, 77);
+});
@@ -0,0 +1,215 @@
+/**
+ * Scenario files and shared links.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Scenario = require('../sim/scenario.js');
+
+// A chain of PCs on a clock of its own
+function createNetwork(count = 5) {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return sim;
+}
+
+// A ring with a removed, a powered-off and a faulty PC, a broken and a noisy wire, reliable delivery,
+// a multicast group and two queued messages
+function createLab() {
+    const sim = createNetwork(6);
+    sim.setTopology('ring');
+    sim.removeNode(6);
+    sim.setNodePower(3, false);
+    sim.setNodeFault(2, { mode: 'slow', delay: 500 });
+    sim.setWireBroken('4-5', true);
+    sim.setLinkQuality('1-2', { dropProbability: 0.1, latency: 20 });
+    sim.setReliability({ mode: 'go-back-n', windowSize: 4 });
+    sim.setGroup('odd', [1, 5]);
+    sim.startTokenPassing();
+    sim.sendMessage(4, 'odd', 'Hello odd PCs', 3);
+    sim.sendMessage(1, 5);
+    return sim;
+}
+
+test('a saved scenario file loads into another simulation unchanged', () => {
+    const text = JSON.stringify(Scenario.exportScenario(createLab(), { name: 'Lab 1' }), null, 2);
+    const loaded = createNetwork(2);
+    Scenario.importScenario(loaded, Scenario.parseScenario(text));
+
+    assert.strictEqual(JSON.stringify(Scenario.exportScenario(loaded, { name: 'Lab 1' }), null, 2), text);
+    assert.strictEqual(loaded.network.topology, 'ring');
+    assert.deepStrictEqual(loaded.getQueuedMessages().map(msg => [msg.sourceNode, msg.destinationNode, msg.payload]),
+        [[1, 5, ''], [4, 'odd', 'Hello odd PCs']]);
+});
+
+test('a scenario file is checked before anything is applied, and every problem is listed', () => {
+    assert.throws(() => Scenario.parseScenario('{ not json'), error =>
+        error instanceof Scenario.ScenarioError && /^File is not valid JSON/.test(error.message));
+
+    const sim = createNetwork(3);
+    const before = JSON.stringify(sim.snapshot());
+    const scenario = Scenario.exportScenario(sim);
+    scenario.format = 'other';
+    scenario.token = { active: 'yes', currentNode: 9, direction: 2, interval: 0 };
+    assert.throws(() => Scenario.importScenario(sim, scenario), error =>
+        error instanceof Scenario.ScenarioError && error.problems.join('\n') === [
+            'format must be "daisy-chain-scenario"',
+            'token.active must be true or false',
+            'token.currentNode must be null or the ID of a node in nodes',
+            'token.direction must be 1 (forward) or -1 (backward)',
+            'token.interval must be a positive number of milliseconds'
+        ].join('\n'));
+    assert.strictEqual(JSON.stringify(sim.snapshot()), before);
+});
+
+test('a version 1 file without a topology loads as a daisy chain', () => {
+    const scenario = Scenario.exportScenario(createNetwork(3));
+    scenario.version = 1;
+    delete scenario.topology;
+    const loaded = createNetwork(5);
+    loaded.setTopology('ring');
+    Scenario.importScenario(loaded, scenario);
+    assert.strictEqual(loaded.network.topology, 'chain');
+    assert.deepStrictEqual(loaded.getNodeIds(), [1, 2, 3]);
+});
+
+test('a shared link restores the scenario, all but the payloads of queued messages', () => {
+    const saved = Scenario.exportScenario(createLab());
+    const hash = Scenario.encodeScenarioHash(saved);
+    assert.ok(Scenario.hasScenarioHash(hash));
+    assert.ok(!Scenario.hasScenarioHash('#section'));
+
+    const loaded = createNetwork(2);
+    Scenario.importScenario(loaded, Scenario.decodeScenarioHash(hash));
+    // Default IP addresses are left out of links, and a removed PC gets its own back when recovered
+    const comparable = scenario => Object.assign({}, scenario, {
+        nodeIPs: undefined,
+        messageQueue: scenario.messageQueue.map(msg => Object.assign({}, msg, { payload: '' }))
+    });
+    assert.deepStrictEqual(comparable(Scenario.exportScenario(loaded)), comparable(saved));
+    loaded.recoverNode(6);
+    assert.strictEqual(loaded.network.nodeIPs[6], Simulation.generateIPAddress(6));
+});
+
+test('a link with a malformed escape is reported as an invalid scenario', () => {
+    assert.throws(() => Scenario.decodeScenarioHash('#n=5&x=%E0%A4%A'), error =>
+        error instanceof Scenario.ScenarioError &&
+        error.problems.includes('field x is not valid URL encoding'));
+});
+
+test('the wires of a removed PC keep their state through save and load', () => {
+    const sim = createNetwork();
+    sim.setWireBroken('2-3', true);
+    sim.setLinkQuality('3-4', { latency: 50, bandwidth: 9600 });
+    sim.removeNode(3);
+
+    const saved = JSON.parse(JSON.stringify(Scenario.exportScenario(sim)));
+    assert.deepStrictEqual(Scenario.validateScenario(saved), []);
+    assert.strictEqual(saved.detachedLinks.length, 2);
+
+    const loaded = createNetwork();
+    Scenario.importScenario(loaded, saved);
+    loaded.recoverNode(3);
+    assert.strictEqual(loaded.getLink(2, 3).broken, true);
+    assert.strictEqual(loaded.getLink(3, 4).latency, 50);
+    assert.strictEqual(loaded.getLink(3, 4).bandwidth, 9600);
+});
+
+test('detached wires must join node IDs of the network', () => {
+    const scenario = Scenario.decodeScenarioHash('#n=5&r=3');
+    scenario.detachedLinks = [{ link: [2, 9], broken: true }, { link: [2, 3], broken: 'yes' }];
+    assert.deepStrictEqual(Scenario.validateScenario(scenario), [
+        'detachedLinks[0].link must be a pair of different node IDs up to maxNodeId (5)',
+        'detachedLinks[1].broken must be true or false'
+    ]);
+});
+
+test('a node fault without its setting loads with the default setting', () => {
+    const sim = createNetwork(4);
+    const scenario = Scenario.exportScenario(sim);
+    scenario.nodes[1].fault = { mode: 'slow' };
+    scenario.nodes[2].fault = { mode: 'drop-nth', every: 1 };
+
+    assert.deepStrictEqual(Scenario.validateScenario(scenario), [
+        "nodes[2].fault must be null or { mode } with mode one of: bypass, drop-nth, slow, babbling, and the mode's setting in range"
+    ]);
+    scenario.nodes[2].fault = null;
+    Scenario.importScenario(sim, scenario);
+    assert.deepStrictEqual(sim.getNodeFault(2), { mode: 'slow', delay: Simulation.NODE_FAULTS.slow.setting.value });
+});
+
+test('a link or file with too many PCs is rejected with one problem', () => {
+    for (const hash of ['#n=1000000', '#n=100000']) {
+        assert.throws(() => Scenario.decodeScenarioHash(hash), error =>
+            error instanceof Scenario.ScenarioError &&
+            error.problems.length === 1 &&
+            error.problems[0] === `maxNodeId must be at most ${Simulation.MAX_NODE_ID}`);
+    }
+
+    const scenario = Scenario.decodeScenarioHash('#n=5');
+    scenario.maxNodeId = 3e6;
+    assert.deepStrictEqual(Scenario.validateScenario(scenario), [`maxNodeId must be at most ${Simulation.MAX_NODE_ID}`]);
+});
+
+test('missing node IDs are reported as ranges in one problem', () => {
+    const scenario = Scenario.decodeScenarioHash('#n=5');
+    scenario.maxNodeId = 900;
+    scenario.nodes.push({ id: 7, poweredOff: false });
+    assert.deepStrictEqual(Scenario.validateScenario(scenario), [
+        'PCs 6, 8-900 are missing: every ID up to maxNodeId must be in nodes or removedNodes'
+    ]);
+});
+
+test('the wires of a removed PC keep their state through a shared link', () => {
+    const sim = createNetwork();
+    sim.setWireBroken('2-3', true);
+    sim.setLinkQuality('3-4', { latency: 50, bandwidth: 9600 });
+    sim.removeNode(3);
+
+    const hash = Scenario.encodeScenarioHash(Scenario.exportScenario(sim));
+    const loaded = createNetwork();
+    Scenario.importScenario(loaded, Scenario.decodeScenarioHash(hash));
+    loaded.recoverNode(3);
+    assert.strictEqual(loaded.getLink(2, 3).broken, true);
+    assert.strictEqual(loaded.getLink(3, 4).broken, false);
+    assert.strictEqual(loaded.getLink(3, 4).latency, 50);
+    assert.strictEqual(loaded.getLink(3, 4).bandwidth, 9600);
+
+    assert.throws(() => Scenario.decodeScenarioHash('#n=5&r=3&dw=2-9~1,2-3~yes'), error =>
+        error instanceof Scenario.ScenarioError && error.problems.join('\n') === [
+            'detachedLinks[0].link must be a pair of different node IDs up to maxNodeId (5)',
+            'detachedLinks[1].broken must be true or false'
+        ].join('\n'));
+});
+
+test('a token lost on a broken wire stays lost through save and load', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 5; i++) sim.addNode();
+    sim.startTokenPassing();
+    sim.setWireBroken('1-2', true);
+    while (!sim.token.lost) clock.step();
+
+    const saved = JSON.parse(JSON.stringify(Scenario.exportScenario(sim)));
+    assert.deepStrictEqual(Scenario.validateScenario(saved), []);
+    assert.deepStrictEqual(saved.token.lost, { reason: 'wire-broken', linkId: '1-2', from: 2, to: 1 });
+
+    const hash = Scenario.encodeScenarioHash(saved);
+    assert.match(hash, /&t=lost~wire-broken&/);
+    for (const scenario of [saved, Scenario.decodeScenarioHash(hash)]) {
+        const loadedClock = SimClock.createClock();
+        const loaded = Simulation.createSimulation({ scheduler: loadedClock, seed: 1 });
+        Scenario.importScenario(loaded, scenario);
+        assert.strictEqual(loaded.token.isActive, true);
+        assert.strictEqual(loaded.token.currentNode, null);
+        assert.strictEqual(loaded.token.lost.reason, 'wire-broken');
+
+        // The active monitor notices and issues a new token
+        const regenerated = [];
+        loaded.on('token:regenerated', event => regenerated.push(event.nodeId));
+        loadedClock.runUntil(loadedClock.now() + 10000);
+        assert.ok(regenerated.length > 0);
+    }
+});
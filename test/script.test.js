@@ -0,0 +1,84 @@
+/**
+ * Lab exercise scripts.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const ScenarioScript = require('../sim/script.js');
+
+test('sending from a PC that does not exist is a step error', () => {
+    const result = ScenarioScript.runScript('at t=1 send 9 -> 1');
+    assert.strictEqual(result.passed, false);
+    assert.deepStrictEqual(result.errors.map(error => error.message), ['there is no PC 9 to send from']);
+});
+
+test('a script without a seed line grades the same on every run', () => {
+    // The same noisy network, captured by simulations with different seeds
+    const states = [11, 22, 33].map(seed => {
+        const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed });
+        for (let i = 0; i < 5; i++) sim.addNode();
+        sim.setLinkQuality('2-3', { dropProbability: 0.5, bitErrorRate: 0.01 });
+        sim.startTokenPassing();
+        return sim.snapshot();
+    });
+    const script = 'at t=1 send 1 -> 5\nat t=20 send 5 -> 1\nat t=40 send 2 -> 4\nexpect delivery 1 -> 5';
+
+    const runs = states.map(state => JSON.stringify(ScenarioScript.runScript(script, { state })));
+    assert.strictEqual(new Set(runs).size, 1);
+});
+
+test('a network line beyond the node limit and a seed out of range are script errors', () => {
+    assert.throws(() => ScenarioScript.parseScript(`network chain ${Simulation.MAX_NODE_ID + 1}\nseed 99999999999`), error =>
+        error instanceof ScenarioScript.ScriptError && error.problems.join('\n') === [
+            `line 1: a network can have at most ${Simulation.MAX_NODE_ID} PCs`,
+            'line 2: seed must be a whole number from 0 to 4294967295'
+        ].join('\n'));
+});
+
+test('every expectation passes or fails on its own, with what actually happened', () => {
+    const result = ScenarioScript.runScript([
+        'network chain 5',
+        'at t=5 break wire 2-3',
+        'at t=6 send 1 -> 5',
+        'expect failure at wire 2-3 reason wire-broken',
+        'expect delivery 1 -> 5',
+        'expect wire 2-3 broken',
+        'expect pc 4 on',
+        'at t=4 expect token at pc 3'
+    ].join('\n'));
+
+    assert.strictEqual(result.passed, false);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.expectations.map(({ line, passed }) => [line, passed]),
+        [[4, true], [5, false], [6, true], [7, true], [8, true]]);
+    assert.strictEqual(result.expectations[1].detail, 'no delivery by t=36.00s');
+    assert.strictEqual(result.expectations[4].time, 4000);
+    assert.strictEqual(result.endTime, 6000 + ScenarioScript.SETTLE_TIME);
+});
+
+test('statements can share a line, and a quoted payload keeps its separators', () => {
+    const steps = ScenarioScript.parseScript('network chain 4; seed 3 # setup\nat t=1 send 1 -> 4 "Hi; #1"');
+    assert.deepStrictEqual(steps.map(step => step.action), ['network', 'seed', 'send']);
+    assert.strictEqual(steps[2].payload, 'Hi; #1');
+    assert.strictEqual(ScenarioScript.runScript(steps).passed, true);
+});
+
+test('every line that cannot be read is listed', () => {
+    assert.throws(() => ScenarioScript.parseScript('network chain 5\nat t=2 fly 1\nsend 1 -> 2\nat t=3 seed 4'), error =>
+        error instanceof ScenarioScript.ScriptError && error.problems.join('\n') === [
+            'line 2: cannot read "at t=2 fly 1"',
+            'line 3: "send 1 -> 2" needs a time, e.g. "at t=5 send 1 -> 2"',
+            'line 4: "seed 4" cannot be timed, put it on a line of its own'
+        ].join('\n'));
+});
+
+test('a script leaves the live simulation untouched', () => {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    for (let i = 0; i < 5; i++) sim.addNode();
+    const before = JSON.stringify(sim.snapshot());
+    const result = ScenarioScript.runScript('at t=1 break wire 1-2\nexpect wire 1-2 broken', { state: sim.snapshot() });
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(JSON.stringify(sim.snapshot()), before);
+});
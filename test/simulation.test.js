@@ -0,0 +1,108 @@
+/**
+ * The headless simulation core: runs in Node on a simulated clock, without a browser.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+
+function createNetwork(count, seed = 42) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+test('a chain of PCs is wired to its neighbours', () => {
+    const { sim } = createNetwork(4);
+    assert.deepStrictEqual(sim.getNodeIds(), [1, 2, 3, 4]);
+    assert.deepStrictEqual(sim.network.connections.map(link => link.id), ['1-2', '2-3', '3-4']);
+    assert.strictEqual(sim.network.nodeIPs[3], Simulation.generateIPAddress(3));
+});
+
+test('a message crosses the chain and is delivered', () => {
+    const { clock, sim } = createNetwork(5);
+    const delivered = [];
+    sim.on('transmission:delivered', event => delivered.push([event.sourceNode, event.destinationNode]));
+    sim.startTokenPassing();
+
+    const holder = sim.token.currentNode;
+    assert.strictEqual(sim.sendMessage(holder, 5, 'Hello PC 5!'), 'sent');
+    clock.runUntil(20000);
+    assert.deepStrictEqual(delivered, [[holder, 5]]);
+    assert.strictEqual(sim.getStats().successRate, 100);
+});
+
+test('a broken wire stops the message at the wire', () => {
+    const { clock, sim } = createNetwork(5);
+    const failures = [];
+    sim.on('transmission:failed', event => failures.push([event.reason, event.linkId]));
+    sim.setWireBroken('3-4', true);
+    sim.startTokenPassing();
+    sim.sendMessage(sim.token.currentNode, 5);
+
+    clock.runUntil(20000);
+    assert.deepStrictEqual(failures, [['wire-broken', '3-4']]);
+});
+
+test('every event carries its type and simulated time, and "*" hears them all', () => {
+    const { clock, sim } = createNetwork(3);
+    const events = [];
+    sim.on('*', event => events.push(event));
+    sim.startTokenPassing();
+    clock.runUntil(7000);
+
+    assert.ok(events.length > 0);
+    events.forEach(event => assert.strictEqual(typeof event.type, 'string'));
+    const passes = events.filter(event => event.type === 'token:passed');
+    assert.deepStrictEqual(passes.map(event => event.time), [0, 3000, 6000]);
+});
+
+test('"*" hears an event before the events its handlers cause', () => {
+    const { sim } = createNetwork(3);
+    const heard = [];
+    sim.on('*', event => heard.push([event.type, sim.currentEvent() && sim.currentEvent().type]));
+    sim.on('lesson:step', () => sim.emit('lesson:done'));
+
+    assert.strictEqual(sim.currentEvent(), null);
+    sim.emit('lesson:step');
+    assert.deepStrictEqual(heard, [['lesson:step', 'lesson:step'], ['lesson:done', 'lesson:done']]);
+    assert.strictEqual(sim.currentEvent(), null);
+});
+
+test('a handler that throws does not leave its event marked as being published', () => {
+    const { sim } = createNetwork(3);
+    sim.on('lesson:step', () => {
+        throw new Error('broken handler');
+    });
+    assert.throws(() => sim.emit('lesson:step'), /broken handler/);
+    assert.strictEqual(sim.currentEvent(), null);
+});
+
+test('the token visits the powered-on PCs in order and skips those that are off', () => {
+    const { clock, sim } = createNetwork(4);
+    sim.setNodePower(3, false);
+    const holders = [];
+    sim.on('token:passed', event => holders.push(event.to));
+    sim.startTokenPassing();
+    clock.runUntil(4 * sim.token.interval);
+    assert.deepStrictEqual(holders, [2, 4, 1, 2, 4]);
+
+    sim.changeTokenDirection();
+    clock.runUntil(7 * sim.token.interval);
+    assert.deepStrictEqual(holders.slice(5), [2, 1, 4]);
+});
+
+test('a snapshot restores into another simulation unchanged', () => {
+    const { sim } = createNetwork(5);
+    sim.setWireBroken('2-3', true);
+    sim.setNodePower(4, false);
+    sim.startTokenPassing();
+    sim.sendMessage(1, 5, 'queued');
+    const saved = JSON.stringify(sim.snapshot());
+
+    const { sim: copy } = createNetwork(0, 7);
+    copy.restore(JSON.parse(saved));
+    assert.strictEqual(JSON.stringify(copy.snapshot()), saved);
+});
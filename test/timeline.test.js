@@ -0,0 +1,88 @@
+/**
+ * Session timeline.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Timeline = require('../sim/timeline.js');
+
+// Records PC 2 sending one message to PC 4 over a chain of 4 PCs
+function recordOneMessage(options) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const timeline = Timeline.createTimeline(sim, options);
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(10000);
+    return { clock, sim, timeline };
+}
+
+test('a frame shows where the transfer under way had got to', () => {
+    const { timeline } = recordOneMessage();
+
+    // The frame crosses wire 2-3 from 800 to 2300, then wire 3-4, and is delivered at 4900
+    const crossing = timeline.frameAt(1000).transfer;
+    assert.deepStrictEqual([crossing.sourceNode, crossing.destinationNode], [2, 4]);
+    assert.deepStrictEqual(Object.values(crossing.flights).map(flight => flight.linkId), ['2-3']);
+    assert.deepStrictEqual(crossing.reached, [2]);
+    assert.strictEqual(crossing.outcome, null);
+
+    const done = timeline.frameAt(4900).transfer;
+    assert.deepStrictEqual(done.reached, [2, 3, 4]);
+    assert.strictEqual(done.outcome, 'delivered');
+    assert.strictEqual(timeline.frameAt(6000).token.currentNode, 3);
+});
+
+test('a frame shows where a failed transfer died', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const timeline = Timeline.createTimeline(sim);
+    sim.setWireBroken('3-4', true);
+    sim.startTokenPassing();
+    sim.sendMessage(2, 4, 'Hi');
+    clock.runUntil(10000);
+
+    const last = timeline.frame(timeline.length() - 1);
+    assert.strictEqual(last.links['3-4'].broken, true);
+    assert.strictEqual(last.transfer.outcome, 'failed');
+    assert.deepStrictEqual([last.transfer.failure.reason, last.transfer.failure.linkId], ['wire-broken', '3-4']);
+});
+
+test('frames share the parts that did not change', () => {
+    const { timeline } = recordOneMessage();
+    const first = timeline.frame(0);
+    const last = timeline.frame(timeline.length() - 1);
+    assert.strictEqual(last.nodes, first.nodes);
+    assert.strictEqual(last.links, first.links);
+    assert.notStrictEqual(last.token, first.token);
+});
+
+test('a time before the first frame shows the first frame, and old frames are dropped', () => {
+    const { timeline } = recordOneMessage({ limit: 5 });
+    assert.strictEqual(timeline.length(), 5);
+    assert.ok(timeline.dropped() > 0);
+    assert.strictEqual(timeline.indexAt(-1), 0);
+    assert.strictEqual(timeline.frame(5), null);
+
+    timeline.clear();
+    assert.deepStrictEqual([timeline.length(), timeline.dropped()], [1, 0]);
+    assert.strictEqual(timeline.frame(0).event.type, 'timeline:start');
+});
+
+test('frames record the fault of every node', () => {
+    const sim = Simulation.createSimulation({ scheduler: SimClock.createClock(), seed: 1 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    const timeline = Timeline.createTimeline(sim);
+
+    sim.setNodeFault(2, { mode: 'slow', delay: 500 });
+    sim.setNodeFault(2, null);
+
+    const faults = [0, 1].map(index => timeline.frame(timeline.length() - 2 + index).nodes[2].fault);
+    assert.deepStrictEqual(faults, [{ mode: 'slow', delay: 500 }, null]);
+    assert.strictEqual(timeline.frame(timeline.length() - 1).nodes[1].fault, null);
+    timeline.stop();
+});
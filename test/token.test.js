@@ -0,0 +1,97 @@
+/**
+ * Token passing: losing the token, the active monitor that recovers it, and where the token
+ * goes when its holder leaves the network.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Scenario = require('../sim/scenario.js');
+
+function createNetwork(count) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+// The token and monitor events of a run, as [type, time, nodeId]
+function recordTokenEvents(sim) {
+    const events = [];
+    sim.on('*', event => {
+        if (/^(token|monitor):/.test(event.type) && event.type !== 'token:passed') {
+            events.push([event.type, event.time, event.nodeId]);
+        }
+    });
+    return events;
+}
+
+test('the active monitor issues a new token once the holder was powered off', () => {
+    const { clock, sim } = createNetwork(5);
+    const events = recordTokenEvents(sim);
+    sim.startTokenPassing();
+    clock.runUntil(3000);
+    sim.setNodePower(sim.token.currentNode, false);
+    clock.runUntil(20000);
+
+    // The monitor waits lossTimeout token intervals after the last pass, then purges the ring
+    const lossAt = 3000 + sim.token.interval * Simulation.MONITOR.lossTimeout;
+    assert.deepStrictEqual(events.slice(2), [
+        ['token:lost', 3000, 3],
+        ['monitor:token-lost', lossAt, 1],
+        ['monitor:purge', lossAt, 1],
+        ['token:regenerated', lossAt + Simulation.MONITOR.purgeDuration, 1]
+    ]);
+});
+
+test('a token stuck on a repaired wire meets the new one, and the monitor purges the ring', () => {
+    const { clock, sim } = createNetwork(5);
+    const events = recordTokenEvents(sim);
+    sim.startTokenPassing();
+    sim.setWireBroken('3-4', true);
+    clock.runUntil(15000);
+    assert.deepStrictEqual(sim.token.stranded, { linkId: '3-4', to: 4 });
+
+    sim.setWireBroken('3-4', false);
+    assert.deepStrictEqual(events.filter(([type]) => type === 'token:duplicate' || type === 'monitor:purge').slice(-2),
+        [['token:duplicate', 15000, undefined], ['monitor:purge', 15000, 1]]);
+});
+
+test('the standby monitors elect the PC with the highest address when the monitor goes off', () => {
+    const { clock, sim } = createNetwork(5);
+    sim.startTokenPassing();
+    const elected = [];
+    sim.on('monitor:elected', event => elected.push([event.nodeId, event.reason]));
+    sim.setNodePower(sim.monitor.nodeId, false);
+    clock.runUntil(20000);
+    assert.deepStrictEqual(elected, [[5, 'claim']]);
+    assert.strictEqual(sim.monitor.nodeId, 5);
+});
+
+test('removing the holder hands the token to the next powered-on PC in its direction', () => {
+    const { sim } = createNetwork(5);
+    sim.startTokenPassing();
+    sim.token.currentNode = 3;
+    sim.setNodePower(4, false);
+    sim.removeNode(3);
+    assert.strictEqual(sim.token.currentNode, 5);
+
+    sim.token.direction = -1;
+    sim.removeNode(5);
+    assert.strictEqual(sim.token.currentNode, 2);
+});
+
+test('removing the only powered-on PC loses the token instead of keeping a missing holder', () => {
+    const { sim } = createNetwork(4);
+    sim.startTokenPassing();
+    [1, 2, 3].forEach(id => sim.setNodePower(id, false));
+    sim.token.currentNode = 4;
+    const lost = [];
+    sim.on('token:lost', event => lost.push([event.reason, event.nodeId]));
+
+    sim.removeNode(4);
+    assert.strictEqual(sim.token.currentNode, null);
+    assert.deepStrictEqual(lost, [['holder-removed', 4]]);
+    assert.deepStrictEqual(Scenario.validateScenario(JSON.parse(JSON.stringify(Scenario.exportScenario(sim)))), []);
+});
@@ -0,0 +1,74 @@
+/**
+ * Network topologies: which PCs are wired together and which way packets go.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Topology = require('../sim/topology.js');
+
+function createNetwork(count, topology) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    sim.setTopology(topology);
+    return { clock, sim };
+}
+
+test('a ring closes the chain with a link from the last PC to the first', () => {
+    assert.deepStrictEqual(Topology.buildLinks('ring', [1, 2, 3, 4]), [[1, 2], [2, 3], [3, 4], [4, 1]]);
+    // Two PCs are already joined both ways
+    assert.deepStrictEqual(Topology.buildLinks('ring', [1, 2]), [[1, 2]]);
+});
+
+test('a ring sends packets the shorter way round, and the other way past a broken wire', () => {
+    const { clock, sim } = createNetwork(6, 'ring');
+    assert.deepStrictEqual(sim.findPath(1, 6), [1, 6]);
+    assert.deepStrictEqual(sim.findPath(1, 3), [1, 2, 3]);
+
+    sim.setWireBroken('2-3', true);
+    assert.deepStrictEqual(sim.findPath(1, 3), [1, 6, 5, 4, 3]);
+
+    const wires = [];
+    sim.on('transmission:hop', event => wires.push(event.linkId));
+    sim.startTokenPassing();
+    assert.strictEqual(sim.sendMessage(sim.token.currentNode, 6), 'sent');
+    clock.runUntil(20000);
+    assert.deepStrictEqual(wires, ['1-2', '1-6']);
+});
+
+test('bus and star wire every PC to the shared device, and the mesh adds links that skip a PC', () => {
+    const hub = Topology.HUB_ID;
+    assert.deepStrictEqual(Topology.buildLinks('star', [1, 2, 3]), [[hub, 1], [hub, 2], [hub, 3]]);
+    assert.deepStrictEqual(Topology.buildLinks('bus', [1, 2, 3]), [[hub, 1], [hub, 2], [hub, 3]]);
+    assert.deepStrictEqual(Topology.buildLinks('mesh', [1, 2, 3, 4, 5]).map(([a, b]) => Topology.linkId(a, b)),
+        ['1-2', '2-3', '3-4', '4-5', '1-5', '1-3', '2-4', '3-5', '1-4', '2-5']);
+    assert.ok(Topology.hasHub('star') && Topology.hasHub('bus'));
+    assert.ok(!Topology.hasHub('mesh') && !Topology.hasHub('chain'));
+    assert.throws(() => Topology.buildLinks('tree', [1, 2]), /Unknown topology "tree"/);
+});
+
+test('a star sends through its hub, and nothing gets through while the hub is down', () => {
+    const { sim } = createNetwork(5, 'star');
+    assert.deepStrictEqual(sim.findPath(1, 4), [1, Topology.HUB_ID, 4]);
+
+    const rejected = [];
+    sim.on('message:rejected', event => rejected.push(event.reason));
+    sim.setHubFailed(true);
+    sim.startTokenPassing();
+    assert.strictEqual(sim.sendMessage(sim.token.currentNode, 4), 'rejected');
+    assert.deepStrictEqual(rejected, ['source-off']);
+});
+
+test('a partial mesh routes around several broken wires', () => {
+    const { sim } = createNetwork(6, 'mesh');
+    sim.setWireBroken('1-2', true);
+    sim.setWireBroken('1-6', true);
+    assert.deepStrictEqual(sim.findPath(1, 2), [1, 3, 2]);
+});
+
+test('removing a PC splices its neighbours together or leaves a gap', () => {
+    assert.deepStrictEqual(Topology.buildLinksAround('chain', [1, 2, 4, 5], [3], 'splice'), [[1, 2], [2, 4], [4, 5]]);
+    assert.deepStrictEqual(Topology.buildLinksAround('chain', [1, 2, 4, 5], [3], 'gap'), [[1, 2], [4, 5]]);
+});
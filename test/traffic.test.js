@@ -0,0 +1,65 @@
+/**
+ * The traffic generator: arrivals per PC, bursts and hotspots.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Traffic = require('../sim/traffic.js');
+
+test('settings out of range are all reported', () => {
+    assert.deepStrictEqual(Traffic.validateTraffic({}), []);
+    assert.deepStrictEqual(Traffic.validateTraffic({
+        arrival: 'bursty', rate: 0, burstSize: 30, hotspotShare: 2, duration: -1, seed: -1
+    }), [
+        'arrival must be one of poisson, constant',
+        'rate must be more than 0 and at most 120 messages per minute',
+        'burst size must be a whole number from 1 to 20',
+        'hotspot share must be from 0 to 1',
+        'duration must be more than 0 and at most 60 minutes',
+        'seed must be a whole number from 0 to 4294967295'
+    ]);
+});
+
+test('constant arrivals with bursts offer rate x duration x burst size messages per PC', () => {
+    const traffic = Traffic.generateTraffic([1, 2, 3, 4], { arrival: 'constant', rate: 6, duration: 30000, burstSize: 2, seed: 2 });
+    assert.strictEqual(traffic.length, 4 * 3 * 2);
+    traffic.forEach(msg => assert.notStrictEqual(msg.sourceNode, msg.destinationNode));
+    assert.deepStrictEqual(traffic.map(msg => msg.time), traffic.map(msg => msg.time).sort((a, b) => a - b));
+
+    // The messages of a burst leave together for the same destination
+    const [first, second] = traffic;
+    assert.deepStrictEqual([second.time, second.sourceNode, second.destinationNode],
+        [first.time, first.sourceNode, first.destinationNode]);
+});
+
+test('a hotspot receives about its share of the traffic', () => {
+    const traffic = Traffic.generateTraffic([1, 2, 3, 4, 5], { rate: 60, duration: 60000, hotspot: 3, hotspotShare: 0.9, seed: 2 });
+    const toHotspot = traffic.filter(msg => msg.destinationNode === 3).length;
+    // PC 3 sends a fifth of the traffic and cannot be its own hotspot
+    assert.ok(toHotspot / traffic.length > 0.65, `${toHotspot} of ${traffic.length} messages went to the hotspot`);
+});
+
+test('the same settings and seed generate the same traffic', () => {
+    const settings = { rate: 10, duration: 60000, seed: 99 };
+    assert.deepStrictEqual(Traffic.generateTraffic([1, 2, 3], settings), Traffic.generateTraffic([1, 2, 3], settings));
+    assert.notDeepStrictEqual(Traffic.generateTraffic([1, 2, 3], settings),
+        Traffic.generateTraffic([1, 2, 3], Object.assign({}, settings, { seed: 100 })));
+});
+
+test('traffic offered to a running simulation stops after its duration', () => {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 7 });
+    for (let i = 0; i < 4; i++) sim.addNode();
+    sim.startTokenPassing();
+
+    let finished = null;
+    const run = Traffic.startTraffic(sim, clock, { rate: 10, duration: 30000, seed: 4, onFinish: result => { finished = result; } });
+    clock.runUntil(200000);
+    assert.strictEqual(finished, run);
+    assert.ok(run.finished);
+    const { arrivals, offered, sent, queued, duplicate, rejected } = run.stats;
+    assert.ok(arrivals > 0);
+    assert.strictEqual(offered, sent + queued + duplicate + rejected);
+});
@@ -0,0 +1,73 @@
+/**
+ * Wires that keep their state across rebuilds, and the wiring around removed PCs.
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const SimClock = require('../sim/clock.js');
+const Simulation = require('../sim/simulation.js');
+const Frame = require('../sim/frame.js');
+
+function createNetwork(count) {
+    const clock = SimClock.createClock();
+    const sim = Simulation.createSimulation({ scheduler: clock, seed: 1 });
+    for (let i = 0; i < count; i++) sim.addNode();
+    return { clock, sim };
+}
+
+const wireStates = sim => sim.network.connections.map(link => [link.id, link.broken, link.latency]);
+
+test('a wire taken out by a removed PC comes back as it was', () => {
+    const { sim } = createNetwork(5);
+    sim.setWireBroken('1-2', true);
+    sim.setLinkQuality('2-3', { latency: 100 });
+
+    assert.ok(sim.removeNode(3));
+    assert.deepStrictEqual(wireStates(sim), [['1-2', true, 0], ['2-4', false, 0], ['4-5', false, 0]]);
+    assert.ok(sim.recoverNode(3));
+    assert.deepStrictEqual(wireStates(sim), [['1-2', true, 0], ['2-3', false, 100], ['3-4', false, 0], ['4-5', false, 0]]);
+});
+
+test('a wire keeps its state when the topology changes and changes back', () => {
+    const { sim } = createNetwork(4);
+    sim.setWireBroken('2-3', true);
+    sim.setTopology('star');
+    assert.ok(!sim.network.connections.some(link => link.id === '2-3'));
+    sim.setTopology('chain');
+    assert.strictEqual(sim.network.connections.find(link => link.id === '2-3').broken, true);
+});
+
+test('a removed PC can leave a gap that nothing crosses', () => {
+    const { clock, sim } = createNetwork(5);
+    assert.throws(() => sim.setRemovalMode('bridge'), /Unknown removal mode "bridge"/);
+    assert.strictEqual(sim.setRemovalMode('gap'), true);
+    assert.strictEqual(sim.setRemovalMode('gap'), false);
+    sim.removeNode(3);
+    assert.deepStrictEqual(sim.network.connections.map(link => link.id), ['1-2', '4-5']);
+
+    const failures = [];
+    const losses = [];
+    sim.on('transmission:failed', event => failures.push([event.reason, event.nodeId]));
+    sim.on('token:lost', event => losses.push([event.reason, event.from, event.to]));
+    sim.startTokenPassing();
+    assert.strictEqual(sim.findPath(2, 5).length, 1);
+    sim.sendMessage(sim.token.currentNode, 5, 'Across the gap');
+    clock.runUntil(5000);
+    assert.deepStrictEqual(failures, [['no-route', 2]]);
+    assert.deepStrictEqual(losses, [['no-route', 2, 4]]);
+});
+
+test('a wire with a bandwidth takes the length of the frame longer to cross', () => {
+    const { clock, sim } = createNetwork(3);
+    sim.setLinkQuality('2-3', { bandwidth: 8000 });
+    const hops = [];
+    let frame = null;
+    sim.on('transmission:hop', event => {
+        hops.push([event.linkId, event.duration]);
+        frame = event.frame;
+    });
+    sim.startTokenPassing();
+    sim.sendMessage(2, 3, 'Slow wire');
+    clock.runUntil(10000);
+    assert.deepStrictEqual(hops, [['2-3', Simulation.TIMING.hopDuration + Frame.frameLength(frame) * 8 / 8000 * 1000]]);
+});